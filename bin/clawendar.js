@@ -1,31 +1,119 @@
 #!/usr/bin/env node
 
+import { formatPerson, parsePerson } from "../lib/attendees.js";
 import { createCalendar } from "../lib/calendar.js";
-import { isStrictISODateTimeWithOffset } from "../lib/event.js";
+import { includesTime, resolveDate, resolveDateTime } from "../lib/date-input.js";
+import { codedError } from "../lib/errors.js";
+import { EVENT_STATUSES, isStrictISODate, isStrictISODateTimeWithOffset, normalizeDateTime } from "../lib/event.js";
+import { formatICalendar, parseICalendar } from "../lib/ics.js";
+import { formatIsoInTimeZone, hostTimeZone, isValidTimeZone } from "../lib/recurrence.js";
+import { formatReminder, parseReminder } from "../lib/reminders.js";
+import { convertStorage, STORAGE_BACKENDS } from "../lib/storage-adapter.js";
+import { createWatcher } from "../lib/watch.js";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs";
 import path from "node:path";
 import os from "node:os";
 
 const dataDir = process.env.CLAWENDAR_DATA_DIR || path.join(os.homedir(), ".clawendar");
 const calendar = createCalendar({ dataDir });
 
-const args = process.argv.slice(2);
+// The zone days and times are shown in: --tz on the viewing commands, else
+// CLAWENDAR_TZ, else times are printed as stored and days follow the machine.
+const configuredTz = process.env.CLAWENDAR_TZ || undefined;
+let displayTz = configuredTz;
+
+// Global output-mode switches, accepted anywhere on the command line.
+const OUTPUT_MODE_FLAGS = { "--json": "json", "--ndjson": "ndjson" };
+
+const rawArgs = process.argv.slice(2);
+const outputModes = [...new Set(rawArgs.map((arg) => OUTPUT_MODE_FLAGS[arg]).filter(Boolean))];
+const outputMode = outputModes.length > 0 ? outputModes[0] : "text";
+const args = rawArgs.filter((arg) => !OUTPUT_MODE_FLAGS[arg]);
 const command = args[0];
 
+// Error codes reported by --json/--ndjson; anything else is reported as ERROR.
+const ERROR_CODES = new Set([
+  "USAGE_ERROR",
+  "NOT_FOUND",
+  "NOT_RECURRING",
+  "INVALID_EVENT",
+  "INVALID_ARGUMENT",
+  "INVALID_RRULE",
+  "INVALID_ICALENDAR",
+  "IO_ERROR",
+  "LOCK_TIMEOUT",
+  "SCHEMA_TOO_NEW",
+  "INVALID_DATA",
+  "STORAGE_UNAVAILABLE",
+  "NOTHING_TO_UNDO",
+  "NOTHING_TO_REDO",
+  "UNDO_CONFLICT",
+  "READ_ONLY",
+  "CALENDAR_NOT_EMPTY",
+  "CONFLICT",
+]);
+
+// How long a `watch --hook` command may run before it is stopped.
+const HOOK_TIMEOUT_MS = 30000;
+
+const CONFLICT_FLAGS = ["no-conflicts", "warn-conflicts", "conflict-calendars", "conflict-participants"];
+
 const COMMAND_SPECS = {
   add: {
     requiresTitle: true,
-    requiredFlags: ["start"],
-    allowedFlags: ["start", "end", "place", "participants", "tz", "rrule", "calendar", "category"],
+    requiredOneOf: [["start", "date"]],
+    booleanFlags: ["no-conflicts", "warn-conflicts"],
+    allowedFlags: [
+      "start",
+      "end",
+      "duration",
+      "date",
+      "until-date",
+      "place",
+      "description",
+      "description-file",
+      "url",
+      "notes",
+      "participants",
+      "attendee",
+      "optional-attendee",
+      "organizer",
+      "tz",
+      "rrule",
+      "calendar",
+      "category",
+      "transparency",
+      "status",
+      "remind",
+      ...CONFLICT_FLAGS,
+    ],
   },
   today: {
-    allowedFlags: ["calendar", "calendars", "category-any", "category-all"],
+    allowedFlags: ["tz", "calendar", "calendars", "category-any", "category-all", "attendee", "status"],
   },
   week: {
-    allowedFlags: ["calendar", "calendars", "category-any", "category-all"],
+    allowedFlags: ["tz", "calendar", "calendars", "category-any", "category-all", "attendee", "status"],
   },
   list: {
     requiredFlags: ["from", "to"],
-    allowedFlags: ["from", "to", "calendar", "calendars", "category-any", "category-all"],
+    allowedFlags: ["from", "to", "tz", "calendar", "calendars", "category-any", "category-all", "attendee", "status"],
+  },
+  free: {
+    requiredFlags: ["from", "to", "duration"],
+    allowedFlags: ["from", "to", "duration", "within", "tz", "calendar", "calendars", "category-any", "category-all", "status"],
+  },
+  conflicts: {
+    requiredFlags: ["from", "to"],
+    allowedFlags: ["from", "to", "calendars", "participants"],
+  },
+  search: {
+    requiresQuery: true,
+    allowedFlags: ["from", "to", "tz", "calendar", "calendars", "category-any", "category-all", "attendee", "status"],
+  },
+  show: {
+    requiresEventId: true,
+    allowedFlags: ["occurrence", "tz"],
   },
   occurrences: {
     requiresEventId: true,
@@ -39,15 +127,103 @@ const COMMAND_SPECS = {
   },
   delete: {
     requiresEventId: true,
-    allowedFlags: [],
+    allowedFlags: ["from-occurrence"],
+  },
+  rsvp: {
+    requiresEventId: true,
+    requiredFlags: ["attendee", "status"],
+    allowedFlags: ["attendee", "status", "occurrence"],
   },
   edit: {
     requiresEventId: true,
-    allowedFlags: ["title", "place", "start", "end", "participants", "calendar", "category"],
+    booleanFlags: ["no-conflicts", "warn-conflicts"],
+    allowedFlags: [
+      "title",
+      "place",
+      "description",
+      "description-file",
+      "url",
+      "notes",
+      "start",
+      "end",
+      "duration",
+      "date",
+      "until-date",
+      "participants",
+      "attendee",
+      "optional-attendee",
+      "organizer",
+      "calendar",
+      "category",
+      "transparency",
+      "status",
+      "remind",
+      "rrule",
+      "occurrence",
+      "from-occurrence",
+      ...CONFLICT_FLAGS,
+    ],
+  },
+  import: {
+    requiresFile: true,
+    allowedFlags: ["calendar"],
+  },
+  export: {
+    allowedFlags: ["format", "from", "to", "calendar", "calendars", "category-any", "category-all", "status", "output"],
+  },
+  migrate: {
+    booleanFlags: ["dry-run"],
+    allowedFlags: ["dry-run"],
+  },
+  trash: {
+    subcommands: ["list", "restore", "purge"],
+    subcommandFlags: {
+      list: [],
+      restore: [],
+      purge: ["older-than"],
+    },
+  },
+  calendars: {
+    subcommands: ["list", "create", "rename", "delete", "set"],
+    booleanFlags: ["cascade"],
+    subcommandFlags: {
+      list: [],
+      create: ["name", "color", "tz", "category", "read-only"],
+      rename: [],
+      delete: ["move-to", "cascade"],
+      set: ["name", "color", "tz", "category", "read-only"],
+    },
+  },
+  reminders: {
+    subcommands: ["due", "ack"],
+    booleanFlags: ["ack"],
+    subcommandFlags: {
+      due: ["since", "until", "tz", "ack"],
+      ack: [],
+    },
+  },
+  watch: {
+    booleanFlags: ["no-starts"],
+    allowedFlags: ["hook", "output", "tz", "no-starts"],
+  },
+  undo: {
+    allowedFlags: [],
+  },
+  redo: {
+    allowedFlags: [],
+  },
+  history: {
+    allowedFlags: ["limit"],
+  },
+  storage: {
+    subcommands: ["convert"],
+    requiredFlags: ["to"],
+    allowedFlags: ["to"],
   },
 };
 
-function parseFlags(args) {
+// Flags listed in `booleanFlags` take no value and are set to true.
+function parseFlags(args, booleanFlags = []) {
   const flags = {};
   for (let i = 0; i < args.length; i++) {
     const token = args[i];
@@ -57,11 +233,16 @@ function parseFlags(args) {
 
     const key = token.slice(2);
     if (!key) {
-      throw new Error("Invalid empty flag");
+      throw codedError("USAGE_ERROR", "Invalid empty flag");
+    }
+
+    if (booleanFlags.includes(key)) {
+      flags[key] = true;
+      continue;
     }
 
     if (i + 1 >= args.length || args[i + 1].startsWith("--")) {
-      throw new Error(`Flag --${key} is missing a value`);
+      throw codedError("USAGE_ERROR", `Flag --${key} is missing a value`);
     }
 
     const val = args[i + 1];
@@ -103,6 +284,15 @@ function parseCategories(flags) {
   };
 }
 
+function parseStatuses(value) {
+  const statuses = parseCsv(value);
+  const unknown = statuses.find((status) => !EVENT_STATUSES.includes(status));
+  if (statuses.length === 0 || unknown !== undefined) {
+    fail(`--status must be one or more of: ${EVENT_STATUSES.join(", ")}`, "INVALID_ARGUMENT");
+  }
+  return statuses;
+}
+
 function buildFilterFlags(flags) {
   const filters = {};
   if (flags.calendar !== undefined) {
@@ -119,17 +309,45 @@ function buildFilterFlags(flags) {
   if (categories.categoryAll.length > 0) {
     filters.categoriesAll = categories.categoryAll;
   }
+  if (flags.attendee !== undefined) {
+    filters.attendee = flags.attendee;
+  }
+  if (flags.status !== undefined) {
+    filters.statuses = parseStatuses(flags.status);
+  }
 
   return filters;
 }
 
+// A timed start/end converted into the display zone, if there is one.
+// All-day dates are the same everywhere.
+function displayTime(value, allDay = false) {
+  if (value === undefined || value === null || allDay || !displayTz) {
+    return value;
+  }
+  return formatIsoInTimeZone(new Date(value), displayTz);
+}
+
+function formatWhen(event) {
+  if (event.allDay && event.end && event.end !== event.start) {
+    return `${event.start}/${event.end}`;
+  }
+  return displayTime(event.start, event.allDay);
+}
+
 function formatEvent(event) {
-  let line = `${event.id}  ${event.start}  ${event.title}`;
+  let line = `${event.id}  ${formatWhen(event)}  ${event.title}`;
+  if (event.status === "cancelled" || event.status === "tentative") {
+    line += `  {${event.status}}`;
+  }
   if (event.place) {
     line += `  [${event.place}]`;
   }
-  if (event.participants && event.participants.length > 0) {
-    line += `  (${event.participants.join(", ")})`;
+  if (event.attendees && event.attendees.length > 0) {
+    line += `  (${event.attendees.map((a) => formatAttendee(a)).join(", ")})`;
+  }
+  if (event.organizer) {
+    line += `  {organizer ${event.organizer.name ?? event.organizer.email}}`;
   }
   if (event.calendarId) {
     line += `  <${event.calendarId}>`;
@@ -137,22 +355,141 @@ function formatEvent(event) {
   if (event.categories && event.categories.length > 0) {
     line += `  #${event.categories.join(",#")}`;
   }
+  if (event.allDay) {
+    line += "  {all-day}";
+  }
+  if (event.transparency === "transparent") {
+    line += "  {free}";
+  }
+  if (event.reminders && event.reminders.length > 0) {
+    line += `  {remind ${event.reminders.map(displayReminder).join(",")}}`;
+  }
   if (event.rrule) {
     line += "  {series}";
+  } else if (event.exception) {
+    line += "  {exception}";
   } else if (event.seriesId) {
     line += "  {occurrence}";
   }
   return line;
 }
 
-function printEvents(events) {
-  if (events.length === 0) {
-    console.log("No events.");
-    return;
+// "Alice", or "Alice [optional, accepted]" when not simply required and unanswered.
+function formatAttendee(attendee, who = attendee.name ?? attendee.email) {
+  const notes = [];
+  if (attendee.role === "optional") notes.push("optional");
+  if (attendee.status !== "needs-action") notes.push(attendee.status);
+  return notes.length > 0 ? `${who} [${notes.join(", ")}]` : who;
+}
+
+// Everything about one event for `show`, a field per line; the description
+// and notes follow in full, indented under their label.
+function formatEventDetails(event) {
+  const lines = [event.title];
+  const field = (label, value) => lines.push(`  ${label}: ${value}`);
+  const text = (label, value) => lines.push(`  ${label}:`, ...value.split("\n").map((line) => `    ${line}`));
+
+  field("id", event.id);
+  if (event.seriesId) field("series", event.seriesId);
+  if (event.exception) field("originally", displayTime(event.originalStart, event.allDay));
+  if (event.allDay) {
+    field("when", `${formatWhen(event)} (all day)`);
+  } else {
+    field("when", event.end ? `${displayTime(event.start)} to ${displayTime(event.end)}` : displayTime(event.start));
   }
-  for (const ev of events) {
-    console.log(formatEvent(ev));
+  if (event.tz) field("zone", event.tz);
+  if (event.rrule) field("repeats", event.rrule);
+  if (event.place) field("place", event.place);
+  if (event.url) field("url", event.url);
+  if (event.organizer) field("organizer", formatPerson(event.organizer));
+  if (event.attendees && event.attendees.length > 0) {
+    lines.push("  attendees:", ...event.attendees.map((a) => `    ${formatAttendee(a, formatPerson(a))}`));
   }
+  if (event.calendarId) field("calendar", event.calendarId);
+  if (event.categories && event.categories.length > 0) field("categories", `#${event.categories.join(",#")}`);
+  if (event.status === "tentative") field("status", "tentative");
+  if (event.status === "cancelled") field("status", "cancelled (does not block time)");
+  if (event.transparency === "transparent") field("transparency", "transparent (does not block time)");
+  if (event.reminders && event.reminders.length > 0) field("reminders", event.reminders.map(displayReminder).join(","));
+  if (event.uid) field("uid", event.uid);
+  if (event.createdAt) field("created", event.createdAt);
+  if (event.description) text("description", event.description);
+  if (event.notes) text("notes", event.notes);
+  return lines.join("\n");
+}
+
+function eventKind(event) {
+  if (event.rrule) return "series";
+  if (event.exception) return "exception";
+  if (event.seriesId) return "occurrence";
+  return "event";
+}
+
+// The documented --json/--ndjson event schema. Every key is always present
+// (null or [] when unset), so consumers never have to probe for fields.
+function eventToJson(event) {
+  return {
+    id: event.id,
+    kind: eventKind(event),
+    seriesId: event.seriesId ?? null,
+    originalStart: event.originalStart ?? null,
+    title: event.title,
+    start: displayTime(event.start, event.allDay),
+    end: displayTime(event.end, event.allDay) ?? null,
+    allDay: event.allDay === true,
+    tz: event.tz ?? null,
+    rrule: event.rrule ?? null,
+    place: event.place ?? null,
+    description: event.description ?? null,
+    url: event.url ?? null,
+    notes: event.notes ?? null,
+    // Kept from before attendees had roles and answers: who attends, by name or e-mail.
+    participants: (event.attendees ?? []).map((a) => a.name ?? a.email),
+    attendees: (event.attendees ?? []).map((a) => ({ name: a.name ?? null, email: a.email ?? null, role: a.role, status: a.status })),
+    organizer: event.organizer ? { name: event.organizer.name ?? null, email: event.organizer.email ?? null } : null,
+    calendarId: event.calendarId ?? null,
+    categories: event.categories ?? [],
+    transparency: event.transparency ?? "opaque",
+    status: event.status ?? "confirmed",
+    reminders: (event.reminders ?? []).map(displayReminder),
+  };
+}
+
+// A reminder as --remind takes it, fixed times in the display zone.
+function displayReminder(reminder) {
+  return reminder.at !== undefined ? displayTime(reminder.at) : formatReminder(reminder);
+}
+
+// Prints a command's result: `result` as one JSON document for --json, each
+// of `records` on its own line for --ndjson, or via `printText` otherwise.
+function printResult(result, records, printText) {
+  if (outputMode === "json") {
+    console.log(JSON.stringify(result, null, 2));
+  } else if (outputMode === "ndjson") {
+    for (const record of records) {
+      console.log(JSON.stringify(record));
+    }
+  } else {
+    printText();
+  }
+}
+
+function printEvent(event) {
+  const json = eventToJson(event);
+  printResult({ event: json }, [json], () => console.log(formatEvent(event)));
+}
+
+function printEvents(events) {
+  const json = events.map(eventToJson);
+  printResult({ events: json }, json, () => {
+    if (events.length === 0) {
+      console.log("No events.");
+      return;
+    }
+    for (const ev of events) {
+      console.log(formatEvent(ev));
+    }
+  });
 }
 
 function printUsage() {
@@ -164,49 +501,190 @@ Commands:
   today             List today's events
   week              List this week's events
   list              List events in a date range
+  search <query>    Find events by text (title, place, people, notes, ...)
+  show <id>         Show everything about an event
+  free              Find free time slots in a date range
+  conflicts         List overlapping events in a date range
   occurrences <id>  Expand a recurring event
   skip <id>         Skip one recurring instance
-  delete <id>       Delete an event
+  delete <id>       Delete an event (moves it to the trash)
   edit <id>         Edit an event
+  rsvp <id>         Record an attendee's answer
+  import <file>     Import events from an iCalendar (.ics) file
+  export            Export events as an iCalendar (.ics) file
+  trash <action>    Deleted events: list, restore <id>, purge
+  calendars <action>  Calendars: list, create <id>, rename <id> <new-id>,
+                    delete <id>, set <id>
+  reminders <action>  Reminders: due, ack <reminder-id> ...
+  watch             Deliver reminders and event starts as they happen
+  undo              Roll back the last change
+  redo              Re-apply the last undone change
+  history           Show the journal of changes
+  migrate           Upgrade the data file to the current schema
+  storage convert   Move events to another storage backend
+
+Output:
+  --json            Print results as JSON (errors as JSON on stderr)
+  --ndjson          Print one JSON record per line
+
+Dates:
+  add, edit, list and skip also take dates as people type them, read in
+  --tz, else CLAWENDAR_TZ, else the local zone: "tomorrow 15:00",
+  "next fri 9am", "2026-03-10 10:00", "+2h", "in 3 days". What they
+  resolved to is printed on stderr.
+
+Environment:
+  CLAWENDAR_DATA_DIR  Where events are kept (default: ~/.clawendar)
+  CLAWENDAR_TZ        Default zone for days and times shown and read (IANA, e.g. Europe/Warsaw)
 
 Flags:
-  add:          --start <datetime>  (required)
-                [--end <datetime>] [--place <place>] [--participants <a,b>]
+  add:          --start <datetime> | --date <date>  (one is required)
+                [--end <datetime> | --duration <n>m|h|d] [--until-date <date>]
+                [--place <place>]
+                [--description <text> | --description-file <file>]  ("-" reads stdin)
+                [--url <url>] [--notes <text>]
+                [--attendee <who> ...] [--optional-attendee <who> ...]  ("Name <email>", email or name)
+                [--organizer <who>] [--participants <a,b>]  (required attendees, by name)
                 [--tz <iana>] [--rrule <rrule>] [--calendar <id>]
                 [--category <name> ...]
+                [--transparency opaque|transparent]  (transparent: does not block time)
+                [--status confirmed|tentative|cancelled]  (cancelled: kept, does not block time)
+                [--remind <-15m|-1d|datetime> ...]  (before/after the start, or a fixed time)
+                [--no-conflicts | --warn-conflicts]  (refuse / report double-booking)
+                [--conflict-calendars <a,b>] [--conflict-participants <a,b>]
 
-  today/week:   [--calendar <id>] [--calendars <a,b>]
+  today/week:   [--tz <iana>]  (zone for day boundaries and times; default: CLAWENDAR_TZ)
+                [--calendar <id>] [--calendars <a,b>]
                 [--category-any <a,b>] [--category-all <a,b>]
+                [--attendee <who>]  (events they attend or organize)
+                [--status <a,b>]  (confirmed, tentative and/or cancelled)
 
   list:         --from <datetime> --to <datetime>  (required)
+                [--tz <iana>]  (show times in this zone)
                 [--calendar <id>] [--calendars <a,b>]
                 [--category-any <a,b>] [--category-all <a,b>]
+                [--attendee <who>]  (events they attend or organize)
+                [--status <a,b>]  (confirmed, tentative and/or cancelled)
+
+  search:       <words or "phrases"> [title:|place:|with:|desc:|notes:|url:|cat:<text>]
+                [--from <datetime> --to <datetime>]  (only events in this range)
+                [--tz <iana>]  (show times in this zone)
+                [--calendar <id>] [--calendars <a,b>]
+                [--category-any <a,b>] [--category-all <a,b>]
+                [--attendee <who>] [--status <a,b>]
+
+  show:         [--occurrence <datetime|date>]  (one instance of a series)
+                [--tz <iana>]  (show times in this zone)
+
+  free:         --from <datetime> --to <datetime> --duration <n>m|h  (required)
+                [--within <HH:MM-HH:MM>] [--tz <iana>]  (daily hours; default: CLAWENDAR_TZ or local)
+                [--calendar <id>] [--calendars <a,b>]
+                [--category-any <a,b>] [--category-all <a,b>] [--status <a,b>]
+                (cancelled and transparent events never count as busy)
+
+  conflicts:    --from <datetime> --to <datetime>  (required)
+                [--calendars <a,b>] [--participants <a,b>]
 
   occurrences:  --from <datetime> --to <datetime>  (required)
 
-  skip:         --date <datetime>  (required)
+  skip:         --date <datetime|date>  (required)
 
-  edit:         [--title <t>] [--start <datetime>] [--end <datetime>]
-                [--place <p>] [--participants <a,b>] [--calendar <id>]
-                [--category <name> ...]
+  edit:         [--title <t>] [--start <datetime>]
+                [--end <datetime> | --duration <n>m|h|d]
+                [--date <date>] [--until-date <date>]
+                [--place <p>] [--calendar <id>]
+                [--description <text> | --description-file <file>] [--url <url>]
+                [--notes <text>]  (an empty value removes them)
+                [--attendee <who> ...] [--optional-attendee <who> ...] [--participants <a,b>]
+                (replace the attendees, keeping answers; "none" removes them)
+                [--organizer <who>]  ("none" removes it)
+                [--category <name> ...] [--transparency opaque|transparent]
+                [--status confirmed|tentative|cancelled]
+                [--remind <-15m|-1d|datetime> ...]  (replaces reminders; "none" removes them)
+                [--rrule <rrule>]
+                [--occurrence <datetime|date>]       (change one instance of a series)
+                [--from-occurrence <datetime|date>]  (change this and following instances)
+                [--no-conflicts | --warn-conflicts]
+                [--conflict-calendars <a,b>] [--conflict-participants <a,b>]
+
+  delete:       [--from-occurrence <datetime|date>]  (end a series before this instance)
+
+  rsvp:         --attendee <who> --status needs-action|accepted|declined|tentative  (required)
+                [--occurrence <datetime|date>]  (answer for one instance of a series)
+
+  import:       [--calendar <id>]  (target calendar; "default" for none)
+
+  export:       [--format ics] [--from <datetime> --to <datetime>]
+                [--calendar <id>] [--calendars <a,b>]
+                [--category-any <a,b>] [--category-all <a,b>] [--status <a,b>]
+                [--output <file>]  (default: stdout)
+
+  trash purge:  [--older-than <n>h|d|w]  (default: everything in the trash)
+
+  calendars create/set:  [--name <n>] [--color <#rrggbb>] [--tz <iana>]
+                [--category <name> ...] [--read-only true|false]
+                (set: an empty value clears a field)
+
+  calendars delete:  [--move-to <id>] | [--cascade]
+                (required when the calendar has events; --move-to default
+                takes them out of any calendar, --cascade trashes them)
+
+  reminders due:  [--since <datetime>] [--until <datetime>]
+                (default: since the last --ack, or the last 24 hours; until now)
+                [--tz <iana>]  (zone for all-day events and times shown)
+                [--ack]  (mark the reminders returned as delivered)
+
+  watch:        [--hook <command>]  (run for each reminder, with it as JSON on stdin)
+                [--output <file>]  (append each reminder as a JSON line; a FIFO works too)
+                [--tz <iana>]  (zone for all-day events and times shown)
+                [--no-starts]  (only reminders, not event starts)
+                (without --hook or --output, reminders are printed)
+
+  history:      [--limit <n>]  (newest first; default 20)
+
+  migrate:      [--dry-run]  (show what would change without writing)
+
+  storage convert:  --to <json|sqlite>  (required)
 `
   );
 }
 
-function fail(message) {
-  process.stderr.write(`Error: ${message}\n`);
+function reportError(code, message) {
+  if (outputMode === "text") {
+    process.stderr.write(`Error: ${message}\n`);
+  } else {
+    process.stderr.write(`${JSON.stringify({ error: { code, message } })}\n`);
+  }
+}
+
+function fail(message, code = "USAGE_ERROR") {
+  reportError(code, message);
   process.exit(1);
 }
 
-function getAddTitle(commandArgs) {
+// The arguments after the command that are not flags or flag values.
+function positionalArgs(command, commandArgs) {
+  const booleanFlags = COMMAND_SPECS[command].booleanFlags || [];
+  const positional = [];
   for (let i = 1; i < commandArgs.length; i++) {
     if (commandArgs[i].startsWith("--")) {
-      i++;
+      if (!booleanFlags.includes(commandArgs[i].slice(2))) {
+        i++;
+      }
       continue;
     }
-    return commandArgs[i];
+    positional.push(commandArgs[i]);
   }
-  return null;
+  return positional;
+}
+
+function getAddTitle(commandArgs) {
+  return positionalArgs("add", commandArgs)[0] ?? null;
+}
+
+// All words after `search`, so the query need not be quoted as a whole.
+function getSearchQuery(commandArgs) {
+  return positionalArgs("search", commandArgs).join(" ");
 }
 
 function validateCommandInput(command, commandArgs, flags) {
@@ -219,10 +697,22 @@ function validateCommandInput(command, commandArgs, flags) {
     fail("event id is required");
   }
 
+  if (spec.requiresFile && !commandArgs[1]) {
+    fail("file is required");
+  }
+
+  if (spec.subcommands && !spec.subcommands.includes(commandArgs[1])) {
+    fail(`${command} needs a subcommand: ${spec.subcommands.join(", ")}`);
+  }
+
   if (spec.requiresTitle && !getAddTitle(commandArgs)) {
     fail("title is required");
   }
 
+  if (spec.requiresQuery && getSearchQuery(commandArgs).trim() === "") {
+    fail("search query is required");
+  }
+
   if (spec.requiredFlags) {
     for (const requiredFlag of spec.requiredFlags) {
       if (!flags[requiredFlag]) {
@@ -231,6 +721,18 @@ function validateCommandInput(command, commandArgs, flags) {
     }
   }
 
+  if (spec.requiredOneOf) {
+    for (const group of spec.requiredOneOf) {
+      const present = group.filter((key) => flags[key]);
+      if (present.length === 0) {
+        fail(`${group.map((key) => `--${key}`).join(" or ")} is required`);
+      }
+      if (present.length > 1) {
+        fail(`${present.map((key) => `--${key}`).join(" and ")} cannot be combined`);
+      }
+    }
+  }
+
   if (spec.allowedFlags) {
     const allowed = new Set(spec.allowedFlags);
     for (const key of Object.keys(flags)) {
@@ -239,95 +741,864 @@ function validateCommandInput(command, commandArgs, flags) {
       }
     }
   }
+
+  // Commands with subcommands may allow different flags for each.
+  if (spec.subcommandFlags) {
+    const allowed = new Set(spec.subcommandFlags[commandArgs[1]]);
+    for (const key of Object.keys(flags)) {
+      if (!allowed.has(key)) {
+        fail(`Unknown flag --${key} for command ${command} ${commandArgs[1]}`);
+      }
+    }
+  }
+}
+
+function applyAllDayFlags(target, flags) {
+  if (flags.start && (flags.date || flags["until-date"])) {
+    fail("--start cannot be combined with --date or --until-date");
+  }
+  if (flags.end && (flags.date || flags["until-date"])) {
+    fail("--end cannot be combined with --date or --until-date");
+  }
+
+  if (flags.date) {
+    target.allDay = true;
+    target.start = flags.date;
+  } else if (flags.start) {
+    target.start = flags.start;
+  }
+  if (flags["until-date"]) {
+    target.end = flags["until-date"];
+  }
 }
 
-function handleAdd(commandArgs, flags) {
+function handleAdd(commandArgs, rawFlags) {
   const title = getAddTitle(commandArgs);
-  const eventData = {
-    title,
-    start: flags.start,
-  };
+  const flags = withResolvedDates(rawFlags, ["start", "end"], ["date", "until-date"]);
+  const eventData = { title };
+  applyAllDayFlags(eventData, flags);
   if (flags.end) eventData.end = flags.end;
   if (flags.place) eventData.place = flags.place;
-  if (flags.participants) eventData.participants = parseCsv(flags.participants);
+  applyDetailFlags(eventData, flags);
+  const attendees = attendeesFromFlags(flags);
+  if (attendees !== undefined) eventData.attendees = attendees;
+  if (flags.organizer !== undefined) eventData.organizer = organizerFromFlags(flags);
   if (flags.tz) eventData.tz = flags.tz;
   if (flags.rrule) eventData.rrule = flags.rrule;
   if (flags.calendar !== undefined) eventData.calendarId = flags.calendar;
+  if (flags.transparency !== undefined) eventData.transparency = flags.transparency;
+  if (flags.status !== undefined) eventData.status = flags.status;
+  if (flags.remind !== undefined) eventData.reminders = remindersFromFlags(flags);
 
   const categories = parseCategories(flags);
   if (categories.categoryValues.length > 0) {
     eventData.categories = categories.categoryValues;
   }
 
-  const event = calendar.add(eventData);
-  console.log(formatEvent(event));
+  const conflicts = conflictOptions(flags);
+  const event = calendar.add(eventData, { ...durationOption(flags), ...conflicts.options });
+  printChangedEvent(event, conflicts);
+}
+
+// The zone dates typed on the command line are read in.
+function inputTimeZone(flags) {
+  return flags.tz ?? configuredTz ?? hostTimeZone();
+}
+
+// `flags` with the given date flags resolved (see lib/date-input.js):
+// `dateTimeKeys` to datetimes, `dateKeys` to plain dates. In text mode,
+// anything that was not already absolute is echoed on stderr.
+function withResolvedDates(flags, dateTimeKeys, dateKeys = []) {
+  const resolved = { ...flags };
+  const keys = [...dateTimeKeys.map((key) => [key, resolveDateTime]), ...dateKeys.map((key) => [key, resolveDate])];
+  for (const [key, resolve] of keys) {
+    if (flags[key] !== undefined) {
+      resolved[key] = resolveDateFlag(key, flags[key], inputTimeZone(flags), resolve);
+    }
+  }
+  return resolved;
+}
+
+function resolveDateFlag(key, input, tz, resolve) {
+  const absolute = resolve === resolveDate ? isStrictISODate(input) : isStrictISODateTimeWithOffset(input);
+  if (absolute) {
+    return normalizeDateTime(input);
+  }
+  if (!isValidTimeZone(tz)) {
+    fail(`--tz must be an IANA time zone: ${tz}`, "INVALID_ARGUMENT");
+  }
+  let value;
+  try {
+    value = resolve(input, { tz });
+  } catch (err) {
+    if (err.code === "INVALID_ARGUMENT") {
+      fail(`--${key}: ${err.message}`, "INVALID_ARGUMENT");
+    }
+    throw err;
+  }
+  if (value !== normalizeDateTime(input) && outputMode === "text") {
+    process.stderr.write(`Resolved --${key} "${input}" to ${value}\n`);
+  }
+  return value;
+}
+
+// --description (or --description-file, "-" reading stdin), --url and
+// --notes for add and edit. An empty value leaves the field out, which on
+// edit removes it.
+function applyDetailFlags(target, flags) {
+  if (flags.description !== undefined && flags["description-file"] !== undefined) {
+    fail("--description cannot be combined with --description-file");
+  }
+  const description = flags["description-file"] !== undefined ? readTextFile(flags["description-file"]) : flags.description;
+  for (const [key, value] of [["description", description], ["url", flags.url], ["notes", flags.notes]]) {
+    if (value !== undefined) {
+      target[key] = value === "" ? undefined : value;
+    }
+  }
+}
+
+function readTextFile(file) {
+  try {
+    return fs.readFileSync(file === "-" ? 0 : file, "utf-8").replace(/\r\n/g, "\n").replace(/\s+$/, "");
+  } catch {
+    fail(`cannot read file: ${file}`, "IO_ERROR");
+  }
+}
+
+// --attendee and --optional-attendee for add and edit (repeated or
+// comma-separated), and the older --participants (required attendees).
+// Undefined when none is given; "none" means no attendees.
+function attendeesFromFlags(flags) {
+  const roles = [["participants", "required"], ["attendee", "required"], ["optional-attendee", "optional"]];
+  if (roles.every(([key]) => flags[key] === undefined)) {
+    return undefined;
+  }
+  const people = [];
+  for (const [key, role] of roles) {
+    for (const value of getManyFlag(flags, key).flatMap((v) => parseCsv(v))) {
+      if (value !== "none") {
+        people.push({ ...personFlag(key, value), role });
+      }
+    }
+  }
+  return people;
+}
+
+// --organizer; "none" removes it.
+function organizerFromFlags(flags) {
+  return flags.organizer === "none" ? undefined : personFlag("organizer", flags.organizer);
+}
+
+function personFlag(key, value) {
+  try {
+    return parsePerson(value);
+  } catch (err) {
+    fail(`--${key}: ${err.message}`, "INVALID_ARGUMENT");
+  }
+}
+
+// --remind for add and edit (repeated or comma-separated): offsets from the
+// start, or fixed times read like other dates. "none" means no reminders.
+function remindersFromFlags(flags) {
+  const values = getManyFlag(flags, "remind").flatMap((v) => parseCsv(v));
+  if (values.length === 1 && values[0] === "none") {
+    return undefined;
+  }
+  return values.map((value) => {
+    const reminder = parseReminder(value, { tz: inputTimeZone(flags) });
+    if (reminder.at !== undefined && reminder.at !== normalizeDateTime(value) && outputMode === "text") {
+      process.stderr.write(`Resolved --remind "${value}" to ${reminder.at}\n`);
+    }
+    return reminder;
+  });
+}
+
+// --duration for add and edit: how long the event lasts, instead of --end.
+function durationOption(flags) {
+  if (flags.duration === undefined) {
+    return {};
+  }
+  if (flags.end !== undefined) {
+    fail("--end and --duration cannot be combined");
+  }
+  const durationMinutes = parseDuration(flags.duration, "--duration", { units: ["m", "h", "d"], example: "45m" }) / 60000;
+  if (durationMinutes === 0) {
+    fail("--duration must be longer than zero");
+  }
+  return { durationMinutes };
+}
+
+// --no-conflicts refuses a change that double-books; --warn-conflicts makes
+// it but reports the overlaps. Either can be scoped to some calendars or
+// participants.
+function conflictOptions(flags) {
+  const reject = flags["no-conflicts"] === true;
+  const warn = flags["warn-conflicts"] === true;
+  if (reject && warn) {
+    fail("--no-conflicts and --warn-conflicts cannot be combined");
+  }
+  const scope = {};
+  if (flags["conflict-calendars"] !== undefined) scope.calendarIds = parseCsv(flags["conflict-calendars"]);
+  if (flags["conflict-participants"] !== undefined) scope.participants = parseCsv(flags["conflict-participants"]);
+  if (Object.keys(scope).length > 0 && !reject && !warn) {
+    fail("--conflict-calendars and --conflict-participants need --no-conflicts or --warn-conflicts");
+  }
+  return { warn, scope, options: reject ? { rejectConflicts: true, conflictScope: scope } : {} };
+}
+
+function conflictToJson(conflict) {
+  return { start: displayTime(conflict.start), end: displayTime(conflict.end), events: conflict.events.map(eventToJson) };
+}
+
+function formatConflict(conflict) {
+  const [a, b] = conflict.events;
+  return `${displayTime(conflict.start)}/${displayTime(conflict.end)}  ${a.title} (${a.id})  overlaps  ${b.title} (${b.id})`;
+}
+
+// Prints an added or edited event, plus what it overlaps for --warn-conflicts
+// (as `conflicts` with --json, as warnings on stderr in text mode).
+function printChangedEvent(event, { warn, scope }) {
+  if (!warn) {
+    printEvent(event);
+    return;
+  }
+  const conflicts = calendar.conflictsWith(event, scope);
+  const json = eventToJson(event);
+  printResult({ event: json, conflicts: conflicts.map(conflictToJson) }, [json], () => {
+    console.log(formatEvent(event));
+    for (const conflict of conflicts) {
+      const other = conflict.events[1];
+      process.stderr.write(`Warning: overlaps ${other.title} (${other.id}) at ${displayTime(conflict.start)}/${displayTime(conflict.end)}\n`);
+    }
+  });
+}
+
+function handleFree(commandArgs, flags) {
+  const durationMinutes = parseDuration(flags.duration, "--duration", { units: ["m", "h"], example: "90m" }) / 60000;
+  if (durationMinutes === 0) {
+    fail("--duration must be longer than zero");
+  }
+  const options = { durationMinutes, filters: buildFilterFlags(flags) };
+  if (flags.within !== undefined) options.within = flags.within;
+  const tz = flags.tz ?? configuredTz;
+  if (tz !== undefined) options.tz = tz;
+
+  const slots = calendar.freeSlots(flags.from, flags.to, options);
+  printResult({ slots }, slots, () => {
+    if (slots.length === 0) {
+      console.log("No free slots.");
+      return;
+    }
+    for (const slot of slots) {
+      console.log(`${slot.start}/${slot.end}  (${slot.minutes} min)`);
+    }
+  });
+}
+
+function handleConflicts(commandArgs, flags) {
+  const scope = {};
+  if (flags.calendars !== undefined) scope.calendarIds = parseCsv(flags.calendars);
+  if (flags.participants !== undefined) scope.participants = parseCsv(flags.participants);
+
+  const conflicts = calendar.conflicts(flags.from, flags.to, scope);
+  const json = conflicts.map(conflictToJson);
+  printResult({ conflicts: json }, json, () => {
+    if (conflicts.length === 0) {
+      console.log("No conflicts.");
+      return;
+    }
+    for (const conflict of conflicts) {
+      console.log(formatConflict(conflict));
+    }
+  });
+}
+
+// Applies --tz of a viewing command to the display zone.
+function useViewTimeZone(flags) {
+  if (flags.tz !== undefined) {
+    if (!isValidTimeZone(flags.tz)) {
+      fail(`--tz must be an IANA time zone: ${flags.tz}`, "INVALID_ARGUMENT");
+    }
+    displayTz = flags.tz;
+  }
+  return displayTz;
 }
 
 function handleToday(commandArgs, flags) {
-  const events = calendar.today(buildFilterFlags(flags));
+  const tz = useViewTimeZone(flags);
+  const events = calendar.today(buildFilterFlags(flags), { tz });
   printEvents(events);
 }
 
 function handleWeek(commandArgs, flags) {
-  const events = calendar.week(buildFilterFlags(flags));
+  const tz = useViewTimeZone(flags);
+  const events = calendar.week(buildFilterFlags(flags), { tz });
   printEvents(events);
 }
 
 function handleList(commandArgs, flags) {
-  const events = calendar.listRange(flags.from, flags.to, buildFilterFlags(flags));
+  useViewTimeZone(flags);
+  const { from, to } = withResolvedDates(flags, ["from", "to"]);
+  const events = calendar.listRange(from, to, buildFilterFlags(flags));
   printEvents(events);
 }
 
+function handleSearch(commandArgs, rawFlags) {
+  const tz = useViewTimeZone(rawFlags);
+  if ((rawFlags.from === undefined) !== (rawFlags.to === undefined)) {
+    fail("--from and --to must be given together");
+  }
+  const flags = withResolvedDates(rawFlags, ["from", "to"]);
+  const results = calendar.search(getSearchQuery(commandArgs), {
+    from: flags.from,
+    to: flags.to,
+    filters: buildFilterFlags(flags),
+    tz: tz ?? hostTimeZone(),
+  });
+
+  const json = results.map(({ event, next }) => ({ event: eventToJson(event), next: next ? eventToJson(next) : null }));
+  printResult({ results: json }, json, () => {
+    if (results.length === 0) {
+      console.log("No events.");
+      return;
+    }
+    for (const { event, next } of results) {
+      console.log(next ? `${formatEvent(event)}  {next ${formatWhen(next)}}` : formatEvent(event));
+    }
+  });
+}
+
+function handleShow(commandArgs, flags) {
+  useViewTimeZone(flags);
+  const options = {};
+  if (flags.occurrence !== undefined) options.occurrence = flags.occurrence;
+  const event = calendar.get(commandArgs[1], options);
+  const json = eventToJson(event);
+  printResult({ event: json }, [json], () => console.log(formatEventDetails(event)));
+}
+
 function handleOccurrences(commandArgs, flags) {
   const id = commandArgs[1];
   const dates = calendar.occurrences(id, flags.from, flags.to);
-  if (dates.length === 0) {
-    console.log("No events.");
-    return;
-  }
+  printResult({ id, occurrences: dates }, dates.map((start) => ({ id, start })), () => {
+    if (dates.length === 0) {
+      console.log("No events.");
+      return;
+    }
 
-  for (const iso of dates) {
-    console.log(`${id}  ${iso}  {occurrence}`);
-  }
+    for (const iso of dates) {
+      console.log(`${id}  ${iso}  {occurrence}`);
+    }
+  });
 }
 
 function handleSkip(commandArgs, flags) {
   const id = commandArgs[1];
-  if (!isStrictISODateTimeWithOffset(flags.date)) {
-    fail("--date must be strict ISO datetime with offset");
-  }
+  // A day alone ("next fri", 2026-03-10) names an occurrence of an all-day series.
+  const { date } = includesTime(flags.date) ? withResolvedDates(flags, ["date"]) : withResolvedDates(flags, [], ["date"]);
 
-  calendar.skip(id, flags.date);
-  console.log(`Skipped occurrence ${flags.date} for event ${id}`);
+  calendar.skip(id, date);
+  const result = { id, skipped: date };
+  printResult(result, [result], () => console.log(`Skipped occurrence ${date} for event ${id}`));
 }
 
-function handleDelete(commandArgs) {
+function handleDelete(commandArgs, flags) {
   const id = commandArgs[1];
-  const result = calendar.delete(id);
+  const fromOccurrence = flags["from-occurrence"];
+  const result = calendar.delete(id, fromOccurrence !== undefined ? { fromOccurrence } : {});
   if (!result) {
-    fail(`event not found: ${id}`);
+    fail(`event not found: ${id}`, "NOT_FOUND");
   }
-  console.log(`Deleted event ${id}`);
+  const deleted = { id, deleted: true, fromOccurrence: fromOccurrence ?? null };
+  printResult(deleted, [deleted], () => {
+    if (fromOccurrence !== undefined) {
+      console.log(`Ended series ${id} before ${fromOccurrence}`);
+      return;
+    }
+    console.log(`Deleted event ${id} (moved to the trash; restore with: clawendar trash restore ${id})`);
+  });
 }
 
-function handleEdit(commandArgs, flags) {
+function handleEdit(commandArgs, rawFlags) {
   const id = commandArgs[1];
+  const flags = withResolvedDates(rawFlags, ["start", "end"], ["date", "until-date"]);
 
   const updates = {};
   if (flags.title) updates.title = flags.title;
   if (flags.place) updates.place = flags.place;
-  if (flags.start) updates.start = flags.start;
+  applyDetailFlags(updates, flags);
+  applyAllDayFlags(updates, flags);
+  if (flags.start) updates.allDay = false;
   if (flags.end) updates.end = flags.end;
-  if (flags.participants) updates.participants = parseCsv(flags.participants);
+  const attendees = attendeesFromFlags(flags);
+  if (attendees !== undefined) updates.attendees = attendees;
+  if (flags.organizer !== undefined) updates.organizer = organizerFromFlags(flags);
   if (flags.calendar !== undefined) updates.calendarId = flags.calendar;
+  if (flags.transparency !== undefined) updates.transparency = flags.transparency;
+  if (flags.status !== undefined) updates.status = flags.status;
+  if (flags.remind !== undefined) updates.reminders = remindersFromFlags(flags);
+  if (flags.rrule) updates.rrule = flags.rrule;
 
   const categories = parseCategories(flags);
   if (categories.categoryValues.length > 0) {
     updates.categories = categories.categoryValues;
   }
 
-  const updated = calendar.edit(id, updates);
-  console.log(formatEvent(updated));
+  const options = {};
+  if (flags.occurrence !== undefined) options.occurrence = flags.occurrence;
+  if (flags["from-occurrence"] !== undefined) options.fromOccurrence = flags["from-occurrence"];
+
+  const conflicts = conflictOptions(flags);
+  const updated = calendar.edit(id, updates, { ...options, ...durationOption(flags), ...conflicts.options });
+  printChangedEvent(updated, conflicts);
+}
+
+function handleRsvp(commandArgs, flags) {
+  const options = {};
+  if (flags.occurrence !== undefined) options.occurrence = flags.occurrence;
+  const updated = calendar.rsvp(commandArgs[1], flags.attendee, flags.status, options);
+  printEvent(updated);
+}
+
+function handleImport(commandArgs, flags) {
+  const file = commandArgs[1];
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf-8");
+  } catch {
+    fail(`cannot read file: ${file}`, "IO_ERROR");
+  }
+
+  const parsed = parseICalendar(text);
+  const options = {};
+  if (flags.calendar !== undefined) options.calendarId = flags.calendar;
+  const result = calendar.importEvents(parsed.events, options);
+
+  const warnings = [...parsed.warnings, ...result.warnings];
+  const summary = {
+    file,
+    added: result.added.length,
+    updated: result.updated.length,
+    unchanged: result.unchanged.length,
+    notImported: parsed.dropped,
+    warnings,
+  };
+  printResult(summary, [summary], () => printImportReport(file, result, parsed.dropped, warnings));
+}
+
+function printImportReport(file, result, dropped, warnings) {
+  const total = result.added.length + result.updated.length + result.unchanged.length;
+  console.log(
+    `Imported ${total} events from ${file} `
+    + `(${result.added.length} added, ${result.updated.length} updated, ${result.unchanged.length} unchanged)`
+  );
+
+  const droppedEntries = Object.entries(dropped);
+  if (droppedEntries.length > 0) {
+    console.log("Not imported (count):");
+    for (const [name, count] of droppedEntries) {
+      console.log(`  ${name}: ${count}`);
+    }
+  }
+  if (warnings.length > 0) {
+    console.log("Warnings:");
+    for (const warning of warnings) {
+      console.log(`  ${warning}`);
+    }
+  }
+}
+
+function handleExport(commandArgs, flags) {
+  const format = flags.format || "ics";
+  if (format !== "ics") {
+    fail(`unsupported export format: ${format}`);
+  }
+  if (outputMode !== "text" && flags.output === undefined) {
+    fail("--json/--ndjson output for export requires --output");
+  }
+  if ((flags.from === undefined) !== (flags.to === undefined)) {
+    fail("--from and --to must be given together");
+  }
+
+  const filters = buildFilterFlags(flags);
+  const events = flags.from !== undefined
+    ? calendar.listStoredInRange(flags.from, flags.to, filters)
+    : calendar.list(filters);
+  const name = flags.calendar !== undefined
+    ? calendar.getCalendar(flags.calendar)?.name ?? flags.calendar
+    : "clawendar";
+  const text = formatICalendar(events, { name });
+
+  if (flags.output !== undefined) {
+    fs.writeFileSync(flags.output, text, "utf-8");
+    const result = { exported: events.length, output: flags.output };
+    printResult(result, [result], () => console.log(`Exported ${events.length} events to ${flags.output}`));
+    return;
+  }
+  process.stdout.write(text);
+}
+
+function handleMigrate(commandArgs, flags) {
+  const dryRun = flags["dry-run"] === true;
+  const result = calendar.migrate({ dryRun });
+  const summary = { ...result, dryRun };
+  printResult(summary, [summary], () => printMigrationReport(result, dryRun));
+}
+
+function printMigrationReport(result, dryRun) {
+  if (result.steps.length === 0) {
+    console.log(`${result.file} is already at schema version ${result.toVersion} (${result.eventCount} events); nothing to do.`);
+    return;
+  }
+
+  console.log(
+    `${dryRun ? "Would migrate" : "Migrated"} ${result.file} from schema version ${result.fromVersion} `
+    + `to ${result.toVersion} (${result.eventCount} events)`
+  );
+  for (const step of result.steps) {
+    console.log(`  v${step.from} -> v${step.to}: ${step.description} (${step.changed} events changed)`);
+  }
+  if (dryRun) {
+    console.log("Dry run: nothing was written.");
+  } else {
+    console.log(`Backup of the original: ${result.backupPath}`);
+  }
+}
+
+const DURATION_UNITS_MS = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+// Parses durations like "90m", "36h", "30d" or "2w", in the given units.
+function parseDuration(value, flag, { units = ["h", "d", "w"], example = "30d" } = {}) {
+  const match = String(value).match(/^(\d+)([a-z])$/);
+  if (!match || !units.includes(match[2])) {
+    const unitList = `${units.slice(0, -1).join(", ")} or ${units[units.length - 1]}`;
+    fail(`${flag} must be a number followed by ${unitList} (e.g. ${example})`);
+  }
+  return Number(match[1]) * DURATION_UNITS_MS[match[2]];
+}
+
+function trashedToJson(event) {
+  return { ...eventToJson(event), deletedAt: event.deletedAt };
+}
+
+function handleTrash(commandArgs, flags) {
+  const subcommand = commandArgs[1];
+  if (subcommand === "list") {
+    const events = calendar.listTrash();
+    const json = events.map(trashedToJson);
+    printResult({ events: json }, json, () => {
+      if (events.length === 0) {
+        console.log("The trash is empty.");
+        return;
+      }
+      for (const event of events) {
+        console.log(`${formatEvent(event)}  (deleted ${event.deletedAt})`);
+      }
+    });
+    return;
+  }
+
+  if (subcommand === "restore") {
+    const id = commandArgs[2];
+    if (!id || id.startsWith("--")) {
+      fail("event id is required");
+    }
+    printEvent(calendar.restore(id));
+    return;
+  }
+
+  const options = {};
+  if (flags["older-than"] !== undefined) {
+    options.deletedBefore = new Date(Date.now() - parseDuration(flags["older-than"], "--older-than"));
+  }
+  const purged = calendar.purgeTrash(options);
+  const result = { purged: purged.map((event) => event.id) };
+  printResult(result, [result], () => console.log(`Purged ${purged.length} events from the trash`));
+}
+
+function handleReminders(commandArgs, flags) {
+  if (commandArgs[1] === "ack") {
+    const ids = commandArgs.slice(2);
+    if (ids.length === 0) {
+      fail("reminder id is required");
+    }
+    calendar.acknowledgeReminders(ids);
+    const result = { acknowledged: ids };
+    printResult(result, ids.map((id) => ({ id, acknowledged: true })), () => {
+      console.log(`Acknowledged ${ids.length} reminder${ids.length === 1 ? "" : "s"}`);
+    });
+    return;
+  }
+
+  const tz = useViewTimeZone(flags);
+  const { since, until } = withResolvedDates(flags, ["since", "until"]);
+  const due = calendar.dueReminders({ since, until, tz, acknowledge: flags.ack === true });
+  const json = due.reminders.map(reminderToJson);
+  const result = { since: displayTime(due.since), until: displayTime(due.until), reminders: json };
+  printResult(result, json, () => {
+    if (json.length === 0) {
+      console.log("No reminders due.");
+      return;
+    }
+    for (const [i, reminder] of due.reminders.entries()) {
+      console.log(`${reminder.id}  ${json[i].fireAt}  (${reminder.trigger})  ${formatEvent(reminder.event)}`);
+    }
+  });
+}
+
+function reminderToJson(reminder) {
+  return { id: reminder.id, fireAt: displayTime(reminder.fireAt), trigger: reminder.trigger, event: eventToJson(reminder.event) };
+}
+
+// Runs until SIGINT/SIGTERM, handing each reminder to the hook, the output
+// file, or stdout.
+function handleWatch(commandArgs, flags) {
+  const tz = useViewTimeZone(flags) ?? hostTimeZone();
+  const warn = (message) => process.stderr.write(`Warning: ${message}\n`);
+
+  // Throws if the hook or the output file failed, so the watcher retries
+  // the reminder at its next check.
+  function deliver(reminder) {
+    const json = reminderToJson(reminder);
+    const line = JSON.stringify(json);
+    const failures = [];
+    if (flags.hook !== undefined) {
+      const failure = runHook(flags.hook, json, line);
+      if (failure) {
+        failures.push(`hook failed for reminder ${json.id}: ${failure}`);
+      }
+    }
+    if (flags.output !== undefined) {
+      try {
+        fs.appendFileSync(flags.output, `${line}\n`);
+      } catch (err) {
+        failures.push(`cannot write reminder ${reminder.id} to ${flags.output}: ${err.message}`);
+      }
+    }
+    if (flags.hook === undefined && flags.output === undefined) {
+      if (outputMode === "text") {
+        console.log(`${json.fireAt}  (${reminder.trigger})  ${formatEvent(reminder.event)}`);
+      } else {
+        console.log(line);
+      }
+    }
+    if (failures.length > 0) {
+      throw new Error(`${failures.join("; ")}; retrying at the next check`);
+    }
+  }
+
+  const watcher = createWatcher({
+    calendar,
+    dataDir,
+    tz,
+    starts: flags["no-starts"] !== true,
+    deliver,
+    onError: (err) => warn(err.message),
+  });
+  for (const signal of ["SIGINT", "SIGTERM"]) {
+    process.once(signal, () => watcher.stop());
+  }
+  watcher.start();
+  if (outputMode === "text") {
+    process.stderr.write(`Watching ${dataDir} for reminders (Ctrl-C to stop)\n`);
+  }
+}
+
+// The hook gets the reminder as JSON on stdin, and the common fields in
+// CLAWENDAR_* variables for one-line commands. Returns why it failed, or
+// null.
+function runHook(command, json, line) {
+  const result = spawnSync(command, {
+    shell: true,
+    input: `${line}\n`,
+    stdio: ["pipe", "inherit", "inherit"],
+    timeout: HOOK_TIMEOUT_MS,
+    env: {
+      ...process.env,
+      CLAWENDAR_REMINDER_ID: json.id,
+      CLAWENDAR_TRIGGER: json.trigger,
+      CLAWENDAR_FIRE_AT: json.fireAt,
+      CLAWENDAR_EVENT_ID: json.event.id,
+      CLAWENDAR_EVENT_TITLE: json.event.title,
+      CLAWENDAR_EVENT_START: json.event.start,
+    },
+  });
+  if (result.error) {
+    return result.error.message;
+  }
+  if (result.status !== 0) {
+    return result.status === null ? `killed by ${result.signal}` : `exit code ${result.status}`;
+  }
+  return null;
+}
+
+// Metadata flags shared by `calendars create` and `calendars set`; an empty
+// value (e.g. --color "") clears the field.
+function calendarFieldsFromFlags(flags) {
+  const fields = {};
+  for (const key of ["name", "color", "tz"]) {
+    if (flags[key] !== undefined) {
+      fields[key] = flags[key] === "" ? undefined : flags[key];
+    }
+  }
+  if (flags.category !== undefined) {
+    fields.categories = parseCategories(flags).categoryValues;
+  }
+  if (flags["read-only"] !== undefined) {
+    if (flags["read-only"] !== "true" && flags["read-only"] !== "false") {
+      fail("--read-only must be true or false");
+    }
+    fields.readOnly = flags["read-only"] === "true";
+  }
+  return fields;
+}
+
+function formatCalendar(entry) {
+  const parts = [entry.id];
+  if (entry.name) parts.push(`"${entry.name}"`);
+  if (entry.color) parts.push(entry.color);
+  if (entry.tz) parts.push(`tz ${entry.tz}`);
+  if (entry.categories) parts.push(`categories ${entry.categories.join(",")}`);
+  if (entry.readOnly) parts.push("read-only");
+  if (entry.registered === false) parts.push("(not registered)");
+  if (entry.eventCount !== undefined) parts.push(`${entry.eventCount} events`);
+  return parts.join("  ");
+}
+
+function requireCalendarArg(commandArgs, index, what) {
+  const value = commandArgs[index];
+  if (!value || value.startsWith("--")) {
+    fail(`${what} is required`);
+  }
+  return value;
+}
+
+function handleCalendars(commandArgs, flags) {
+  const subcommand = commandArgs[1];
+
+  if (subcommand === "list") {
+    const calendars = calendar.listCalendars();
+    printResult({ calendars }, calendars, () => {
+      if (calendars.length === 0) {
+        console.log("No calendars.");
+        return;
+      }
+      for (const entry of calendars) {
+        console.log(formatCalendar(entry));
+      }
+    });
+    return;
+  }
+
+  const id = requireCalendarArg(commandArgs, 2, "calendar id");
+
+  if (subcommand === "create") {
+    const entry = calendar.addCalendar({ id, ...calendarFieldsFromFlags(flags) });
+    printResult({ calendar: entry }, [entry], () => console.log(`Created calendar ${formatCalendar(entry)}`));
+    return;
+  }
+
+  if (subcommand === "set") {
+    const changes = calendarFieldsFromFlags(flags);
+    if (Object.keys(changes).length === 0) {
+      fail("calendars set needs at least one of --name, --color, --tz, --category, --read-only");
+    }
+    const entry = calendar.updateCalendar(id, changes);
+    printResult({ calendar: entry }, [entry], () => console.log(`Updated calendar ${formatCalendar(entry)}`));
+    return;
+  }
+
+  if (subcommand === "rename") {
+    const newId = requireCalendarArg(commandArgs, 3, "new calendar id");
+    const { moved } = calendar.renameCalendar(id, newId);
+    const result = { from: id, to: newId, moved };
+    printResult(result, [result], () => console.log(`Renamed calendar ${id} to ${newId} (${moved} events moved)`));
+    return;
+  }
+
+  if (flags["move-to"] !== undefined && flags.cascade) {
+    fail("--move-to and --cascade cannot be combined");
+  }
+  const options = { cascade: flags.cascade === true };
+  if (flags["move-to"] !== undefined) options.moveTo = flags["move-to"];
+  const { moved, trashed } = calendar.removeCalendar(id, options);
+  const result = { deleted: id, moved, trashed };
+  printResult(result, [result], () => {
+    let detail = "";
+    if (moved > 0) detail = ` (${moved} events moved to ${options.moveTo})`;
+    if (trashed > 0) detail = ` (${trashed} events moved to the trash)`;
+    console.log(`Deleted calendar ${id}${detail}`);
+  });
+}
+
+const DEFAULT_HISTORY_LIMIT = 20;
+
+function journalEntryToJson(entry) {
+  return {
+    seq: entry.seq,
+    at: entry.at,
+    op: entry.op,
+    target: entry.target ?? null,
+    undone: entry.undone ?? false,
+    calendarId: entry.calendarId ?? null,
+    changes: entry.changes,
+    calendars: entry.calendars ?? null,
+  };
+}
+
+function formatJournalEntry(entry) {
+  const op = entry.target === undefined ? entry.op : `${entry.op} #${entry.target}`;
+  const subject = entry.calendarId !== undefined
+    ? [`calendar ${entry.calendarId}`]
+    : [...new Set(entry.changes.map((change) => (change.after ?? change.before).title))];
+  return `#${entry.seq}  ${entry.at}  ${op}  ${subject.join(", ")}${entry.undone ? "  (undone)" : ""}`;
+}
+
+function handleUndo() {
+  const entry = calendar.undo();
+  const json = journalEntryToJson(entry);
+  printResult({ undone: json }, [json], () => console.log(`Undid ${formatJournalEntry(entry)}`));
+}
+
+function handleRedo() {
+  const entry = calendar.redo();
+  const json = journalEntryToJson(entry);
+  printResult({ redone: json }, [json], () => console.log(`Redid ${formatJournalEntry(entry)}`));
+}
+
+function handleHistory(commandArgs, flags) {
+  let limit = DEFAULT_HISTORY_LIMIT;
+  if (flags.limit !== undefined) {
+    limit = Number(flags.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      fail("--limit must be a positive integer");
+    }
+  }
+
+  const entries = calendar.history({ limit });
+  const json = entries.map(journalEntryToJson);
+  printResult({ entries: json }, json, () => {
+    if (entries.length === 0) {
+      console.log("No changes recorded.");
+      return;
+    }
+    for (const entry of entries) {
+      console.log(formatJournalEntry(entry));
+    }
+  });
+}
+
+function handleStorage(commandArgs, flags) {
+  if (!STORAGE_BACKENDS.includes(flags.to)) {
+    fail(`--to must be one of: ${STORAGE_BACKENDS.join(", ")}`);
+  }
+  const result = convertStorage(dataDir, flags.to);
+  printResult(result, [result], () => {
+    console.log(`Converted ${result.eventCount} events from ${result.from} to ${result.to}: ${result.file}`);
+    if (result.backupPath) {
+      console.log(`Old data file kept at ${result.backupPath}`);
+    }
+  });
 }
 
 const handlers = {
@@ -335,10 +1606,26 @@ const handlers = {
   today: handleToday,
   week: handleWeek,
   list: handleList,
+  search: handleSearch,
+  show: handleShow,
+  free: handleFree,
+  conflicts: handleConflicts,
   occurrences: handleOccurrences,
   skip: handleSkip,
   delete: handleDelete,
   edit: handleEdit,
+  rsvp: handleRsvp,
+  import: handleImport,
+  export: handleExport,
+  trash: handleTrash,
+  calendars: handleCalendars,
+  reminders: handleReminders,
+  watch: handleWatch,
+  undo: handleUndo,
+  redo: handleRedo,
+  history: handleHistory,
+  migrate: handleMigrate,
+  storage: handleStorage,
 };
 
 if (!command || args.includes("--help") || args.includes("-h") || command === "help") {
@@ -347,18 +1634,33 @@ if (!command || args.includes("--help") || args.includes("-h") || command === "h
 }
 
 try {
+  if (outputModes.length > 1) {
+    fail("--json and --ndjson cannot be combined");
+  }
+  if (configuredTz !== undefined && !isValidTimeZone(configuredTz)) {
+    fail(`CLAWENDAR_TZ must be an IANA time zone: ${configuredTz}`, "INVALID_ARGUMENT");
+  }
   const handler = handlers[command];
   if (!handler) {
+    if (outputMode !== "text") {
+      fail(`unknown command: ${command}`);
+    }
     printUsage();
     process.exit(1);
   }
 
   const commandArgs = args;
-  const flagArgsStart = command === "add" ? 1 : (COMMAND_SPECS[command]?.requiresEventId ? 2 : 1);
-  const flags = parseFlags(commandArgs.slice(flagArgsStart));
+  const spec = COMMAND_SPECS[command];
+  const flagArgsStart = command === "add" ? 1 : (spec?.requiresEventId || spec?.requiresFile || spec?.subcommands ? 2 : 1);
+  const flags = parseFlags(commandArgs.slice(flagArgsStart), spec?.booleanFlags);
   validateCommandInput(command, commandArgs, flags);
   handler(commandArgs, flags);
 } catch (err) {
-  process.stderr.write(`Error: ${err.message}\n`);
+  let code = ERROR_CODES.has(err.code) ? err.code : "ERROR";
+  if (err.syscall) {
+    // Failed file system calls (e.g. writing --output).
+    code = "IO_ERROR";
+  }
+  reportError(code, err.message);
   process.exit(1);
 }
@@ -0,0 +1,75 @@
+import { codedError } from "./errors.js";
+import { isEmailAddress } from "./event.js";
+
+const NAME_AND_ADDRESS = /^(.*?)\s*<([^<>]+)>$/;
+
+/**
+ * Read a person as given to --attendee or --organizer: "Alice Smith
+ * <alice@example.com>", "alice@example.com" or "Alice Smith". Returns
+ * { name?, email? }.
+ */
+export function parsePerson(text) {
+  const value = String(text).trim();
+  const match = value.match(NAME_AND_ADDRESS);
+  if (match && isEmailAddress(match[2].trim())) {
+    const name = match[1].replace(/^"(.*)"$/, "$1").trim();
+    return name ? { name, email: match[2].trim() } : { email: match[2].trim() };
+  }
+  if (isEmailAddress(value)) {
+    return { email: value };
+  }
+  if (value === "" || /[<>@]/.test(value)) {
+    throw codedError("INVALID_ARGUMENT", `expected a name, an e-mail address or "Name <email>": ${value}`);
+  }
+  return { name: value };
+}
+
+// The way --attendee takes it: "Name <email>", or whichever is known.
+export function formatPerson(person) {
+  if (person.name !== undefined && person.email !== undefined) {
+    return `${person.name} <${person.email}>`;
+  }
+  return person.name ?? person.email;
+}
+
+/**
+ * Whether `query` names `person`: their name or e-mail address, or the part
+ * of the address before the @, compared case-insensitively.
+ */
+export function matchesPerson(person, query) {
+  const wanted = String(query).trim().toLowerCase();
+  const email = (person.email ?? "").toLowerCase();
+  return (person.name ?? "").trim().toLowerCase() === wanted || email === wanted || (email !== "" && email.split("@")[0] === wanted);
+}
+
+function samePerson(a, b) {
+  if (a.email !== undefined && b.email !== undefined) {
+    return a.email.toLowerCase() === b.email.toLowerCase();
+  }
+  return a.name !== undefined && b.name !== undefined && a.name.toLowerCase() === b.name.toLowerCase();
+}
+
+/**
+ * `people` ({ name?, email?, role?, status? }) as attendees replacing
+ * `previous`. Without a role they are required; without a status, anyone
+ * already invited keeps their answer and everyone else has not answered yet.
+ */
+export function replaceAttendees(previous, people) {
+  return people.map((person) => {
+    const known = (previous || []).find((attendee) => samePerson(attendee, person));
+    return { ...person, role: person.role ?? "required", status: person.status ?? known?.status ?? "needs-action" };
+  });
+}
+
+// The index of the one attendee `query` names (see matchesPerson()).
+export function findAttendee(attendees, query) {
+  const matches = (attendees || []).flatMap((attendee, index) => (matchesPerson(attendee, query) ? [index] : []));
+  if (matches.length === 0) {
+    throw codedError("NOT_FOUND", `No attendee matches "${query}"`);
+  }
+  if (matches.length > 1) {
+    const names = matches.map((index) => formatPerson(attendees[index])).join(", ");
+    throw codedError("INVALID_ARGUMENT", `"${query}" matches several attendees (${names}); use their e-mail address`);
+  }
+  return matches[0];
+}
@@ -0,0 +1,91 @@
+import { codedError } from "./errors.js";
+import { formatIsoInTimeZone, localToIsoInTimeZone } from "./recurrence.js";
+
+const TIME_WINDOW = /^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-3]|24):([0-5]\d)$/;
+
+/**
+ * Parse a daily window like "09:00-17:00" into { start, end } ("HH:MM").
+ * The window must end after it starts on the same day; "24:00" ends it at
+ * midnight.
+ */
+export function parseTimeWindow(text) {
+  const match = String(text).match(TIME_WINDOW);
+  if (!match || (match[3] === "24" && match[4] !== "00")) {
+    throw codedError("INVALID_ARGUMENT", `time window must look like 09:00-17:00: ${text}`);
+  }
+  const start = `${match[1]}:${match[2]}`;
+  const end = `${match[3]}:${match[4]}`;
+  if (end <= start) {
+    throw codedError("INVALID_ARGUMENT", `time window must end after it starts: ${text}`);
+  }
+  return { start, end };
+}
+
+/**
+ * Sort intervals ({ start, end } in ms, plus the `eventIds` behind them) and
+ * join the ones that overlap or touch.
+ */
+export function mergeIntervals(intervals) {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+      last.eventIds.push(...interval.eventIds);
+    } else {
+      merged.push({ start: interval.start, end: interval.end, eventIds: [...interval.eventIds] });
+    }
+  }
+  return merged;
+}
+
+/**
+ * The parts of [fromMs, toMs] not covered by `busy` (merged, sorted) that
+ * last at least `minMs`.
+ */
+export function gapsBetween(busy, fromMs, toMs, minMs = 0) {
+  const gaps = [];
+  let cursor = fromMs;
+  for (const block of busy) {
+    if (block.start > cursor) {
+      gaps.push({ start: cursor, end: Math.min(block.start, toMs) });
+    }
+    cursor = Math.max(cursor, block.end);
+    if (cursor >= toMs) break;
+  }
+  if (cursor < toMs) {
+    gaps.push({ start: cursor, end: toMs });
+  }
+  return gaps.filter((gap) => gap.end > gap.start && gap.end - gap.start >= minMs);
+}
+
+function nextDateKey(dateKey) {
+  const dt = new Date(`${dateKey}T00:00:00Z`);
+  dt.setUTCDate(dt.getUTCDate() + 1);
+  return dt.toISOString().slice(0, 10);
+}
+
+// Midnight ("24:00") is the start of the next day.
+function windowInstant(dateKey, time, tz) {
+  const local = time === "24:00" ? `${nextDateKey(dateKey)}T00:00:00` : `${dateKey}T${time}:00`;
+  return new Date(localToIsoInTimeZone(local, tz)).getTime();
+}
+
+/**
+ * The daily `window` (see parseTimeWindow) on every day of [fromMs, toMs]
+ * as seen in `tz`, as intervals in ms clipped to the range. Days follow the
+ * wall clock, so a window keeps its hours across DST changes.
+ */
+export function dailyWindows(fromMs, toMs, window, tz) {
+  const windows = [];
+  const lastDay = formatIsoInTimeZone(new Date(toMs), tz).slice(0, 10);
+  for (let day = formatIsoInTimeZone(new Date(fromMs), tz).slice(0, 10); day <= lastDay; day = nextDateKey(day)) {
+    const start = Math.max(windowInstant(day, window.start, tz), fromMs);
+    const end = Math.min(windowInstant(day, window.end, tz), toMs);
+    if (end > start) {
+      windows.push({ start, end });
+    }
+  }
+  return windows;
+}
@@ -1,6 +1,50 @@
-import { createEvent, validateEvent } from "./event.js";
-import { createStorage } from "./storage.js";
-import { expandOccurrences, formatIsoInTimeZone } from "./recurrence.js";
+import { isDeepStrictEqual } from "node:util";
+import {
+  addHours,
+  createEvent,
+  isStrictISODate,
+  isStrictISODateTimeWithOffset,
+  normalizeEventDateTimes,
+  RSVP_STATUSES,
+  upgradeParticipants,
+  validateEvent,
+} from "./event.js";
+import { codedError } from "./errors.js";
+import { findAttendee, matchesPerson, replaceAttendees } from "./attendees.js";
+import { dailyWindows, gapsBetween, mergeIntervals, parseTimeWindow } from "./availability.js";
+import { createCalendarRegistry, validateCalendarFields, validateCalendarId } from "./calendars.js";
+import { createJournal } from "./journal.js";
+import { createReminderLog, formatReminder, reminderId, START_TRIGGER } from "./reminders.js";
+import { eventMatchesQuery, parseSearchQuery } from "./search.js";
+import { openStorage } from "./storage-adapter.js";
+import {
+  expandDateOccurrences,
+  expandOccurrences,
+  formatIsoInTimeZone,
+  getRRulePart,
+  hostTimeZone,
+  isValidTimeZone,
+  localToIsoInTimeZone,
+  setRRuleParts,
+  shiftWallClock,
+  wallClockMinutesBetween,
+} from "./recurrence.js";
+
+// How far back the first due-reminders query looks, with no earlier check.
+const REMINDER_LOOKBACK_HOURS = 24;
+
+// Acknowledged reminders are remembered this long.
+const ACKNOWLEDGED_RETENTION_DAYS = 30;
+
+// Fields that may differ on a single occurrence of a series.
+const OCCURRENCE_FIELDS = new Set(["title", "start", "end", "place", "description", "url", "notes", "attendees", "categories", "status"]);
+
+// How far ahead search looks for the next occurrence of a series: four
+// years, so that a yearly event on 29 February is found too.
+const NEXT_OCCURRENCE_HORIZON_DAYS = 4 * 366;
+
+// How far ahead a recurring event is checked for conflicts.
+const CONFLICT_HORIZON_DAYS = 365;
 
 function normalizeTag(v) {
   return String(v).trim().toLowerCase();
@@ -14,8 +58,14 @@ function isDefaultCalendarEvent(event) {
   return event.calendarId === undefined || event.calendarId === null || event.calendarId === "";
 }
 
+// Whether anyone `query` names attends or organizes `event`.
+function involves(event, query) {
+  return (event.attendees || []).some((attendee) => matchesPerson(attendee, query))
+    || (event.organizer !== undefined && matchesPerson(event.organizer, query));
+}
+
 function eventMatchesFilters(event, filters = {}) {
-  const { calendarId, calendarIds, categoriesAny, categoriesAll } = filters;
+  const { calendarId, calendarIds, categoriesAny, categoriesAll, attendee, statuses } = filters;
 
   if (calendarId !== undefined) {
     if (calendarId === "default") {
@@ -59,173 +109,1732 @@ function eventMatchesFilters(event, filters = {}) {
     }
   }
 
+  if (attendee !== undefined && !involves(event, attendee)) {
+    return false;
+  }
+
+  if (Array.isArray(statuses) && statuses.length > 0 && !statuses.includes(event.status ?? "confirmed")) {
+    return false;
+  }
+
+  return true;
+}
+
+// Conflict checks can be limited to some calendars (`calendarIds`) and/or to
+// events one of `participants` attends or organizes.
+function eventMatchesConflictScope(event, scope = {}) {
+  if (!eventMatchesFilters(event, { calendarIds: scope.calendarIds })) {
+    return false;
+  }
+  if (Array.isArray(scope.participants) && scope.participants.length > 0) {
+    if (!scope.participants.some((query) => involves(event, query))) {
+      return false;
+    }
+  }
   return true;
 }
 
-export function createCalendar({ dataDir }) {
-  const storage = createStorage(dataDir);
+// Whether `event` takes up its time for free/busy and conflicts: timed,
+// opaque and not cancelled.
+function blocksTime(event) {
+  return !event.allDay && event.transparency !== "transparent" && event.status !== "cancelled";
+}
+
+function instantBounds(event) {
+  const start = new Date(event.start).getTime();
+  return { start, end: event.end ? new Date(event.end).getTime() : start };
+}
+
+// Timed instances conflict when they share time; touching ends do not count.
+// All-day events mark days rather than block hours, so they never conflict.
+function timeOverlap(a, b) {
+  if (a.allDay || b.allDay) {
+    return null;
+  }
+  const x = instantBounds(a);
+  const y = instantBounds(b);
+  if (!(x.start < y.end && y.start < x.end)) {
+    return null;
+  }
+  return {
+    start: x.start >= y.start ? a.start : b.start,
+    end: x.end <= y.end ? a.end ?? a.start : b.end ?? b.start,
+  };
+}
+
+function conflictError(conflicts) {
+  const shown = conflicts.slice(0, 3).map((c) => `"${c.events[1].title}" at ${c.events[1].start}`);
+  const more = conflicts.length > shown.length ? ` and ${conflicts.length - shown.length} more` : "";
+  const err = codedError("CONFLICT", `Conflicts with ${shown.join(", ")}${more}`);
+  err.conflicts = conflicts;
+  return err;
+}
+
+function relativeReminders(event) {
+  const relative = (event.reminders || []).filter((r) => r.at === undefined);
+  return relative.length > 0 ? relative : undefined;
+}
+
+// The end of a timed event lasting `durationMinutes` from `start`.
+function endAfterDuration(start, allDay, durationMinutes) {
+  if (allDay) {
+    throw codedError("INVALID_ARGUMENT", "all-day events take an end date, not a duration");
+  }
+  if (!Number.isFinite(durationMinutes) || durationMinutes <= 0) {
+    throw codedError("INVALID_ARGUMENT", "duration must be a positive number of minutes");
+  }
+  // An invalid start is left for event validation to report.
+  return isStrictISODateTimeWithOffset(start) ? addHours(start, durationMinutes / 60) : undefined;
+}
+
+function assertTimeZone(tz) {
+  if (!isValidTimeZone(tz)) {
+    throw codedError("INVALID_ARGUMENT", `unknown time zone: ${tz}`);
+  }
+}
+
+function addDaysToDateKey(dateKey, days) {
+  const dt = new Date(`${dateKey}T00:00:00Z`);
+  dt.setUTCDate(dt.getUTCDate() + days);
+  return dt.toISOString().slice(0, 10);
+}
+
+function daysBetweenDateKeys(a, b) {
+  return Math.round((new Date(`${b}T00:00:00Z`) - new Date(`${a}T00:00:00Z`)) / 86400000);
+}
+
+/**
+ * The calendar over a storage backend (see lib/storage-adapter.js): `storage`
+ * if given, otherwise whichever backend `dataDir` uses. Changes are recorded
+ * in `journal` (by default the one in `dataDir`; see lib/journal.js) so they
+ * can be undone. `calendars` is the registry of calendar metadata (see
+ * lib/calendars.js) and `reminders` the delivery state of reminders (see
+ * lib/reminders.js), by default also kept in `dataDir`.
+ */
+export function createCalendar({
+  dataDir,
+  storage: backend = openStorage(dataDir),
+  journal = dataDir ? createJournal(dataDir) : null,
+  calendars: registry = dataDir ? createCalendarRegistry(dataDir) : null,
+  reminders: reminderLog = dataDir ? createReminderLog(dataDir) : null,
+}) {
+  // While a journaled operation runs: each event it wrote, as it was before
+  // the first write (null if it did not exist yet).
+  let touched = null;
+
+  function touch(eventId) {
+    if (touched && !touched.has(eventId)) {
+      touched.set(eventId, backend.findById(eventId) ?? null);
+    }
+  }
+
+  // The backend as the calendar sees it: trashed events (those with a
+  // `deletedAt`) are hidden, events are read in the current shape (see
+  // upgradeParticipants), and writes are noted for the journal.
+  const storage = {
+    ...backend,
+    loadAll() {
+      return backend.loadAll().filter((event) => !event.deletedAt).map(upgradeParticipants);
+    },
+    findById(eventId) {
+      const event = backend.findById(eventId);
+      return event && !event.deletedAt ? upgradeParticipants(event) : undefined;
+    },
+    queryRange(fromMs, toMs) {
+      return backend.queryRange(fromMs, toMs).filter((event) => !event.deletedAt).map(upgradeParticipants);
+    },
+    save(event) {
+      touch(event.id);
+      backend.save(event);
+    },
+    saveMany(events) {
+      events.forEach((event) => touch(event.id));
+      backend.saveMany(events);
+    },
+    update(eventId, updates) {
+      touch(eventId);
+      const updated = backend.update(eventId, updates);
+      return updated && upgradeParticipants(updated);
+    },
+    remove(eventId) {
+      touch(eventId);
+      return backend.remove(eventId);
+    },
+  };
+
+  // While a journaled operation runs: the registry as it changed it, written
+  // out only once its events are committed (see journaled).
+  let staged = null;
+
+  function loadCalendars() {
+    if (staged?.calendars) {
+      return structuredClone(staged.calendars);
+    }
+    return registry ? registry.load() : [];
+  }
+
+  function saveCalendars(calendars) {
+    if (!registry) {
+      throw codedError("INVALID_ARGUMENT", "This calendar keeps no calendar registry");
+    }
+    if (staged) {
+      staged.calendars = calendars;
+      return;
+    }
+    registry.save(calendars);
+  }
+
+  function loadReminderState() {
+    return reminderLog ? reminderLog.load() : { lastCheck: null, acknowledged: {} };
+  }
+
+  // Records acknowledgements (forgetting old ones) and where the next check starts.
+  function saveReminderState(state, acknowledgedIds, checkedUntil) {
+    if (!reminderLog) {
+      throw codedError("INVALID_ARGUMENT", "This calendar keeps no reminder state");
+    }
+    const now = new Date();
+    const keepAfter = now.getTime() - ACKNOWLEDGED_RETENTION_DAYS * 86400000;
+    const acknowledged = Object.fromEntries(
+      Object.entries(state.acknowledged).filter(([, at]) => new Date(at).getTime() > keepAfter)
+    );
+    for (const id of acknowledgedIds) {
+      acknowledged[id] = now.toISOString();
+    }
+    let lastCheck = state.lastCheck;
+    if (checkedUntil !== undefined && (lastCheck === null || checkedUntil > new Date(lastCheck))) {
+      lastCheck = checkedUntil.toISOString();
+    }
+    reminderLog.save({ lastCheck, acknowledged });
+  }
+
+  function calendarEntry(calendarId) {
+    return calendarId ? loadCalendars().find((c) => c.id === calendarId) : undefined;
+  }
+
+  function assertWritableCalendar(calendarId) {
+    if (calendarEntry(calendarId)?.readOnly) {
+      throw codedError("READ_ONLY", `Calendar "${calendarId}" is read-only`);
+    }
+  }
+
+  // Ids of calendars that exist: registered ones and those events refer to.
+  function knownCalendarIds() {
+    const ids = new Set(loadCalendars().map((c) => c.id));
+    for (const event of storage.loadAll()) {
+      if (!isDefaultCalendarEvent(event)) ids.add(event.calendarId);
+    }
+    return ids;
+  }
+
+  function assertValidCalendarId(id) {
+    const errors = validateCalendarId(id);
+    if (errors.length > 0) {
+      throw codedError("INVALID_ARGUMENT", `Invalid calendar: ${errors.join(", ")}`);
+    }
+  }
+
+  function assertKnownCalendar(id) {
+    if (!knownCalendarIds().has(id)) {
+      throw codedError("NOT_FOUND", `Calendar not found: ${id}`);
+    }
+  }
+
+  // Applies metadata `changes` (undefined values unset a field) to `entry`.
+  function withCalendarFields(entry, changes) {
+    const errors = validateCalendarFields(changes);
+    if (errors.length > 0) {
+      throw codedError("INVALID_ARGUMENT", `Invalid calendar: ${errors.join(", ")}`);
+    }
+    const next = { ...entry };
+    for (const [key, value] of Object.entries(changes)) {
+      if (value === undefined || (key === "categories" && value.length === 0)) {
+        delete next[key];
+      } else if (key === "categories") {
+        next.categories = [...new Set(value.map(normalizeTag))];
+      } else {
+        next[key] = typeof value === "string" ? value.trim() : value;
+      }
+    }
+    if (next.readOnly === false) {
+      delete next.readOnly;
+    }
+    return next;
+  }
+
+  // Runs `fn` in one transaction and journals the events it changed as a
+  // single `op` entry (`extra` is merged into the entry). A changed calendar
+  // registry is journaled alongside as `calendars: { before, after }`. The
+  // entry is appended under the lock, to keep seqs in order, and taken back
+  // if the transaction then fails to commit. Registry changes are staged and
+  // written after the events commit, so a failed commit leaves both as they
+  // were.
+  function journaled(op, fn, extra = {}) {
+    if (staged) {
+      return storage.transaction(fn);
+    }
+    // Kept in the closure: inside an outer storage transaction, the commit
+    // comes after this call returns.
+    const stage = { calendars: null, committed: false };
+    staged = stage;
+    const onCommit = () => {
+      stage.committed = true;
+      if (stage.calendars) registry.save(stage.calendars);
+    };
+    if (!journal) {
+      try {
+        return storage.transaction(fn, { onCommit });
+      } finally {
+        staged = null;
+      }
+    }
+    let appended = null;
+    try {
+      return storage.transaction(() => {
+        touched = new Map();
+        const calendarsBefore = loadCalendars();
+        try {
+          const result = fn();
+          const changes = [];
+          for (const [id, before] of touched) {
+            const after = backend.findById(id) ?? null;
+            if (!isDeepStrictEqual(before, after)) {
+              changes.push({ id, before, after });
+            }
+          }
+          const entry = { op, ...extra, changes };
+          const calendarsAfter = loadCalendars();
+          if (!isDeepStrictEqual(calendarsBefore, calendarsAfter)) {
+            entry.calendars = { before: calendarsBefore, after: calendarsAfter };
+          }
+          if (changes.length > 0 || entry.calendars) {
+            appended = journal.append(entry);
+          }
+          return result;
+        } finally {
+          touched = null;
+        }
+      }, { onCommit });
+    } catch (err) {
+      // Once the events are committed, the entry stays: it is what undo needs.
+      if (appended && !stage.committed) {
+        journal.discard(appended);
+      }
+      throw err;
+    } finally {
+      staged = null;
+    }
+  }
+
+  // Puts every event of a journal entry (and the calendar registry, if the
+  // entry changed it) back to its `side` ("before" or "after") snapshot,
+  // provided each still looks as the other side left it.
+  function restore(entry, side) {
+    const other = side === "before" ? "after" : "before";
+    for (const change of entry.changes) {
+      const current = backend.findById(change.id) ?? null;
+      if (!isDeepStrictEqual(current, change[other])) {
+        throw codedError("UNDO_CONFLICT", `Event ${change.id} was changed since; refusing to overwrite it`);
+      }
+    }
+    if (entry.calendars && !isDeepStrictEqual(loadCalendars(), entry.calendars[other])) {
+      throw codedError("UNDO_CONFLICT", "The calendar list was changed since; refusing to overwrite it");
+    }
+    for (const change of entry.changes) {
+      if (change[side] === null) {
+        storage.remove(change.id);
+      } else {
+        storage.saveMany([change[side]]);
+      }
+    }
+    if (entry.calendars) {
+      saveCalendars(entry.calendars[side]);
+    }
+  }
+
+  // All-day dates are floating, so they sort at local midnight of their day.
+  function startSortValue(event) {
+    if (event.allDay) {
+      const [year, month, day] = event.start.split("-").map(Number);
+      return new Date(year, month - 1, day).getTime();
+    }
+    return new Date(event.start).getTime();
+  }
 
   function sortByStart(events) {
-    return events.sort((a, b) => new Date(a.start) - new Date(b.start));
+    return events.sort((a, b) => startSortValue(a) - startSortValue(b));
   }
 
-  function overlaps(event, rangeStart, rangeEnd) {
+  // A range carries both absolute instants (for timed events) and calendar
+  // dates as seen by the viewer (for all-day events, which have no instant).
+  function overlaps(event, range) {
+    if (event.allDay) {
+      const evEnd = event.end || event.start;
+      return event.start <= range.endDate && evEnd >= range.startDate;
+    }
     const evStart = new Date(event.start);
     const evEnd = event.end ? new Date(event.end) : evStart;
-    return evStart <= rangeEnd && evEnd >= rangeStart;
+    return evStart <= range.end && evEnd >= range.start;
   }
 
   function isoUtc(date) {
     return date.toISOString().replace("Z", "+00:00");
   }
 
-  function expandRecurringIntoEvents(recurringEvent, rangeStartISO, rangeEndISO) {
-    const occStarts = expandOccurrences({
-      dtStart: recurringEvent.start,
-      tz: recurringEvent.tz,
-      rrule: recurringEvent.rrule,
-      from: rangeStartISO,
-      to: rangeEndISO,
+  // The calendar days `fromDateKey` through `toDateKey` as seen in `tz`:
+  // from midnight there to the last millisecond of the last day.
+  function zonedDaysRange(fromDateKey, toDateKey, tz) {
+    const start = new Date(localToIsoInTimeZone(`${fromDateKey}T00:00:00`, tz));
+    const nextMidnight = new Date(localToIsoInTimeZone(`${addDaysToDateKey(toDateKey, 1)}T00:00:00`, tz));
+    const end = new Date(nextMidnight.getTime() - 1);
+    return {
+      start,
+      end,
+      startISO: isoUtc(start),
+      endISO: isoUtc(end),
+      startDate: fromDateKey,
+      endDate: toDateKey,
+    };
+  }
+
+  // Today's date in `tz`.
+  function todayIn(tz) {
+    return formatIsoInTimeZone(new Date(), tz).slice(0, 10);
+  }
+
+  // All-day events are matched against the calendar dates written in the bounds.
+  function isoRange(fromISO, toISO) {
+    return {
+      start: new Date(fromISO),
+      end: new Date(toISO),
+      startISO: fromISO,
+      endISO: toISO,
+      startDate: fromISO.slice(0, 10),
+      endDate: toISO.slice(0, 10),
+    };
+  }
+
+  function seriesOccurrenceStarts(series, fromISO, toISO) {
+    if (series.allDay) {
+      const starts = expandDateOccurrences({
+        dtStart: series.start,
+        rrule: series.rrule,
+        from: fromISO,
+        to: toISO,
+        exDates: series.exDates || [],
+      });
+      return withRDates(series, starts, (d) => d >= fromISO.slice(0, 10) && d <= toISO.slice(0, 10));
+    }
+
+    const starts = expandOccurrences({
+      dtStart: series.start,
+      tz: series.tz,
+      rrule: series.rrule,
+      from: fromISO,
+      to: toISO,
       mode: "wall",
-      exDates: recurringEvent.exDates || [],
+      exDates: series.exDates || [],
     });
+    const from = new Date(fromISO);
+    const to = new Date(toISO);
+    return withRDates(series, starts, (d) => new Date(d) >= from && new Date(d) <= to);
+  }
+
+  // Adds the series' extra dates (RDATE) within the range to the starts its
+  // rule generated. rDates are stored in the same spelling as expanded starts.
+  function withRDates(series, starts, inRange) {
+    const excluded = new Set(series.exDates || []);
+    const seen = new Set(starts);
+    const extra = (series.rDates || []).filter((d) => inRange(d) && !excluded.has(d) && !seen.has(d));
+    if (extra.length === 0) {
+      return starts;
+    }
+    const all = [...starts, ...new Set(extra)];
+    return series.allDay ? all.sort() : all.sort((a, b) => new Date(a) - new Date(b));
+  }
+
+  function isOccurrenceOf(series, startKey) {
+    return seriesOccurrenceStarts(series, startKey, startKey).includes(startKey);
+  }
+
+  function allDaySpan(event) {
+    return daysBetweenDateKeys(event.start, event.end || event.start);
+  }
+
+  // Builds the instance of a series that starts at `startKey` (a date for
+  // all-day series) and applies its per-occurrence override, if any. The id
+  // keeps the original start so a moved instance can still be addressed.
+  function buildOccurrence(series, startKey) {
+    const ev = {
+      id: `${series.id}#${startKey}`,
+      seriesId: series.id,
+      title: series.title,
+      start: startKey,
+      tz: series.tz,
+      place: series.place,
+      description: series.description,
+      url: series.url,
+      notes: series.notes,
+      attendees: series.attendees,
+      organizer: series.organizer,
+      calendarId: series.calendarId,
+      categories: series.categories,
+      transparency: series.transparency,
+      status: series.status,
+      reminders: series.reminders,
+    };
+
+    if (series.allDay) {
+      ev.allDay = true;
+      ev.end = addDaysToDateKey(startKey, allDaySpan(series));
+    } else if (series.end) {
+      const durationMs = new Date(series.end).getTime() - new Date(series.start).getTime();
+      ev.end = formatIsoInTimeZone(new Date(new Date(startKey).getTime() + durationMs), series.tz);
+    }
+
+    const override = series.overrides && series.overrides[startKey];
+    if (override) {
+      Object.assign(ev, override, { originalStart: startKey, exception: true });
+    }
+
+    return ev;
+  }
+
+  function expandRecurringIntoEvents(recurringEvent, range) {
+    // Expansion starts early enough to catch occurrences that began before
+    // the range and still run into it.
+    let from = range.startISO;
+    if (recurringEvent.allDay) {
+      from = addDaysToDateKey(range.startDate, -allDaySpan(recurringEvent));
+    } else if (recurringEvent.end) {
+      const durationMs = new Date(recurringEvent.end).getTime() - new Date(recurringEvent.start).getTime();
+      from = isoUtc(new Date(range.start.getTime() - durationMs));
+    }
+    const to = recurringEvent.allDay ? range.endDate : range.endISO;
+
+    const starts = seriesOccurrenceStarts(recurringEvent, from, to);
+    const events = starts.map((startKey) => buildOccurrence(recurringEvent, startKey));
+
+    // An override can move an occurrence into the range from outside it.
+    const expanded = new Set(starts);
+    for (const startKey of Object.keys(recurringEvent.overrides || {})) {
+      if (expanded.has(startKey)) continue;
+      const moved = buildOccurrence(recurringEvent, startKey);
+      if (overlaps(moved, range) && isOccurrenceOf(recurringEvent, startKey)) {
+        events.push(moved);
+      }
+    }
+
+    return events;
+  }
+
+  function resolveOccurrenceStart(series, occurrence) {
+    const valid = series.allDay ? isStrictISODate(occurrence) : isStrictISODateTimeWithOffset(occurrence);
+    if (!valid) {
+      throw codedError("INVALID_ARGUMENT", series.allDay
+        ? "occurrence of an all-day series must be an ISO 8601 date"
+        : "occurrence must be a strict ISO 8601 datetime with offset");
+    }
+
+    // Expanding over a zero-length window yields the canonical spelling of the
+    // instant, so the same moment written with another offset still matches.
+    const [startKey] = seriesOccurrenceStarts(series, occurrence, occurrence);
+    if (!startKey) {
+      throw codedError("NOT_FOUND", `Occurrence not found: ${occurrence}`);
+    }
+    return startKey;
+  }
+
+  // The end of `event` once its start moves to `newStart`, keeping its length.
+  function endAfterMove(event, newStart, allDay) {
+    const validStart = allDay ? isStrictISODate(newStart) : isStrictISODateTimeWithOffset(newStart);
+    if (!validStart || event.end === undefined) {
+      return undefined;
+    }
+    return allDay
+      ? addDaysToDateKey(newStart, daysBetweenDateKeys(event.start, event.end))
+      : addHours(newStart, (new Date(event.end) - new Date(event.start)) / 3600000);
+  }
+
+  function editOccurrence(series, occurrence, updates) {
+    if (!series.rrule) {
+      throw codedError("NOT_RECURRING", "Event is not recurring");
+    }
+    const startKey = resolveOccurrenceStart(series, occurrence);
+
+    const fields = { ...updates };
+    if (fields.allDay !== undefined && Boolean(fields.allDay) === Boolean(series.allDay)) {
+      delete fields.allDay;
+    }
+    const unsupported = Object.keys(fields).filter((key) => !OCCURRENCE_FIELDS.has(key));
+    if (unsupported.length > 0) {
+      throw codedError("INVALID_ARGUMENT", `Cannot change ${unsupported.join(", ")} on a single occurrence`);
+    }
+
+    const current = buildOccurrence(series, startKey);
+    const override = { ...(series.overrides || {})[startKey], ...fields };
+    // A field set to undefined is no longer changed: the occurrence shows
+    // the series' value again.
+    for (const key of Object.keys(override)) {
+      if (override[key] === undefined) delete override[key];
+    }
+
+    // Moving an occurrence keeps its length unless a new end is given.
+    if (fields.start !== undefined && fields.end === undefined) {
+      const end = endAfterMove(current, fields.start, series.allDay);
+      if (end !== undefined) override.end = end;
+    }
+    if (fields.categories !== undefined) {
+      override.categories = [...new Set(fields.categories.map((c) => normalizeTag(c)))];
+    }
+
+    const validation = validateEvent({ ...current, ...override, allDay: series.allDay });
+    if (!validation.valid) {
+      throw codedError("INVALID_EVENT", `Invalid event: ${validation.errors.join(", ")}`);
+    }
+
+    // An occurrence left with no changes of its own is no longer an exception.
+    const { [startKey]: _previous, ...others } = series.overrides || {};
+    const overrides = Object.keys(override).length > 0 ? { ...others, [startKey]: override } : others;
+    const updated = storage.update(series.id, { overrides });
+    return buildOccurrence(updated, startKey);
+  }
+
+  function startsBefore(series, a, b) {
+    return series.allDay ? a < b : new Date(a) < new Date(b);
+  }
+
+  // Occurrences the rule generated before `startKey`, counting skipped ones
+  // too since COUNT includes them (and extra rDates not, since it does not).
+  function occurrencesBefore(series, startKey) {
+    const to = series.allDay
+      ? addDaysToDateKey(startKey, -1)
+      : isoUtc(new Date(new Date(startKey).getTime() - 1000));
+    return seriesOccurrenceStarts({ ...series, exDates: [], rDates: [] }, series.start, to);
+  }
+
+  // Ends `series` right before `startKey`: COUNT shrinks to the occurrences
+  // already generated, otherwise UNTIL moves to just before the occurrence.
+  function truncatedSeriesUpdates(series, startKey) {
+    const earlierCount = occurrencesBefore(series, startKey).length;
+    let rrule;
+    if (getRRulePart(series.rrule, "COUNT") !== undefined) {
+      rrule = setRRuleParts(series.rrule, { COUNT: String(earlierCount) });
+    } else {
+      const until = series.allDay
+        ? addDaysToDateKey(startKey, -1).replace(/-/g, "")
+        : new Date(new Date(startKey).getTime() - 1000).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+      rrule = setRRuleParts(series.rrule, { UNTIL: until });
+    }
+
+    const overrides = Object.fromEntries(
+      Object.entries(series.overrides || {}).filter(([key]) => startsBefore(series, key, startKey))
+    );
+    const updates = {
+      rrule,
+      exDates: (series.exDates || []).filter((ex) => startsBefore(series, ex, startKey)),
+      overrides,
+    };
+    if (series.rDates !== undefined) {
+      updates.rDates = series.rDates.filter((d) => startsBefore(series, d, startKey));
+    }
+    return updates;
+  }
+
+  // Re-keys rDates/exDates/overrides from the old series onto the new one, moving
+  // them along with the series start; keys that no longer line up with an
+  // occurrence of the new series are dropped.
+  function carryOverKeys(oldSeries, newSeries, startKey) {
+    const shiftKey = (key) => {
+      if (newSeries.allDay) {
+        return addDaysToDateKey(key, daysBetweenDateKeys(startKey, newSeries.start));
+      }
+      return shiftWallClock(key, newSeries.tz, wallClockMinutesBetween(startKey, newSeries.start, newSeries.tz));
+    };
+    // Extra dates are explicit, so they move along without having to fit the rule.
+    const rDates = (oldSeries.rDates || [])
+      .filter((d) => !startsBefore(oldSeries, d, startKey))
+      .map(shiftKey);
+    const unskipped = { ...newSeries, rDates, exDates: [] };
+    const fits = (key) => isOccurrenceOf(unskipped, key);
+
+    const exDates = (oldSeries.exDates || [])
+      .filter((ex) => !startsBefore(oldSeries, ex, startKey))
+      .map(shiftKey)
+      .filter(fits);
+    const overrides = Object.fromEntries(
+      Object.entries(oldSeries.overrides || {})
+        .filter(([key]) => !startsBefore(oldSeries, key, startKey))
+        .map(([key, override]) => [shiftKey(key), override])
+        .filter(([key]) => fits(key))
+    );
+    return { rDates, exDates, overrides };
+  }
+
+  function splitSeries(series, fromOccurrence, updates) {
+    const startKey = resolveOccurrenceStart(series, fromOccurrence);
+
+    const fields = { ...updates };
+    if (fields.allDay !== undefined) {
+      if (Boolean(fields.allDay) !== Boolean(series.allDay)) {
+        throw codedError("INVALID_ARGUMENT", "Cannot change allDay when splitting a series");
+      }
+      delete fields.allDay;
+    }
+
+    const occurrence = buildOccurrence({ ...series, overrides: undefined }, startKey);
+    const next = {
+      title: series.title,
+      start: startKey,
+      end: occurrence.end,
+      place: series.place,
+      description: series.description,
+      url: series.url,
+      notes: series.notes,
+      attendees: series.attendees,
+      organizer: series.organizer,
+      tz: series.tz,
+      rrule: series.rrule,
+      calendarId: series.calendarId,
+      categories: series.categories,
+      transparency: series.transparency,
+      status: series.status,
+      // A fixed-time reminder stays with the part of the series it was set on.
+      reminders: relativeReminders(series),
+      ...fields,
+    };
+    if (series.allDay) {
+      next.allDay = true;
+    }
+    if (fields.start !== undefined && fields.end === undefined) {
+      next.end = endAfterMove(occurrence, fields.start, series.allDay);
+    }
+
+    // The new series takes over whatever remains of a COUNT-limited rule.
+    const count = getRRulePart(series.rrule, "COUNT");
+    if (fields.rrule === undefined && count !== undefined) {
+      const remaining = Number(count) - occurrencesBefore(series, startKey).length;
+      next.rrule = setRRuleParts(series.rrule, { COUNT: String(remaining) });
+    }
+    for (const key of Object.keys(next)) {
+      if (next[key] === undefined) delete next[key];
+    }
+
+    const validation = validateEvent(next);
+    if (!validation.valid) {
+      throw codedError("INVALID_EVENT", `Invalid event: ${validation.errors.join(", ")}`);
+    }
+
+    const created = createEvent(next);
+    const carried = carryOverKeys(series, created, startKey);
+    if (carried.rDates.length > 0) {
+      created.rDates = carried.rDates;
+    }
+    if (carried.exDates.length > 0) {
+      created.exDates = carried.exDates;
+    }
+    if (Object.keys(carried.overrides).length > 0) {
+      created.overrides = carried.overrides;
+    }
+    created.splitFrom = series.id;
 
-    const baseStart = new Date(recurringEvent.start);
-    const baseEnd = recurringEvent.end ? new Date(recurringEvent.end) : null;
-    const durationMs = baseEnd ? baseEnd.getTime() - baseStart.getTime() : null;
-
-    return occStarts.map((startISO) => {
-      const startUtc = new Date(startISO);
-      const ev = {
-        id: `${recurringEvent.id}#${startISO}`,
-        seriesId: recurringEvent.id,
-        title: recurringEvent.title,
-        start: startISO,
-        place: recurringEvent.place,
-        participants: recurringEvent.participants,
-        calendarId: recurringEvent.calendarId,
-        categories: recurringEvent.categories,
-      };
-
-      if (durationMs !== null) {
-        const endUtc = new Date(startUtc.getTime() + durationMs);
-        ev.end = formatIsoInTimeZone(endUtc, recurringEvent.tz);
-      }
-
-      return ev;
+    storage.transaction(() => {
+      storage.update(series.id, truncatedSeriesUpdates(series, startKey));
+      storage.save(created);
     });
+    return created;
+  }
+
+  function sameOccurrenceValue(field, a, b, allDay) {
+    if (!allDay && (field === "start" || field === "end") && a !== undefined && b !== undefined) {
+      return new Date(a).getTime() === new Date(b).getTime();
+    }
+    return isDeepStrictEqual(a, b);
+  }
+
+  // Turns imported per-occurrence changes into overrides, keeping only what
+  // actually differs from the series. Returns the overrides and a warning per
+  // change that could not be kept.
+  function importedOverrides(series, changesByKey) {
+    const overrides = {};
+    const problems = [];
+    for (const [startKey, changes] of Object.entries(changesByKey || {})) {
+      if (!isOccurrenceOf(series, startKey)) {
+        problems.push(`occurrence ${startKey} is not part of the series; skipped`);
+        continue;
+      }
+
+      const current = buildOccurrence(series, startKey);
+      const override = { ...changes };
+      if (override.start !== undefined && override.end === undefined) {
+        const end = endAfterMove(current, override.start, series.allDay);
+        if (end !== undefined) override.end = end;
+      }
+      if (override.categories !== undefined) {
+        override.categories = [...new Set(override.categories.map((c) => normalizeTag(c)))];
+      }
+      for (const field of Object.keys(override)) {
+        if (sameOccurrenceValue(field, override[field], current[field], series.allDay)) {
+          delete override[field];
+        }
+      }
+      if (Object.keys(override).length === 0) {
+        continue;
+      }
+
+      const validation = validateEvent({ ...current, ...override, allDay: series.allDay });
+      if (!validation.valid) {
+        problems.push(`occurrence ${startKey} is invalid (${validation.errors.join(", ")}); skipped`);
+        continue;
+      }
+      overrides[startKey] = override;
+    }
+    return { overrides, problems };
+  }
+
+  // When `instance` starts; all-day events start at midnight in `tz`.
+  function startInstant(instance, tz) {
+    return new Date(instance.allDay ? localToIsoInTimeZone(`${instance.start}T00:00:00`, tz) : instance.start);
   }
 
-  function eventsInRange(rangeStart, rangeEnd, rangeStartISO, rangeEndISO, filters = {}) {
-    const all = storage.loadAll();
-    const singles = all.filter((ev) => !ev.rrule && overlaps(ev, rangeStart, rangeEnd));
-    const series = all.filter((ev) => ev.rrule && ev.tz);
-    const occs = series.flatMap((ev) => expandRecurringIntoEvents(ev, rangeStartISO, rangeEndISO));
-    const filteredOccs = occs.filter((ev) => overlaps(ev, rangeStart, rangeEnd));
+  // Every reminder firing in (fromMs, toMs], as { id, fireMs, trigger,
+  // event }: fixed-time reminders once per event, relative ones once per
+  // occurrence of a series. With `starts`, the start of every event and
+  // occurrence fires too, with the trigger "start".
+  function reminderFirings(fromMs, toMs, tz, { starts = false } = {}) {
+    const firings = [];
+    const fire = (event, instance, trigger, fireMs) => {
+      // Nobody needs reminding of what is not happening.
+      if (instance.status === "cancelled") {
+        return;
+      }
+      if (fireMs > fromMs && fireMs <= toMs) {
+        firings.push({ id: reminderId(event.id, instance.start, trigger), fireMs, trigger, event: instance });
+      }
+    };
+
+    for (const event of storage.loadAll()) {
+      const reminders = event.reminders || [];
+      for (const reminder of reminders.filter((r) => r.at !== undefined)) {
+        fire(event, event, formatReminder(reminder), new Date(reminder.at).getTime());
+      }
+      const triggers = (relativeReminders(event) || []).map((r) => ({ trigger: formatReminder(r), offsetMinutes: r.offsetMinutes }));
+      if (starts) {
+        triggers.push({ trigger: START_TRIGGER, offsetMinutes: 0 });
+      }
+      if (triggers.length === 0 || (event.rrule && !event.tz && !event.allDay)) {
+        continue;
+      }
+      // Occurrences starting where some offset lands in the window, plus a
+      // day each way for all-day events, whose day starts depend on `tz`.
+      const offsets = triggers.map((t) => t.offsetMinutes * 60000);
+      const range = isoRange(
+        isoUtc(new Date(fromMs - Math.max(...offsets) - 86400000)),
+        isoUtc(new Date(toMs - Math.min(...offsets) + 86400000))
+      );
+      for (const instance of event.rrule ? expandRecurringIntoEvents(event, range) : [event]) {
+        const startMs = startInstant(instance, tz).getTime();
+        for (const { trigger, offsetMinutes } of triggers) {
+          fire(event, instance, trigger, startMs + offsetMinutes * 60000);
+        }
+      }
+    }
+    return firings.sort((a, b) => a.fireMs - b.fireMs);
+  }
+
+  function eventsInRange(range, filters = {}) {
+    const all = storage.queryRange(range.start.getTime(), range.end.getTime());
+    const singles = all.filter((ev) => !ev.rrule && overlaps(ev, range));
+    const series = all.filter((ev) => ev.rrule && (ev.tz || ev.allDay));
+    const occs = series.flatMap((ev) => expandRecurringIntoEvents(ev, range));
+    const filteredOccs = occs.filter((ev) => overlaps(ev, range));
     const filtered = [...singles, ...filteredOccs].filter((ev) => eventMatchesFilters(ev, filters));
     return sortByStart(filtered);
   }
 
+  // The first occurrence of `series` in `range`, or null. It is looked for
+  // in windows doubling from one day, so a frequent series is not expanded
+  // over the whole range; window ends are written in `tz`.
+  function firstOccurrenceIn(series, range, tz) {
+    if (!series.tz && !series.allDay) {
+      return null;
+    }
+    for (let days = 1; ; days *= 2) {
+      const endMs = range.start.getTime() + days * 86400000;
+      const window = endMs < range.end.getTime() ? isoRange(range.startISO, formatIsoInTimeZone(new Date(endMs), tz)) : range;
+      const [first] = sortByStart(expandRecurringIntoEvents(series, window).filter((occ) => overlaps(occ, window)));
+      if (first || window === range) {
+        return first ?? null;
+      }
+    }
+  }
+
+  // The timed instances of `event`: itself, or for a series its occurrences
+  // from its start (or now, if later) up to CONFLICT_HORIZON_DAYS ahead.
+  function conflictInstances(event) {
+    if (event.allDay) {
+      return [];
+    }
+    if (!event.rrule) {
+      return [event];
+    }
+    const from = Math.max(new Date(event.start).getTime(), Date.now());
+    const to = new Date(from + CONFLICT_HORIZON_DAYS * 86400000);
+    const range = isoRange(isoUtc(new Date(from)), isoUtc(to));
+    return expandRecurringIntoEvents(event, range).filter((occ) => overlaps(occ, range));
+  }
+
+  // Conflicts between `instances` (of one event) and every other event in
+  // scope; only instances and events that block time can conflict.
+  function conflictsOfInstances(instances, ownId, scope) {
+    const blocking = instances.filter(blocksTime);
+    if (blocking.length === 0) {
+      return [];
+    }
+    const bounds = blocking.map(instantBounds);
+    const from = Math.min(...bounds.map((b) => b.start));
+    const to = Math.max(...bounds.map((b) => b.end));
+    const others = eventsInRange(isoRange(isoUtc(new Date(from)), isoUtc(new Date(to))))
+      .filter((ev) => (ev.seriesId ?? ev.id) !== ownId && blocksTime(ev) && eventMatchesConflictScope(ev, scope));
+
+    const conflicts = [];
+    for (const instance of blocking) {
+      for (const other of others) {
+        const overlap = timeOverlap(instance, other);
+        if (overlap) {
+          conflicts.push({ ...overlap, events: [instance, other] });
+        }
+      }
+    }
+    return conflicts;
+  }
+
+  // `event` as add/edit returned it: a stored event or one occurrence.
+  function conflictsOfEvent(event, scope) {
+    const instances = event.seriesId ? [event] : conflictInstances(event);
+    return conflictsOfInstances(instances, event.seriesId ?? event.id, scope);
+  }
+
+  // `updates` with `end` set from options.durationMinutes, counted from the
+  // new start or else the current start of the event or occurrence edited.
+  function withDuration(existing, updates, options) {
+    if (options.durationMinutes === undefined) {
+      return updates;
+    }
+    if (updates.end !== undefined) {
+      throw codedError("INVALID_ARGUMENT", "end and duration cannot be combined");
+    }
+    const occurrence = options.occurrence ?? options.fromOccurrence;
+    const current = occurrence !== undefined && existing.rrule
+      ? buildOccurrence(existing, resolveOccurrenceStart(existing, occurrence))
+      : existing;
+    const allDay = updates.allDay !== undefined ? updates.allDay : existing.allDay;
+    return { ...updates, end: endAfterDuration(updates.start ?? current.start, allDay, options.durationMinutes) };
+  }
+
+  function assertNoConflicts(event, scope) {
+    const conflicts = conflictsOfEvent(event, scope);
+    if (conflicts.length > 0) {
+      throw conflictError(conflicts);
+    }
+  }
+
+  // Validates the bounds of an availability query; `tz` defaults to the host's zone.
+  function availabilityRange(fromISO, toISO, tz = hostTimeZone()) {
+    for (const [name, value] of [["from", fromISO], ["to", toISO]]) {
+      if (!isStrictISODateTimeWithOffset(value)) {
+        throw codedError("INVALID_ARGUMENT", `${name} must be a strict ISO 8601 datetime with offset`);
+      }
+    }
+    if (new Date(toISO) <= new Date(fromISO)) {
+      throw codedError("INVALID_ARGUMENT", "to must be after from");
+    }
+    assertTimeZone(tz);
+    return { range: isoRange(fromISO, toISO), tz };
+  }
+
+  // Merged busy time in the range, in ms: events that block time only.
+  function busyIntervals(range, filters) {
+    const fromMs = range.start.getTime();
+    const toMs = range.end.getTime();
+    const intervals = eventsInRange(range, filters)
+      .filter(blocksTime)
+      .map((ev) => {
+        const bounds = instantBounds(ev);
+        return { start: Math.max(bounds.start, fromMs), end: Math.min(bounds.end, toMs), eventIds: [ev.id] };
+      })
+      .filter((interval) => interval.end > interval.start);
+    return mergeIntervals(intervals);
+  }
+
+  function moveToTrash(eventId) {
+    if (!storage.findById(eventId)) {
+      return false;
+    }
+    storage.update(eventId, { deletedAt: new Date().toISOString() });
+    return true;
+  }
+
+  // Deleted events, most recently deleted first.
+  function trashedEvents() {
+    return backend.loadAll()
+      .filter((event) => event.deletedAt)
+      .map(upgradeParticipants)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  function trashedEvent(eventId) {
+    const event = backend.findById(eventId);
+    if (!event || !event.deletedAt) {
+      throw codedError("NOT_FOUND", `Event not in trash: ${eventId}`);
+    }
+    return upgradeParticipants(event);
+  }
+
+  function undoOrRedo(op) {
+    if (!journal) {
+      throw codedError("NOTHING_TO_UNDO", "This calendar keeps no journal");
+    }
+    // `target` is filled in once the entry is known; journaled reads it after.
+    const extra = {};
+    return journaled(op, () => {
+      const stack = journal.stacks()[op];
+      const entry = stack[stack.length - 1];
+      if (!entry) {
+        throw codedError(op === "undo" ? "NOTHING_TO_UNDO" : "NOTHING_TO_REDO", `Nothing to ${op}`);
+      }
+      extra.target = entry.seq;
+      restore(entry, op === "undo" ? "before" : "after");
+      return entry;
+    }, extra);
+  }
+
   return {
-    add(obj) {
+    /**
+     * Store a new event. With `options.rejectConflicts`, an event that
+     * overlaps another (see conflicts()) fails with CONFLICT instead;
+     * `options.conflictScope` limits which events count.
+     * `options.durationMinutes` sets the end instead of `end`.
+     */
+    add(input, options = {}) {
+      const defaults = calendarEntry(typeof input.calendarId === "string" ? input.calendarId.trim() : undefined);
+      if (defaults?.readOnly) {
+        throw codedError("READ_ONLY", `Calendar "${defaults.id}" is read-only`);
+      }
+      const obj = { ...input };
+      if (defaults?.tz && obj.tz === undefined && !obj.allDay) {
+        obj.tz = defaults.tz;
+      }
+      if (defaults?.categories && obj.categories === undefined) {
+        obj.categories = defaults.categories;
+      }
+      if (Array.isArray(obj.attendees)) {
+        obj.attendees = replaceAttendees([], obj.attendees);
+      }
+      if (options.durationMinutes !== undefined) {
+        if (obj.end !== undefined) {
+          throw codedError("INVALID_ARGUMENT", "end and duration cannot be combined");
+        }
+        obj.end = endAfterDuration(normalizeEventDateTimes(obj).start, obj.allDay, options.durationMinutes);
+      }
+
       const validation = validateEvent(obj);
       if (!validation.valid) {
-        throw new Error(`Invalid event: ${validation.errors.join(", ")}`);
+        throw codedError("INVALID_EVENT", `Invalid event: ${validation.errors.join(", ")}`);
       }
       const event = createEvent(obj);
-      storage.save(event);
+      journaled("add", () => {
+        if (options.rejectConflicts) {
+          assertNoConflicts(event, options.conflictScope);
+        }
+        storage.save(event);
+      });
       return event;
     },
 
-    delete(eventId) {
-      return storage.remove(eventId);
+    /**
+     * Store events parsed from another calendar (see lib/ics.js). Entries
+     * carry a `uid`; one matching an event imported earlier updates that
+     * event in place rather than adding a copy. `options.calendarId` puts
+     * them in a calendar ("default" meaning none); without it, re-imported
+     * events stay where they are. Fails with READ_ONLY, importing nothing,
+     * when the target calendar or that of an event to update is read-only.
+     */
+    importEvents(entries, options = {}) {
+      return journaled("import", () => {
+        if (options.calendarId !== undefined && options.calendarId !== "default") {
+          assertWritableCalendar(options.calendarId);
+        }
+        // Trashed events count too: importing one again brings it back.
+        const byUid = new Map(backend.loadAll().filter((ev) => ev.uid).map((ev) => [ev.uid, upgradeParticipants(ev)]));
+        const result = { added: [], updated: [], unchanged: [], warnings: [] };
+        const batch = [];
+
+        for (const { uid, overrides, ...fields } of entries) {
+          const label = uid ? `"${fields.title}" (${uid})` : `"${fields.title}"`;
+          const existing = uid ? byUid.get(uid) : undefined;
+
+          if (options.calendarId !== undefined) {
+            fields.calendarId = options.calendarId === "default" ? undefined : options.calendarId;
+          } else if (existing) {
+            fields.calendarId = existing.calendarId;
+          }
+          for (const key of Object.keys(fields)) {
+            if (fields[key] === undefined) delete fields[key];
+          }
+
+          const validation = validateEvent(fields);
+          if (!validation.valid) {
+            result.warnings.push(`${label}: invalid event (${validation.errors.join(", ")}); skipped`);
+            continue;
+          }
+
+          const event = createEvent(fields);
+          if (event.rrule) {
+            try {
+              // Surfaces unsupported rules now rather than on every later listing.
+              seriesOccurrenceStarts(event, event.start, event.start);
+            } catch (err) {
+              result.warnings.push(`${label}: ${err.message}; skipped`);
+              continue;
+            }
+            const imported = importedOverrides(event, overrides);
+            result.warnings.push(...imported.problems.map((problem) => `${label}: ${problem}`));
+            if (Object.keys(imported.overrides).length > 0) {
+              event.overrides = imported.overrides;
+            }
+          }
+          if (uid) {
+            event.uid = uid;
+          }
+
+          if (existing) {
+            event.id = existing.id;
+            event.createdAt = existing.createdAt;
+            if (isDeepStrictEqual(event, existing)) {
+              result.unchanged.push(existing);
+              continue;
+            }
+            assertWritableCalendar(existing.calendarId);
+            result.updated.push(event);
+          } else {
+            result.added.push(event);
+          }
+          if (uid) {
+            byUid.set(uid, event);
+          }
+          batch.push(event);
+        }
+
+        storage.saveMany(batch);
+        return result;
+      });
     },
 
-    edit(eventId, updates) {
-      const existing = storage.findById(eventId);
-      if (!existing) {
-        throw new Error(`Event not found: ${eventId}`);
-      }
+    delete(eventId, options = {}) {
+      return journaled("delete", () => {
+        const series = storage.findById(eventId);
+        if (!series) {
+          return false;
+        }
+        assertWritableCalendar(series.calendarId);
+        if (options.fromOccurrence === undefined) {
+          return moveToTrash(eventId);
+        }
 
-      const merged = { ...existing, ...updates };
-      const validation = validateEvent(merged);
-      if (!validation.valid) {
-        throw new Error(`Invalid event: ${validation.errors.join(", ")}`);
-      }
+        if (!series.rrule) {
+          throw codedError("NOT_RECURRING", "Event is not recurring");
+        }
+        const startKey = resolveOccurrenceStart(series, options.fromOccurrence);
+        if (occurrencesBefore(series, startKey).length === 0) {
+          // Ending a series at its first occurrence removes it entirely.
+          return moveToTrash(eventId);
+        }
+        storage.update(eventId, truncatedSeriesUpdates(series, startKey));
+        return true;
+      });
+    },
 
-      const normalizedUpdates = { ...updates };
-      if (updates.calendarId !== undefined) {
-        normalizedUpdates.calendarId = updates.calendarId.trim();
-      }
-      if (updates.categories !== undefined) {
-        normalizedUpdates.categories = [...new Set(updates.categories.map((c) => normalizeTag(c)))];
+    /**
+     * Change an event: the whole of it, one occurrence of a series
+     * (`options.occurrence`) or a series from an occurrence on
+     * (`options.fromOccurrence`). `options.durationMinutes` sets the end
+     * from the (new) start; conflict options are as for add(). New
+     * `attendees` given without a status keep the answers of people who
+     * were already invited.
+     */
+    edit(eventId, changes, options = {}) {
+      const normalized = normalizeEventDateTimes(upgradeParticipants(changes));
+      return journaled("edit", () => {
+        const existing = storage.findById(eventId);
+        if (!existing) {
+          throw codedError("NOT_FOUND", `Event not found: ${eventId}`);
+        }
+        assertWritableCalendar(existing.calendarId);
+        if (typeof normalized.calendarId === "string") {
+          assertWritableCalendar(normalized.calendarId.trim());
+        }
+
+        if (options.occurrence !== undefined && options.fromOccurrence !== undefined) {
+          throw codedError("INVALID_ARGUMENT", "occurrence and fromOccurrence cannot be combined");
+        }
+        const updates = withDuration(existing, normalized, options);
+        if (Array.isArray(updates.attendees)) {
+          const current = options.occurrence !== undefined && existing.rrule
+            ? buildOccurrence(existing, resolveOccurrenceStart(existing, options.occurrence))
+            : existing;
+          updates.attendees = replaceAttendees(current.attendees, updates.attendees);
+        }
+        const checked = (result) => {
+          if (options.rejectConflicts) {
+            assertNoConflicts(result, options.conflictScope);
+          }
+          return result;
+        };
+        if (options.occurrence !== undefined) {
+          return checked(editOccurrence(existing, options.occurrence, updates));
+        }
+        if (options.fromOccurrence !== undefined) {
+          if (!existing.rrule) {
+            throw codedError("NOT_RECURRING", "Event is not recurring");
+          }
+          const startKey = resolveOccurrenceStart(existing, options.fromOccurrence);
+          // Splitting at the first occurrence would leave nothing behind, so
+          // that is simply an edit of the whole series.
+          if (occurrencesBefore(existing, startKey).length > 0) {
+            return checked(splitSeries(existing, startKey, updates));
+          }
+        }
+
+        const normalizedUpdates = { ...updates };
+
+        // Switching between timed and all-day changes the shape of start/end,
+        // so a stale end of the other kind is replaced with the default span.
+        const switchesKind = updates.allDay !== undefined && Boolean(updates.allDay) !== Boolean(existing.allDay);
+        if (switchesKind && updates.end === undefined && updates.start !== undefined) {
+          normalizedUpdates.end = updates.allDay ? updates.start : addHours(updates.start, 1);
+        }
+        if (updates.allDay === false) {
+          // Stored as absent rather than false; undefined keys are dropped on write.
+          normalizedUpdates.allDay = undefined;
+        }
+
+        const merged = { ...existing, ...normalizedUpdates };
+        const validation = validateEvent(merged);
+        if (!validation.valid) {
+          throw codedError("INVALID_EVENT", `Invalid event: ${validation.errors.join(", ")}`);
+        }
+
+        if (updates.calendarId !== undefined) {
+          normalizedUpdates.calendarId = updates.calendarId.trim();
+        }
+        if (updates.categories !== undefined) {
+          normalizedUpdates.categories = [...new Set(updates.categories.map((c) => normalizeTag(c)))];
+        }
+
+        const updated = storage.update(eventId, normalizedUpdates);
+        return checked(updated);
+      });
+    },
+
+    /**
+     * Records an attendee's answer (one of RSVP_STATUSES) to an event, or
+     * with `options.occurrence` to one occurrence of a series. `who` must
+     * name exactly one attendee, by name, e-mail address or the part of the
+     * address before the @.
+     */
+    rsvp(eventId, who, status, options = {}) {
+      if (!RSVP_STATUSES.includes(status)) {
+        throw codedError("INVALID_ARGUMENT", `status must be one of: ${RSVP_STATUSES.join(", ")}`);
       }
+      return journaled("rsvp", () => {
+        const existing = storage.findById(eventId);
+        if (!existing) {
+          throw codedError("NOT_FOUND", `Event not found: ${eventId}`);
+        }
+        assertWritableCalendar(existing.calendarId);
+        if (options.occurrence !== undefined && !existing.rrule) {
+          throw codedError("NOT_RECURRING", "Event is not recurring");
+        }
 
-      const updated = storage.update(eventId, normalizedUpdates);
-      return updated;
+        const current = options.occurrence !== undefined
+          ? buildOccurrence(existing, resolveOccurrenceStart(existing, options.occurrence))
+          : existing;
+        const attendees = [...(current.attendees || [])];
+        const index = findAttendee(attendees, who);
+        attendees[index] = { ...attendees[index], status };
+        if (options.occurrence !== undefined) {
+          return editOccurrence(existing, options.occurrence, { attendees });
+        }
+        return storage.update(eventId, { attendees });
+      });
     },
 
     list(filters = {}) {
       return sortByStart(storage.loadAll()).filter((ev) => eventMatchesFilters(ev, filters));
     },
 
-    today(filters = {}) {
-      const now = new Date();
-      const startOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, 0, 0, 0);
-      const endOfDay = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59, 59, 999);
-      return eventsInRange(startOfDay, endOfDay, isoUtc(startOfDay), isoUtc(endOfDay), filters);
+    // Events of the current day in `options.tz` (default: the machine's zone).
+    today(filters = {}, { tz = hostTimeZone() } = {}) {
+      assertTimeZone(tz);
+      const date = todayIn(tz);
+      return eventsInRange(zonedDaysRange(date, date, tz), filters);
     },
 
-    week(filters = {}) {
-      const now = new Date();
-      const day = now.getDay();
-      const diffToMon = day === 0 ? -6 : 1 - day;
-      const monday = new Date(now.getFullYear(), now.getMonth(), now.getDate() + diffToMon, 0, 0, 0, 0);
-      const sunday = new Date(monday);
-      sunday.setDate(sunday.getDate() + 6);
-      sunday.setHours(23, 59, 59, 999);
-      return eventsInRange(monday, sunday, isoUtc(monday), isoUtc(sunday), filters);
+    // Events of the current week, Monday to Sunday, in `options.tz`.
+    week(filters = {}, { tz = hostTimeZone() } = {}) {
+      assertTimeZone(tz);
+      const date = todayIn(tz);
+      const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+      const monday = addDaysToDateKey(date, day === 0 ? -6 : 1 - day);
+      return eventsInRange(zonedDaysRange(monday, addDaysToDateKey(monday, 6), tz), filters);
     },
 
     listRange(fromISO, toISO, filters = {}) {
-      const rangeStart = new Date(fromISO);
-      const rangeEnd = new Date(toISO);
-      return eventsInRange(rangeStart, rangeEnd, fromISO, toISO, filters);
+      return eventsInRange(isoRange(fromISO, toISO), filters);
+    },
+
+    // Stored events, series unexpanded, that have anything in the range.
+    listStoredInRange(fromISO, toISO, filters = {}) {
+      const range = isoRange(fromISO, toISO);
+      const inRange = storage.queryRange(range.start.getTime(), range.end.getTime()).filter((ev) => {
+        if (!ev.rrule) {
+          return overlaps(ev, range);
+        }
+        return expandRecurringIntoEvents(ev, range).some((occ) => overlaps(occ, range));
+      });
+      return sortByStart(inRange).filter((ev) => eventMatchesFilters(ev, filters));
+    },
+
+    /**
+     * Events matching `query` (see parseSearchQuery()) and `filters`, each
+     * once, as { event, next }. For a series `next` is its first occurrence
+     * not over by now (times written in `tz`), or in `from`..`to` when
+     * given, and null if there is none; a series also matches through its changed
+     * occurrences. With `from`/`to`, events with nothing in that range are
+     * left out. Sorted by the start of the event or its next occurrence.
+     */
+    search(query, { from, to, filters = {}, tz = hostTimeZone() } = {}) {
+      assertTimeZone(tz);
+      const terms = parseSearchQuery(query);
+      const limited = from !== undefined;
+      const now = new Date();
+      const range = limited
+        ? isoRange(from, to)
+        : isoRange(formatIsoInTimeZone(now, tz), formatIsoInTimeZone(new Date(now.getTime() + NEXT_OCCURRENCE_HORIZON_DAYS * 86400000), tz));
+
+      const results = [];
+      for (const event of storage.loadAll()) {
+        if (!eventMatchesFilters(event, filters)) {
+          continue;
+        }
+        if (!event.rrule) {
+          if (eventMatchesQuery(event, terms) && (!limited || overlaps(event, range))) {
+            results.push({ event, next: null });
+          }
+          continue;
+        }
+        const changed = Object.keys(event.overrides || {}).map((startKey) => buildOccurrence(event, startKey));
+        if (![event, ...changed].some((candidate) => eventMatchesQuery(candidate, terms))) {
+          continue;
+        }
+        const next = firstOccurrenceIn(event, range, tz);
+        if (next || !limited) {
+          results.push({ event, next });
+        }
+      }
+      return results.sort((a, b) => startSortValue(a.next ?? a.event) - startSortValue(b.next ?? b.event));
+    },
+
+    /**
+     * Overlapping pairs of timed events (occurrences included) in the range,
+     * as { start, end, events: [a, b] } with the shared time. `scope`
+     * ({ calendarIds, participants }) limits which events are compared;
+     * transparent and cancelled events never conflict.
+     */
+    conflicts(fromISO, toISO, scope = {}) {
+      const events = eventsInRange(isoRange(fromISO, toISO))
+        .filter((ev) => blocksTime(ev) && eventMatchesConflictScope(ev, scope));
+      const conflicts = [];
+      for (let i = 0; i < events.length; i++) {
+        const end = instantBounds(events[i]).end;
+        // Sorted by start, so nothing after an event starting past `end` overlaps.
+        for (let j = i + 1; j < events.length && instantBounds(events[j]).start < end; j++) {
+          const overlap = timeOverlap(events[i], events[j]);
+          if (overlap) {
+            conflicts.push({ ...overlap, events: [events[i], events[j]] });
+          }
+        }
+      }
+      return conflicts;
+    },
+
+    /**
+     * Busy blocks in the range: the merged times of events (occurrences
+     * included) matching `filters`, as { start, end, eventIds } clipped to
+     * the range and written in `tz` (default: the host's zone). All-day,
+     * transparent and cancelled events leave their time free.
+     */
+    freeBusy(fromISO, toISO, { tz, filters = {} } = {}) {
+      const query = availabilityRange(fromISO, toISO, tz);
+      return busyIntervals(query.range, filters).map((block) => ({
+        start: formatIsoInTimeZone(new Date(block.start), query.tz),
+        end: formatIsoInTimeZone(new Date(block.end), query.tz),
+        eventIds: block.eventIds,
+      }));
+    },
+
+    /**
+     * Free slots of at least `durationMinutes` in the range, as { start,
+     * end, minutes } in `tz`. `within` ("09:00-17:00") keeps to those hours
+     * of each day in `tz`; `filters` picks the events that count as busy.
+     */
+    freeSlots(fromISO, toISO, { durationMinutes, within, tz, filters = {} } = {}) {
+      if (!Number.isInteger(durationMinutes) || durationMinutes < 1) {
+        throw codedError("INVALID_ARGUMENT", "duration must be a positive number of minutes");
+      }
+      const query = availabilityRange(fromISO, toISO, tz);
+      const fromMs = query.range.start.getTime();
+      const toMs = query.range.end.getTime();
+      const busy = busyIntervals(query.range, filters);
+      const windows = within === undefined
+        ? [{ start: fromMs, end: toMs }]
+        : dailyWindows(fromMs, toMs, parseTimeWindow(within), query.tz);
+
+      return windows
+        .flatMap((window) => gapsBetween(busy, window.start, window.end, durationMinutes * 60000))
+        .map((gap) => ({
+          start: formatIsoInTimeZone(new Date(gap.start), query.tz),
+          end: formatIsoInTimeZone(new Date(gap.end), query.tz),
+          minutes: Math.floor((gap.end - gap.start) / 60000),
+        }));
+    },
+
+    // What `event` (as returned by add or edit) overlaps; series are checked
+    // up to a year ahead.
+    conflictsWith(event, scope = {}) {
+      return conflictsOfEvent(event, scope);
+    },
+
+    /**
+     * The stored event with this id, or with `options.occurrence` (its
+     * original start) one occurrence of a series, as listings show it.
+     */
+    get(eventId, options = {}) {
+      const event = storage.findById(eventId);
+      if (!event) {
+        throw codedError("NOT_FOUND", `Event not found: ${eventId}`);
+      }
+      if (options.occurrence === undefined) {
+        return event;
+      }
+      if (!event.rrule) {
+        throw codedError("NOT_RECURRING", "Event is not recurring");
+      }
+      return buildOccurrence(event, resolveOccurrenceStart(event, options.occurrence));
     },
 
     occurrences(eventId, fromISO, toISO) {
       const event = storage.findById(eventId);
       if (!event) {
-        throw new Error(`Event not found: ${eventId}`);
+        throw codedError("NOT_FOUND", `Event not found: ${eventId}`);
       }
-      if (!event.rrule || !event.tz) {
-        throw new Error("Event is not recurring");
+      if (!event.rrule || (!event.tz && !event.allDay)) {
+        throw codedError("NOT_RECURRING", "Event is not recurring");
       }
 
-      return expandOccurrences({
-        dtStart: event.start,
-        tz: event.tz,
-        rrule: event.rrule,
-        from: fromISO,
-        to: toISO,
-        mode: "wall",
-        exDates: event.exDates || [],
-      });
+      return seriesOccurrenceStarts(event, fromISO, toISO);
     },
 
     skip(eventId, dateISO) {
-      const event = storage.findById(eventId);
-      if (!event) {
-        throw new Error(`Event not found: ${eventId}`);
+      return journaled("skip", () => {
+        const event = storage.findById(eventId);
+        if (!event) {
+          throw codedError("NOT_FOUND", `Event not found: ${eventId}`);
+        }
+        assertWritableCalendar(event.calendarId);
+        if (!event.rrule || (!event.tz && !event.allDay)) {
+          throw codedError("NOT_RECURRING", "Event is not recurring");
+        }
+        if (event.allDay && !isStrictISODate(dateISO)) {
+          throw codedError("INVALID_ARGUMENT", "skip date for an all-day series must be an ISO 8601 date");
+        }
+        if (!event.allDay && !isStrictISODateTimeWithOffset(dateISO)) {
+          throw codedError("INVALID_ARGUMENT", "skip date for a timed series must be an ISO 8601 datetime with offset");
+        }
+        // Spelled the way the series' occurrences are, whatever offset it came in.
+        const startKey = event.allDay ? dateISO : formatIsoInTimeZone(new Date(dateISO), event.tz);
+        const exDates = Array.isArray(event.exDates) ? [...event.exDates] : [];
+        if (!exDates.includes(startKey)) {
+          exDates.push(startKey);
+        }
+
+        const updates = { exDates };
+        if (event.overrides && event.overrides[startKey]) {
+          // A skipped occurrence no longer needs its override.
+          const { [startKey]: _dropped, ...overrides } = event.overrides;
+          updates.overrides = overrides;
+        }
+        return storage.update(eventId, updates);
+      });
+    },
+
+    /**
+     * Reminders that fired in (since, until] and were not acknowledged yet,
+     * oldest first: { id, fireAt, trigger, event } with the event or the
+     * occurrence they belong to. `since` defaults to where the last
+     * acknowledged check ended (or REMINDER_LOOKBACK_HOURS ago), `until` to
+     * now; all-day events start at midnight in `tz`. With `acknowledge`,
+     * the reminders returned are marked delivered and the next check starts
+     * at `until`, so each is returned once. With `starts`, event and
+     * occurrence starts are returned too, with the trigger "start".
+     */
+    dueReminders({ since, until, tz = hostTimeZone(), acknowledge = false, starts = false } = {}) {
+      for (const [name, value] of [["since", since], ["until", until]]) {
+        if (value !== undefined && !isStrictISODateTimeWithOffset(value)) {
+          throw codedError("INVALID_ARGUMENT", `${name} must be a strict ISO 8601 datetime with offset`);
+        }
+      }
+      assertTimeZone(tz);
+      return storage.transaction(() => {
+        const state = loadReminderState();
+        const to = until !== undefined ? new Date(until) : new Date();
+        let from;
+        if (since !== undefined) {
+          from = new Date(since);
+        } else {
+          from = state.lastCheck ? new Date(state.lastCheck) : new Date(to.getTime() - REMINDER_LOOKBACK_HOURS * 3600000);
+        }
+
+        const due = reminderFirings(from.getTime(), to.getTime(), tz, { starts })
+          .filter((firing) => !state.acknowledged[firing.id])
+          .map((firing) => ({
+            id: firing.id,
+            fireAt: formatIsoInTimeZone(new Date(firing.fireMs), firing.event.tz ?? tz),
+            trigger: firing.trigger,
+            event: firing.event,
+          }));
+        if (acknowledge) {
+          saveReminderState(state, due.map((r) => r.id), to);
+        }
+        return { since: formatIsoInTimeZone(from, tz), until: formatIsoInTimeZone(to, tz), reminders: due };
+      });
+    },
+
+    // Marks reminders (by the ids dueReminders() gave them) as delivered.
+    acknowledgeReminders(ids) {
+      return storage.transaction(() => {
+        saveReminderState(loadReminderState(), ids);
+        return ids;
+      });
+    },
+
+    /**
+     * Takes back the acknowledgement of reminders (as dueReminders() gave
+     * them) that could not be delivered, and moves where the next check
+     * starts back before the earliest, so that check returns them again.
+     */
+    releaseReminders(reminders) {
+      if (reminders.length === 0) {
+        return [];
       }
-      if (!event.rrule || !event.tz) {
-        throw new Error("Event is not recurring");
+      if (!reminderLog) {
+        throw codedError("INVALID_ARGUMENT", "This calendar keeps no reminder state");
+      }
+      return storage.transaction(() => {
+        const state = loadReminderState();
+        const acknowledged = { ...state.acknowledged };
+        reminders.forEach((reminder) => delete acknowledged[reminder.id]);
+        // Checks cover (since, until], so start just before the earliest.
+        let lastCheck = new Date(Math.min(...reminders.map((reminder) => new Date(reminder.fireAt).getTime())) - 1);
+        if (state.lastCheck !== null && new Date(state.lastCheck) < lastCheck) {
+          lastCheck = new Date(state.lastCheck);
+        }
+        reminderLog.save({ lastCheck: lastCheck.toISOString(), acknowledged });
+        return reminders.map((reminder) => reminder.id);
+      });
+    },
+
+    /**
+     * Every calendar: registered ones with their metadata, then ids that
+     * events use without being registered (and "default" for events in no
+     * calendar). Each has `registered` and its number of events.
+     */
+    listCalendars() {
+      const counts = new Map();
+      for (const event of storage.loadAll()) {
+        const id = isDefaultCalendarEvent(event) ? "default" : event.calendarId;
+        counts.set(id, (counts.get(id) ?? 0) + 1);
+      }
+      const registered = loadCalendars().map((entry) => ({ ...entry, registered: true, eventCount: counts.get(entry.id) ?? 0 }));
+      const known = new Set(registered.map((entry) => entry.id));
+      const unregistered = [...counts.keys()]
+        .filter((id) => !known.has(id))
+        .sort((a, b) => (a === "default") - (b === "default") || a.localeCompare(b))
+        .map((id) => ({ id, registered: false, eventCount: counts.get(id) }));
+      return [...registered, ...unregistered];
+    },
+
+    getCalendar(calendarId) {
+      return calendarEntry(calendarId);
+    },
+
+    /**
+     * Register a calendar: `id` plus optional name, color, tz, categories
+     * and readOnly. The id may already be in use by events, but must not be
+     * registered yet.
+     */
+    addCalendar({ id, ...fields }) {
+      assertValidCalendarId(id);
+      const calendarId = id.trim();
+      return journaled("calendar-create", () => {
+        const calendars = loadCalendars();
+        if (calendars.some((c) => c.id === calendarId)) {
+          throw codedError("INVALID_ARGUMENT", `Calendar already exists: ${calendarId}`);
+        }
+        const entry = { id: calendarId, ...withCalendarFields({}, fields), createdAt: new Date().toISOString() };
+        saveCalendars([...calendars, entry]);
+        return entry;
+      }, { calendarId });
+    },
+
+    // Change a calendar's metadata; registers an id that is only in use by events.
+    updateCalendar(calendarId, changes) {
+      return journaled("calendar-set", () => {
+        assertKnownCalendar(calendarId);
+        const calendars = loadCalendars();
+        const idx = calendars.findIndex((c) => c.id === calendarId);
+        const current = idx === -1 ? { id: calendarId, createdAt: new Date().toISOString() } : calendars[idx];
+        const entry = withCalendarFields(current, changes);
+        if (idx === -1) {
+          calendars.push(entry);
+        } else {
+          calendars[idx] = entry;
+        }
+        saveCalendars(calendars);
+        return entry;
+      }, { calendarId });
+    },
+
+    /**
+     * Give a calendar a new id, rewriting `calendarId` on all its events
+     * (trashed ones included). Returns { calendar, moved }.
+     */
+    renameCalendar(calendarId, newId) {
+      assertValidCalendarId(newId);
+      const target = newId.trim();
+      return journaled("calendar-rename", () => {
+        assertKnownCalendar(calendarId);
+        if (knownCalendarIds().has(target)) {
+          throw codedError("INVALID_ARGUMENT", `Calendar already exists: ${target}`);
+        }
+        const events = backend.loadAll().filter((event) => event.calendarId === calendarId);
+        storage.saveMany(events.map((event) => ({ ...event, calendarId: target })));
+
+        const calendars = loadCalendars();
+        const entry = calendars.find((c) => c.id === calendarId);
+        if (entry) {
+          entry.id = target;
+          saveCalendars(calendars);
+        }
+        return { calendar: entry ?? null, moved: events.length };
+      }, { calendarId });
+    },
+
+    /**
+     * Remove a calendar. Its events must go somewhere: `moveTo` another
+     * calendar ("default" for none) or, with `cascade`, to the trash. A
+     * calendar that still has events and neither option fails with
+     * CALENDAR_NOT_EMPTY. Returns { moved, trashed }.
+     */
+    removeCalendar(calendarId, { moveTo, cascade = false } = {}) {
+      if (moveTo !== undefined && cascade) {
+        throw codedError("INVALID_ARGUMENT", "moveTo and cascade cannot be combined");
       }
-      const exDates = Array.isArray(event.exDates) ? [...event.exDates] : [];
-      if (!exDates.includes(dateISO)) {
-        exDates.push(dateISO);
+      return journaled("calendar-delete", () => {
+        assertKnownCalendar(calendarId);
+        const events = storage.loadAll().filter((event) => event.calendarId === calendarId);
+        if (events.length > 0 && moveTo === undefined && !cascade) {
+          throw codedError(
+            "CALENDAR_NOT_EMPTY",
+            `Calendar "${calendarId}" has ${events.length} events; move them to another calendar or delete them with it`
+          );
+        }
+
+        if (moveTo !== undefined && events.length > 0) {
+          const target = moveTo.trim();
+          if (target !== "default") {
+            assertValidCalendarId(target);
+            assertWritableCalendar(target);
+          }
+          if (target === calendarId) {
+            throw codedError("INVALID_ARGUMENT", "Cannot move events into the calendar being deleted");
+          }
+          storage.saveMany(events.map(({ calendarId: _old, ...event }) => (
+            target === "default" ? event : { ...event, calendarId: target }
+          )));
+        } else {
+          events.forEach((event) => moveToTrash(event.id));
+        }
+
+        saveCalendars(loadCalendars().filter((c) => c.id !== calendarId));
+        return { moved: moveTo !== undefined ? events.length : 0, trashed: cascade ? events.length : 0 };
+      }, { calendarId });
+    },
+
+    listTrash() {
+      return trashedEvents();
+    },
+
+    restore(eventId) {
+      return journaled("restore", () => {
+        const { deletedAt: _deletedAt, ...event } = trashedEvent(eventId);
+        storage.saveMany([event]);
+        return event;
+      });
+    },
+
+    /**
+     * Delete trashed events for good: all of them, or with `deletedBefore`
+     * (a Date) only those deleted earlier. Returns the purged events.
+     */
+    purgeTrash({ deletedBefore } = {}) {
+      return journaled("purge", () => {
+        const purged = trashedEvents().filter((event) => !deletedBefore || new Date(event.deletedAt) < deletedBefore);
+        for (const event of purged) {
+          storage.remove(event.id);
+        }
+        return purged;
+      });
+    },
+
+    /**
+     * Roll back the most recent change that has not been undone yet, or
+     * with `redo` re-apply the most recently undone one. Fails with
+     * UNDO_CONFLICT if an affected event was changed in the meantime.
+     * Returns the journal entry that was undone or redone.
+     */
+    undo() {
+      return undoOrRedo("undo");
+    },
+
+    redo() {
+      return undoOrRedo("redo");
+    },
+
+    // Journal entries, newest first, each marked `undone` if it currently is.
+    history({ limit } = {}) {
+      if (!journal) {
+        return [];
       }
-      return storage.update(eventId, { exDates });
+      const undone = new Set(journal.stacks().redo.map((entry) => entry.seq));
+      const entries = journal.entries().reverse().map((entry) => ({ ...entry, undone: undone.has(entry.seq) }));
+      return limit === undefined ? entries : entries.slice(0, limit);
+    },
+
+    // Upgrades the data file to the current schema; see storage.migrate.
+    migrate(options = {}) {
+      return storage.migrate(options);
     },
   };
 }
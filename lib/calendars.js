@@ -0,0 +1,76 @@
+import fs from "node:fs";
+import path from "node:path";
+import { isValidTimeZone } from "./recurrence.js";
+import { writeFileAtomic } from "./storage.js";
+
+const REGISTRY_FILE = "calendars.json";
+const REGISTRY_VERSION = 1;
+
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+/**
+ * The calendar registry: calendars.json next to the events. Each entry
+ * describes one calendar by the `calendarId` its events carry:
+ *
+ *   { id, name?, color?, tz?, categories?, readOnly?, createdAt }
+ *
+ * `tz` and `categories` are defaults for events added to the calendar. Ids
+ * used by events need not be registered; such calendars simply have no
+ * metadata. Callers write the registry once the events of the same change
+ * are committed (see the storage adapters' transaction onCommit).
+ */
+export function createCalendarRegistry(dataDir) {
+  const filePath = path.join(dataDir, REGISTRY_FILE);
+
+  return {
+    file: filePath,
+
+    load() {
+      if (!fs.existsSync(filePath)) {
+        return [];
+      }
+      return JSON.parse(fs.readFileSync(filePath, "utf-8")).calendars;
+    },
+
+    save(calendars) {
+      fs.mkdirSync(dataDir, { recursive: true });
+      writeFileAtomic(filePath, JSON.stringify({ version: REGISTRY_VERSION, calendars }, null, 2));
+    },
+  };
+}
+
+export function validateCalendarId(id) {
+  if (typeof id !== "string" || id.trim() === "") {
+    return ["calendar id must be a non-empty string"];
+  }
+  if (id.trim().toLowerCase() === "default") {
+    return ['calendar id "default" is reserved'];
+  }
+  if (/[\s,]/.test(id.trim())) {
+    return ["calendar id must not contain spaces or commas"];
+  }
+  return [];
+}
+
+// Checks the metadata fields present in `fields`; undefined means "unset".
+export function validateCalendarFields(fields) {
+  const errors = [];
+  if (fields.name !== undefined && (typeof fields.name !== "string" || fields.name.trim() === "")) {
+    errors.push("name must be a non-empty string");
+  }
+  if (fields.color !== undefined && (typeof fields.color !== "string" || !COLOR_PATTERN.test(fields.color))) {
+    errors.push("color must be a hex color like #3366ff");
+  }
+  if (fields.tz !== undefined && (typeof fields.tz !== "string" || !isValidTimeZone(fields.tz))) {
+    errors.push("tz must be an IANA time zone");
+  }
+  if (fields.categories !== undefined) {
+    if (!Array.isArray(fields.categories) || fields.categories.some((c) => typeof c !== "string" || c.trim() === "")) {
+      errors.push("categories must be an array of non-empty strings");
+    }
+  }
+  if (fields.readOnly !== undefined && typeof fields.readOnly !== "boolean") {
+    errors.push("readOnly must be a boolean");
+  }
+  return errors;
+}
@@ -0,0 +1,140 @@
+import { codedError } from "./errors.js";
+import { isStrictISODate, normalizeDateTime } from "./event.js";
+import { formatIsoInTimeZone, hostTimeZone, localToIsoInTimeZone, shiftWallClock } from "./recurrence.js";
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+// Units of relative inputs ("+2h", "in 3 days"), in minutes.
+const UNIT_MINUTES = {
+  m: 1, min: 1, mins: 1, minute: 1, minutes: 1,
+  h: 60, hr: 60, hrs: 60, hour: 60, hours: 60,
+  d: 1440, day: 1440, days: 1440,
+  w: 10080, wk: 10080, week: 10080, weeks: 10080,
+};
+
+// Written with an offset or Z: an absolute datetime that event validation checks.
+const ABSOLUTE = /^\d{4}-\d{2}-\d{2}T[\d:.]+(?:Z|[+-]\d{2}:\d{2})$/;
+
+const RELATIVE = /^(?:([+-])|in )(\d+) ?([a-z]+)$/;
+
+// A time of day at the end of the input, after a space, "at" or the T of an ISO date.
+const TRAILING_TIME = /(?:^|\s|(?<=^\d{4}-\d{2}-\d{2})t)(?:at\s+)?(\d{1,2}(?::\d{2}){0,2}\s*(?:am|pm)?|noon|midnight)$/;
+
+const EXAMPLES = '"tomorrow 15:00", "next fri 9am", "+2h", "in 3 days" or "2026-03-10 10:00"';
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function addDays(dateKey, days) {
+  const dt = new Date(`${dateKey}T00:00:00Z`);
+  dt.setUTCDate(dt.getUTCDate() + days);
+  return dt.toISOString().slice(0, 10);
+}
+
+function weekdayOf(dateKey) {
+  return new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+}
+
+// "15:00", "9am", "9:30pm", "noon" -> "HH:MM:SS", or null. A bare number is not a time.
+function parseTime(text) {
+  if (text === "noon") return "12:00:00";
+  if (text === "midnight") return "00:00:00";
+  const match = text.match(/^(\d{1,2})(?::(\d{2}))?(?::(\d{2}))?\s*(am|pm)?$/);
+  if (!match || (match[2] === undefined && match[4] === undefined)) {
+    return null;
+  }
+  let hour = Number(match[1]);
+  const minute = Number(match[2] ?? 0);
+  const second = Number(match[3] ?? 0);
+  if (match[4] !== undefined) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (match[4] === "pm" ? 12 : 0);
+  }
+  if (hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+  return `${pad2(hour)}:${pad2(minute)}:${pad2(second)}`;
+}
+
+// "today", "tomorrow", "fri", "next friday", "2026-03-10" -> "YYYY-MM-DD", or null.
+function parseDay(text, today) {
+  if (text === "" || text === "today") return today;
+  if (text === "tomorrow") return addDays(today, 1);
+  if (text === "yesterday") return addDays(today, -1);
+  if (isStrictISODate(text)) return text;
+
+  const match = text.match(/^(?:(this|next) )?([a-z]+)$/);
+  const weekday = match && match[2].length >= 3 ? WEEKDAYS.findIndex((name) => name.startsWith(match[2])) : -1;
+  if (weekday === -1) {
+    return null;
+  }
+  // "fri" is today if it is Friday; "next fri" is always a later day.
+  const ahead = (weekday - weekdayOf(today) + 7) % 7;
+  return addDays(today, ahead === 0 && match[1] === "next" ? 7 : ahead);
+}
+
+/**
+ * Read a datetime as people type it, in the IANA zone `tz` (the host's by
+ * default), relative to `now`:
+ *
+ *   2026-03-10T10:00:00+01:00   taken as written (datetimes with an offset or Z)
+ *   2026-03-10 10:00            a wall-clock time in tz
+ *   tomorrow 15:00, fri 9am     today/tomorrow/yesterday or a weekday, at a time
+ *   next fri                    a weekday after today, at midnight
+ *   15:00, noon                 today at that time
+ *   now, +2h, -30m, in 3 days   from now; days and weeks keep the clock time
+ *
+ * Returns the canonical ISO datetime in tz's offset (or, for input with an
+ * offset, normalized as written). Throws INVALID_ARGUMENT for anything else.
+ */
+export function resolveDateTime(input, { tz = hostTimeZone(), now = new Date() } = {}) {
+  const raw = String(input).trim();
+  if (ABSOLUTE.test(raw)) {
+    return normalizeDateTime(raw);
+  }
+
+  const text = raw.toLowerCase().replace(/\s+/g, " ");
+  const current = formatIsoInTimeZone(now, tz);
+  if (text === "now") {
+    return current;
+  }
+
+  const relative = text.match(RELATIVE);
+  if (relative && UNIT_MINUTES[relative[3]] !== undefined) {
+    const minutes = Number(relative[2]) * UNIT_MINUTES[relative[3]] * (relative[1] === "-" ? -1 : 1);
+    // Hours and minutes are elapsed time; days and weeks move the calendar.
+    return UNIT_MINUTES[relative[3]] >= UNIT_MINUTES.d
+      ? shiftWallClock(current, tz, minutes)
+      : formatIsoInTimeZone(new Date(now.getTime() + minutes * 60000), tz);
+  }
+
+  const timeMatch = text.match(TRAILING_TIME);
+  const time = timeMatch ? parseTime(timeMatch[1]) : "00:00:00";
+  const day = parseDay(timeMatch ? text.slice(0, timeMatch.index).trim() : text, current.slice(0, 10));
+  if (text === "" || time === null || day === null) {
+    throw codedError("INVALID_ARGUMENT", `cannot read "${raw}" as a date and time (try ${EXAMPLES})`);
+  }
+  return localToIsoInTimeZone(`${day}T${time}`, tz);
+}
+
+/**
+ * Read a calendar date the same way (e.g. "tomorrow", "next fri",
+ * "2026-03-10"): the day resolveDateTime() lands on, as YYYY-MM-DD.
+ */
+export function resolveDate(input, options = {}) {
+  const raw = String(input).trim();
+  if (isStrictISODate(raw)) {
+    return raw;
+  }
+  return resolveDateTime(raw, options).slice(0, 10);
+}
+
+/**
+ * Whether `input` names a time of day or an exact instant, as opposed to
+ * only a day ("tomorrow", "next fri", "2026-03-10").
+ */
+export function includesTime(input) {
+  const text = String(input).trim().toLowerCase().replace(/\s+/g, " ");
+  return ABSOLUTE.test(String(input).trim()) || text === "now" || RELATIVE.test(text) || TRAILING_TIME.test(text);
+}
@@ -0,0 +1,9 @@
+/**
+ * An Error carrying a stable `code` (the way Node's own errors do) so callers
+ * can tell failures apart without matching on the message.
+ */
+export function codedError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
@@ -1,7 +1,95 @@
 import { randomUUID } from "node:crypto";
+import { countFitsExpansion } from "./recurrence.js";
 
-// Regex: ISO 8601 datetime with mandatory timezone offset (e.g. +01:00 or -05:00 or +00:00)
-const ISO_WITH_OFFSET = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}[+-]\d{2}:\d{2}$/;
+// Regex: ISO 8601 datetime with mandatory timezone offset (e.g. +01:00, -05:00 or Z).
+// Seconds and fractional seconds are optional: 10:00Z, 10:00:00.000+01:00.
+const ISO_WITH_OFFSET = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/;
+
+// Regex: ISO 8601 calendar date without a time (e.g. 2026-05-15), used by all-day events
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// A reminder (like an iCalendar VALARM) fires `offsetMinutes` after the
+// start (negative: before it) or at a fixed time `at`.
+function isValidReminder(reminder) {
+  if (reminder === null || typeof reminder !== "object" || Object.keys(reminder).length !== 1) {
+    return false;
+  }
+  return reminder.at !== undefined
+    ? isStrictISODateTimeWithOffset(reminder.at)
+    : Number.isInteger(reminder.offsetMinutes);
+}
+
+// Attendees (like iCalendar ATTENDEE) are people, known by a `name`, an
+// `email` or both, with whether they are needed (`role`) and their answer
+// (`status`). The organizer is a person without role or status.
+export const ATTENDEE_ROLES = ["required", "optional"];
+export const RSVP_STATUSES = ["needs-action", "accepted", "declined", "tentative"];
+
+const EMAIL_ADDRESS = /^[^\s@<>,;:]+@[^\s@<>,;:]+$/;
+
+export function isEmailAddress(text) {
+  return typeof text === "string" && EMAIL_ADDRESS.test(text);
+}
+
+function isValidPerson(person) {
+  if (person === null || typeof person !== "object" || (person.name === undefined && person.email === undefined)) {
+    return false;
+  }
+  const validName = person.name === undefined || (typeof person.name === "string" && person.name.trim() !== "");
+  return validName && (person.email === undefined || isEmailAddress(person.email));
+}
+
+function isValidAttendee(attendee) {
+  return isValidPerson(attendee) && ATTENDEE_ROLES.includes(attendee.role) && RSVP_STATUSES.includes(attendee.status);
+}
+
+/**
+ * Events from before attendees carry `participants`, plain names or e-mail
+ * addresses (on the event and on occurrence overrides). Returns `fields`
+ * with them read as required attendees who have not answered; `attendees`
+ * written since take precedence.
+ */
+export function upgradeParticipants(fields) {
+  let upgraded = fields;
+  if (Array.isArray(fields.participants)) {
+    const { participants, ...rest } = fields;
+    upgraded = rest;
+    if (rest.attendees === undefined) {
+      upgraded.attendees = participants
+        .filter((p) => typeof p === "string" && p.trim() !== "")
+        .map((p) => ({ ...(isEmailAddress(p.trim()) ? { email: p.trim() } : { name: p.trim() }), role: "required", status: "needs-action" }));
+    }
+  }
+  const overrides = upgraded.overrides;
+  if (overrides && Object.values(overrides).some((override) => override.participants !== undefined)) {
+    upgraded = {
+      ...upgraded,
+      overrides: Object.fromEntries(Object.entries(overrides).map(([key, override]) => [key, upgradeParticipants(override)])),
+    };
+  }
+  return upgraded;
+}
+
+// A link such as a video call, as an absolute URL with a scheme.
+export function isAbsoluteUrl(text) {
+  if (typeof text !== "string" || /\s/.test(text)) {
+    return false;
+  }
+  try {
+    return new URL(text).protocol.length > 1;
+  } catch {
+    return false;
+  }
+}
+
+// Whether an event blocks time (RFC 5545 TRANSP). Opaque is the default;
+// transparent ("FYI") events leave their time free.
+export const TRANSPARENCY_VALUES = ["opaque", "transparent"];
+
+// Whether an event is going ahead (RFC 5545 STATUS). Confirmed is the
+// default; a tentative event is a hold, and a cancelled one is kept but no
+// longer takes up time.
+export const EVENT_STATUSES = ["confirmed", "tentative", "cancelled"];
 
 function normalizeCategory(category) {
   return category.trim().toLowerCase();
@@ -14,20 +102,18 @@ function normalizeCategories(categories) {
 }
 
 export function isStrictISODateTimeWithOffset(isoString) {
-  if (typeof isoString !== "string" || !ISO_WITH_OFFSET.test(isoString)) {
+  const match = typeof isoString === "string" ? isoString.match(ISO_WITH_OFFSET) : null;
+  if (!match) {
     return false;
   }
 
-  const year = parseInt(isoString.slice(0, 4), 10);
-  const month = parseInt(isoString.slice(5, 7), 10);
-  const day = parseInt(isoString.slice(8, 10), 10);
-  const hour = parseInt(isoString.slice(11, 13), 10);
-  const minute = parseInt(isoString.slice(14, 16), 10);
-  const second = parseInt(isoString.slice(17, 19), 10);
+  const [year, month, day, hour, minute] = match.slice(1, 6).map((part) => parseInt(part, 10));
+  const second = match[6] === undefined ? 0 : parseInt(match[6], 10);
+  const offset = match[7] === "Z" ? "+00:00" : match[7];
 
-  const offsetSign = isoString.slice(-6, -5);
-  const offsetH = parseInt(isoString.slice(-5, -3), 10);
-  const offsetM = parseInt(isoString.slice(-2), 10);
+  const offsetSign = offset.slice(0, 1);
+  const offsetH = parseInt(offset.slice(1, 3), 10);
+  const offsetM = parseInt(offset.slice(4), 10);
 
   if (offsetH > 23 || offsetM > 59) {
     return false;
@@ -52,17 +138,73 @@ export function isStrictISODateTimeWithOffset(isoString) {
   );
 }
 
+/**
+ * The canonical spelling of a datetime accepted by
+ * isStrictISODateTimeWithOffset: YYYY-MM-DDTHH:MM:SS±HH:MM in the offset it
+ * was written with, "Z" becoming +00:00 and fractional seconds dropped.
+ * Stored events only hold this form, so their datetimes compare as strings
+ * (exDates, override keys). Other values are returned unchanged.
+ */
+export function normalizeDateTime(isoString) {
+  if (!isStrictISODateTimeWithOffset(isoString)) {
+    return isoString;
+  }
+  const [, year, month, day, hour, minute, second = "00", offset] = isoString.match(ISO_WITH_OFFSET);
+  return `${year}-${month}-${day}T${hour}:${minute}:${second}${offset === "Z" ? "+00:00" : offset}`;
+}
+
+/**
+ * `fields` with the datetimes an event stores (start, end, exDates, rDates,
+ * reminder times) in canonical form; see normalizeDateTime. All-day dates
+ * pass through.
+ */
+export function normalizeEventDateTimes(fields) {
+  const normalized = { ...fields };
+  for (const key of ["start", "end"]) {
+    if (normalized[key] !== undefined) {
+      normalized[key] = normalizeDateTime(normalized[key]);
+    }
+  }
+  for (const key of ["exDates", "rDates"]) {
+    if (Array.isArray(normalized[key])) {
+      normalized[key] = normalized[key].map((value) => normalizeDateTime(value));
+    }
+  }
+  if (Array.isArray(normalized.reminders)) {
+    normalized.reminders = normalized.reminders.map((r) => (r && r.at !== undefined ? { at: normalizeDateTime(r.at) } : r));
+  }
+  return normalized;
+}
+
+export function isStrictISODate(dateString) {
+  if (typeof dateString !== "string" || !ISO_DATE.test(dateString)) {
+    return false;
+  }
+
+  const year = parseInt(dateString.slice(0, 4), 10);
+  const month = parseInt(dateString.slice(5, 7), 10);
+  const day = parseInt(dateString.slice(8, 10), 10);
+  const parsed = new Date(Date.UTC(year, month - 1, day));
+
+  return (
+    parsed.getUTCFullYear() === year
+    && parsed.getUTCMonth() + 1 === month
+    && parsed.getUTCDate() === day
+  );
+}
+
 /**
  * Parse an ISO 8601 datetime string with timezone offset and add hours.
  * Returns a new ISO 8601 string with the same offset.
  */
-function addHours(isoString, hours) {
-  const offsetSign = isoString.slice(-6, -5);
-  const offsetH = parseInt(isoString.slice(-5, -3), 10);
-  const offsetM = parseInt(isoString.slice(-2), 10);
+export function addHours(isoString, hours) {
+  const iso = normalizeDateTime(isoString);
+  const offsetSign = iso.slice(-6, -5);
+  const offsetH = parseInt(iso.slice(-5, -3), 10);
+  const offsetM = parseInt(iso.slice(-2), 10);
   const offset = `${offsetSign}${String(offsetH).padStart(2, "0")}:${String(offsetM).padStart(2, "0")}`;
 
-  const date = new Date(isoString);
+  const date = new Date(iso);
   date.setTime(date.getTime() + hours * 60 * 60 * 1000);
 
   // Compute the local time components in the original offset
@@ -81,20 +223,41 @@ function addHours(isoString, hours) {
   return `${yyyy}-${mm}-${dd}T${hh}:${min}:${ss}${offset}`;
 }
 
-export function createEvent(obj) {
+function defaultEnd(obj) {
+  // All-day events store an inclusive last day, so a single-day event ends on its start date.
+  return obj.allDay ? obj.start : addHours(obj.start, 1);
+}
+
+export function createEvent(input) {
+  const obj = normalizeEventDateTimes(upgradeParticipants(input));
   const event = {
     id: randomUUID(),
     title: obj.title,
     start: obj.start,
-    end: obj.end !== undefined ? obj.end : addHours(obj.start, 1),
+    end: obj.end !== undefined ? obj.end : defaultEnd(obj),
     createdAt: new Date().toISOString(),
   };
 
+  if (obj.allDay) {
+    event.allDay = true;
+  }
   if (obj.place !== undefined) {
     event.place = obj.place;
   }
-  if (obj.participants !== undefined) {
-    event.participants = obj.participants;
+  if (obj.description !== undefined) {
+    event.description = obj.description;
+  }
+  if (obj.url !== undefined) {
+    event.url = obj.url;
+  }
+  if (obj.notes !== undefined) {
+    event.notes = obj.notes;
+  }
+  if (obj.attendees !== undefined) {
+    event.attendees = obj.attendees;
+  }
+  if (obj.organizer !== undefined) {
+    event.organizer = obj.organizer;
   }
   if (obj.tz !== undefined) {
     event.tz = obj.tz;
@@ -105,12 +268,24 @@ export function createEvent(obj) {
   if (obj.exDates !== undefined) {
     event.exDates = obj.exDates;
   }
+  if (obj.rDates !== undefined) {
+    event.rDates = obj.rDates;
+  }
   if (obj.calendarId !== undefined) {
     event.calendarId = obj.calendarId.trim();
   }
   if (obj.categories !== undefined) {
     event.categories = normalizeCategories(obj.categories);
   }
+  if (obj.transparency !== undefined) {
+    event.transparency = obj.transparency;
+  }
+  if (obj.status !== undefined) {
+    event.status = obj.status;
+  }
+  if (obj.reminders !== undefined) {
+    event.reminders = obj.reminders;
+  }
 
   return event;
 }
@@ -122,14 +297,27 @@ export function validateEvent(obj) {
     errors.push("title is required and must be a non-empty string");
   }
 
+  if (obj.allDay !== undefined && typeof obj.allDay !== "boolean") {
+    errors.push("allDay must be a boolean");
+  }
+
+  const allDay = obj.allDay === true;
+  const isValidStart = allDay ? isStrictISODate : isStrictISODateTimeWithOffset;
+
   if (!obj.start) {
     errors.push("start is required");
-  } else if (!isStrictISODateTimeWithOffset(obj.start)) {
-    errors.push("start is not a valid date");
+  } else if (!isValidStart(obj.start)) {
+    errors.push(allDay ? "start must be a valid ISO 8601 date for all-day events" : "start is not a valid date");
   }
 
   if (obj.end !== undefined) {
-    if (!isStrictISODateTimeWithOffset(obj.end)) {
+    if (allDay) {
+      if (!isStrictISODate(obj.end)) {
+        errors.push("end must be a valid ISO 8601 date for all-day events");
+      } else if (obj.start && isStrictISODate(obj.start) && obj.end < obj.start) {
+        errors.push("end must not be before start");
+      }
+    } else if (!isStrictISODateTimeWithOffset(obj.end)) {
       errors.push("end must be a valid ISO 8601 datetime with timezone offset");
     } else if (obj.start && isStrictISODateTimeWithOffset(obj.start)) {
       if (new Date(obj.end) <= new Date(obj.start)) {
@@ -138,10 +326,30 @@ export function validateEvent(obj) {
     }
   }
 
+  for (const key of ["description", "notes"]) {
+    if (obj[key] !== undefined && typeof obj[key] !== "string") {
+      errors.push(`${key} must be a string`);
+    }
+  }
+
+  if (obj.url !== undefined && !isAbsoluteUrl(obj.url)) {
+    errors.push("url must be an absolute URL (e.g. https://example.com/meeting)");
+  }
+
   if (obj.participants !== undefined && !Array.isArray(obj.participants)) {
     errors.push("participants must be an array");
   }
 
+  if (obj.attendees !== undefined && (!Array.isArray(obj.attendees) || !obj.attendees.every(isValidAttendee))) {
+    errors.push(
+      `attendees must be an array of { name and/or email, role (${ATTENDEE_ROLES.join(", ")}), status (${RSVP_STATUSES.join(", ")}) }`
+    );
+  }
+
+  if (obj.organizer !== undefined && !isValidPerson(obj.organizer)) {
+    errors.push("organizer must be { name and/or email }");
+  }
+
   if (obj.tz !== undefined && (typeof obj.tz !== "string" || obj.tz.trim() === "")) {
     errors.push("tz must be a non-empty string");
   }
@@ -149,8 +357,10 @@ export function validateEvent(obj) {
   if (obj.rrule !== undefined) {
     if (typeof obj.rrule !== "string" || obj.rrule.trim() === "") {
       errors.push("rrule must be a non-empty string");
+    } else if (obj.start && isValidStart(obj.start) && !countFitsExpansion(normalizeDateTime(obj.start), obj.rrule)) {
+      errors.push("rrule COUNT reaches further ahead than can be expanded; use UNTIL instead");
     }
-    if (!obj.tz) {
+    if (!obj.tz && !allDay) {
       errors.push("tz is required for recurring events");
     }
   }
@@ -159,6 +369,16 @@ export function validateEvent(obj) {
     errors.push("exDates must be an array");
   }
 
+  if (obj.rDates !== undefined) {
+    if (!Array.isArray(obj.rDates)) {
+      errors.push("rDates must be an array");
+    } else if (obj.rDates.some((d) => !isValidStart(d))) {
+      errors.push(allDay ? "rDates entries must be ISO 8601 dates" : "rDates entries must be ISO 8601 datetimes with offset");
+    } else if (obj.rrule === undefined) {
+      errors.push("rDates require an rrule");
+    }
+  }
+
   if (obj.calendarId !== undefined) {
     if (typeof obj.calendarId !== "string" || obj.calendarId.trim() === "") {
       errors.push("calendarId must be a non-empty string");
@@ -178,5 +398,17 @@ export function validateEvent(obj) {
     }
   }
 
+  if (obj.reminders !== undefined && (!Array.isArray(obj.reminders) || !obj.reminders.every(isValidReminder))) {
+    errors.push("reminders must be an array of { offsetMinutes } (whole minutes) or { at } (ISO 8601 datetime with offset)");
+  }
+
+  if (obj.transparency !== undefined && !TRANSPARENCY_VALUES.includes(obj.transparency)) {
+    errors.push(`transparency must be one of: ${TRANSPARENCY_VALUES.join(", ")}`);
+  }
+
+  if (obj.status !== undefined && !EVENT_STATUSES.includes(obj.status)) {
+    errors.push(`status must be one of: ${EVENT_STATUSES.join(", ")}`);
+  }
+
   return { valid: errors.length === 0, errors };
 }
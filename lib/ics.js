@@ -0,0 +1,963 @@
+import { codedError } from "./errors.js";
+import { addHours, isAbsoluteUrl, isEmailAddress, isStrictISODate, upgradeParticipants } from "./event.js";
+import {
+  formatIsoInTimeZone,
+  getRRulePart,
+  isValidTimeZone,
+  localToIsoInTimeZone,
+  parseUntil,
+  setRRuleParts,
+  shiftWallClock,
+  timeZoneOffsetMinutes,
+} from "./recurrence.js";
+
+// VEVENT properties that map onto the event shape.
+const MAPPED_PROPERTIES = new Set([
+  "UID",
+  "SUMMARY",
+  "DTSTART",
+  "DTEND",
+  "DURATION",
+  "RRULE",
+  "EXDATE",
+  "RDATE",
+  "LOCATION",
+  "DESCRIPTION",
+  "URL",
+  "COMMENT",
+  "ATTENDEE",
+  "ORGANIZER",
+  "CATEGORIES",
+  "TRANSP",
+  "STATUS",
+  "RECURRENCE-ID",
+]);
+
+// Bookkeeping properties with nothing worth keeping; dropped without a report.
+const IGNORED_PROPERTIES = new Set(["DTSTAMP", "SEQUENCE", "CREATED", "LAST-MODIFIED"]);
+
+// A single recurring instance with no series around it, so COUNT=1 yields
+// just DTSTART and extra dates (RDATE) can be attached to it.
+const SINGLE_OCCURRENCE_RULE = "FREQ=DAILY;COUNT=1";
+
+const PRODUCT_ID = "-//clawendar//clawendar//EN";
+
+// Placeholder address for attendees known only by name (as Thunderbird writes them).
+const NO_ADDRESS = "invalid:nomail";
+
+// ATTENDEE ROLE and PARTSTAT values, both ways. Chairs count as required and
+// non-participants (people copied for information) as optional; answers
+// without a match here (e.g. DELEGATED) read as not answered yet.
+const ROLES_FROM_ICS = { "REQ-PARTICIPANT": "required", CHAIR: "required", "OPT-PARTICIPANT": "optional", "NON-PARTICIPANT": "optional" };
+const STATUSES_FROM_ICS = { "NEEDS-ACTION": "needs-action", ACCEPTED: "accepted", DECLINED: "declined", TENTATIVE: "tentative" };
+const STATUSES_TO_ICS = { accepted: "ACCEPTED", declined: "DECLINED", tentative: "TENTATIVE" };
+const EVENT_STATUSES_FROM_ICS = { CONFIRMED: "confirmed", TENTATIVE: "tentative", CANCELLED: "cancelled" };
+
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+const DATE_VALUE = /^(\d{4})(\d{2})(\d{2})$/;
+const DATE_TIME_VALUE = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/;
+const DURATION_VALUE = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/;
+
+function unfoldLines(text) {
+  return text
+    .replace(/^\uFEFF/, "")
+    .replace(/\r?\n[ \t]/g, "")
+    .split(/\r?\n/)
+    .filter((line) => line.trim() !== "");
+}
+
+// name *(";" param) ":" value, where quoted parameter values may contain ":" and ";".
+function parseContentLine(line, lineNumber) {
+  const segments = [];
+  let segmentStart = 0;
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (ch === ";" || ch === ":")) {
+      segments.push(line.slice(segmentStart, i));
+      segmentStart = i + 1;
+      if (ch === ":") {
+        colon = i;
+        break;
+      }
+    }
+  }
+  if (colon === -1 || !segments[0]) {
+    throw codedError("INVALID_ICALENDAR", `Invalid iCalendar line ${lineNumber}: ${line}`);
+  }
+
+  const [name, ...rawParams] = segments;
+  const params = {};
+  for (const rawParam of rawParams) {
+    const eq = rawParam.indexOf("=");
+    if (eq === -1) continue;
+    params[rawParam.slice(0, eq).toUpperCase()] = rawParam.slice(eq + 1).replace(/^"(.*)"$/, "$1");
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+function parseComponents(text) {
+  const root = { name: "", properties: [], components: [] };
+  const stack = [root];
+  unfoldLines(text).forEach((line, idx) => {
+    const prop = parseContentLine(line, idx + 1);
+    const current = stack[stack.length - 1];
+    if (prop.name === "BEGIN") {
+      const component = { name: prop.value.trim().toUpperCase(), properties: [], components: [] };
+      current.components.push(component);
+      stack.push(component);
+    } else if (prop.name === "END") {
+      if (stack.length === 1 || current.name !== prop.value.trim().toUpperCase()) {
+        throw codedError("INVALID_ICALENDAR", `Unexpected END:${prop.value.trim()} in iCalendar data`);
+      }
+      stack.pop();
+    } else {
+      current.properties.push(prop);
+    }
+  });
+  if (stack.length > 1) {
+    throw codedError("INVALID_ICALENDAR", `Missing END:${stack[stack.length - 1].name} in iCalendar data`);
+  }
+  return root.components;
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, ch) => (ch === "n" || ch === "N" ? "\n" : ch));
+}
+
+// Splits a TEXT list on commas that are not escaped.
+function splitTextList(value) {
+  const items = [];
+  let current = "";
+  for (let i = 0; i < value.length; i++) {
+    if (value[i] === "\\" && i + 1 < value.length) {
+      current += value[i] + value[i + 1];
+      i++;
+    } else if (value[i] === ",") {
+      items.push(current);
+      current = "";
+    } else {
+      current += value[i];
+    }
+  }
+  items.push(current);
+  return items.map((item) => unescapeText(item).trim()).filter(Boolean);
+}
+
+function firstProp(component, name) {
+  return component.properties.find((p) => p.name === name);
+}
+
+function allProps(component, name) {
+  return component.properties.filter((p) => p.name === name);
+}
+
+function textProp(component, name) {
+  const prop = firstProp(component, name);
+  return prop ? unescapeText(prop.value).trim() : undefined;
+}
+
+function addDaysToDate(date, days) {
+  const dt = new Date(`${date}T00:00:00Z`);
+  dt.setUTCDate(dt.getUTCDate() + days);
+  return dt.toISOString().slice(0, 10);
+}
+
+// Maps a TZID onto an IANA zone: the TZID itself, the zone named by its
+// VTIMEZONE (X-LIC-LOCATION), or the tail of a prefixed id such as
+// "/mozilla.org/20050126_1/Europe/Berlin".
+function createTimeZoneResolver(vcalendar) {
+  const locations = new Map();
+  for (const vtimezone of vcalendar.components.filter((c) => c.name === "VTIMEZONE")) {
+    const tzid = textProp(vtimezone, "TZID");
+    const location = textProp(vtimezone, "X-LIC-LOCATION");
+    if (tzid && location) {
+      locations.set(tzid, location);
+    }
+  }
+
+  return (tzid) => {
+    const parts = tzid.split("/").filter(Boolean);
+    const candidates = [tzid, locations.get(tzid), parts.slice(-3).join("/"), parts.slice(-2).join("/")];
+    const zone = candidates.find((c) => c && isValidTimeZone(c));
+    if (!zone) {
+      throw new Error(`unknown time zone "${tzid}"`);
+    }
+    return zone;
+  };
+}
+
+/**
+ * Read a DATE or DATE-TIME value. Dates come back as { date }, times as
+ * { iso, tz } with the zone they were written in (no tz for UTC times).
+ * Floating times are read in `ctx.floatingTz`.
+ */
+function parseDateValue(value, params, ctx) {
+  const raw = value.trim();
+  const dateMatch = raw.match(DATE_VALUE);
+  const timeMatch = raw.match(DATE_TIME_VALUE);
+  const match = dateMatch || timeMatch;
+  const date = match && `${match[1]}-${match[2]}-${match[3]}`;
+  if (!match || !isStrictISODate(date)) {
+    throw new Error(`invalid date value "${raw}"`);
+  }
+  if (dateMatch) {
+    return { date };
+  }
+
+  const [, , , , hh, mm, ss, utc] = timeMatch;
+  if (Number(hh) > 23 || Number(mm) > 59 || Number(ss) > 60) {
+    throw new Error(`invalid date value "${raw}"`);
+  }
+  // A leap second is read as the last second of its minute.
+  const local = `${date}T${hh}:${mm}:${ss === "60" ? "59" : ss}`;
+  if (utc) {
+    return { iso: `${local}+00:00` };
+  }
+  const tz = params.TZID ? ctx.resolveTimeZone(params.TZID) : ctx.floatingTz;
+  return { iso: localToIsoInTimeZone(local, tz), tz };
+}
+
+function parseDuration(value) {
+  const m = value.trim().match(DURATION_VALUE);
+  if (!m || value.trim() === "P" || value.trim().endsWith("T")) {
+    throw new Error(`invalid DURATION "${value}"`);
+  }
+  const [, sign, weeks, days, hours, minutes, seconds] = m;
+  if (sign === "-") {
+    throw new Error(`negative DURATION "${value}"`);
+  }
+  return {
+    days: Number(weeks || 0) * 7 + Number(days || 0),
+    seconds: Number(hours || 0) * 3600 + Number(minutes || 0) * 60 + Number(seconds || 0),
+  };
+}
+
+// End of an event starting at `start` (a parsed DTSTART). All-day ends are
+// the inclusive last day, where iCalendar's DTEND is exclusive. Returns
+// undefined for a timed event without a length.
+function parseEnd(component, start, ctx) {
+  const dtend = firstProp(component, "DTEND");
+  const duration = firstProp(component, "DURATION");
+
+  if (dtend) {
+    const end = parseDateValue(dtend.value, dtend.params, ctx);
+    if ((end.date === undefined) !== (start.date === undefined)) {
+      throw new Error("DTSTART and DTEND must both be dates or both be date-times");
+    }
+    if (start.date !== undefined) {
+      return end.date > start.date ? addDaysToDate(end.date, -1) : start.date;
+    }
+    return new Date(end.iso) > new Date(start.iso) ? end.iso : undefined;
+  }
+
+  if (duration) {
+    const { days, seconds } = parseDuration(duration.value);
+    if (start.date !== undefined) {
+      const totalDays = days + Math.floor(seconds / 86400);
+      return totalDays > 0 ? addDaysToDate(start.date, totalDays - 1) : start.date;
+    }
+    if (days === 0 && seconds === 0) {
+      return undefined;
+    }
+    // Days are nominal (same clock time), the rest is exact time.
+    const afterDays = days > 0 ? shiftWallClock(start.iso, start.tz || "UTC", days * 1440) : start.iso;
+    return addHours(afterDays, seconds / 3600);
+  }
+
+  return start.date;
+}
+
+// The key of an occurrence (as stored in exDates/overrides/rDates) for a
+// DATE or DATE-TIME value pointing at it.
+function occurrenceKey(value, series) {
+  if (series.allDay) {
+    return value.date !== undefined ? value.date : value.iso.slice(0, 10);
+  }
+  if (value.date !== undefined) {
+    throw new Error(`date "${value.date}" does not name an occurrence of a timed series`);
+  }
+  return formatIsoInTimeZone(new Date(value.iso), series.seriesTz);
+}
+
+function dateListKeys(props, series, ctx) {
+  return props.flatMap((prop) =>
+    prop.value.split(",").map((v) => {
+      // PERIOD values ("start/end" or "start/duration") contribute their start.
+      const value = parseDateValue(v.split("/")[0], prop.params, ctx);
+      return occurrenceKey(value, series);
+    })
+  );
+}
+
+// { name?, email? } from a CN and a mailto: address, or null if neither is usable.
+function personOf(prop) {
+  const person = {};
+  const name = (prop.params.CN || "").trim();
+  const address = prop.value.trim().replace(/^mailto:/i, "");
+  if (name) {
+    person.name = name;
+  }
+  if (isEmailAddress(address)) {
+    person.email = address;
+  }
+  return name || person.email ? person : null;
+}
+
+function attendeesOf(component) {
+  return allProps(component, "ATTENDEE").flatMap((prop) => {
+    const person = personOf(prop);
+    if (!person) {
+      return [];
+    }
+    const role = ROLES_FROM_ICS[(prop.params.ROLE || "").toUpperCase()] || "required";
+    const status = STATUSES_FROM_ICS[(prop.params.PARTSTAT || "").toUpperCase()] || "needs-action";
+    return [{ ...person, role, status }];
+  });
+}
+
+function organizerOf(component) {
+  const prop = firstProp(component, "ORGANIZER");
+  return prop ? personOf(prop) : null;
+}
+
+// DESCRIPTION, URL and COMMENT, which become the notes (one line each).
+function textDetailsOf(component, warn) {
+  const details = {};
+  const description = textProp(component, "DESCRIPTION");
+  if (description) {
+    details.description = description;
+  }
+  const url = firstProp(component, "URL");
+  if (url) {
+    if (isAbsoluteUrl(url.value.trim())) {
+      details.url = url.value.trim();
+    } else {
+      warn(`has a URL that is not absolute (${url.value.trim()}); dropped`);
+    }
+  }
+  const comments = allProps(component, "COMMENT").map((prop) => unescapeText(prop.value).trim()).filter(Boolean);
+  if (comments.length > 0) {
+    details.notes = comments.join("\n");
+  }
+  return details;
+}
+
+function categoriesOf(component) {
+  return allProps(component, "CATEGORIES").flatMap((p) => splitTextList(p.value));
+}
+
+function labelOf(component) {
+  const title = textProp(component, "SUMMARY") || "(no title)";
+  const uid = textProp(component, "UID");
+  return uid ? `"${title}" (${uid})` : `"${title}"`;
+}
+
+// Counts, per property or sub-component name, the events carrying data the
+// event shape has no place for.
+function noteDropped(component, dropped) {
+  const names = new Set();
+  for (const prop of component.properties) {
+    if (MAPPED_PROPERTIES.has(prop.name) || IGNORED_PROPERTIES.has(prop.name) || prop.name.startsWith("X-")) {
+      continue;
+    }
+    names.add(prop.name);
+  }
+  for (const sub of component.components) {
+    if (sub.name !== "VALARM") {
+      names.add(sub.name);
+    }
+  }
+  for (const name of names) {
+    dropped[name] = (dropped[name] || 0) + 1;
+  }
+}
+
+// Reminders from the VALARMs of an event: TRIGGER offsets from the start
+// ({ offsetMinutes }) or fixed times ({ at }). Triggers relative to the end
+// have no equivalent and are dropped.
+function remindersOf(component, ctx, warn) {
+  const reminders = [];
+  for (const alarm of component.components.filter((c) => c.name === "VALARM")) {
+    const trigger = firstProp(alarm, "TRIGGER");
+    try {
+      if (!trigger) {
+        throw new Error("reminder without TRIGGER");
+      }
+      if ((trigger.params.VALUE || "").toUpperCase() === "DATE-TIME") {
+        const { iso } = parseDateValue(trigger.value, trigger.params, ctx);
+        if (iso === undefined) {
+          throw new Error(`invalid TRIGGER "${trigger.value.trim()}"`);
+        }
+        reminders.push({ at: iso });
+      } else if ((trigger.params.RELATED || "START").toUpperCase() !== "START") {
+        warn("has a reminder relative to its end; dropped");
+      } else {
+        const value = trigger.value.trim();
+        const { days, seconds } = parseDuration(value.replace(/^[+-]/, ""));
+        const minutes = days * 1440 + Math.round(seconds / 60);
+        reminders.push({ offsetMinutes: value.startsWith("-") && minutes !== 0 ? -minutes : minutes });
+      }
+    } catch (err) {
+      warn(`${err.message}; reminder dropped`);
+    }
+  }
+  return reminders;
+}
+
+function statusOf(component) {
+  return EVENT_STATUSES_FROM_ICS[(textProp(component, "STATUS") || "").toUpperCase()];
+}
+
+function mapSeries(vevent, ctx, warn) {
+  const dtstart = firstProp(vevent, "DTSTART");
+  if (!dtstart) {
+    throw new Error("missing DTSTART");
+  }
+  const start = parseDateValue(dtstart.value, dtstart.params, ctx);
+  const allDay = start.date !== undefined;
+  const series = { allDay, seriesTz: start.tz || "UTC" };
+
+  const entry = {
+    uid: textProp(vevent, "UID"),
+    title: textProp(vevent, "SUMMARY") || "(no title)",
+    start: allDay ? start.date : start.iso,
+  };
+  const end = parseEnd(vevent, start, ctx);
+  if (end !== undefined) {
+    entry.end = end;
+  } else {
+    warn("has no duration; given one hour");
+  }
+  if (allDay) {
+    entry.allDay = true;
+  }
+
+  const location = textProp(vevent, "LOCATION");
+  if (location) {
+    entry.place = location;
+  }
+  Object.assign(entry, textDetailsOf(vevent, warn));
+  const attendees = attendeesOf(vevent);
+  if (attendees.length > 0) {
+    entry.attendees = attendees;
+  }
+  const organizer = organizerOf(vevent);
+  if (organizer) {
+    entry.organizer = organizer;
+  }
+  const categories = categoriesOf(vevent);
+  if (categories.length > 0) {
+    entry.categories = categories;
+  }
+  if ((textProp(vevent, "TRANSP") || "").toUpperCase() === "TRANSPARENT") {
+    entry.transparency = "transparent";
+  }
+  const status = statusOf(vevent);
+  if (status) {
+    entry.status = status;
+  }
+  const reminders = remindersOf(vevent, ctx, warn);
+  if (reminders.length > 0) {
+    entry.reminders = reminders;
+  }
+
+  const rrules = allProps(vevent, "RRULE");
+  if (rrules.length > 1) {
+    warn("has several RRULEs; only the first was imported");
+  }
+  const rDates = dateListKeys(allProps(vevent, "RDATE"), series, ctx);
+  const exDates = dateListKeys(allProps(vevent, "EXDATE"), series, ctx);
+  if (rrules.length > 0) {
+    entry.rrule = rrules[0].value.trim();
+  } else if (rDates.length > 0) {
+    entry.rrule = SINGLE_OCCURRENCE_RULE;
+  }
+  if (rDates.length > 0) {
+    entry.rDates = [...new Set(rDates)];
+  }
+  if (exDates.length > 0 && entry.rrule) {
+    entry.exDates = [...new Set(exDates)];
+  }
+
+  // Recurring timed events need a zone to expand in; one-off events keep
+  // their TZID when they have one.
+  if (!allDay && (entry.rrule || dtstart.params.TZID)) {
+    entry.tz = series.seriesTz;
+  }
+
+  return { entry, series };
+}
+
+// An instance of a series changed on its own (RECURRENCE-ID). Only the
+// properties it carries are taken; the rest stays as in the series.
+function mapOverride(vevent, series, ctx, warn) {
+  const recurrenceId = firstProp(vevent, "RECURRENCE-ID");
+  const key = occurrenceKey(parseDateValue(recurrenceId.value, recurrenceId.params, ctx), series);
+  if ((recurrenceId.params.RANGE || "").toUpperCase() === "THISANDFUTURE") {
+    warn(`RANGE=THISANDFUTURE on ${key} was applied to that occurrence only`);
+  }
+  const fields = {};
+  const title = textProp(vevent, "SUMMARY");
+  if (title) {
+    fields.title = title;
+  }
+
+  const dtstart = firstProp(vevent, "DTSTART");
+  if (dtstart) {
+    const start = parseDateValue(dtstart.value, dtstart.params, ctx);
+    if ((start.date !== undefined) !== series.allDay) {
+      throw new Error(`occurrence ${key} cannot switch between all-day and timed`);
+    }
+    fields.start = series.allDay ? start.date : start.iso;
+    const end = parseEnd(vevent, start, ctx);
+    if (end !== undefined) {
+      fields.end = end;
+    }
+  }
+
+  const location = textProp(vevent, "LOCATION");
+  if (location) {
+    fields.place = location;
+  }
+  Object.assign(fields, textDetailsOf(vevent, warn));
+  const attendees = attendeesOf(vevent);
+  if (attendees.length > 0) {
+    fields.attendees = attendees;
+  }
+  const categories = categoriesOf(vevent);
+  if (categories.length > 0) {
+    fields.categories = categories;
+  }
+  const status = statusOf(vevent);
+  if (status) {
+    fields.status = status;
+  }
+
+  return { key, fields };
+}
+
+/**
+ * Parse iCalendar (RFC 5545) text into event data for `importEvents`.
+ *
+ * Returns { events, dropped, warnings }: `events` in the shape `add` takes,
+ * plus `uid` and per-occurrence `overrides`; `dropped` counts, per property
+ * or component name, how many events carried something that was not
+ * imported; `warnings` describes events that were skipped or adjusted.
+ * Floating times are read in `options.floatingTz` (the host zone by default).
+ */
+export function parseICalendar(text, options = {}) {
+  const floatingTz = options.floatingTz || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const vcalendars = parseComponents(text).filter((c) => c.name === "VCALENDAR");
+  if (vcalendars.length === 0) {
+    throw codedError("INVALID_ICALENDAR", "No VCALENDAR found in iCalendar data");
+  }
+
+  const events = [];
+  const dropped = {};
+  const warnings = [];
+
+  for (const vcalendar of vcalendars) {
+    const ctx = { floatingTz, resolveTimeZone: createTimeZoneResolver(vcalendar) };
+
+    for (const component of vcalendar.components) {
+      if (component.name !== "VEVENT" && component.name !== "VTIMEZONE") {
+        dropped[component.name] = (dropped[component.name] || 0) + 1;
+      }
+    }
+
+    const vevents = vcalendar.components.filter((c) => c.name === "VEVENT");
+    const masters = vevents.filter((c) => !firstProp(c, "RECURRENCE-ID"));
+    const instances = vevents.filter((c) => firstProp(c, "RECURRENCE-ID"));
+
+    const seriesByUid = new Map();
+    for (const vevent of masters) {
+      const label = labelOf(vevent);
+      const warn = (message) => warnings.push(`${label}: ${message}`);
+      const uid = textProp(vevent, "UID");
+      if (uid && seriesByUid.has(uid)) {
+        warn("duplicate UID; skipped");
+        continue;
+      }
+      try {
+        const mapped = mapSeries(vevent, ctx, warn);
+        noteDropped(vevent, dropped);
+        events.push(mapped.entry);
+        if (uid) {
+          seriesByUid.set(uid, mapped);
+        }
+      } catch (err) {
+        warn(`${err.message}; skipped`);
+      }
+    }
+
+    for (const vevent of instances) {
+      const label = labelOf(vevent);
+      const warn = (message) => warnings.push(`${label}: ${message}`);
+      const mapped = seriesByUid.get(textProp(vevent, "UID"));
+      if (!mapped || !mapped.entry.rrule) {
+        warn("changed occurrence of a series that is not in the file; skipped");
+        continue;
+      }
+      try {
+        const override = mapOverride(vevent, mapped.series, ctx, warn);
+        const { entry } = mapped;
+        entry.overrides = { ...entry.overrides, [override.key]: override.fields };
+        noteDropped(vevent, dropped);
+      } catch (err) {
+        warn(`${err.message}; skipped`);
+      }
+    }
+  }
+
+  return { events, dropped, warnings };
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function quoteParam(value) {
+  return `"${String(value).replace(/"/g, "'")}"`;
+}
+
+// Folds a content line at 75 octets without splitting a UTF-8 character.
+function foldLine(line) {
+  const chunks = [];
+  let current = "";
+  let size = 0;
+  for (const ch of line) {
+    const chSize = Buffer.byteLength(ch);
+    const limit = chunks.length === 0 ? 75 : 74;
+    if (size + chSize > limit) {
+      chunks.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += chSize;
+  }
+  chunks.push(current);
+  return chunks.join("\r\n ");
+}
+
+function utcBasic(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function dateBasic(date) {
+  return date.replace(/-/g, "");
+}
+
+// "2026-03-10T10:00:00+01:00" -> "20260310T100000", the wall-clock part only.
+function localBasic(iso) {
+  return iso.slice(0, 19).replace(/[-:]/g, "");
+}
+
+function formatOffset(minutes) {
+  const sign = minutes >= 0 ? "+" : "-";
+  const abs = Math.abs(minutes);
+  return `${sign}${pad2(Math.floor(abs / 60))}${pad2(abs % 60)}`;
+}
+
+function usesTzid(event) {
+  return !event.allDay && event.tz !== undefined && event.tz !== "UTC";
+}
+
+function dateTimeProp(name, value, event) {
+  if (event.allDay) {
+    return `${name};VALUE=DATE:${dateBasic(value)}`;
+  }
+  if (usesTzid(event)) {
+    return `${name};TZID=${event.tz}:${localBasic(formatIsoInTimeZone(new Date(value), event.tz))}`;
+  }
+  return `${name}:${utcBasic(new Date(value))}`;
+}
+
+function dateListProp(name, values, event) {
+  if (event.allDay) {
+    return `${name};VALUE=DATE:${values.map(dateBasic).join(",")}`;
+  }
+  if (usesTzid(event)) {
+    const locals = values.map((v) => localBasic(formatIsoInTimeZone(new Date(v), event.tz)));
+    return `${name};TZID=${event.tz}:${locals.join(",")}`;
+  }
+  return `${name}:${values.map((v) => utcBasic(new Date(v))).join(",")}`;
+}
+
+// iCalendar wants UNTIL as a date for all-day series and in UTC otherwise;
+// stored rules may use any form expansion accepts.
+function exportedRRule(event) {
+  const until = getRRulePart(event.rrule, "UNTIL");
+  if (until === undefined) {
+    return event.rrule.toUpperCase();
+  }
+  const instant = parseUntil(until, event.allDay ? "UTC" : event.tz);
+  const value = event.allDay ? dateBasic(instant.toISOString().slice(0, 10)) : utcBasic(instant);
+  return setRRuleParts(event.rrule, { UNTIL: value }).toUpperCase();
+}
+
+// ATTENDEE or ORGANIZER; `params` go after CN. ROLE and PARTSTAT are left
+// out when they are the defaults (required, not answered).
+function personLine(name, person, params = []) {
+  const cn = person.name !== undefined ? [`CN=${quoteParam(person.name)}`] : [];
+  const address = person.email !== undefined ? `mailto:${person.email}` : NO_ADDRESS;
+  return [name, ...cn, ...params].join(";") + `:${address}`;
+}
+
+function attendeeLine(attendee) {
+  const params = [];
+  if (attendee.role === "optional") {
+    params.push("ROLE=OPT-PARTICIPANT");
+  }
+  if (STATUSES_TO_ICS[attendee.status]) {
+    params.push(`PARTSTAT=${STATUSES_TO_ICS[attendee.status]}`);
+  }
+  return personLine("ATTENDEE", attendee, params);
+}
+
+// The instant-level details (what, when, where, who) shared by a series and
+// its changed occurrences.
+function eventDetailLines(event, fields) {
+  const lines = [`SUMMARY:${escapeText(fields.title)}`];
+  lines.push(dateTimeProp("DTSTART", fields.start, event));
+  if (fields.end !== undefined) {
+    // All-day ends are inclusive here and exclusive in iCalendar.
+    const end = event.allDay ? addDaysToDate(fields.end, 1) : fields.end;
+    lines.push(dateTimeProp("DTEND", end, event));
+  }
+  if (fields.place) {
+    lines.push(`LOCATION:${escapeText(fields.place)}`);
+  }
+  if (fields.description) {
+    lines.push(`DESCRIPTION:${escapeText(fields.description)}`);
+  }
+  if (fields.url) {
+    lines.push(`URL:${fields.url}`);
+  }
+  if (fields.organizer) {
+    lines.push(personLine("ORGANIZER", fields.organizer));
+  }
+  for (const attendee of fields.attendees || []) {
+    lines.push(attendeeLine(attendee));
+  }
+  if (fields.categories && fields.categories.length > 0) {
+    lines.push(`CATEGORIES:${fields.categories.map(escapeText).join(",")}`);
+  }
+  if (fields.notes) {
+    lines.push(`COMMENT:${escapeText(fields.notes)}`);
+  }
+  if (fields.status) {
+    lines.push(`STATUS:${fields.status.toUpperCase()}`);
+  }
+  return lines;
+}
+
+function overrideFields(event, startKey, override) {
+  const fields = { ...event, start: startKey, ...override };
+  if (override.end === undefined && event.end !== undefined) {
+    fields.end = event.allDay
+      ? addDaysToDate(startKey, Math.round((new Date(event.end) - new Date(event.start)) / 86400000))
+      : new Date(new Date(startKey).getTime() + (new Date(event.end) - new Date(event.start))).toISOString();
+  }
+  return fields;
+}
+
+// TRIGGER value for an offset from the start, e.g. -PT15M or -P1D.
+function triggerDuration(offsetMinutes) {
+  const minutes = Math.abs(offsetMinutes);
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  const rest = minutes % 60;
+  let time = "";
+  if (hours > 0) time += `${hours}H`;
+  if (rest > 0 || (days === 0 && hours === 0)) time += `${rest}M`;
+  return `${offsetMinutes < 0 ? "-" : ""}P${days > 0 ? `${days}D` : ""}${time ? `T${time}` : ""}`;
+}
+
+function alarmLines(title, reminders) {
+  return reminders.flatMap((reminder) => [
+    "BEGIN:VALARM",
+    "ACTION:DISPLAY",
+    `DESCRIPTION:${escapeText(title)}`,
+    reminder.at !== undefined
+      ? `TRIGGER;VALUE=DATE-TIME:${utcBasic(new Date(reminder.at))}`
+      : `TRIGGER:${triggerDuration(reminder.offsetMinutes)}`,
+    "END:VALARM",
+  ]);
+}
+
+function veventLines(event) {
+  const uid = event.uid || `${event.id}@clawendar`;
+  const stamp = utcBasic(event.createdAt ? new Date(event.createdAt) : new Date());
+  const header = ["BEGIN:VEVENT", `UID:${escapeText(uid)}`, `DTSTAMP:${stamp}`];
+
+  const lines = [...header, ...eventDetailLines(event, event)];
+  if (event.rrule) {
+    lines.push(`RRULE:${exportedRRule(event)}`);
+    if (event.rDates && event.rDates.length > 0) {
+      lines.push(dateListProp("RDATE", event.rDates, event));
+    }
+    if (event.exDates && event.exDates.length > 0) {
+      lines.push(dateListProp("EXDATE", event.exDates, event));
+    }
+  }
+  if (event.transparency === "transparent") {
+    lines.push("TRANSP:TRANSPARENT");
+  }
+  lines.push(...alarmLines(event.title, event.reminders || []), "END:VEVENT");
+
+  // A changed occurrence replaces its instance, so it repeats the series'
+  // reminders relative to the start.
+  const relative = (event.reminders || []).filter((r) => r.at === undefined);
+  for (const [startKey, override] of Object.entries(event.rrule ? event.overrides || {} : {})) {
+    const fields = overrideFields(event, startKey, override);
+    lines.push(
+      ...header,
+      dateTimeProp("RECURRENCE-ID", startKey, event),
+      ...eventDetailLines(event, fields),
+      ...alarmLines(fields.title, relative),
+      "END:VEVENT"
+    );
+  }
+  return lines;
+}
+
+// Offset changes of `tz` from the start of `fromYear` to the end of
+// `toYear`, found day by day and then narrowed down to the minute.
+function offsetTransitions(tz, fromYear, toYear) {
+  const DAY = 86400000;
+  const offsetAt = (ms) => timeZoneOffsetMinutes(new Date(ms), tz);
+  const end = Date.UTC(toYear + 1, 0, 1);
+  const transitions = [];
+  let offset = offsetAt(Date.UTC(fromYear, 0, 1));
+  const initial = offset;
+
+  for (let t = Date.UTC(fromYear, 0, 1); t < end; t += DAY) {
+    const next = offsetAt(t + DAY);
+    if (next === offset) continue;
+    let lo = t;
+    let hi = t + DAY;
+    while (hi - lo > 60000) {
+      const mid = lo + Math.max(1, Math.floor((hi - lo) / 120000)) * 60000;
+      if (offsetAt(mid) === offset) lo = mid;
+      else hi = mid;
+    }
+    transitions.push({ at: hi, from: offset, to: next });
+    offset = next;
+  }
+  return { initial, transitions };
+}
+
+function observanceLines(kind, dtstart, from, to, rrule) {
+  const lines = [
+    `BEGIN:${kind}`,
+    `DTSTART:${dtstart}`,
+    `TZOFFSETFROM:${formatOffset(from)}`,
+    `TZOFFSETTO:${formatOffset(to)}`,
+  ];
+  if (rrule) {
+    lines.push(`RRULE:${rrule}`);
+  }
+  lines.push(`END:${kind}`);
+  return lines;
+}
+
+/**
+ * A VTIMEZONE for `tz` built from the offsets Intl reports over the given
+ * years. Transitions that repeat yearly on the same weekday rule are merged
+ * into one observance with an RRULE; the pattern still in use at `toYear`
+ * is left open-ended so clients can extend it past the covered years.
+ */
+function vtimezoneLines(tz, fromYear, toYear) {
+  const { initial, transitions } = offsetTransitions(tz, fromYear, toYear);
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${tz}`];
+  lines.push(...observanceLines("STANDARD", `${fromYear}0101T000000`, initial, initial));
+
+  const groups = [];
+  const lastGroupByKey = new Map();
+  for (const transition of transitions) {
+    // DTSTART of an observance is the wall-clock time just before the change.
+    const local = new Date(transition.at + transition.from * 60000);
+    const year = local.getUTCFullYear();
+    const month = local.getUTCMonth() + 1;
+    const day = local.getUTCDate();
+    const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const nth = day + 7 > lastDay ? -1 : Math.ceil(day / 7);
+    const byDay = `${nth}${WEEKDAY_CODES[local.getUTCDay()]}`;
+    const time = local.toISOString().slice(11, 19);
+    const key = [transition.from, transition.to, month, byDay, time].join("|");
+
+    const group = lastGroupByKey.get(key);
+    if (group && group.lastYear === year - 1) {
+      group.items.push(transition);
+      group.lastYear = year;
+    } else {
+      const created = { items: [{ ...transition, local }], lastYear: year, month, byDay };
+      groups.push(created);
+      lastGroupByKey.set(key, created);
+    }
+  }
+
+  for (const group of groups.sort((a, b) => a.items[0].at - b.items[0].at)) {
+    const [first] = group.items;
+    const last = group.items[group.items.length - 1];
+    const kind = first.to > first.from ? "DAYLIGHT" : "STANDARD";
+    const dtstart = utcBasic(first.local).slice(0, 15);
+    let rrule;
+    if (group.items.length > 1) {
+      rrule = `FREQ=YEARLY;BYMONTH=${group.month};BYDAY=${group.byDay}`;
+      if (group.lastYear !== toYear) {
+        rrule += `;UNTIL=${utcBasic(new Date(last.at))}`;
+      }
+    }
+    lines.push(...observanceLines(kind, dtstart, first.from, first.to, rrule));
+  }
+
+  lines.push("END:VTIMEZONE");
+  return lines;
+}
+
+/**
+ * Render stored events (series unexpanded) as an iCalendar document: one
+ * VEVENT per event plus one per changed occurrence, and a VTIMEZONE for
+ * every zone a timed event is written in. Events keep their imported UID;
+ * others get one derived from their id. `options.name` sets X-WR-CALNAME.
+ */
+export function formatICalendar(events, options = {}) {
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${PRODUCT_ID}`, "CALSCALE:GREGORIAN"];
+  if (options.name) {
+    lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+  }
+
+  const yearsByZone = new Map();
+  for (const event of events.filter(usesTzid)) {
+    const year = Number(event.start.slice(0, 4));
+    const years = yearsByZone.get(event.tz) || [];
+    years.push(year);
+    yearsByZone.set(event.tz, years);
+  }
+  const currentYear = new Date().getUTCFullYear();
+  for (const [tz, years] of yearsByZone) {
+    lines.push(...vtimezoneLines(tz, Math.min(...years), Math.max(...years, currentYear) + 1));
+  }
+
+  for (const event of events) {
+    lines.push(...veventLines(upgradeParticipants(event)));
+  }
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,169 @@
+import fs from "node:fs";
+import path from "node:path";
+import { writeFileAtomic } from "./storage.js";
+
+const JOURNAL_FILE = "journal.jsonl";
+// Past this size the oldest entries are dropped, down to half of it, so
+// trimming is rare and appends stay cheap however long the history grows.
+const DEFAULT_MAX_BYTES = 8 * 1024 * 1024;
+const TAIL_CHUNK_BYTES = 64 * 1024;
+
+/**
+ * The operation journal: an append-only JSON Lines file next to the events,
+ * one entry per change made through the calendar:
+ *
+ *   { seq, at, op, target?, changes: [{ id, before, after }] }
+ *
+ * `before`/`after` are full snapshots of each event touched (null when it
+ * did not exist), so any entry can be rolled back or replayed. Undo and redo
+ * are journaled too, with `target` naming the entry they undid or redid.
+ * Callers append under the storage lock, which keeps `seq` in order across
+ * processes. Once the file outgrows `maxBytes`, the oldest entries are
+ * dropped and can no longer be undone.
+ */
+export function createJournal(dataDir, { maxBytes = DEFAULT_MAX_BYTES } = {}) {
+  const filePath = path.join(dataDir, JOURNAL_FILE);
+  // The last seq and the file (inode and size) it was read from; another
+  // process appending or trimming changes them, which sends the next append
+  // back to the file.
+  let cached = null;
+  // Where this journal's last append landed, so discard can take it back.
+  let lastAppend = null;
+
+  function parseLines(text) {
+    const result = [];
+    for (const line of text.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        result.push(JSON.parse(line));
+      } catch {
+        // A line cut short by a crash mid-append; everything before it is intact.
+      }
+    }
+    return result;
+  }
+
+  function entries() {
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+    return parseLines(fs.readFileSync(filePath, "utf-8"));
+  }
+
+  // Reads the file backwards until a whole entry turns up. Returns the last
+  // seq (0 for an empty journal) and whether the file ends mid-line.
+  function readTail(fd, size) {
+    let tail = Buffer.alloc(0);
+    let position = size;
+    while (position > 0) {
+      const chunk = Buffer.alloc(Math.min(TAIL_CHUNK_BYTES, position));
+      position -= chunk.length;
+      fs.readSync(fd, chunk, 0, chunk.length, position);
+      tail = Buffer.concat([chunk, tail]);
+      // Until the start of the file is reached, the first line may be partial.
+      const from = position > 0 ? tail.indexOf(0x0a) + 1 : 0;
+      const parsed = from > 0 || position === 0 ? parseLines(tail.subarray(from).toString("utf-8")) : [];
+      if (parsed.length > 0) {
+        return { seq: parsed[parsed.length - 1].seq, cutShort: tail[tail.length - 1] !== 0x0a };
+      }
+    }
+    return { seq: 0, cutShort: size > 0 && tail[tail.length - 1] !== 0x0a };
+  }
+
+  // Keeps the newest entries that fit in half of maxBytes (always at least
+  // the newest one).
+  function trim() {
+    const lines = fs.readFileSync(filePath, "utf-8").split("\n").filter((line) => line.trim());
+    let kept = 0;
+    let bytes = 0;
+    while (kept < lines.length) {
+      const next = Buffer.byteLength(lines[lines.length - 1 - kept]) + 1;
+      if (kept > 0 && bytes + next > maxBytes / 2) break;
+      bytes += next;
+      kept += 1;
+    }
+    writeFileAtomic(filePath, `${lines.slice(lines.length - kept).join("\n")}\n`);
+    return bytes;
+  }
+
+  return {
+    file: filePath,
+
+    entries,
+
+    append(entry) {
+      fs.mkdirSync(dataDir, { recursive: true });
+      const fd = fs.openSync(filePath, "a+");
+      let record;
+      let size;
+      let ino;
+      try {
+        ({ size, ino } = fs.fstatSync(fd));
+        const current = cached && cached.ino === ino && cached.size === size;
+        const last = current ? { seq: cached.seq, cutShort: false } : readTail(fd, size);
+        record = { seq: last.seq + 1, at: new Date().toISOString(), ...entry };
+        // Start a fresh line after one cut short by a crash.
+        const line = `${last.cutShort ? "\n" : ""}${JSON.stringify(record)}\n`;
+        fs.writeSync(fd, line);
+        fs.fsyncSync(fd);
+        size += Buffer.byteLength(line);
+      } finally {
+        fs.closeSync(fd);
+      }
+      if (size > maxBytes) {
+        size = trim();
+        ino = fs.statSync(filePath).ino;
+      }
+      cached = { seq: record.seq, ino, size };
+      lastAppend = { seq: record.seq, ino, start: size - Buffer.byteLength(`${JSON.stringify(record)}\n`), end: size };
+      return record;
+    },
+
+    /**
+     * Takes back `record`, the entry this journal appended last, for a change
+     * whose commit failed. Does nothing if another entry was appended since:
+     * that one may depend on it, and undo still refuses to apply a change
+     * the events do not match.
+     */
+    discard(record) {
+      if (!lastAppend || lastAppend.seq !== record.seq) {
+        return false;
+      }
+      const { ino, start, end } = lastAppend;
+      lastAppend = null;
+      cached = null;
+      const stat = fs.statSync(filePath, { throwIfNoEntry: false });
+      if (!stat || stat.ino !== ino || stat.size !== end) {
+        return false;
+      }
+      fs.truncateSync(filePath, start);
+      return true;
+    },
+
+    /**
+     * Replays undo/redo entries to find what can be undone next (`undo`,
+     * most recent last) and redone next (`redo`, likewise). A new change
+     * after an undo clears the redo stack, as in an editor.
+     */
+    stacks() {
+      const undo = [];
+      let redo = [];
+      const bySeq = new Map();
+      for (const entry of entries()) {
+        bySeq.set(entry.seq, entry);
+        if (entry.op === "undo" || entry.op === "redo") {
+          const [from, to] = entry.op === "undo" ? [undo, redo] : [redo, undo];
+          const idx = from.findIndex((e) => e.seq === entry.target);
+          if (idx !== -1) {
+            from.splice(idx, 1);
+            to.push(bySeq.get(entry.target));
+          }
+        } else {
+          undo.push(entry);
+          redo = [];
+        }
+      }
+      return { undo, redo };
+    },
+  };
+}
@@ -1,3 +1,4 @@
+import { codedError } from "./errors.js";
 import { isStrictISODateTimeWithOffset } from "./event.js";
 
 const WEEKDAY_TO_INDEX = {
@@ -10,70 +11,177 @@ const WEEKDAY_TO_INDEX = {
   SA: 6,
 };
 
-const SUPPORTED_KEYS = new Set(["FREQ", "INTERVAL", "BYDAY", "BYSETPOS", "COUNT", "UNTIL"]);
+const SUPPORTED_KEYS = new Set([
+  "FREQ",
+  "INTERVAL",
+  "COUNT",
+  "UNTIL",
+  "WKST",
+  "BYSECOND",
+  "BYMINUTE",
+  "BYHOUR",
+  "BYDAY",
+  "BYMONTHDAY",
+  "BYYEARDAY",
+  "BYWEEKNO",
+  "BYMONTH",
+  "BYSETPOS",
+]);
+
+const SUPPORTED_FREQS = ["MINUTELY", "HOURLY", "DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+
+// Numeric BY* parts: [min, max, negative values allowed] (RFC 5545, section 3.3.10).
+const NUMERIC_BY_PARTS = {
+  BYSECOND: [0, 59, false],
+  BYMINUTE: [0, 59, false],
+  BYHOUR: [0, 23, false],
+  BYMONTHDAY: [1, 31, true],
+  BYYEARDAY: [1, 366, true],
+  BYWEEKNO: [1, 53, true],
+  BYMONTH: [1, 12, false],
+  BYSETPOS: [1, 366, true],
+};
+
+// BY* parts the RFC forbids for some frequencies.
+const FREQS_REJECTING_PART = {
+  BYWEEKNO: ["MINUTELY", "HOURLY", "DAILY", "WEEKLY", "MONTHLY"],
+  BYYEARDAY: ["DAILY", "WEEKLY", "MONTHLY"],
+  BYMONTHDAY: ["WEEKLY"],
+};
+
+// Safety cap on periods walked per expansion so a rule that never matches
+// (e.g. BYMONTH=2;BYMONTHDAY=30) cannot hang the CLI. Rules with COUNT are
+// walked from DTSTART, so for them the cap also bounds how far ahead they
+// can be expanded (about 69 days for MINUTELY); validateEvent refuses COUNT
+// rules that reach further.
+const MAX_PERIODS = {
+  YEARLY: 200,
+  MONTHLY: 2400,
+  WEEKLY: 5220,
+  DAILY: 36600,
+  HOURLY: 100000,
+  MINUTELY: 100000,
+};
+
+const BYDAY_ENTRY = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/;
 
 // Cache Intl.DateTimeFormat instances per timezone — construction is expensive.
 const dtfCache = new Map();
 
+function parseNumericList(key, value) {
+  const [min, max, allowNegative] = NUMERIC_BY_PARTS[key];
+  const values = value.split(",").map((v) => v.trim());
+  const out = [];
+  for (const v of values) {
+    if (!/^[+-]?\d+$/.test(v)) {
+      throw codedError("INVALID_RRULE", `invalid ${key}`);
+    }
+    const n = Number(v);
+    const abs = Math.abs(n);
+    if (abs < min || abs > max || (n < 0 && !allowNegative) || (allowNegative && n === 0)) {
+      throw codedError("INVALID_RRULE", `invalid ${key}`);
+    }
+    out.push(n);
+  }
+  return [...new Set(out)];
+}
+
+function parseByDay(value) {
+  return value.split(",").map((v) => v.trim().toUpperCase()).filter(Boolean).map((entry) => {
+    const m = entry.match(BYDAY_ENTRY);
+    if (!m) {
+      throw codedError("INVALID_RRULE", "invalid BYDAY");
+    }
+    const n = m[1] !== undefined ? Number(m[1]) : undefined;
+    if (n !== undefined && (n === 0 || Math.abs(n) > 53)) {
+      throw codedError("INVALID_RRULE", "invalid BYDAY");
+    }
+    return { weekday: WEEKDAY_TO_INDEX[m[2]], n };
+  });
+}
+
 function parseRRule(rrule) {
   if (typeof rrule !== "string" || !rrule.trim()) {
-    throw new Error("invalid rrule");
+    throw codedError("INVALID_RRULE", "invalid rrule");
   }
 
   const out = {};
   for (const part of rrule.split(";")) {
     const [rawKey, rawValue] = part.split("=");
     if (!rawKey || rawValue === undefined) {
-      throw new Error("invalid rrule");
+      throw codedError("INVALID_RRULE", "invalid rrule");
     }
     const key = rawKey.trim().toUpperCase();
     const value = rawValue.trim();
     if (!SUPPORTED_KEYS.has(key)) {
-      throw new Error(`unsupported rrule field: ${key}`);
+      throw codedError("INVALID_RRULE", `unsupported rrule field: ${key}`);
+    }
+    if (out[key] !== undefined) {
+      throw codedError("INVALID_RRULE", `duplicate rrule field: ${key}`);
     }
     out[key] = value;
   }
 
-  if (!out.FREQ || !["WEEKLY", "MONTHLY", "YEARLY"].includes(out.FREQ)) {
-    throw new Error("unsupported or invalid FREQ");
+  if (!out.FREQ || !SUPPORTED_FREQS.includes(out.FREQ)) {
+    throw codedError("INVALID_RRULE", "unsupported or invalid FREQ");
   }
 
   const interval = out.INTERVAL ? Number(out.INTERVAL) : 1;
   if (!Number.isInteger(interval) || interval < 1) {
-    throw new Error("invalid INTERVAL");
+    throw codedError("INVALID_RRULE", "invalid INTERVAL");
   }
 
-  const byday = out.BYDAY
-    ? out.BYDAY.split(",").map((d) => d.trim().toUpperCase()).filter(Boolean)
-    : [];
+  const count = out.COUNT !== undefined ? Number(out.COUNT) : undefined;
+  if (out.COUNT !== undefined && (!Number.isInteger(count) || count < 1)) {
+    throw codedError("INVALID_RRULE", "invalid COUNT");
+  }
 
-  for (const d of byday) {
-    if (!(d in WEEKDAY_TO_INDEX)) {
-      throw new Error("invalid BYDAY");
-    }
+  const wkst = out.WKST !== undefined ? WEEKDAY_TO_INDEX[out.WKST.toUpperCase()] : WEEKDAY_TO_INDEX.MO;
+  if (wkst === undefined) {
+    throw codedError("INVALID_RRULE", "invalid WKST");
   }
 
-  const bysetpos = out.BYSETPOS !== undefined ? Number(out.BYSETPOS) : undefined;
-  if (out.BYSETPOS !== undefined && (!Number.isInteger(bysetpos) || bysetpos === 0)) {
-    throw new Error("invalid BYSETPOS");
+  for (const [key, freqs] of Object.entries(FREQS_REJECTING_PART)) {
+    if (out[key] !== undefined && freqs.includes(out.FREQ)) {
+      throw codedError("INVALID_RRULE", `${key} is not allowed with FREQ=${out.FREQ}`);
+    }
   }
 
-  const count = out.COUNT !== undefined ? Number(out.COUNT) : undefined;
-  if (out.COUNT !== undefined && (!Number.isInteger(count) || count < 1)) {
-    throw new Error("invalid COUNT");
+  const byday = out.BYDAY ? parseByDay(out.BYDAY) : [];
+  if (byday.some((d) => d.n !== undefined)) {
+    if (out.FREQ !== "MONTHLY" && out.FREQ !== "YEARLY") {
+      throw codedError("INVALID_RRULE", "numeric BYDAY is only allowed with FREQ=MONTHLY or FREQ=YEARLY");
+    }
+    if (out.BYWEEKNO !== undefined) {
+      throw codedError("INVALID_RRULE", "numeric BYDAY cannot be combined with BYWEEKNO");
+    }
   }
 
+  const list = (key) => (out[key] !== undefined ? parseNumericList(key, out[key]) : []);
+
   return {
     freq: out.FREQ,
     interval,
-    byday,
-    bysetpos,
     count,
     until: out.UNTIL,
+    wkst,
+    byday,
+    bysecond: list("BYSECOND"),
+    byminute: list("BYMINUTE"),
+    byhour: list("BYHOUR"),
+    bymonthday: list("BYMONTHDAY"),
+    byyearday: list("BYYEARDAY"),
+    byweekno: list("BYWEEKNO"),
+    bymonth: list("BYMONTH"),
+    bysetpos: list("BYSETPOS"),
   };
 }
 
 function parseOffsetMinutes(offsetText) {
+  // Zones sitting at UTC (UTC itself, Europe/London in winter) format as a bare "GMT".
+  if (offsetText === "GMT") {
+    return 0;
+  }
   const m = offsetText.match(/GMT([+-])(\d{1,2})(?::(\d{2}))?$/);
   if (!m) {
     throw new Error(`Cannot parse timezone offset: ${offsetText}`);
@@ -214,6 +322,12 @@ function parseLocalDateTime(iso) {
   };
 }
 
+function localMinutesBetween(a, b) {
+  const aMs = Date.UTC(a.year, a.month - 1, a.day, a.hour, a.minute, a.second);
+  const bMs = Date.UTC(b.year, b.month - 1, b.day, b.hour, b.minute, b.second);
+  return Math.floor((bMs - aMs) / 60000);
+}
+
 function localDateKey(local) {
   return `${local.year}-${pad2(local.month)}-${pad2(local.day)}`;
 }
@@ -234,212 +348,578 @@ function daysBetweenLocal(a, b) {
   return Math.floor((bMs - aMs) / 86400000);
 }
 
-function monthDiff(a, b) {
-  return (b.year - a.year) * 12 + (b.month - a.month);
-}
-
 function daysInMonth(year, month) {
   return new Date(Date.UTC(year, month, 0)).getUTCDate();
 }
 
-function getMonthlyCandidates(monthDate, rule) {
-  const candidates = [];
-  const dt = new Date(Date.UTC(monthDate.year, monthDate.month - 1, 1));
-  while (dt.getUTCMonth() === monthDate.month - 1) {
-    const local = { year: dt.getUTCFullYear(), month: dt.getUTCMonth() + 1, day: dt.getUTCDate() };
-    const wd = weekdayIndexFromLocalDate(local);
-    if (rule.byday.length === 0 || rule.byday.some((d) => WEEKDAY_TO_INDEX[d] === wd)) {
-      candidates.push(local);
+function daysInYear(year) {
+  return daysInMonth(year, 2) === 29 ? 366 : 365;
+}
+
+function dayOfYear(localDate) {
+  return daysBetweenLocal({ year: localDate.year, month: 1, day: 1 }, localDate) + 1;
+}
+
+function weekStartOf(localDate, wkst) {
+  const wd = weekdayIndexFromLocalDate(localDate);
+  return addDaysLocal(localDate, -((wd - wkst + 7) % 7));
+}
+
+// Week 1 is the first week (starting on WKST) with at least four days in the year.
+function firstWeekStart(year, wkst) {
+  return weekStartOf({ year, month: 1, day: 4 }, wkst);
+}
+
+function weeksInYear(year, wkst) {
+  return daysBetweenLocal(firstWeekStart(year, wkst), firstWeekStart(year + 1, wkst)) / 7;
+}
+
+function atMidnight(localDate) {
+  return { year: localDate.year, month: localDate.month, day: localDate.day, hour: 0, minute: 0, second: 0 };
+}
+
+function isSubDaily(freq) {
+  return freq === "HOURLY" || freq === "MINUTELY";
+}
+
+/**
+ * Fill in the rule parts RFC 5545 derives from DTSTART when a rule leaves
+ * them out, so "FREQ=MONTHLY" means "on DTSTART's day of the month" and
+ * "FREQ=DAILY" means "at DTSTART's time of day".
+ */
+function withImplicitParts(rule, startLocal) {
+  const r = { ...rule };
+  const sortNumeric = (values) => [...values].sort((a, b) => a - b);
+
+  const hasDayParts = r.byweekno.length > 0
+    || r.byyearday.length > 0
+    || r.bymonthday.length > 0
+    || r.byday.length > 0;
+
+  if (!hasDayParts) {
+    if (r.freq === "YEARLY") {
+      // Plain yearly anniversaries keep landing on the last day of a shorter
+      // month (Feb 29 -> Feb 28) rather than skipping the year.
+      r.clampMonthDay = r.bymonth.length === 0;
+      if (r.bymonth.length === 0) {
+        r.bymonth = [startLocal.month];
+      }
+      r.bymonthday = [startLocal.day];
+    } else if (r.freq === "MONTHLY") {
+      r.bymonthday = [startLocal.day];
+    } else if (r.freq === "WEEKLY") {
+      r.byday = [{ weekday: weekdayIndexFromLocalDate(startLocal), n: undefined }];
+    }
+  }
+
+  if (!isSubDaily(r.freq) && r.byhour.length === 0) {
+    r.byhour = [startLocal.hour];
+  }
+  if (r.freq !== "MINUTELY" && r.byminute.length === 0) {
+    r.byminute = [startLocal.minute];
+  }
+  if (r.bysecond.length === 0) {
+    r.bysecond = [startLocal.second];
+  }
+
+  r.byhour = sortNumeric(r.byhour);
+  r.byminute = sortNumeric(r.byminute);
+  r.bysecond = sortNumeric(r.bysecond);
+  return r;
+}
+
+function matchesSigned(values, actual, total) {
+  return values.some((n) => (n > 0 ? n === actual : total + n + 1 === actual));
+}
+
+function matchesNthWeekday(n, localDate, scope) {
+  const position = scope === "month" ? localDate.day : dayOfYear(localDate);
+  const total = scope === "month" ? daysInMonth(localDate.year, localDate.month) : daysInYear(localDate.year);
+  const forward = Math.floor((position - 1) / 7) + 1;
+  const backward = -(Math.floor((total - position) / 7) + 1);
+  return n === forward || n === backward;
+}
+
+function dayMatches(rule, localDate) {
+  if (rule.bymonth.length > 0 && !rule.bymonth.includes(localDate.month)) {
+    return false;
+  }
+
+  if (rule.bymonthday.length > 0) {
+    const dim = daysInMonth(localDate.year, localDate.month);
+    const clamped = rule.clampMonthDay && localDate.day === dim && rule.bymonthday[0] > dim;
+    if (!clamped && !matchesSigned(rule.bymonthday, localDate.day, dim)) {
+      return false;
+    }
+  }
+
+  if (rule.byyearday.length > 0 && !matchesSigned(rule.byyearday, dayOfYear(localDate), daysInYear(localDate.year))) {
+    return false;
+  }
+
+  if (rule.byday.length > 0) {
+    // Numeric BYDAY counts within the month for MONTHLY (or YEARLY with
+    // BYMONTH), otherwise within the year.
+    const scope = rule.freq === "MONTHLY" || rule.bymonth.length > 0 ? "month" : "year";
+    const wd = weekdayIndexFromLocalDate(localDate);
+    const matches = rule.byday.some((entry) => (
+      entry.weekday === wd && (entry.n === undefined || matchesNthWeekday(entry.n, localDate, scope))
+    ));
+    if (!matches) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+function periodBase(rule, startLocal) {
+  switch (rule.freq) {
+    case "YEARLY":
+      return atMidnight({ year: startLocal.year, month: 1, day: 1 });
+    case "MONTHLY":
+      return atMidnight({ year: startLocal.year, month: startLocal.month, day: 1 });
+    case "WEEKLY":
+      return atMidnight(weekStartOf(startLocal, rule.wkst));
+    case "DAILY":
+      return atMidnight(startLocal);
+    case "HOURLY":
+      return { ...startLocal, minute: 0, second: 0 };
+    default:
+      return { ...startLocal, second: 0 };
+  }
+}
+
+function periodAt(freq, base, index) {
+  switch (freq) {
+    case "YEARLY":
+      return { ...base, year: base.year + index };
+    case "MONTHLY": {
+      const totalMonth = (base.month - 1) + index;
+      return { ...base, year: base.year + Math.floor(totalMonth / 12), month: (totalMonth % 12) + 1 };
+    }
+    case "WEEKLY":
+      return atMidnight(addDaysLocal(base, 7 * index));
+    case "DAILY":
+      return atMidnight(addDaysLocal(base, index));
+    case "HOURLY":
+      return addMinutesLocal(base, 60 * index);
+    default:
+      return addMinutesLocal(base, index);
+  }
+}
+
+function periodIndexOf(freq, base, local) {
+  switch (freq) {
+    case "YEARLY":
+      return local.year - base.year;
+    case "MONTHLY":
+      return (local.year - base.year) * 12 + (local.month - base.month);
+    case "WEEKLY":
+      return Math.floor(daysBetweenLocal(base, local) / 7);
+    case "DAILY":
+      return daysBetweenLocal(base, local);
+    case "HOURLY":
+      return Math.floor(localMinutesBetween(base, local) / 60);
+    default:
+      return localMinutesBetween(base, local);
+  }
+}
+
+function daysInPeriod(rule, period) {
+  const days = [];
+  if (rule.freq === "YEARLY" && rule.byweekno.length > 0) {
+    // Weeks belong to the period's year even when they spill into the
+    // neighbouring calendar year (week 1 may start in late December).
+    const weekCount = weeksInYear(period.year, rule.wkst);
+    const weeks = rule.byweekno
+      .map((w) => (w > 0 ? w : weekCount + w + 1))
+      .filter((w) => w >= 1 && w <= weekCount)
+      .sort((a, b) => a - b);
+    const week1 = firstWeekStart(period.year, rule.wkst);
+    for (const w of [...new Set(weeks)]) {
+      for (let i = 0; i < 7; i++) {
+        days.push(addDaysLocal(week1, 7 * (w - 1) + i));
+      }
+    }
+  } else if (rule.freq === "YEARLY") {
+    const total = daysInYear(period.year);
+    for (let i = 0; i < total; i++) {
+      days.push(addDaysLocal({ year: period.year, month: 1, day: 1 }, i));
+    }
+  } else if (rule.freq === "MONTHLY") {
+    const total = daysInMonth(period.year, period.month);
+    for (let day = 1; day <= total; day++) {
+      days.push({ year: period.year, month: period.month, day });
+    }
+  } else if (rule.freq === "WEEKLY") {
+    for (let i = 0; i < 7; i++) {
+      days.push(addDaysLocal(period, i));
+    }
+  } else {
+    days.push({ year: period.year, month: period.month, day: period.day });
+  }
+  return days;
+}
+
+function timesInPeriod(rule, period) {
+  const keep = (values, actual) => (values.length === 0 || values.includes(actual) ? [actual] : []);
+  const hours = isSubDaily(rule.freq) ? keep(rule.byhour, period.hour) : rule.byhour;
+  const minutes = rule.freq === "MINUTELY" ? keep(rule.byminute, period.minute) : rule.byminute;
+
+  const times = [];
+  for (const hour of hours) {
+    for (const minute of minutes) {
+      for (const second of rule.bysecond) {
+        times.push({ hour, minute, second });
+      }
     }
-    dt.setUTCDate(dt.getUTCDate() + 1);
   }
+  return times;
+}
 
-  if (rule.bysetpos === undefined) {
+function applySetPos(candidates, bysetpos) {
+  if (bysetpos.length === 0) {
     return candidates;
   }
+  const picked = new Set();
+  for (const pos of bysetpos) {
+    const idx = pos > 0 ? pos - 1 : candidates.length + pos;
+    if (idx >= 0 && idx < candidates.length) {
+      picked.add(idx);
+    }
+  }
+  return [...picked].sort((a, b) => a - b).map((idx) => candidates[idx]);
+}
 
-  const idx = rule.bysetpos > 0 ? rule.bysetpos - 1 : candidates.length + rule.bysetpos;
-  if (idx < 0 || idx >= candidates.length) {
-    return [];
+// Candidates come out sorted: days are generated in order and times within a
+// day are the sorted product of BYHOUR x BYMINUTE x BYSECOND.
+function periodCandidates(rule, period) {
+  const times = timesInPeriod(rule, period);
+  const candidates = [];
+  for (const d of daysInPeriod(rule, period)) {
+    if (!dayMatches(rule, d)) continue;
+    for (const t of times) {
+      candidates.push({ ...d, ...t });
+    }
   }
-  return [candidates[idx]];
+  return applySetPos(candidates, rule.bysetpos);
+}
+
+/**
+ * The instant an UNTIL value (basic date, basic date-time with or without Z,
+ * or ISO) stands for in `tz`. A date covers that whole local day.
+ */
+export function parseUntil(value, tz) {
+  const basic = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!basic) {
+    return new Date(value);
+  }
+
+  const [year, month, day] = [basic[1], basic[2], basic[3]].map(Number);
+  if (month < 1 || month > 12 || day < 1 || day > daysInMonth(year, month)) {
+    return new Date(NaN);
+  }
+  if (basic[4] === undefined) {
+    // A date-only UNTIL includes that whole local day.
+    return resolveLocalToUtc({ year, month, day, hour: 23, minute: 59, second: 59 }, tz);
+  }
+
+  const [hour, minute, second] = [basic[4], basic[5], basic[6]].map(Number);
+  if (basic[7]) {
+    return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  }
+  return resolveLocalToUtc({ year, month, day, hour, minute, second }, tz);
 }
 
 export function expandOccurrences({ dtStart, tz, rrule, from, to, mode, exDates = [] }) {
   if (mode !== "wall") {
     throw new Error("unsupported mode");
   }
-  const rule = parseRRule(rrule);
+  const parsedRule = parseRRule(rrule);
 
   const fromDate = new Date(from);
   const toDate = new Date(to);
   if (Number.isNaN(fromDate.getTime()) || Number.isNaN(toDate.getTime())) {
-    throw new Error("invalid range");
+    throw codedError("INVALID_ARGUMENT", "invalid range");
   }
 
-  const untilDate = rule.until ? new Date(rule.until) : null;
-  if (rule.until && Number.isNaN(untilDate.getTime())) {
-    throw new Error("invalid UNTIL");
+  const untilDate = parsedRule.until ? parseUntil(parsedRule.until, tz) : null;
+  if (parsedRule.until && Number.isNaN(untilDate.getTime())) {
+    throw codedError("INVALID_RRULE", "invalid UNTIL");
   }
 
   const startLocal = parseLocalDateTime(dtStart);
-  const startDateLocal = { year: startLocal.year, month: startLocal.month, day: startLocal.day };
-  const startWeekday = weekdayIndexFromLocalDate(startDateLocal);
-  const bydayIndices = rule.byday.length > 0 ? rule.byday.map((d) => WEEKDAY_TO_INDEX[d]) : [startWeekday];
+  const rule = withImplicitParts(parsedRule, startLocal);
 
   const exSet = new Set();
   for (const ex of exDates) {
     if (!isStrictISODateTimeWithOffset(ex)) {
       throw new Error("invalid exDates: must be strict ISO with offset");
     }
-    exSet.add(ex);
+    // By instant, so a skipped date written in another offset still matches.
+    exSet.add(new Date(ex).getTime());
   }
 
   const results = [];
   let generatedCount = 0;
+  let lastUtcMs = -Infinity;
   const dtStartDate = new Date(dtStart);
-  const bydaySet = new Set(bydayIndices);
-
-  if (rule.freq === "WEEKLY") {
-    // When there is no COUNT constraint we can skip ahead to near the query
-    // window instead of iterating day-by-day from dtStart.
-    let startDayOffset = 0;
-    if (rule.count === undefined) {
-      const roughDaysToFrom = Math.floor((fromDate.getTime() - dtStartDate.getTime()) / 86400000);
-      if (roughDaysToFrom > 0) {
-        const periodDays = 7 * rule.interval;
-        const periodsToSkip = Math.floor(roughDaysToFrom / periodDays) - 2;
-        if (periodsToSkip > 0) {
-          startDayOffset = periodsToSkip * periodDays;
-        }
-      }
+  const base = periodBase(rule, startLocal);
+
+  // When there is no COUNT constraint we can skip ahead to near the query
+  // window instead of walking every period from dtStart. Back off a little:
+  // BYWEEKNO weeks can start in the previous year, and for sub-daily rules an
+  // offset change between dtStart and the window shifts local time by hours.
+  let firstIndex = 0;
+  if (rule.count === undefined) {
+    const fromIndex = periodIndexOf(rule.freq, base, getZonedParts(fromDate, tz));
+    const margin = rule.freq === "HOURLY"
+      ? Math.ceil(3 / rule.interval) + 1
+      : rule.freq === "MINUTELY" ? Math.ceil(180 / rule.interval) + 1 : 2;
+    const periodsToSkip = Math.floor(fromIndex / rule.interval) - margin;
+    if (periodsToSkip > 0) {
+      firstIndex = periodsToSkip * rule.interval;
     }
+  }
 
-    for (let dayOffset = startDayOffset; dayOffset < 3660; dayOffset++) {
-      const candidateDate = addDaysLocal(startDateLocal, dayOffset);
-      const wd = weekdayIndexFromLocalDate(candidateDate);
-      if (!bydaySet.has(wd)) continue;
-
-      const weekDelta = Math.floor(daysBetweenLocal(startDateLocal, candidateDate) / 7);
-      if (weekDelta < 0 || weekDelta % rule.interval !== 0) continue;
+  // Periods starting well past the window (or UNTIL) cannot produce anything
+  // we still need. Sub-daily periods hold only their own hour or minute, so
+  // a few hours cover an offset change; a day holds its own candidates; a
+  // week, month or year period may reach about a week back (BYWEEKNO weeks
+  // start in the previous year).
+  const stopDate = untilDate && untilDate < toDate ? untilDate : toDate;
+  const stopParts = getZonedParts(stopDate, tz);
+  const stopLocal = isSubDaily(rule.freq)
+    ? addMinutesLocal(stopParts, 180)
+    : atMidnight(addDaysLocal(stopParts, rule.freq === "DAILY" ? 1 : 8));
+
+  for (let i = 0, index = firstIndex; i < MAX_PERIODS[rule.freq]; i++, index += rule.interval) {
+    const period = periodAt(rule.freq, base, index);
+    if (cmpLocal(period, stopLocal) > 0) {
+      return results;
+    }
 
-      const candidateLocal = { ...candidateDate, hour: startLocal.hour, minute: startLocal.minute, second: startLocal.second };
+    for (const candidateLocal of periodCandidates(rule, period)) {
       const utcDate = resolveLocalToUtc(candidateLocal, tz);
 
       if (utcDate < dtStartDate) continue;
-      if (untilDate && utcDate > untilDate) break;
+      // A gap time shifted forward can land on the next candidate's instant; emit it once.
+      if (utcDate.getTime() <= lastUtcMs) continue;
+      lastUtcMs = utcDate.getTime();
+
+      if (untilDate && utcDate > untilDate) return results;
 
       generatedCount += 1;
-      if (rule.count && generatedCount > rule.count) break;
+      if (rule.count && generatedCount > rule.count) return results;
 
       if (utcDate >= fromDate && utcDate <= toDate) {
-        const iso = formatIsoInTimeZone(utcDate, tz);
-        if (!exSet.has(iso)) {
-          results.push(iso);
-        }
-      }
-
-      if (utcDate > toDate && rule.count === undefined) {
-        break;
-      }
-    }
-  } else if (rule.freq === "MONTHLY") {
-    // Skip ahead for monthly rules without COUNT.
-    let startMonthOffset = 0;
-    if (rule.count === undefined) {
-      const roughMonthsToFrom = monthDiff(startDateLocal, {
-        year: fromDate.getUTCFullYear(),
-        month: fromDate.getUTCMonth() + 1,
-      });
-      if (roughMonthsToFrom > 0) {
-        const periodsToSkip = Math.floor(roughMonthsToFrom / rule.interval) - 2;
-        if (periodsToSkip > 0) {
-          startMonthOffset = periodsToSkip * rule.interval;
+        if (!exSet.has(utcDate.getTime())) {
+          results.push(formatIsoInTimeZone(utcDate, tz));
         }
       }
     }
+  }
 
-    const bydayNames = bydayIndices.map((idx) => Object.keys(WEEKDAY_TO_INDEX).find((k) => WEEKDAY_TO_INDEX[k] === idx));
+  // Out of periods before the window ended: a rule that never matches, or a
+  // COUNT rule running further than validation allows (see
+  // countFitsExpansion), which is cut short rather than failing every listing.
+  return results;
+}
 
-    for (let monthOffset = startMonthOffset; monthOffset < 240; monthOffset += rule.interval) {
-      const totalMonth = (startDateLocal.month - 1) + monthOffset;
-      const year = startDateLocal.year + Math.floor(totalMonth / 12);
-      const month = (totalMonth % 12) + 1;
-      const monthDate = { year, month };
+/**
+ * Whether all COUNT occurrences of `rrule` from `dtStart` (a datetime or, for
+ * all-day series, a date) fall within the periods expandOccurrences walks.
+ * A COUNT rule is walked from its start, so one needing more periods could
+ * not be expanded in full. Counts in local wall time, which is cheap; rules
+ * without COUNT, with UNTIL or that do not parse are left to expansion.
+ */
+export function countFitsExpansion(dtStart, rrule) {
+  let parsed;
+  try {
+    parsed = parseRRule(rrule);
+  } catch {
+    return true;
+  }
+  if (parsed.count === undefined || parsed.until !== undefined) {
+    return true;
+  }
+  const startLocal = parseLocalDateTime(dtStart.length === 10 ? `${dtStart}T00:00:00` : dtStart);
+  const rule = withImplicitParts(parsed, startLocal);
+  const base = periodBase(rule, startLocal);
+  let found = 0;
+  for (let i = 0, index = 0; i < MAX_PERIODS[rule.freq]; i++, index += rule.interval) {
+    for (const candidate of periodCandidates(rule, periodAt(rule.freq, base, index))) {
+      if (cmpLocal(candidate, startLocal) >= 0 && ++found >= rule.count) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
 
-      const dayCandidates = getMonthlyCandidates(monthDate, { ...rule, byday: bydayNames });
-      for (const d of dayCandidates) {
-        const candidateLocal = { ...d, hour: startLocal.hour, minute: startLocal.minute, second: startLocal.second };
-        const utcDate = resolveLocalToUtc(candidateLocal, tz);
+/**
+ * Read one part of an RRULE string as written (e.g. "COUNT" -> "10"), or
+ * undefined when the rule does not contain it.
+ */
+export function getRRulePart(rrule, key) {
+  for (const part of rrule.split(";")) {
+    const [rawKey, value] = part.split("=");
+    if (rawKey.trim().toUpperCase() === key) {
+      return value === undefined ? undefined : value.trim();
+    }
+  }
+  return undefined;
+}
 
-        if (utcDate < dtStartDate) continue;
-        if (untilDate && utcDate > untilDate) return results;
+/**
+ * Return `rrule` with the given parts replaced or appended, keeping the order
+ * of the remaining parts. Parts set to undefined are removed.
+ */
+export function setRRuleParts(rrule, parts) {
+  const pending = new Map(Object.entries(parts));
+  const out = [];
+  for (const part of rrule.split(";")) {
+    const key = part.split("=")[0].trim().toUpperCase();
+    if (!pending.has(key)) {
+      out.push(part.trim());
+      continue;
+    }
+    const value = pending.get(key);
+    pending.delete(key);
+    if (value !== undefined) {
+      out.push(`${key}=${value}`);
+    }
+  }
+  for (const [key, value] of pending) {
+    if (value !== undefined) {
+      out.push(`${key}=${value}`);
+    }
+  }
+  return out.join(";");
+}
 
-        generatedCount += 1;
-        if (rule.count && generatedCount > rule.count) return results;
+/**
+ * Move a datetime by a number of wall-clock minutes in `tz`, so "an hour
+ * later" stays an hour later on the clock even across a DST change.
+ */
+export function shiftWallClock(iso, tz, deltaMinutes) {
+  const local = addMinutesLocal(parseLocalDateTime(formatIsoInTimeZone(new Date(iso), tz)), deltaMinutes);
+  return formatIsoInTimeZone(resolveLocalToUtc(local, tz), tz);
+}
 
-        if (utcDate >= fromDate && utcDate <= toDate) {
-          const iso = formatIsoInTimeZone(utcDate, tz);
-          if (!exSet.has(iso)) {
-            results.push(iso);
-          }
-        }
-      }
+/**
+ * Wall-clock minutes from `fromIso` to `toIso`, both read in `tz`.
+ */
+export function wallClockMinutesBetween(fromIso, toIso, tz) {
+  const from = parseLocalDateTime(formatIsoInTimeZone(new Date(fromIso), tz));
+  const to = parseLocalDateTime(formatIsoInTimeZone(new Date(toIso), tz));
+  return localMinutesBetween(from, to);
+}
 
-      if (new Date(Date.UTC(year, month, 1)) > toDate && rule.count === undefined) {
-        break;
-      }
-    }
-  } else if (rule.freq === "YEARLY") {
-    if (rule.byday.length > 0 || rule.bysetpos !== undefined) {
-      throw new Error("unsupported YEARLY rule shape");
-    }
+/**
+ * Format a wall-clock time ("YYYY-MM-DDTHH:MM:SS", no offset) in `tz` as an
+ * ISO string with the offset in effect there. Uses the same gap/fold policy
+ * as recurrence expansion.
+ */
+export function localToIsoInTimeZone(local, tz) {
+  return formatIsoInTimeZone(resolveLocalToUtc(parseLocalDateTime(local), tz), tz);
+}
 
-    let startYearOffset = 0;
-    if (rule.count === undefined) {
-      const roughYearsToFrom = fromDate.getUTCFullYear() - startDateLocal.year;
-      if (roughYearsToFrom > 0) {
-        const periodsToSkip = Math.floor(roughYearsToFrom / rule.interval) - 2;
-        if (periodsToSkip > 0) {
-          startYearOffset = periodsToSkip * rule.interval;
-        }
-      }
-    }
+export function timeZoneOffsetMinutes(date, tz) {
+  return getZonedParts(date, tz).offsetMinutes;
+}
 
-    for (let yearOffset = startYearOffset; yearOffset < 200; yearOffset += rule.interval) {
-      const year = startDateLocal.year + yearOffset;
-      const day = Math.min(startDateLocal.day, daysInMonth(year, startDateLocal.month));
-      const candidateLocal = {
-        year,
-        month: startDateLocal.month,
-        day,
-        hour: startLocal.hour,
-        minute: startLocal.minute,
-        second: startLocal.second,
-      };
+// The machine's IANA zone, used when no zone is given.
+export function hostTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
 
-      const utcDate = resolveLocalToUtc(candidateLocal, tz);
+export function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
 
-      if (utcDate < dtStartDate) continue;
-      if (untilDate && utcDate > untilDate) return results;
+function dateToUtcMidnightIso(date) {
+  return `${date}T00:00:00+00:00`;
+}
 
-      generatedCount += 1;
-      if (rule.count && generatedCount > rule.count) return results;
+/**
+ * Expand a series of all-day events. Dates are floating (the same calendar day
+ * in every timezone), so expansion runs in UTC where no DST shifts can apply.
+ * Takes and returns YYYY-MM-DD dates; `from`/`to` may also be full datetimes,
+ * in which case only their date part is used.
+ */
+export function expandDateOccurrences({ dtStart, rrule, from, to, exDates = [] }) {
+  return expandOccurrences({
+    dtStart: dateToUtcMidnightIso(dtStart),
+    tz: "UTC",
+    rrule,
+    from: dateToUtcMidnightIso(from.slice(0, 10)),
+    to: dateToUtcMidnightIso(to.slice(0, 10)),
+    mode: "wall",
+    exDates: exDates.map(dateToUtcMidnightIso),
+  }).map((iso) => iso.slice(0, 10));
+}
 
-      if (utcDate >= fromDate && utcDate <= toDate) {
-        const iso = formatIsoInTimeZone(utcDate, tz);
-        if (!exSet.has(iso)) {
-          results.push(iso);
-        }
-      }
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// End of the span of a series that never ends, so range checks need no special case.
+export const OPEN_END = Number.MAX_SAFE_INTEGER;
+
+/**
+ * The instants (epoch ms, inclusive) between which a stored event can have
+ * anything to show: a one-off event's own start and end, or for a series its
+ * first start through the last occurrence UNTIL allows, widened for extra
+ * dates (rDates) and moved occurrences. A series limited by COUNT or not at
+ * all ends at OPEN_END. All-day dates float, so their span has a day of slack
+ * on each side to cover every timezone. Storage backends index this.
+ */
+export function eventSpan(event) {
+  const startOf = event.allDay
+    ? (date) => Date.parse(`${date.slice(0, 10)}T00:00:00Z`) - DAY_MS
+    : (iso) => Date.parse(iso);
+  const endOf = event.allDay
+    ? (date) => Date.parse(`${date.slice(0, 10)}T00:00:00Z`) + 2 * DAY_MS
+    : (iso) => Date.parse(iso);
+
+  let start = startOf(event.start);
+  let end = endOf(event.end ?? event.start);
+  if (!event.rrule) {
+    return { start, end };
+  }
 
-      if (year > toDate.getUTCFullYear() && rule.count === undefined) {
-        break;
-      }
-    }
+  const length = end - start;
+  const until = getRRulePart(event.rrule, "UNTIL");
+  if (until === undefined) {
+    end = OPEN_END;
   } else {
-    throw new Error("unsupported rrule");
+    let last = NaN;
+    try {
+      last = event.allDay
+        ? startOf(`${until.slice(0, 4)}-${until.slice(4, 6)}-${until.slice(6, 8)}`)
+        : parseUntil(until, event.tz || "UTC").getTime();
+    } catch {
+      // An unusable zone or UNTIL: fall back to an open end below.
+    }
+    end = Number.isNaN(last) ? OPEN_END : Math.max(end, last + length);
   }
 
-  return results;
+  const extraStarts = [...(event.rDates || [])];
+  for (const [originalStart, override] of Object.entries(event.overrides || {})) {
+    extraStarts.push(originalStart);
+    if (override.start !== undefined) extraStarts.push(override.start);
+    if (override.end !== undefined) end = Math.max(end, endOf(override.end));
+  }
+  for (const extra of extraStarts) {
+    const extraStart = startOf(extra);
+    if (Number.isNaN(extraStart)) continue;
+    start = Math.min(start, extraStart);
+    end = Math.max(end, extraStart + length);
+  }
+  return { start, end: Math.min(end, OPEN_END) };
 }
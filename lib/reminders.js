@@ -0,0 +1,83 @@
+import { createHash } from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+import { resolveDateTime } from "./date-input.js";
+import { codedError } from "./errors.js";
+import { writeFileAtomic } from "./storage.js";
+
+const STATE_FILE = "reminders.json";
+const STATE_VERSION = 1;
+
+// The trigger of an event's own start, when reminder queries include starts.
+export const START_TRIGGER = "start";
+
+const OFFSET = /^([+-])?(\d+)([mhdw])$/;
+const UNIT_MINUTES = { m: 1, h: 60, d: 1440, w: 10080 };
+
+/**
+ * Read a reminder as given to --remind: a duration relative to the event's
+ * start ("-15m", "1d" and "-1d" are before it, "+5m" after) or anything
+ * resolveDateTime() understands for a fixed time. Returns the stored shape,
+ * { offsetMinutes } or { at }.
+ */
+export function parseReminder(text, options = {}) {
+  const value = String(text).trim();
+  const offset = value.match(OFFSET);
+  if (offset) {
+    const minutes = Number(offset[2]) * UNIT_MINUTES[offset[3]];
+    return { offsetMinutes: offset[1] === "+" || minutes === 0 ? minutes : -minutes };
+  }
+  try {
+    return { at: resolveDateTime(value, options) };
+  } catch {
+    throw codedError("INVALID_ARGUMENT", `reminder must be an offset like -15m or -1d, or a date and time: ${value}`);
+  }
+}
+
+// The way --remind takes it: "-15m", "+1h", "-2d", or the datetime.
+export function formatReminder(reminder) {
+  if (reminder.at !== undefined) {
+    return reminder.at;
+  }
+  const minutes = Math.abs(reminder.offsetMinutes);
+  const unit = ["w", "d", "h"].find((u) => minutes % UNIT_MINUTES[u] === 0 && minutes > 0) ?? "m";
+  const sign = reminder.offsetMinutes > 0 ? "+" : reminder.offsetMinutes < 0 ? "-" : "";
+  return `${sign}${minutes / UNIT_MINUTES[unit]}${unit}`;
+}
+
+/**
+ * A stable id for one firing of a reminder: the event (series id for an
+ * occurrence), which occurrence, and the trigger as formatReminder() gives it.
+ */
+export function reminderId(eventId, occurrenceStart, trigger) {
+  return createHash("sha1").update(`${eventId}|${occurrenceStart}|${trigger}`).digest("hex").slice(0, 12);
+}
+
+/**
+ * Delivery state of reminders: reminders.json next to the events.
+ *
+ *   { version, lastCheck, acknowledged: { <reminder id>: <when acknowledged> } }
+ *
+ * `lastCheck` is where the next due-reminders query starts by default.
+ * Callers change it under the storage lock.
+ */
+export function createReminderLog(dataDir) {
+  const filePath = path.join(dataDir, STATE_FILE);
+
+  return {
+    file: filePath,
+
+    load() {
+      if (!fs.existsSync(filePath)) {
+        return { lastCheck: null, acknowledged: {} };
+      }
+      const { lastCheck = null, acknowledged = {} } = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+      return { lastCheck, acknowledged };
+    },
+
+    save(state) {
+      fs.mkdirSync(dataDir, { recursive: true });
+      writeFileAtomic(filePath, JSON.stringify({ version: STATE_VERSION, ...state }, null, 2));
+    },
+  };
+}
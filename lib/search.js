@@ -0,0 +1,88 @@
+import { codedError } from "./errors.js";
+
+// Prefixes that limit a search term to one field; "with" covers attendees
+// and the organizer.
+const FIELD_PREFIXES = {
+  title: "title",
+  place: "place",
+  with: "with",
+  desc: "description",
+  description: "description",
+  notes: "notes",
+  url: "url",
+  cat: "category",
+  category: "category",
+};
+
+// A word, a "quoted phrase", or either behind a field prefix (place:"Room 2").
+const TOKEN = /(?:([A-Za-z]+):)?(?:"([^"]*)"?|(\S+))/g;
+
+// Case- and accent-insensitive form of text that terms are compared in.
+function fold(text) {
+  return String(text).normalize("NFD").replace(/\p{M}/gu, "").toLowerCase();
+}
+
+/**
+ * Parse a search query into terms, all of which an event must match. Words
+ * and "quoted phrases" match anywhere; a known prefix such as place: or
+ * cat: limits the term to that field. Other text with a colon (e.g. 10:30)
+ * is an ordinary word. Returns [{ field, text }], `field` being "any" for
+ * unprefixed terms.
+ */
+export function parseSearchQuery(query) {
+  const terms = [];
+  for (const match of String(query).matchAll(TOKEN)) {
+    const [whole, prefix, phrase, word] = match;
+    const field = prefix !== undefined ? FIELD_PREFIXES[prefix.toLowerCase()] : "any";
+    if (field === undefined) {
+      terms.push({ field: "any", text: fold(whole.replace(/"/g, "")) });
+    } else {
+      const text = fold(phrase ?? word).trim();
+      if (text !== "") {
+        terms.push({ field, text });
+      }
+    }
+  }
+  if (terms.length === 0) {
+    throw codedError("INVALID_ARGUMENT", "search query is empty");
+  }
+  return terms;
+}
+
+function people(event) {
+  return [...(event.attendees || []), ...(event.organizer ? [event.organizer] : [])]
+    .flatMap((person) => [person.name, person.email])
+    .filter((value) => value !== undefined);
+}
+
+function fieldValues(event, field) {
+  switch (field) {
+    case "with":
+      return people(event);
+    case "category":
+      return event.categories || [];
+    case "any":
+      return [
+        event.title,
+        event.place,
+        event.description,
+        event.notes,
+        event.url,
+        ...people(event),
+        ...(event.categories || []),
+      ].filter((value) => value !== undefined);
+    default:
+      return event[field] !== undefined ? [event[field]] : [];
+  }
+}
+
+function matchesTerm(event, { field, text }) {
+  const values = fieldValues(event, field).map(fold);
+  // Categories are tags: cat:work is not cat:homework.
+  return field === "category" ? values.includes(text) : values.some((value) => value.includes(text));
+}
+
+// Whether `event` matches every one of `terms` (see parseSearchQuery()).
+export function eventMatchesQuery(event, terms) {
+  return terms.every((term) => matchesTerm(event, term));
+}
@@ -0,0 +1,289 @@
+import fs from "node:fs";
+import path from "node:path";
+import { createRequire } from "node:module";
+import { codedError } from "./errors.js";
+import { eventSpan } from "./recurrence.js";
+import { planMigration, SCHEMA_VERSION } from "./storage.js";
+
+export const DATA_FILE = "events.db";
+
+const DEFAULT_LOCK_TIMEOUT_MS = 10000;
+const SQLITE_BUSY = 5;
+
+const require = createRequire(import.meta.url);
+
+// node:sqlite is loaded on first use so the JSON backend works on Node
+// versions without it. It still warns that it is experimental, which would
+// end up on stderr of every command (where --json callers read errors).
+function loadSqlite() {
+  const emitWarning = process.emitWarning;
+  process.emitWarning = (warning, ...rest) => {
+    if (String(warning).includes("SQLite is an experimental feature")) return;
+    emitWarning.call(process, warning, ...rest);
+  };
+  try {
+    return require("node:sqlite");
+  } catch (err) {
+    throw codedError("STORAGE_UNAVAILABLE", `The sqlite storage backend needs node:sqlite (Node 22.13 or newer): ${err.message}`);
+  } finally {
+    process.emitWarning = emitWarning;
+  }
+}
+
+/**
+ * The SQLite storage backend (see lib/storage-adapter.js for the interface).
+ * Each event is a row holding its JSON plus the bounds of its eventSpan(),
+ * which are indexed so range queries and lookups by id do not read the
+ * whole calendar. The schema version lives in PRAGMA user_version; older
+ * databases are migrated in one transaction on first use, and a database
+ * from a newer schema can be read but is never written. SQLite's
+ * own locking serializes writers across processes. Options: `lockTimeoutMs`
+ * (how long to wait for another writer).
+ */
+export function createSqliteStorage(dataDir, options = {}) {
+  const filePath = path.join(dataDir, DATA_FILE);
+  const lockTimeoutMs = options.lockTimeoutMs ?? DEFAULT_LOCK_TIMEOUT_MS;
+  let db = null;
+  let statements = null;
+  let inTransaction = false;
+  let onCommits = [];
+  let upgraded = false;
+
+  function guard(fn) {
+    try {
+      return fn();
+    } catch (err) {
+      if (err.errcode === SQLITE_BUSY) {
+        throw codedError("LOCK_TIMEOUT", `Timed out waiting for the lock on ${filePath}`);
+      }
+      throw err;
+    }
+  }
+
+  // Creates the table and its indexes on first use. Safe to race: the
+  // statements are idempotent and run in one write transaction.
+  function createSchema() {
+    guard(() => {
+      db.exec(`PRAGMA busy_timeout = ${Number(lockTimeoutMs)}`);
+      db.exec("PRAGMA journal_mode = WAL");
+      db.exec("BEGIN IMMEDIATE");
+      try {
+        db.exec(`
+          CREATE TABLE IF NOT EXISTS events (
+            id TEXT PRIMARY KEY,
+            data TEXT NOT NULL,
+            span_start INTEGER NOT NULL,
+            span_end INTEGER NOT NULL
+          );
+          CREATE INDEX IF NOT EXISTS events_span_start ON events (span_start);
+          CREATE INDEX IF NOT EXISTS events_span_end ON events (span_end);
+        `);
+        if (schemaVersion() === 0) {
+          db.exec(`PRAGMA user_version = ${SCHEMA_VERSION}`);
+        }
+        db.exec("COMMIT");
+      } catch (err) {
+        rollback();
+        throw err;
+      }
+    });
+  }
+
+  // `upgrade: false` leaves an older database at its version (for migrate).
+  function open({ upgrade = true } = {}) {
+    if (db) {
+      if (upgrade && !upgraded) upgradeSchema();
+      return statements;
+    }
+    const { DatabaseSync } = loadSqlite();
+    fs.mkdirSync(dataDir, { recursive: true });
+    db = new DatabaseSync(filePath);
+    try {
+      createSchema();
+    } catch (err) {
+      db.close();
+      db = null;
+      throw err;
+    }
+
+    statements = {
+      all: db.prepare("SELECT data FROM events ORDER BY rowid"),
+      byId: db.prepare("SELECT data FROM events WHERE id = ?"),
+      inRange: db.prepare("SELECT data FROM events WHERE span_start <= ? AND span_end >= ? ORDER BY rowid"),
+      count: db.prepare("SELECT COUNT(*) AS count FROM events"),
+      insert: db.prepare("INSERT INTO events (id, data, span_start, span_end) VALUES (?, ?, ?, ?)"),
+      upsert: db.prepare(`
+        INSERT INTO events (id, data, span_start, span_end) VALUES (?, ?, ?, ?)
+        ON CONFLICT (id) DO UPDATE SET data = excluded.data, span_start = excluded.span_start, span_end = excluded.span_end
+      `),
+      remove: db.prepare("DELETE FROM events WHERE id = ?"),
+    };
+    if (upgrade) upgradeSchema();
+    return statements;
+  }
+
+  // Brings an older database up to SCHEMA_VERSION, or with `dryRun` only
+  // plans it. Returns the plan, or null when there is nothing to do.
+  function upgradeSchema({ dryRun = false } = {}) {
+    if (schemaVersion() >= SCHEMA_VERSION) {
+      upgraded = true;
+      return null;
+    }
+    if (dryRun) {
+      return planMigration({ version: schemaVersion(), events: parseRows(statements.all.all()) });
+    }
+    return guard(() => {
+      db.exec("BEGIN IMMEDIATE");
+      try {
+        // Another process may have upgraded it meanwhile.
+        const version = schemaVersion();
+        let plan = null;
+        if (version < SCHEMA_VERSION) {
+          const before = parseRows(statements.all.all());
+          plan = planMigration({ version, events: before });
+          plan.events.forEach((event, idx) => {
+            if (JSON.stringify(event) !== JSON.stringify(before[idx])) {
+              statements.upsert.run(...row(event));
+            }
+          });
+          db.exec(`PRAGMA user_version = ${SCHEMA_VERSION}`);
+        }
+        db.exec("COMMIT");
+        upgraded = true;
+        return plan;
+      } catch (err) {
+        rollback();
+        throw err;
+      }
+    });
+  }
+
+  function rollback() {
+    try {
+      db.exec("ROLLBACK");
+    } catch {
+      // SQLite already rolled back (e.g. after a failed COMMIT).
+    }
+  }
+
+  function schemaVersion() {
+    return db.prepare("PRAGMA user_version").get().user_version;
+  }
+
+  function assertWritable() {
+    const version = schemaVersion();
+    if (version > SCHEMA_VERSION) {
+      throw codedError(
+        "SCHEMA_TOO_NEW",
+        `${filePath} uses schema version ${version}, but this clawendar only knows version ${SCHEMA_VERSION}; upgrade clawendar before changing events`
+      );
+    }
+  }
+
+  function row(event) {
+    const span = eventSpan(event);
+    return [event.id, JSON.stringify(event), span.start, span.end];
+  }
+
+  function parseRows(rows) {
+    return rows.map((r) => JSON.parse(r.data));
+  }
+
+  // Nested calls join the outer transaction. onCommit runs right after
+  // COMMIT, once SQLite's own lock is released.
+  function transaction(fn, { onCommit } = {}) {
+    open();
+    if (inTransaction) {
+      const result = fn();
+      if (onCommit) onCommits.push(onCommit);
+      return result;
+    }
+    guard(() => db.exec("BEGIN IMMEDIATE"));
+    inTransaction = true;
+    onCommits = onCommit ? [onCommit] : [];
+    let result;
+    try {
+      assertWritable();
+      result = fn();
+      guard(() => db.exec("COMMIT"));
+    } catch (err) {
+      rollback();
+      throw err;
+    } finally {
+      inTransaction = false;
+    }
+    const committed = onCommits;
+    onCommits = [];
+    committed.forEach((callback) => callback());
+    return result;
+  }
+
+  return {
+    loadAll() {
+      return guard(() => parseRows(open().all.all()));
+    },
+
+    findById(eventId) {
+      const found = guard(() => open().byId.get(eventId));
+      return found ? JSON.parse(found.data) : undefined;
+    },
+
+    queryRange(fromMs, toMs) {
+      return guard(() => parseRows(open().inRange.all(toMs, fromMs)));
+    },
+
+    save(event) {
+      transaction(() => statements.insert.run(...row(event)));
+    },
+
+    saveMany(batch) {
+      transaction(() => {
+        for (const event of batch) {
+          statements.upsert.run(...row(event));
+        }
+      });
+    },
+
+    remove(eventId) {
+      return transaction(() => statements.remove.run(eventId).changes > 0);
+    },
+
+    update(eventId, updates) {
+      return transaction(() => {
+        const found = statements.byId.get(eventId);
+        if (!found) return false;
+        const event = Object.assign(JSON.parse(found.data), updates);
+        statements.upsert.run(...row(event));
+        return event;
+      });
+    },
+
+    transaction,
+
+    // Upgrades the database like the JSON backend's migrate. The upgrade
+    // runs in one transaction, so no backup copy is kept (backupPath is null).
+    migrate({ dryRun = false } = {}) {
+      open({ upgrade: false });
+      assertWritable();
+      const version = schemaVersion();
+      const { count } = guard(() => statements.count.get());
+      const plan = upgradeSchema({ dryRun });
+      return {
+        file: filePath,
+        fromVersion: version,
+        toVersion: SCHEMA_VERSION,
+        eventCount: count,
+        steps: plan ? plan.steps : [],
+        backupPath: null,
+      };
+    },
+
+    close() {
+      if (db) {
+        db.close();
+        db = null;
+        statements = null;
+      }
+    },
+  };
+}
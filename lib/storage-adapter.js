@@ -0,0 +1,116 @@
+import fs from "node:fs";
+import path from "node:path";
+import { codedError } from "./errors.js";
+import { createStorage, DATA_FILE as JSON_DATA_FILE } from "./storage.js";
+import { createSqliteStorage, DATA_FILE as SQLITE_DATA_FILE } from "./sqlite-storage.js";
+
+/**
+ * Storage backends. createCalendar only talks to this interface, so events
+ * can live in a JSON file (lib/storage.js) or an indexed SQLite database
+ * (lib/sqlite-storage.js):
+ *
+ *   loadAll()                 every stored event, in the order they were added
+ *   findById(id)              one event, or undefined
+ *   queryRange(fromMs, toMs)  events whose eventSpan() (lib/recurrence.js)
+ *                             overlaps [fromMs, toMs]; series unexpanded
+ *   save(event)               add an event
+ *   saveMany(events)          add several events, replacing those with the same id
+ *   update(id, updates)       merge `updates` into an event; returns it, or false
+ *   remove(id)                delete an event; returns whether it existed
+ *   transaction(fn, { onCommit })
+ *                             run fn with the store locked against other
+ *                             processes; its writes land together or not at
+ *                             all. onCommit runs once they have landed (after
+ *                             the outermost transaction, for nested ones)
+ *   migrate({ dryRun })       upgrade stored data to SCHEMA_VERSION
+ *   close()                   release files or connections
+ *
+ * Reads return copies: changing a returned event does not change the store.
+ */
+const BACKENDS = {
+  json: { file: JSON_DATA_FILE, create: createStorage },
+  sqlite: { file: SQLITE_DATA_FILE, create: createSqliteStorage },
+};
+
+export const STORAGE_BACKENDS = Object.keys(BACKENDS);
+
+function dataFile(backend, dataDir) {
+  return path.join(dataDir, BACKENDS[backend].file);
+}
+
+/**
+ * The backend a data directory uses: SQLite once it holds events.db,
+ * otherwise the JSON file.
+ */
+export function detectBackend(dataDir) {
+  return fs.existsSync(dataFile("sqlite", dataDir)) ? "sqlite" : "json";
+}
+
+function assertBackend(backend) {
+  if (!BACKENDS[backend]) {
+    throw codedError("INVALID_ARGUMENT", `unknown storage backend: ${backend} (expected ${STORAGE_BACKENDS.join(" or ")})`);
+  }
+}
+
+export function createBackend(backend, dataDir, options = {}) {
+  assertBackend(backend);
+  return BACKENDS[backend].create(dataDir, options);
+}
+
+// Files a backend may leave next to its data file: SQLite's WAL, shared
+// memory and rollback journal.
+const SIDE_FILE_SUFFIXES = ["-wal", "-shm", "-journal"];
+
+export function openStorage(dataDir, options = {}) {
+  return createBackend(detectBackend(dataDir), dataDir, options);
+}
+
+/**
+ * Copy every event of `dataDir` into the `to` backend, then move the old
+ * data file aside (<file>.converted.bak) so later commands open the new one.
+ * The source stays locked while it is copied. If the copy fails, the
+ * partly written target is removed so the conversion can be retried.
+ * Returns { from, to, eventCount, file, backupPath }.
+ */
+export function convertStorage(dataDir, to, options = {}) {
+  assertBackend(to);
+  const from = detectBackend(dataDir);
+  if (from === to) {
+    throw codedError("INVALID_ARGUMENT", `${dataDir} already uses the ${to} storage backend`);
+  }
+  const sourceFile = dataFile(from, dataDir);
+  const targetFile = dataFile(to, dataDir);
+  if (fs.existsSync(targetFile)) {
+    throw codedError("INVALID_ARGUMENT", `${targetFile} already exists; move it away before converting`);
+  }
+
+  const source = createBackend(from, dataDir, options);
+  const target = createBackend(to, dataDir, options);
+  let eventCount;
+  try {
+    eventCount = source.transaction(() => {
+      const events = source.loadAll();
+      target.saveMany(events);
+      return events.length;
+    });
+  } catch (err) {
+    target.close();
+    for (const file of [targetFile, ...SIDE_FILE_SUFFIXES.map((suffix) => targetFile + suffix)]) {
+      fs.rmSync(file, { force: true });
+    }
+    throw err;
+  } finally {
+    source.close();
+    target.close();
+  }
+
+  let backupPath = null;
+  if (fs.existsSync(sourceFile)) {
+    backupPath = `${sourceFile}.converted.bak`;
+    if (fs.existsSync(backupPath)) {
+      backupPath = `${sourceFile}.converted.${Date.now()}.bak`;
+    }
+    fs.renameSync(sourceFile, backupPath);
+  }
+  return { from, to, eventCount, file: targetFile, backupPath };
+}
@@ -1,10 +1,124 @@
 import fs from "node:fs";
+import os from "node:os";
 import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { isDeepStrictEqual } from "node:util";
+import { codedError } from "./errors.js";
+import { upgradeParticipants } from "./event.js";
+import { eventSpan } from "./recurrence.js";
 
-const DATA_FILE = "events.json";
+export const DATA_FILE = "events.json";
+const LOCK_SUFFIX = ".lock";
 
-export function createStorage(dataDir) {
+// Version 1 is the original bare array of events; from version 2 on the file
+// is an envelope: { "version": N, "events": [...] }. Bump it with every change
+// to what an event may hold that an older clawendar would mishandle (e.g. a
+// trashed event it would list as live), so older releases refuse to write it.
+export const SCHEMA_VERSION = 3;
+
+// One step per version bump, in order. `up` receives the events of a file at
+// version `from` and returns them as version `from + 1` expects them.
+const MIGRATIONS = [
+  {
+    from: 1,
+    description: "wrap the event list in a versioned envelope",
+    up: (events) => events,
+  },
+  {
+    from: 2,
+    description: "store participants as attendees; events may now carry deletedAt, calendarId, reminders, organizer and status",
+    up: (events) => events.map(upgradeParticipants),
+  },
+];
+
+const DEFAULT_LOCK_TIMEOUT_MS = 10000;
+// A lock this old is assumed to belong to a process that hung or died on
+// another machine sharing the directory; mutations take milliseconds.
+const DEFAULT_STALE_LOCK_MS = 30000;
+const LOCK_RETRY_MS = 15;
+
+const sleepCell = new Int32Array(new SharedArrayBuffer(4));
+
+function sleepSync(ms) {
+  Atomics.wait(sleepCell, 0, 0, ms);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    // EPERM: the process exists but belongs to someone else.
+    return err.code === "EPERM";
+  }
+}
+
+function fsyncDir(dir) {
+  let fd;
+  try {
+    fd = fs.openSync(dir, "r");
+    fs.fsyncSync(fd);
+  } catch {
+    // Not every platform can open or fsync a directory (e.g. Windows).
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+/**
+ * Replace `filePath` with `contents` so that readers see either the old or
+ * the new file, never a partial one: write a temp file, fsync, rename.
+ */
+export function writeFileAtomic(filePath, contents) {
+  const tmpPath = `${filePath}.${process.pid}.${randomUUID()}.tmp`;
+  const fd = fs.openSync(tmpPath, "w");
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } catch (err) {
+    fs.closeSync(fd);
+    fs.rmSync(tmpPath, { force: true });
+    throw err;
+  }
+  fs.closeSync(fd);
+  fs.renameSync(tmpPath, filePath);
+  fsyncDir(path.dirname(filePath));
+}
+
+/**
+ * Returns the migration steps a data set at `data.version` needs, each with
+ * how many events it changed, and the events as SCHEMA_VERSION expects them.
+ * Shared by the storage backends.
+ */
+export function planMigration(data) {
+  const steps = [];
+  let events = data.events;
+  for (const migration of MIGRATIONS) {
+    if (migration.from < data.version) continue;
+    const before = events;
+    events = migration.up(structuredClone(before));
+    const changed = events.filter((ev, idx) => !isDeepStrictEqual(ev, before[idx])).length;
+    steps.push({ from: migration.from, to: migration.from + 1, description: migration.description, changed });
+  }
+  return { steps, events };
+}
+
+/**
+ * The JSON file storage backend (see lib/storage-adapter.js for the
+ * interface). Simple and easy to inspect, but every read parses the whole
+ * file. Writes are atomic (temp file, fsync, rename) so a crash never leaves
+ * a half-written events.json, and every read-modify-write runs under a lock
+ * file shared by all processes using the directory. Files written by older
+ * versions are migrated on first load (the original is kept as
+ * events.json.v<N>.bak); files from a newer schema can be read but are never
+ * written. Options: `lockTimeoutMs` (how long to wait for the lock) and
+ * `staleLockMs` (when an abandoned lock may be broken).
+ */
+export function createStorage(dataDir, options = {}) {
   const filePath = path.join(dataDir, DATA_FILE);
+  const lockPath = filePath + LOCK_SUFFIX;
+  const lockTimeoutMs = options.lockTimeoutMs ?? DEFAULT_LOCK_TIMEOUT_MS;
+  const staleLockMs = options.staleLockMs ?? DEFAULT_STALE_LOCK_MS;
 
   function ensureDir() {
     if (!fs.existsSync(dataDir)) {
@@ -12,52 +126,299 @@ export function createStorage(dataDir) {
     }
   }
 
-  function readData() {
+  function schemaTooNew(version) {
+    return codedError(
+      "SCHEMA_TOO_NEW",
+      `${filePath} uses schema version ${version}, but this clawendar only knows version ${SCHEMA_VERSION}; upgrade clawendar before changing events`
+    );
+  }
+
+  // Reads the data file as { version, events } without migrating it.
+  function readFile() {
     ensureDir();
     if (!fs.existsSync(filePath)) {
-      return [];
+      return { version: SCHEMA_VERSION, events: [] };
+    }
+    const data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    if (Array.isArray(data)) {
+      return { version: 1, events: data };
+    }
+    if (!data || !Number.isInteger(data.version) || data.version < 2 || !Array.isArray(data.events)) {
+      throw codedError("INVALID_DATA", `${filePath} is not a clawendar data file`);
+    }
+    return data;
+  }
+
+  function backupFile(version) {
+    let backupPath = `${filePath}.v${version}.bak`;
+    if (fs.existsSync(backupPath)) {
+      backupPath = `${filePath}.v${version}.${Date.now()}.bak`;
+    }
+    fs.copyFileSync(filePath, backupPath, fs.constants.COPYFILE_EXCL);
+    return backupPath;
+  }
+
+  // Brings the file up to SCHEMA_VERSION. The caller must hold the lock.
+  function migrateFile(data) {
+    const plan = planMigration(data);
+    const backupPath = backupFile(data.version);
+    writeData(plan.events);
+    return { ...plan, backupPath };
+  }
+
+  // Set while a transaction runs: its working copy of the events, written
+  // out once when the transaction ends.
+  let tx = null;
+
+  // Reads events for a change; the caller must hold the lock.
+  function readData() {
+    if (tx) {
+      return structuredClone(tx.events);
+    }
+    const data = readFile();
+    if (data.version > SCHEMA_VERSION) {
+      throw schemaTooNew(data.version);
+    }
+    if (data.version < SCHEMA_VERSION) {
+      return migrateFile(data).events;
+    }
+    return data.events;
+  }
+
+  // Reads events without the lock, taking it only to migrate an older file.
+  function loadEvents() {
+    if (tx) {
+      return structuredClone(tx.events);
+    }
+    const data = readFile();
+    if (data.version < SCHEMA_VERSION) {
+      return withLock(readData);
     }
-    const raw = fs.readFileSync(filePath, "utf-8");
-    return JSON.parse(raw);
+    return data.events;
   }
 
   function writeData(events) {
+    if (tx) {
+      tx.events = events;
+      tx.dirty = true;
+      return;
+    }
     ensureDir();
-    fs.writeFileSync(filePath, JSON.stringify(events, null, 2), "utf-8");
+    writeFileAtomic(filePath, JSON.stringify({ version: SCHEMA_VERSION, events }, null, 2));
+  }
+
+  function readLock() {
+    try {
+      const raw = fs.readFileSync(lockPath, "utf-8");
+      return { raw, owner: JSON.parse(raw), mtimeMs: fs.statSync(lockPath).mtimeMs };
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      // Mid-write or garbage: judge it by age alone.
+      const stat = fs.statSync(lockPath, { throwIfNoEntry: false });
+      return stat ? { raw: null, owner: {}, mtimeMs: stat.mtimeMs } : null;
+    }
+  }
+
+  function isStale(lock) {
+    if (Date.now() - lock.mtimeMs > staleLockMs) {
+      return true;
+    }
+    const { pid, hostname } = lock.owner;
+    return hostname === os.hostname() && Number.isInteger(pid) && !isProcessAlive(pid);
+  }
+
+  // Moves a stale lock aside, then checks that what moved is the lock judged
+  // stale; if another process replaced it in the meantime, puts it back.
+  function breakStaleLock(lock) {
+    const asidePath = `${lockPath}.${process.pid}.${randomUUID()}.stale`;
+    try {
+      fs.renameSync(lockPath, asidePath);
+    } catch (err) {
+      if (err.code === "ENOENT") return;
+      throw err;
+    }
+    const moved = fs.readFileSync(asidePath, "utf-8");
+    if (lock.raw !== null && moved !== lock.raw) {
+      try {
+        fs.linkSync(asidePath, lockPath);
+      } catch {
+        // A newer lock already took its place; the one moved aside is lost,
+        // which only costs its owner exclusivity for one write.
+      }
+    }
+    fs.rmSync(asidePath, { force: true });
+  }
+
+  function acquireLock() {
+    ensureDir();
+    const owner = JSON.stringify({ pid: process.pid, hostname: os.hostname(), token: randomUUID() });
+    const deadline = Date.now() + lockTimeoutMs;
+
+    for (;;) {
+      try {
+        const fd = fs.openSync(lockPath, "wx");
+        try {
+          fs.writeSync(fd, owner);
+        } finally {
+          fs.closeSync(fd);
+        }
+        return owner;
+      } catch (err) {
+        if (err.code !== "EEXIST") throw err;
+      }
+
+      const lock = readLock();
+      if (lock && isStale(lock)) {
+        breakStaleLock(lock);
+        continue;
+      }
+      if (Date.now() >= deadline) {
+        throw codedError("LOCK_TIMEOUT", `Timed out waiting for the lock on ${filePath} (held by ${lockPath})`);
+      }
+      sleepSync(LOCK_RETRY_MS + Math.floor(Math.random() * LOCK_RETRY_MS));
+    }
+  }
+
+  function releaseLock(owner) {
+    // Only remove the lock if it is still ours (it may have been broken as stale).
+    try {
+      if (fs.readFileSync(lockPath, "utf-8") === owner) {
+        fs.rmSync(lockPath, { force: true });
+      }
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+    }
+  }
+
+  function withLock(fn) {
+    if (tx) {
+      // The transaction already holds the lock.
+      return fn();
+    }
+    const owner = acquireLock();
+    try {
+      return fn();
+    } finally {
+      releaseLock(owner);
+    }
   }
 
   return {
     loadAll() {
-      return readData();
+      return loadEvents();
+    },
+
+    // Upgrades the data file to SCHEMA_VERSION, or with `dryRun` only reports
+    // what would change. Returns { file, fromVersion, toVersion, eventCount,
+    // steps, backupPath }; steps is empty when the file is already current.
+    migrate({ dryRun = false } = {}) {
+      const run = () => {
+        const data = readFile();
+        if (data.version > SCHEMA_VERSION) {
+          throw schemaTooNew(data.version);
+        }
+        const result = { file: filePath, fromVersion: data.version, toVersion: SCHEMA_VERSION, eventCount: data.events.length };
+        if (data.version === SCHEMA_VERSION) {
+          return { ...result, steps: [], backupPath: null };
+        }
+        if (dryRun) {
+          return { ...result, steps: planMigration(data).steps, backupPath: null };
+        }
+        const { steps, backupPath } = migrateFile(data);
+        return { ...result, steps, backupPath };
+      };
+      return dryRun ? run() : withLock(run);
     },
 
     save(event) {
-      const events = readData();
-      events.push(event);
-      writeData(events);
+      withLock(() => {
+        const events = readData();
+        events.push(event);
+        writeData(events);
+      });
+    },
+
+    // Writes several events at once, replacing stored events with the same id.
+    saveMany(batch) {
+      withLock(() => {
+        const events = readData();
+        const indexById = new Map(events.map((e, idx) => [e.id, idx]));
+        for (const event of batch) {
+          const idx = indexById.get(event.id);
+          if (idx === undefined) {
+            indexById.set(event.id, events.length);
+            events.push(event);
+          } else {
+            events[idx] = event;
+          }
+        }
+        writeData(events);
+      });
     },
 
     remove(eventId) {
-      const events = readData();
-      const idx = events.findIndex((e) => e.id === eventId);
-      if (idx === -1) return false;
-      events.splice(idx, 1);
-      writeData(events);
-      return true;
+      return withLock(() => {
+        const events = readData();
+        const idx = events.findIndex((e) => e.id === eventId);
+        if (idx === -1) return false;
+        events.splice(idx, 1);
+        writeData(events);
+        return true;
+      });
     },
 
     update(eventId, updates) {
-      const events = readData();
-      const idx = events.findIndex((e) => e.id === eventId);
-      if (idx === -1) return false;
-      Object.assign(events[idx], updates);
-      writeData(events);
-      return events[idx];
+      return withLock(() => {
+        const events = readData();
+        const idx = events.findIndex((e) => e.id === eventId);
+        if (idx === -1) return false;
+        Object.assign(events[idx], updates);
+        writeData(events);
+        return events[idx];
+      });
     },
 
     findById(eventId) {
-      const events = readData();
-      return events.find((e) => e.id === eventId);
+      if (tx) {
+        // Copy only the event asked for: journaling looks up every event a
+        // transaction writes, and cloning the whole store each time adds up.
+        const event = tx.events.find((e) => e.id === eventId);
+        return event && structuredClone(event);
+      }
+      return loadEvents().find((e) => e.id === eventId);
     },
+
+    queryRange(fromMs, toMs) {
+      return loadEvents().filter((event) => {
+        const span = eventSpan(event);
+        return span.start <= toMs && span.end >= fromMs;
+      });
+    },
+
+    // onCommit runs after the events are written, still under the lock.
+    transaction(fn, { onCommit } = {}) {
+      if (tx) {
+        const result = fn();
+        if (onCommit) tx.onCommit.push(onCommit);
+        return result;
+      }
+      return withLock(() => {
+        tx = { events: readData(), dirty: false, onCommit: onCommit ? [onCommit] : [] };
+        try {
+          const result = fn();
+          const { events, dirty, onCommit: committed } = tx;
+          tx = null;
+          if (dirty) {
+            writeData(events);
+          }
+          committed.forEach((callback) => callback());
+          return result;
+        } finally {
+          tx = null;
+        }
+      });
+    },
+
+    close() {},
   };
 }
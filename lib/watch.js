@@ -0,0 +1,104 @@
+import fs from "node:fs";
+import { formatIsoInTimeZone, hostTimeZone } from "./recurrence.js";
+
+// The longest the watcher sleeps between checks. Timers stop while the
+// machine sleeps, so this is also how late reminders missed during sleep are
+// caught up after waking.
+const MAX_SLEEP_MS = 60000;
+
+// Bursts of writes to the data directory are picked up once they settle.
+const CHANGE_DEBOUNCE_MS = 250;
+
+// Files whose changes can move reminders: the events, in either backend.
+const EVENT_FILES = /^events\.(?:json|db(?:-wal)?)$/;
+
+/**
+ * Delivers reminders as they fire, for as long as it runs: each check hands
+ * what is due to `deliver` (acknowledged first, so two watchers never
+ * deliver the same reminder) and sleeps until the next firing, at most
+ * MAX_SLEEP_MS. Changes to the events wake it early. Since checks start
+ * where the last one ended, reminders that fired while it was stopped or
+ * the machine was asleep are delivered on the next check.
+ *
+ * `deliver` throws when it could not deliver a reminder; the error goes to
+ * `onError` and the reminder is released again (see releaseReminders), so
+ * the next check retries it. `starts` also fires at the start of every
+ * event and occurrence. Errors while checking (e.g. LOCK_TIMEOUT) go to
+ * `onError` too, and the check is retried later.
+ */
+export function createWatcher({ calendar, dataDir, deliver, tz = hostTimeZone(), starts = false, onError = () => {}, now = () => new Date() }) {
+  let timer = null;
+  let debounce = null;
+  let fsWatcher = null;
+  let running = false;
+
+  /**
+   * Delivers what is due now. Returns the reminders delivered, those that
+   * failed (to be retried), and when the next check should run.
+   */
+  function check() {
+    const current = now();
+    const until = formatIsoInTimeZone(current, tz);
+    const { reminders } = calendar.dueReminders({ until, tz, starts, acknowledge: true });
+    const delivered = [];
+    const failed = [];
+    for (const reminder of reminders) {
+      try {
+        deliver(reminder);
+        delivered.push(reminder);
+      } catch (err) {
+        onError(err);
+        failed.push(reminder);
+      }
+    }
+    calendar.releaseReminders(failed);
+
+    const horizon = new Date(current.getTime() + MAX_SLEEP_MS);
+    const [next] = calendar.dueReminders({ since: until, until: formatIsoInTimeZone(horizon, tz), tz, starts }).reminders;
+    return { delivered, failed, nextCheck: next ? new Date(next.fireAt) : horizon };
+  }
+
+  function schedule() {
+    clearTimeout(timer);
+    if (!running) {
+      return;
+    }
+    let nextCheck;
+    try {
+      nextCheck = check().nextCheck;
+    } catch (err) {
+      onError(err);
+      nextCheck = new Date(now().getTime() + MAX_SLEEP_MS);
+    }
+    const delay = Math.min(Math.max(nextCheck.getTime() - now().getTime(), 0), MAX_SLEEP_MS);
+    timer = setTimeout(schedule, delay);
+  }
+
+  function onChange(_eventType, filename) {
+    if (filename && !EVENT_FILES.test(filename)) {
+      return;
+    }
+    clearTimeout(debounce);
+    debounce = setTimeout(schedule, CHANGE_DEBOUNCE_MS);
+  }
+
+  return {
+    check,
+
+    start() {
+      running = true;
+      fs.mkdirSync(dataDir, { recursive: true });
+      fsWatcher = fs.watch(dataDir, onChange);
+      fsWatcher.on("error", onError);
+      schedule();
+    },
+
+    stop() {
+      running = false;
+      clearTimeout(timer);
+      clearTimeout(debounce);
+      fsWatcher?.close();
+      fsWatcher = null;
+    },
+  };
+}
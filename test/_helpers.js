@@ -11,12 +11,12 @@ export function makeTmpDir() {
   return fs.mkdtempSync(path.join(os.tmpdir(), "clawendar-test-"));
 }
 
-export function run(args, tmpDir) {
+export function run(args, tmpDir, env = {}) {
   return new Promise((resolve) => {
     execFile(
       process.execPath,
       [CLI_PATH, ...args],
-      { env: { ...process.env, CLAWENDAR_DATA_DIR: tmpDir } },
+      { env: { ...process.env, CLAWENDAR_DATA_DIR: tmpDir, ...env } },
       (error, stdout, stderr) => {
         resolve({ exitCode: error ? error.code : 0, stdout, stderr });
       }
@@ -0,0 +1,171 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { createCalendar } from "../lib/calendar.js";
+import { validateEvent } from "../lib/event.js";
+import { makeTmpDir } from "./_helpers.js";
+
+function todayKey(offsetDays = 0) {
+  const now = new Date();
+  const d = new Date(now.getFullYear(), now.getMonth(), now.getDate() + offsetDays);
+  const mm = String(d.getMonth() + 1).padStart(2, "0");
+  const dd = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${mm}-${dd}`;
+}
+
+describe("all-day events", () => {
+  let tmpDir;
+  let calendar;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    calendar = createCalendar({ dataDir: tmpDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("validation", () => {
+    it("accepts a date-only start when allDay is set", () => {
+      const result = validateEvent({ title: "Holiday", start: "2026-05-01", allDay: true });
+      assert.equal(result.valid, true);
+    });
+
+    it("rejects a date-only start without allDay", () => {
+      const result = validateEvent({ title: "Holiday", start: "2026-05-01" });
+      assert.equal(result.valid, false);
+    });
+
+    it("rejects a datetime start on an all-day event", () => {
+      const result = validateEvent({ title: "Holiday", start: "2026-05-01T00:00:00+02:00", allDay: true });
+      assert.equal(result.valid, false);
+    });
+
+    it("rejects impossible dates", () => {
+      const result = validateEvent({ title: "Holiday", start: "2026-02-30", allDay: true });
+      assert.equal(result.valid, false);
+    });
+
+    it("rejects an end date before the start date", () => {
+      const result = validateEvent({ title: "Trip", start: "2026-05-03", end: "2026-05-01", allDay: true });
+      assert.equal(result.valid, false);
+      assert.ok(result.errors.some((e) => e.includes("end")));
+    });
+
+    it("does not require tz for recurring all-day events", () => {
+      const result = validateEvent({ title: "Birthday", start: "2026-05-15", allDay: true, rrule: "FREQ=YEARLY" });
+      assert.equal(result.valid, true);
+    });
+  });
+
+  describe("add", () => {
+    it("defaults end to the start date for single-day events", () => {
+      const event = calendar.add({ title: "Holiday", start: "2026-05-01", allDay: true });
+      assert.equal(event.allDay, true);
+      assert.equal(event.start, "2026-05-01");
+      assert.equal(event.end, "2026-05-01");
+    });
+
+    it("keeps an inclusive end date for multi-day spans", () => {
+      const event = calendar.add({ title: "Vacation", start: "2026-07-01", end: "2026-07-14", allDay: true });
+      assert.equal(event.end, "2026-07-14");
+    });
+  });
+
+  describe("range queries", () => {
+    it("today() includes an all-day event dated today", () => {
+      calendar.add({ title: "Holiday", start: todayKey(), allDay: true });
+      calendar.add({ title: "Tomorrow", start: todayKey(1), allDay: true });
+
+      const events = calendar.today();
+      assert.deepEqual(events.map((e) => e.title), ["Holiday"]);
+    });
+
+    it("today() includes a multi-day span that started earlier", () => {
+      calendar.add({ title: "Vacation", start: todayKey(-2), end: todayKey(2), allDay: true });
+
+      const events = calendar.today();
+      assert.equal(events.length, 1);
+      assert.equal(events[0].title, "Vacation");
+    });
+
+    it("listRange() matches all-day dates against the range's own calendar dates", () => {
+      calendar.add({ title: "Holiday", start: "2026-05-01", allDay: true });
+
+      // 2026-05-01 in Tokyo is still 2026-04-30 in UTC; the floating date must not shift.
+      const inRange = calendar.listRange("2026-05-01T00:00:00+09:00", "2026-05-01T23:59:59+09:00");
+      assert.equal(inRange.length, 1);
+
+      const before = calendar.listRange("2026-04-30T00:00:00+00:00", "2026-04-30T23:59:59+00:00");
+      assert.equal(before.length, 0);
+    });
+
+    it("listRange() sorts all-day events before timed events on the same day", () => {
+      calendar.add({ title: "Lunch", start: "2026-05-01T12:00:00+02:00" });
+      calendar.add({ title: "Holiday", start: "2026-05-01", allDay: true });
+
+      const events = calendar.listRange("2026-05-01T00:00:00+02:00", "2026-05-01T23:59:59+02:00");
+      assert.deepEqual(events.map((e) => e.title), ["Holiday", "Lunch"]);
+    });
+  });
+
+  describe("recurrence", () => {
+    it("expands a yearly birthday without a time or timezone", () => {
+      const event = calendar.add({ title: "Birthday", start: "2026-05-15", allDay: true, rrule: "FREQ=YEARLY" });
+
+      const dates = calendar.occurrences(event.id, "2026-01-01", "2028-12-31");
+      assert.deepEqual(dates, ["2026-05-15", "2027-05-15", "2028-05-15"]);
+    });
+
+    it("expands all-day occurrences into range queries", () => {
+      calendar.add({ title: "Birthday", start: "2026-05-15", allDay: true, rrule: "FREQ=YEARLY" });
+
+      const events = calendar.listRange("2027-05-15T00:00:00+02:00", "2027-05-15T23:59:59+02:00");
+      assert.equal(events.length, 1);
+      assert.equal(events[0].start, "2027-05-15");
+      assert.equal(events[0].allDay, true);
+    });
+
+    it("includes a recurring multi-day span that started before the range", () => {
+      calendar.add({ title: "Festival", start: "2026-08-01", end: "2026-08-03", allDay: true, rrule: "FREQ=YEARLY" });
+
+      const events = calendar.listRange("2027-08-02T00:00:00+02:00", "2027-08-02T23:59:59+02:00");
+      assert.equal(events.length, 1);
+      assert.equal(events[0].start, "2027-08-01");
+      assert.equal(events[0].end, "2027-08-03");
+    });
+
+    it("skips a single all-day occurrence by date", () => {
+      const event = calendar.add({ title: "Birthday", start: "2026-05-15", allDay: true, rrule: "FREQ=YEARLY" });
+      calendar.skip(event.id, "2027-05-15");
+
+      const dates = calendar.occurrences(event.id, "2026-01-01", "2028-12-31");
+      assert.deepEqual(dates, ["2026-05-15", "2028-05-15"]);
+    });
+
+    it("rejects a datetime when skipping an all-day occurrence", () => {
+      const event = calendar.add({ title: "Birthday", start: "2026-05-15", allDay: true, rrule: "FREQ=YEARLY" });
+      assert.throws(() => calendar.skip(event.id, "2027-05-15T00:00:00+02:00"), /date/);
+    });
+  });
+
+  describe("edit", () => {
+    it("converts a timed event into an all-day event", () => {
+      const event = calendar.add({ title: "Offsite", start: "2026-05-01T09:00:00+02:00" });
+      const updated = calendar.edit(event.id, { allDay: true, start: "2026-05-01" });
+
+      assert.equal(updated.allDay, true);
+      assert.equal(updated.end, "2026-05-01");
+    });
+
+    it("converts an all-day event back into a timed event", () => {
+      const event = calendar.add({ title: "Offsite", start: "2026-05-01", allDay: true });
+      calendar.edit(event.id, { allDay: false, start: "2026-05-01T09:00:00+02:00" });
+
+      const [stored] = calendar.list();
+      assert.equal(stored.allDay, undefined);
+      assert.equal(stored.end, "2026-05-01T10:00:00+02:00");
+    });
+  });
+});
@@ -0,0 +1,171 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { findAttendee, formatPerson, matchesPerson, parsePerson, replaceAttendees } from "../lib/attendees.js";
+import { createCalendar } from "../lib/calendar.js";
+import { makeTmpDir } from "./_helpers.js";
+
+const ALICE = { name: "Alice Smith", email: "alice@example.com", role: "required", status: "needs-action" };
+const BOB = { name: "Bob", role: "optional", status: "needs-action" };
+
+describe("parsePerson / formatPerson", () => {
+  it("reads names, addresses and both", () => {
+    assert.deepEqual(parsePerson("Alice Smith <alice@example.com>"), { name: "Alice Smith", email: "alice@example.com" });
+    assert.deepEqual(parsePerson('"Smith, Alice" <alice@example.com>'), { name: "Smith, Alice", email: "alice@example.com" });
+    assert.deepEqual(parsePerson("<alice@example.com>"), { email: "alice@example.com" });
+    assert.deepEqual(parsePerson(" bob@example.com "), { email: "bob@example.com" });
+    assert.deepEqual(parsePerson("Bob"), { name: "Bob" });
+  });
+
+  it("rejects what is neither", () => {
+    assert.throws(() => parsePerson("Alice <not an address>"), { code: "INVALID_ARGUMENT" });
+    assert.throws(() => parsePerson("  "), { code: "INVALID_ARGUMENT" });
+  });
+
+  it("formats people the way --attendee takes them", () => {
+    assert.equal(formatPerson(ALICE), "Alice Smith <alice@example.com>");
+    assert.equal(formatPerson({ email: "bob@example.com" }), "bob@example.com");
+    assert.equal(formatPerson(BOB), "Bob");
+  });
+});
+
+describe("matching attendees", () => {
+  it("matches by name, address or the part before the @", () => {
+    for (const query of ["alice smith", "ALICE@example.com", "alice"]) {
+      assert.equal(matchesPerson(ALICE, query), true, query);
+    }
+    assert.equal(matchesPerson(ALICE, "smith"), false);
+    assert.equal(matchesPerson(BOB, "bob@example.com"), false);
+  });
+
+  it("finds exactly one attendee", () => {
+    assert.equal(findAttendee([ALICE, BOB], "bob"), 1);
+    assert.throws(() => findAttendee([ALICE, BOB], "carol"), { code: "NOT_FOUND" });
+    assert.throws(
+      () => findAttendee([ALICE, { email: "alice@example.org", role: "required", status: "accepted" }], "alice"),
+      { code: "INVALID_ARGUMENT", message: /matches several attendees/ }
+    );
+  });
+
+  it("keeps the answers of people already invited", () => {
+    const previous = [{ ...ALICE, status: "accepted" }, { ...BOB, status: "declined" }];
+    assert.deepEqual(replaceAttendees(previous, [{ email: "ALICE@example.com" }, { name: "Carol", role: "optional" }]), [
+      { email: "ALICE@example.com", role: "required", status: "accepted" },
+      { name: "Carol", role: "optional", status: "needs-action" },
+    ]);
+  });
+});
+
+describe("calendar attendees", () => {
+  let tmpDir;
+  let calendar;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    calendar = createCalendar({ dataDir: tmpDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("adds attendees and an organizer", () => {
+    const event = calendar.add({
+      title: "Review",
+      start: "2026-03-10T10:00:00+01:00",
+      attendees: [{ name: "Alice Smith", email: "alice@example.com" }, { name: "Bob", role: "optional" }],
+      organizer: { email: "carol@example.com" },
+    });
+    assert.deepEqual(event.attendees, [ALICE, BOB]);
+    assert.deepEqual(event.organizer, { email: "carol@example.com" });
+
+    assert.throws(
+      () => calendar.add({ title: "Bad", start: "2026-03-10T10:00:00+01:00", attendees: [{ name: "Bob", status: "maybe" }] }),
+      { code: "INVALID_EVENT", message: /attendees must be/ }
+    );
+  });
+
+  it("records answers with rsvp", () => {
+    const event = calendar.add({ title: "Review", start: "2026-03-10T10:00:00+01:00", attendees: [ALICE, BOB] });
+
+    const updated = calendar.rsvp(event.id, "alice", "accepted");
+    assert.deepEqual(updated.attendees.map((a) => a.status), ["accepted", "needs-action"]);
+    assert.deepEqual(calendar.history({ limit: 1 })[0].op, "rsvp");
+
+    assert.throws(() => calendar.rsvp(event.id, "alice", "maybe"), { code: "INVALID_ARGUMENT", message: /status must be one of/ });
+    assert.throws(() => calendar.rsvp(event.id, "dave", "accepted"), { code: "NOT_FOUND" });
+    assert.throws(() => calendar.rsvp("nope", "alice", "accepted"), { code: "NOT_FOUND" });
+
+    const edited = calendar.edit(event.id, { attendees: [{ email: "alice@example.com" }, { name: "Carol" }] });
+    assert.deepEqual(edited.attendees.map((a) => a.status), ["accepted", "needs-action"]);
+  });
+
+  it("records an answer for one occurrence of a series", () => {
+    const series = calendar.add({
+      title: "Sync",
+      start: "2026-03-03T10:00:00+01:00",
+      tz: "Europe/Warsaw",
+      rrule: "FREQ=WEEKLY",
+      attendees: [ALICE, BOB],
+    });
+
+    const occurrence = calendar.rsvp(series.id, "bob", "declined", { occurrence: "2026-03-10T10:00:00+01:00" });
+    assert.equal(occurrence.seriesId, series.id);
+    assert.deepEqual(occurrence.attendees.map((a) => a.status), ["needs-action", "declined"]);
+
+    const [first, second] = calendar.listRange("2026-03-01T00:00:00+01:00", "2026-03-12T00:00:00+01:00");
+    assert.deepEqual(first.attendees.map((a) => a.status), ["needs-action", "needs-action"]);
+    assert.deepEqual(second.attendees.map((a) => a.status), ["needs-action", "declined"]);
+
+    const single = calendar.add({ title: "One-off", start: "2026-03-10T10:00:00+01:00", attendees: [ALICE] });
+    assert.throws(() => calendar.rsvp(single.id, "alice", "accepted", { occurrence: single.start }), { code: "NOT_RECURRING" });
+  });
+
+  it("filters by attendee or organizer", () => {
+    calendar.add({ title: "Review", start: "2026-03-10T10:00:00+01:00", attendees: [ALICE] });
+    calendar.add({ title: "Planning", start: "2026-03-10T12:00:00+01:00", organizer: { name: "Alice Smith" } });
+    calendar.add({ title: "Lunch", start: "2026-03-10T13:00:00+01:00", attendees: [BOB] });
+
+    assert.deepEqual(calendar.list({ attendee: "alice smith" }).map((e) => e.title), ["Review", "Planning"]);
+    assert.deepEqual(calendar.list({ attendee: "bob" }).map((e) => e.title), ["Lunch"]);
+  });
+
+  it("reads events stored with participant names", () => {
+    fs.writeFileSync(path.join(tmpDir, "events.json"), JSON.stringify({
+      version: 2,
+      events: [{
+        id: "legacy",
+        title: "Old sync",
+        start: "2026-03-03T10:00:00+01:00",
+        end: "2026-03-03T11:00:00+01:00",
+        tz: "Europe/Warsaw",
+        rrule: "FREQ=WEEKLY",
+        participants: ["Alice", "bob@example.com"],
+        overrides: { "2026-03-10T10:00:00+01:00": { place: "Room 2", participants: ["Alice"] } },
+      }],
+    }));
+
+    const [series] = calendar.list();
+    assert.equal(series.participants, undefined);
+    assert.deepEqual(series.attendees, [
+      { name: "Alice", role: "required", status: "needs-action" },
+      { email: "bob@example.com", role: "required", status: "needs-action" },
+    ]);
+    const occurrences = calendar.listRange("2026-03-09T00:00:00+01:00", "2026-03-11T00:00:00+01:00");
+    assert.deepEqual(occurrences[0].attendees.map((a) => a.name), ["Alice"]);
+
+    calendar.rsvp("legacy", "bob", "accepted");
+    const stored = JSON.parse(fs.readFileSync(path.join(tmpDir, "events.json"), "utf-8")).events[0];
+    assert.deepEqual(stored.attendees.map((a) => a.status), ["needs-action", "accepted"]);
+    assert.deepEqual(calendar.list({ attendee: "bob" }).map((e) => e.id), ["legacy"]);
+  });
+
+  it("limits conflict checks to events an attendee is part of", () => {
+    calendar.add({ title: "Review", start: "2026-03-10T10:00:00+01:00", attendees: [ALICE] });
+    calendar.add({ title: "Lunch", start: "2026-03-10T10:30:00+01:00", attendees: [BOB] });
+    const overlapping = { title: "Call", start: "2026-03-10T10:15:00+01:00", attendees: [ALICE] };
+
+    assert.deepEqual(calendar.conflictsWith(overlapping, { participants: ["alice@example.com"] }).map((c) => c.events[1].title), ["Review"]);
+  });
+});
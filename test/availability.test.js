@@ -0,0 +1,124 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { createCalendar } from "../lib/calendar.js";
+import { gapsBetween, mergeIntervals, parseTimeWindow } from "../lib/availability.js";
+import { makeTmpDir } from "./_helpers.js";
+
+const TZ = "Europe/Warsaw";
+const WEEK = ["2030-03-04T00:00:00+01:00", "2030-03-09T00:00:00+01:00"];
+
+describe("availability helpers", () => {
+  it("merges overlapping and touching intervals", () => {
+    const merged = mergeIntervals([
+      { start: 30, end: 40, eventIds: ["c"] },
+      { start: 0, end: 10, eventIds: ["a"] },
+      { start: 10, end: 20, eventIds: ["b"] },
+      { start: 35, end: 38, eventIds: ["d"] },
+    ]);
+    assert.deepEqual(merged, [
+      { start: 0, end: 20, eventIds: ["a", "b"] },
+      { start: 30, end: 40, eventIds: ["c", "d"] },
+    ]);
+  });
+
+  it("finds gaps of a minimum length", () => {
+    const busy = [{ start: 10, end: 20 }, { start: 25, end: 60 }];
+    assert.deepEqual(gapsBetween(busy, 0, 100), [{ start: 0, end: 10 }, { start: 20, end: 25 }, { start: 60, end: 100 }]);
+    assert.deepEqual(gapsBetween(busy, 15, 50, 5), [{ start: 20, end: 25 }]);
+    assert.deepEqual(gapsBetween(busy, 0, 100, 11), [{ start: 60, end: 100 }]);
+  });
+
+  it("parses daily time windows", () => {
+    assert.deepEqual(parseTimeWindow("09:00-17:30"), { start: "09:00", end: "17:30" });
+    assert.deepEqual(parseTimeWindow("18:00-24:00"), { start: "18:00", end: "24:00" });
+    for (const bad of ["9-17", "17:00-09:00", "09:00-24:30", "25:00-26:00"]) {
+      assert.throws(() => parseTimeWindow(bad), (err) => err.code === "INVALID_ARGUMENT");
+    }
+  });
+});
+
+describe("calendar free/busy", () => {
+  let tmpDir;
+  let calendar;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    calendar = createCalendar({ dataDir: tmpDir });
+    calendar.add({
+      title: "Standup",
+      start: "2030-03-04T09:00:00+01:00",
+      end: "2030-03-04T10:00:00+01:00",
+      tz: TZ,
+      rrule: "FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR",
+      calendarId: "work",
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("returns merged busy blocks including occurrences", () => {
+    const review = calendar.add({ title: "Review", start: "2030-03-05T09:30:00+01:00", end: "2030-03-05T11:00:00+01:00" });
+
+    const busy = calendar.freeBusy("2030-03-05T00:00:00+01:00", "2030-03-06T00:00:00+01:00", { tz: TZ });
+    assert.equal(busy.length, 1);
+    assert.equal(busy[0].start, "2030-03-05T09:00:00+01:00");
+    assert.equal(busy[0].end, "2030-03-05T11:00:00+01:00");
+    assert.equal(busy[0].eventIds.length, 2);
+    assert.ok(busy[0].eventIds.includes(review.id));
+
+    const utc = calendar.freeBusy("2030-03-05T00:00:00+01:00", "2030-03-05T09:30:00+01:00", { tz: "UTC" });
+    assert.deepEqual(utc.map((b) => [b.start, b.end]), [["2030-03-05T08:00:00+00:00", "2030-03-05T08:30:00+00:00"]]);
+  });
+
+  it("leaves all-day and transparent events free", () => {
+    calendar.add({ title: "Holiday", start: "2030-03-05", allDay: true });
+    calendar.add({ title: "FYI", start: "2030-03-05T12:00:00+01:00", end: "2030-03-05T13:00:00+01:00", transparency: "transparent" });
+
+    const busy = calendar.freeBusy("2030-03-05T00:00:00+01:00", "2030-03-06T00:00:00+01:00", { tz: TZ });
+    assert.deepEqual(busy.map((b) => b.start), ["2030-03-05T09:00:00+01:00"]);
+  });
+
+  it("finds free slots of a given length within daily hours", () => {
+    calendar.add({ title: "Lunch", start: "2030-03-05T12:00:00+01:00", end: "2030-03-05T14:00:00+01:00" });
+
+    const slots = calendar.freeSlots("2030-03-04T00:00:00+01:00", "2030-03-06T00:00:00+01:00", {
+      durationMinutes: 150,
+      within: "09:00-17:00",
+      tz: TZ,
+    });
+    assert.deepEqual(slots, [
+      { start: "2030-03-04T10:00:00+01:00", end: "2030-03-04T17:00:00+01:00", minutes: 420 },
+      { start: "2030-03-05T14:00:00+01:00", end: "2030-03-05T17:00:00+01:00", minutes: 180 },
+    ]);
+  });
+
+  it("limits busy time to the given calendars", () => {
+    const slots = calendar.freeSlots(...WEEK, {
+      durationMinutes: 480,
+      within: "09:00-17:00",
+      tz: TZ,
+      filters: { calendarIds: ["personal"] },
+    });
+    assert.equal(slots.length, 5);
+  });
+
+  it("keeps daily hours on the wall clock across a DST change", () => {
+    const slots = calendar.freeSlots("2030-03-30T00:00:00+01:00", "2030-04-01T00:00:00+02:00", {
+      durationMinutes: 60,
+      within: "09:00-10:00",
+      tz: TZ,
+    });
+    assert.deepEqual(slots.map((s) => s.start), ["2030-03-30T09:00:00+01:00", "2030-03-31T09:00:00+02:00"]);
+  });
+
+  it("rejects bad queries", () => {
+    const invalid = (err) => err.code === "INVALID_ARGUMENT";
+    assert.throws(() => calendar.freeSlots(...WEEK, { durationMinutes: 0 }), invalid);
+    assert.throws(() => calendar.freeSlots("2030-03-04", WEEK[1], { durationMinutes: 30 }), invalid);
+    assert.throws(() => calendar.freeSlots(WEEK[1], WEEK[0], { durationMinutes: 30 }), invalid);
+    assert.throws(() => calendar.freeBusy(...WEEK, { tz: "Mars/Base" }), invalid);
+  });
+});
@@ -2,6 +2,8 @@ import { describe, it, beforeEach, afterEach } from "node:test";
 import assert from "node:assert/strict";
 import fs from "node:fs";
 import { createCalendar } from "../lib/calendar.js";
+import { createEvent } from "../lib/event.js";
+import { createStorage } from "../lib/storage.js";
 import { makeTmpDir } from "./_helpers.js";
 
 describe("createCalendar", () => {
@@ -28,11 +30,37 @@ describe("createCalendar", () => {
       assert.equal(event.title, "Meeting");
     });
 
+    it("accepts UTC and fractional-second datetimes and stores them canonically", () => {
+      const event = calendar.add({
+        title: "Standup",
+        start: "2026-02-14T09:00:00.000Z",
+        end: "2026-02-14T09:15Z",
+      });
+
+      assert.equal(event.start, "2026-02-14T09:00:00+00:00");
+      assert.equal(event.end, "2026-02-14T09:15:00+00:00");
+      assert.equal(calendar.list()[0].start, "2026-02-14T09:00:00+00:00");
+    });
+
+    it("sets the end from a duration", () => {
+      const event = calendar.add({ title: "Review", start: "2026-02-14T10:00:00Z" }, { durationMinutes: 45 });
+
+      assert.equal(event.end, "2026-02-14T10:45:00+00:00");
+      assert.throws(
+        () => calendar.add({ title: "X", start: "2026-02-14T10:00:00+01:00", end: "2026-02-14T11:00:00+01:00" }, { durationMinutes: 45 }),
+        (err) => err.code === "INVALID_ARGUMENT"
+      );
+      assert.throws(
+        () => calendar.add({ title: "X", start: "2026-02-14", allDay: true }, { durationMinutes: 45 }),
+        /all-day events take an end date/
+      );
+    });
+
     it("throws when required fields are missing", () => {
       assert.throws(() => calendar.add({ title: "No start" }));
     });
 
-    it("adds an event with place and participants", () => {
+    it("adds an event with place and participants, read as attendees", () => {
       const event = calendar.add({
         title: "Lunch",
         start: "2026-02-14T12:00:00+01:00",
@@ -41,7 +69,11 @@ describe("createCalendar", () => {
       });
 
       assert.equal(event.place, "Cafe");
-      assert.deepEqual(event.participants, ["Alice", "Bob"]);
+      assert.equal(event.participants, undefined);
+      assert.deepEqual(event.attendees, [
+        { name: "Alice", role: "required", status: "needs-action" },
+        { name: "Bob", role: "required", status: "needs-action" },
+      ]);
     });
   });
 
@@ -96,7 +128,72 @@ describe("createCalendar", () => {
       const updated = calendar.edit(event.id, {
         participants: ["Alice", "Bob"],
       });
-      assert.deepEqual(updated.participants, ["Alice", "Bob"]);
+      assert.deepEqual(updated.attendees.map((a) => a.name), ["Alice", "Bob"]);
+    });
+
+    it("stores a new start and end in canonical form", () => {
+      const event = calendar.add({ title: "Meeting", start: "2026-02-14T10:00:00+01:00" });
+
+      const updated = calendar.edit(event.id, { start: "2026-02-14T12:00Z", end: "2026-02-14T13:00:00.500Z" });
+
+      assert.equal(updated.start, "2026-02-14T12:00:00+00:00");
+      assert.equal(updated.end, "2026-02-14T13:00:00+00:00");
+    });
+
+    it("sets the end from a duration, counted from the new or current start", () => {
+      const event = calendar.add({ title: "Meeting", start: "2026-02-14T10:00:00+01:00" });
+
+      assert.equal(calendar.edit(event.id, {}, { durationMinutes: 90 }).end, "2026-02-14T11:30:00+01:00");
+      const moved = calendar.edit(event.id, { start: "2026-02-14T14:00:00+01:00" }, { durationMinutes: 30 });
+      assert.equal(moved.end, "2026-02-14T14:30:00+01:00");
+    });
+
+    it("sets the end of one occurrence from a duration", () => {
+      const series = calendar.add({
+        title: "Standup",
+        start: "2026-03-02T09:00:00+01:00",
+        tz: "Europe/Warsaw",
+        rrule: "FREQ=DAILY",
+      });
+
+      const occurrence = calendar.edit(series.id, {}, { occurrence: "2026-03-03T09:00:00+01:00", durationMinutes: 15 });
+
+      assert.equal(occurrence.start, "2026-03-03T09:00:00+01:00");
+      assert.equal(occurrence.end, "2026-03-03T09:15:00+01:00");
+    });
+
+    it("sets and removes the description, URL and notes", () => {
+      const event = calendar.add({
+        title: "Call",
+        start: "2026-02-14T10:00:00+01:00",
+        description: "Agenda:\n1. Intro",
+        url: "https://meet.example.com/abc",
+      });
+      assert.equal(event.description, "Agenda:\n1. Intro");
+
+      const updated = calendar.edit(event.id, { url: undefined, notes: "Booking ref 42" });
+      assert.equal(updated.url, undefined);
+      assert.equal(updated.notes, "Booking ref 42");
+      assert.equal(calendar.get(event.id).description, "Agenda:\n1. Intro");
+      assert.throws(() => calendar.edit(event.id, { url: "not a link" }), { code: "INVALID_EVENT" });
+    });
+
+    it("gives one occurrence its own notes and drops them again", () => {
+      const series = calendar.add({
+        title: "Sync",
+        start: "2026-03-03T10:00:00+01:00",
+        tz: "Europe/Warsaw",
+        rrule: "FREQ=WEEKLY",
+        notes: "Usual room",
+      });
+      const occurrence = "2026-03-10T10:00:00+01:00";
+
+      assert.equal(calendar.edit(series.id, { notes: "Room 2 this week" }, { occurrence }).notes, "Room 2 this week");
+      assert.equal(calendar.get(series.id, { occurrence }).notes, "Room 2 this week");
+      assert.equal(calendar.get(series.id, { occurrence: "2026-03-17T10:00:00+01:00" }).notes, "Usual room");
+
+      assert.equal(calendar.edit(series.id, { notes: undefined }, { occurrence }).notes, "Usual room");
+      assert.equal(calendar.get(series.id, { occurrence }).exception, undefined);
     });
 
     it("throws for a non-existent event", () => {
@@ -251,6 +348,21 @@ describe("createCalendar", () => {
       assert.equal(events[0].end, "2026-03-06T19:45:00+01:00");
     });
 
+    it("includes an occurrence that started before the range and runs into it", () => {
+      calendar.add({
+        title: "Gymnastics",
+        start: "2026-02-27T18:00:00+01:00",
+        end: "2026-02-27T19:45:00+01:00",
+        tz: "Europe/Warsaw",
+        rrule: "FREQ=WEEKLY;BYDAY=FR",
+      });
+
+      const events = calendar.listRange("2026-03-06T19:00:00+01:00", "2026-03-06T20:00:00+01:00");
+
+      assert.equal(events.length, 1);
+      assert.equal(events[0].start, "2026-03-06T18:00:00+01:00");
+    });
+
     it("honors skip/exDates when expanding recurring series", () => {
       const series = calendar.add({
         title: "Gymnastics",
@@ -270,6 +382,34 @@ describe("createCalendar", () => {
       assert.equal(events.length, 0);
     });
 
+    it("skips an occurrence given in UTC, stored as the series spells it", () => {
+      const series = calendar.add({
+        title: "Gymnastics",
+        start: "2026-02-27T18:00:00+01:00",
+        end: "2026-02-27T19:45:00+01:00",
+        tz: "Europe/Warsaw",
+        rrule: "FREQ=WEEKLY;BYDAY=FR",
+        exDates: ["2026-03-13T17:00Z"],
+      });
+
+      const skipped = calendar.skip(series.id, "2026-03-06T17:00:00.000Z");
+
+      assert.deepEqual(skipped.exDates, ["2026-03-13T17:00:00+00:00", "2026-03-06T18:00:00+01:00"]);
+      const events = calendar.listRange("2026-03-02T00:00:00Z", "2026-03-15T00:00:00Z");
+      assert.equal(events.length, 0);
+    });
+
+    it("refuses to skip a plain date of a timed series", () => {
+      const series = calendar.add({
+        title: "Gymnastics",
+        start: "2026-02-27T18:00:00+01:00",
+        tz: "Europe/Warsaw",
+        rrule: "FREQ=WEEKLY;BYDAY=FR",
+      });
+
+      assert.throws(() => calendar.skip(series.id, "2026-03-06"), (err) => err.code === "INVALID_ARGUMENT");
+    });
+
     it("returns an empty array when no events in range", () => {
       calendar.add({ title: "Event", start: "2026-06-01T10:00:00+01:00" });
 
@@ -308,5 +448,19 @@ describe("createCalendar", () => {
       assert.equal(events[0].title, "Starts on boundary");
     });
 
+    it("still lists other events beside a stored COUNT rule too long to expand", () => {
+      assert.throws(
+        () => calendar.add({ title: "Tick", start: "2026-01-01T00:00:00+00:00", tz: "UTC", rrule: "FREQ=MINUTELY;COUNT=200000" }),
+        /COUNT reaches further ahead than can be expanded/
+      );
+      // Written before the rule was refused: kept, but cut short.
+      createStorage(tmpDir).save(createEvent({
+        title: "Tick", start: "2026-01-01T00:00:00+00:00", tz: "UTC", rrule: "FREQ=MINUTELY;COUNT=200000",
+      }));
+      calendar.add({ title: "Lunch", start: "2026-10-19T12:00:00+02:00" });
+
+      const events = calendar.listRange("2026-10-19T00:00:00+02:00", "2026-10-20T00:00:00+02:00");
+      assert.deepEqual(events.map((e) => e.title), ["Lunch"]);
+    });
   });
 });
@@ -0,0 +1,197 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { createCalendar } from "../lib/calendar.js";
+import { createStorage } from "../lib/storage.js";
+import { makeTmpDir } from "./_helpers.js";
+
+const START = "2026-03-03T10:00:00+01:00";
+
+describe("calendar registry", () => {
+  let tmpDir;
+  let calendar;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    calendar = createCalendar({ dataDir: tmpDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("creates calendars with metadata in calendars.json", () => {
+    const entry = calendar.addCalendar({ id: "work", name: "Work", color: "#3366ff", tz: "Europe/Warsaw", categories: ["Job"] });
+    assert.equal(entry.id, "work");
+    assert.equal(entry.name, "Work");
+    assert.deepEqual(entry.categories, ["job"]);
+    assert.ok(entry.createdAt);
+
+    const stored = JSON.parse(fs.readFileSync(path.join(tmpDir, "calendars.json"), "utf-8"));
+    assert.equal(stored.version, 1);
+    assert.deepEqual(stored.calendars, [entry]);
+    assert.deepEqual(calendar.getCalendar("work"), entry);
+  });
+
+  it("rejects invalid or duplicate calendars", () => {
+    calendar.addCalendar({ id: "work" });
+    for (const fields of [{ id: "work" }, { id: "default" }, { id: "a b" }, { id: "x", color: "blue" }, { id: "x", tz: "Mars/Base" }]) {
+      assert.throws(() => calendar.addCalendar(fields), (err) => err.code === "INVALID_ARGUMENT");
+    }
+  });
+
+  it("lists registered calendars and ids only used by events", () => {
+    calendar.addCalendar({ id: "work", name: "Work" });
+    calendar.add({ title: "Gym", start: START, calendarId: "personal" });
+    calendar.add({ title: "Free", start: START });
+
+    assert.deepEqual(
+      calendar.listCalendars().map(({ id, registered, eventCount }) => ({ id, registered, eventCount })),
+      [
+        { id: "work", registered: true, eventCount: 0 },
+        { id: "personal", registered: false, eventCount: 1 },
+        { id: "default", registered: false, eventCount: 1 },
+      ]
+    );
+  });
+
+  it("applies the calendar's default time zone and categories to new events", () => {
+    calendar.addCalendar({ id: "work", tz: "Europe/Warsaw", categories: ["job"] });
+    const timed = calendar.add({ title: "Standup", start: START, calendarId: "work" });
+    assert.equal(timed.tz, "Europe/Warsaw");
+    assert.deepEqual(timed.categories, ["job"]);
+
+    const own = calendar.add({ title: "Call", start: START, calendarId: "work", tz: "UTC", categories: ["x"] });
+    assert.equal(own.tz, "UTC");
+    assert.deepEqual(own.categories, ["x"]);
+
+    const allDay = calendar.add({ title: "Offsite", start: "2026-03-04", allDay: true, calendarId: "work" });
+    assert.equal(allDay.tz, undefined);
+  });
+
+  it("refuses to change events of a read-only calendar", () => {
+    const event = calendar.add({ title: "Holiday", start: "2026-03-04", allDay: true, calendarId: "holidays" });
+    const series = calendar.add({ title: "Sync", start: START, tz: "Europe/Warsaw", rrule: "FREQ=WEEKLY", calendarId: "holidays" });
+    const mine = calendar.add({ title: "Mine", start: START });
+    calendar.updateCalendar("holidays", { readOnly: true });
+
+    const readOnly = (err) => err.code === "READ_ONLY";
+    assert.throws(() => calendar.add({ title: "x", start: START, calendarId: "holidays" }), readOnly);
+    assert.throws(() => calendar.edit(event.id, { title: "x" }), readOnly);
+    assert.throws(() => calendar.edit(mine.id, { calendarId: "holidays" }), readOnly);
+    assert.throws(() => calendar.skip(series.id, "2026-03-10T10:00:00+01:00"), readOnly);
+    assert.throws(() => calendar.delete(event.id), readOnly);
+    assert.throws(() => calendar.delete(series.id, { fromOccurrence: "2026-03-10T10:00:00+01:00" }), readOnly);
+
+    calendar.updateCalendar("holidays", { readOnly: false });
+    assert.equal(calendar.getCalendar("holidays").readOnly, undefined);
+    assert.equal(calendar.edit(event.id, { title: "Holiday!" }).title, "Holiday!");
+  });
+
+  it("refuses to import into or update events of a read-only calendar", () => {
+    const entry = { uid: "h@example.com", title: "Holiday", start: "2026-03-04", allDay: true };
+    calendar.importEvents([entry], { calendarId: "holidays" });
+    calendar.addCalendar({ id: "archive", readOnly: true });
+    calendar.updateCalendar("holidays", { readOnly: true });
+
+    const readOnly = (err) => err.code === "READ_ONLY";
+    const other = { uid: "o@example.com", title: "Other", start: START };
+    assert.throws(() => calendar.importEvents([other], { calendarId: "archive" }), readOnly);
+    assert.throws(() => calendar.importEvents([other, { ...entry, title: "Changed" }]), readOnly);
+    assert.deepEqual(calendar.list().map((e) => e.title), ["Holiday"]);
+
+    assert.equal(calendar.importEvents([entry]).unchanged.length, 1);
+  });
+
+  it("updates and clears metadata", () => {
+    calendar.addCalendar({ id: "work", name: "Work", color: "#fff" });
+    const entry = calendar.updateCalendar("work", { name: "Job", color: undefined });
+    assert.equal(entry.name, "Job");
+    assert.equal("color" in entry, false);
+    assert.throws(() => calendar.updateCalendar("nope", { name: "x" }), (err) => err.code === "NOT_FOUND");
+  });
+
+  it("renames a calendar and the calendarId of its events, trashed ones included", () => {
+    calendar.addCalendar({ id: "work", name: "Work" });
+    const kept = calendar.add({ title: "Standup", start: START, calendarId: "work" });
+    const trashed = calendar.add({ title: "Old", start: START, calendarId: "work" });
+    calendar.delete(trashed.id);
+
+    assert.equal(calendar.renameCalendar("work", "job").moved, 2);
+    assert.equal(calendar.getCalendar("work"), undefined);
+    assert.equal(calendar.getCalendar("job").name, "Work");
+    assert.equal(calendar.list()[0].id, kept.id);
+    assert.equal(calendar.list()[0].calendarId, "job");
+    assert.equal(calendar.restore(trashed.id).calendarId, "job");
+
+    calendar.add({ title: "Gym", start: START, calendarId: "personal" });
+    assert.throws(() => calendar.renameCalendar("job", "personal"), (err) => err.code === "INVALID_ARGUMENT");
+  });
+
+  it("deletes a calendar only once its events are moved or trashed", () => {
+    calendar.addCalendar({ id: "work" });
+    const event = calendar.add({ title: "Standup", start: START, calendarId: "work" });
+
+    assert.throws(() => calendar.removeCalendar("work"), (err) => err.code === "CALENDAR_NOT_EMPTY");
+    assert.throws(() => calendar.removeCalendar("work", { moveTo: "x", cascade: true }), (err) => err.code === "INVALID_ARGUMENT");
+
+    assert.deepEqual(calendar.removeCalendar("work", { moveTo: "default" }), { moved: 1, trashed: 0 });
+    assert.equal(calendar.getCalendar("work"), undefined);
+    assert.equal(calendar.list()[0].calendarId, undefined);
+
+    calendar.edit(event.id, { calendarId: "personal" });
+    assert.deepEqual(calendar.removeCalendar("personal", { cascade: true }), { moved: 0, trashed: 1 });
+    assert.deepEqual(calendar.list(), []);
+    assert.equal(calendar.listTrash()[0].id, event.id);
+  });
+
+  it("leaves the registry alone when renaming or deleting fails to commit", () => {
+    const storage = createStorage(tmpDir);
+    let failCommit = false;
+    // Throwing at the very end of the transaction drops its buffered writes,
+    // as a failed final write of events.json would.
+    const failing = {
+      ...storage,
+      transaction: (fn, options) => storage.transaction(() => {
+        const result = fn();
+        if (failCommit) throw new Error("disk full");
+        return result;
+      }, options),
+    };
+    calendar = createCalendar({ dataDir: tmpDir, storage: failing });
+    calendar.addCalendar({ id: "work", name: "Work" });
+    calendar.add({ title: "Standup", start: START, calendarId: "work" });
+
+    failCommit = true;
+    assert.throws(() => calendar.renameCalendar("work", "job"), /disk full/);
+    assert.throws(() => calendar.removeCalendar("work", { cascade: true }), /disk full/);
+    failCommit = false;
+
+    assert.deepEqual(calendar.listCalendars().map((c) => [c.id, c.registered, c.eventCount]), [["work", true, 1]]);
+    assert.deepEqual(calendar.history().map((e) => e.op), ["add", "calendar-create"]);
+  });
+
+  it("refuses to move events into a read-only calendar", () => {
+    calendar.addCalendar({ id: "archive", readOnly: true });
+    calendar.add({ title: "Standup", start: START, calendarId: "work" });
+    assert.throws(() => calendar.removeCalendar("work", { moveTo: "archive" }), (err) => err.code === "READ_ONLY");
+  });
+
+  it("journals registry changes so they can be undone", () => {
+    calendar.addCalendar({ id: "work", name: "Work" });
+    calendar.add({ title: "Standup", start: START, calendarId: "work" });
+    calendar.renameCalendar("work", "job");
+
+    const [entry] = calendar.history({ limit: 1 });
+    assert.equal(entry.op, "calendar-rename");
+    assert.equal(entry.calendarId, "work");
+    assert.equal(entry.calendars.after[0].id, "job");
+
+    calendar.undo();
+    assert.equal(calendar.getCalendar("work").name, "Work");
+    assert.equal(calendar.list()[0].calendarId, "work");
+    calendar.redo();
+    assert.equal(calendar.getCalendar("job").name, "Work");
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { makeTmpDir, run } from "./_helpers.js";
+
+describe("CLI: all-day events", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("adds a single all-day event with --date", async () => {
+    const { exitCode, stdout, stderr } = await run(["add", "Holiday", "--date", "2026-05-01"], tmpDir);
+
+    assert.equal(exitCode, 0, stderr);
+    assert.ok(stdout.includes("2026-05-01  Holiday"));
+    assert.ok(stdout.includes("{all-day}"));
+  });
+
+  it("adds a multi-day span with --until-date", async () => {
+    const { exitCode, stdout, stderr } = await run(
+      ["add", "Vacation", "--date", "2026-07-01", "--until-date", "2026-07-14"],
+      tmpDir
+    );
+
+    assert.equal(exitCode, 0, stderr);
+    assert.ok(stdout.includes("2026-07-01/2026-07-14  Vacation"));
+  });
+
+  it("fails when neither --start nor --date is given", async () => {
+    const { exitCode, stderr } = await run(["add", "Holiday"], tmpDir);
+
+    assert.notEqual(exitCode, 0);
+    assert.ok(stderr.includes("--start or --date"));
+  });
+
+  it("fails when --start and --date are combined", async () => {
+    const { exitCode, stderr } = await run(
+      ["add", "Holiday", "--date", "2026-05-01", "--start", "2026-05-01T10:00:00+02:00"],
+      tmpDir
+    );
+
+    assert.notEqual(exitCode, 0);
+    assert.ok(stderr.includes("cannot be combined"));
+  });
+
+  it("lists recurring birthdays and skips one by date", async () => {
+    const addRes = await run(["add", "Birthday", "--date", "2026-05-15", "--rrule", "FREQ=YEARLY"], tmpDir);
+    assert.equal(addRes.exitCode, 0, addRes.stderr);
+    const id = addRes.stdout.match(/[0-9a-f-]{36}/)[0];
+
+    const skipRes = await run(["skip", id, "--date", "2027-05-15"], tmpDir);
+    assert.equal(skipRes.exitCode, 0, skipRes.stderr);
+
+    const listRes = await run(
+      ["list", "--from", "2026-01-01T00:00:00+01:00", "--to", "2028-12-31T23:59:59+01:00"],
+      tmpDir
+    );
+    assert.equal(listRes.exitCode, 0, listRes.stderr);
+    assert.ok(listRes.stdout.includes("2026-05-15  Birthday"));
+    assert.ok(!listRes.stdout.includes("2027-05-15"));
+    assert.ok(listRes.stdout.includes("2028-05-15  Birthday"));
+  });
+
+  it("edit --date turns a timed event into an all-day event", async () => {
+    const addRes = await run(["add", "Offsite", "--start", "2026-05-01T09:00:00+02:00"], tmpDir);
+    const id = addRes.stdout.match(/[0-9a-f-]{36}/)[0];
+
+    const editRes = await run(["edit", id, "--date", "2026-05-01", "--until-date", "2026-05-02"], tmpDir);
+    assert.equal(editRes.exitCode, 0, editRes.stderr);
+    assert.ok(editRes.stdout.includes("2026-05-01/2026-05-02  Offsite"));
+    assert.ok(editRes.stdout.includes("{all-day}"));
+  });
+});
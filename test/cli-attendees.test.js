@@ -0,0 +1,98 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { makeTmpDir, run } from "./_helpers.js";
+
+const ENV = { CLAWENDAR_TZ: "Europe/Warsaw" };
+
+describe("CLI: attendees", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("adds attendees and an organizer and shows their answers", async () => {
+    const add = await run([
+      "add", "Review", "--start", "2030-03-04T10:00:00+01:00",
+      "--attendee", "Alice Smith <alice@example.com>,bob@example.com",
+      "--optional-attendee", "Carol",
+      "--organizer", "dave@example.com",
+      "--json",
+    ], tmpDir, ENV);
+    assert.equal(add.exitCode, 0, add.stderr);
+    const { event } = JSON.parse(add.stdout);
+    assert.deepEqual(event.attendees, [
+      { name: "Alice Smith", email: "alice@example.com", role: "required", status: "needs-action" },
+      { name: null, email: "bob@example.com", role: "required", status: "needs-action" },
+      { name: "Carol", email: null, role: "optional", status: "needs-action" },
+    ]);
+    assert.deepEqual(event.organizer, { name: null, email: "dave@example.com" });
+
+    const rsvp = await run(["rsvp", event.id, "--attendee", "alice", "--status", "accepted"], tmpDir, ENV);
+    assert.equal(rsvp.exitCode, 0, rsvp.stderr);
+    assert.match(rsvp.stdout, /\(Alice Smith \[accepted\], bob@example\.com, Carol \[optional\]\) {2}\{organizer dave@example\.com\}/);
+  });
+
+  it("keeps answers when the attendee list is replaced", async () => {
+    const add = await run(["add", "Review", "--start", "2030-03-04T10:00:00+01:00", "--attendee", "alice@example.com", "--json"], tmpDir, ENV);
+    const { id } = JSON.parse(add.stdout).event;
+    await run(["rsvp", id, "--attendee", "alice@example.com", "--status", "declined"], tmpDir, ENV);
+
+    const edit = await run(["edit", id, "--attendee", "alice@example.com", "--attendee", "Bob", "--json"], tmpDir, ENV);
+    assert.equal(edit.exitCode, 0, edit.stderr);
+    assert.deepEqual(JSON.parse(edit.stdout).event.attendees.map((a) => a.status), ["declined", "needs-action"]);
+
+    const clear = await run(["edit", id, "--attendee", "none", "--organizer", "none", "--json"], tmpDir, ENV);
+    assert.deepEqual(JSON.parse(clear.stdout).event.attendees, []);
+  });
+
+  it("answers for one occurrence of a series", async () => {
+    const add = await run([
+      "add", "Sync", "--start", "2030-03-04T10:00:00+01:00", "--tz", "Europe/Warsaw", "--rrule", "FREQ=WEEKLY", "--attendee", "Bob", "--json",
+    ], tmpDir, ENV);
+    const { id } = JSON.parse(add.stdout).event;
+
+    const rsvp = await run([
+      "rsvp", id, "--attendee", "bob", "--status", "tentative", "--occurrence", "2030-03-11T10:00:00+01:00", "--json",
+    ], tmpDir, ENV);
+    assert.equal(rsvp.exitCode, 0, rsvp.stderr);
+
+    const list = await run(["list", "--from", "2030-03-04", "--to", "2030-03-12", "--json"], tmpDir, ENV);
+    assert.deepEqual(JSON.parse(list.stdout).events.map((e) => e.attendees[0].status), ["needs-action", "tentative"]);
+  });
+
+  it("filters listings by attendee", async () => {
+    await run(["add", "Review", "--start", "2030-03-04T10:00:00+01:00", "--attendee", "alice@example.com"], tmpDir, ENV);
+    await run(["add", "Lunch", "--start", "2030-03-04T12:00:00+01:00", "--attendee", "Bob"], tmpDir, ENV);
+
+    const list = await run(["list", "--from", "2030-03-04", "--to", "2030-03-05", "--attendee", "alice", "--json"], tmpDir, ENV);
+    assert.equal(list.exitCode, 0, list.stderr);
+    assert.deepEqual(JSON.parse(list.stdout).events.map((e) => e.title), ["Review"]);
+  });
+
+  it("reports bad people, statuses and unknown attendees", async () => {
+    const bad = await run(["add", "Review", "--start", "2030-03-04T10:00:00+01:00", "--attendee", "Alice <nope>"], tmpDir, ENV);
+    assert.equal(bad.exitCode, 1);
+    assert.equal(bad.stderr, 'Error: --attendee: expected a name, an e-mail address or "Name <email>": Alice <nope>\n');
+
+    const add = await run(["add", "Review", "--start", "2030-03-04T10:00:00+01:00", "--attendee", "Bob", "--json"], tmpDir, ENV);
+    const { id } = JSON.parse(add.stdout).event;
+
+    const status = await run(["rsvp", id, "--attendee", "bob", "--status", "maybe"], tmpDir, ENV);
+    assert.equal(status.exitCode, 1);
+    assert.match(status.stderr, /status must be one of: needs-action, accepted, declined, tentative/);
+
+    const unknown = await run(["rsvp", id, "--attendee", "carol", "--status", "accepted", "--json"], tmpDir, ENV);
+    assert.equal(unknown.exitCode, 1);
+    assert.equal(JSON.parse(unknown.stderr).error.code, "NOT_FOUND");
+
+    const missing = await run(["rsvp", id, "--attendee", "bob"], tmpDir, ENV);
+    assert.equal(missing.exitCode, 1);
+    assert.match(missing.stderr, /--status/);
+  });
+});
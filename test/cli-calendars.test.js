@@ -0,0 +1,105 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { makeTmpDir, run } from "./_helpers.js";
+
+const START = "2026-03-03T10:00:00+01:00";
+
+describe("CLI: calendars", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("creates, lists and updates calendars", async () => {
+    const create = await run(
+      ["calendars", "create", "work", "--name", "Work", "--color", "#3366ff", "--tz", "Europe/Warsaw", "--category", "job"],
+      tmpDir
+    );
+    assert.equal(create.stdout, 'Created calendar work  "Work"  #3366ff  tz Europe/Warsaw  categories job\n');
+
+    await run(["add", "Gym", "--start", START, "--calendar", "personal"], tmpDir);
+    const list = await run(["calendars", "list"], tmpDir);
+    assert.equal(
+      list.stdout,
+      'work  "Work"  #3366ff  tz Europe/Warsaw  categories job  0 events\npersonal  (not registered)  1 events\n'
+    );
+
+    const set = await run(["calendars", "set", "work", "--color", "", "--read-only", "true", "--json"], tmpDir);
+    const { calendar } = JSON.parse(set.stdout);
+    assert.equal(calendar.readOnly, true);
+    assert.equal(calendar.color, undefined);
+
+    const listed = JSON.parse((await run(["calendars", "list", "--json"], tmpDir)).stdout);
+    assert.deepEqual(listed.calendars.map((c) => c.id), ["work", "personal"]);
+  });
+
+  it("applies calendar defaults and enforces read-only calendars", async () => {
+    await run(["calendars", "create", "work", "--tz", "Europe/Warsaw"], tmpDir);
+    const add = JSON.parse((await run(["add", "Standup", "--start", START, "--calendar", "work", "--json"], tmpDir)).stdout);
+    assert.equal(add.event.tz, "Europe/Warsaw");
+
+    await run(["calendars", "set", "work", "--read-only", "true"], tmpDir);
+    const edit = await run(["edit", add.event.id, "--title", "x", "--json"], tmpDir);
+    assert.equal(edit.exitCode, 1);
+    assert.equal(JSON.parse(edit.stderr).error.code, "READ_ONLY");
+
+    const icsPath = path.join(tmpDir, "work.ics");
+    fs.writeFileSync(icsPath, [
+      "BEGIN:VCALENDAR", "BEGIN:VEVENT", "UID:x@example.com", "SUMMARY:Imported", "DTSTART:20260310T090000Z", "END:VEVENT", "END:VCALENDAR", "",
+    ].join("\r\n"));
+    const imported = await run(["import", icsPath, "--calendar", "work"], tmpDir);
+    assert.equal(imported.exitCode, 1);
+    assert.equal(imported.stderr, 'Error: Calendar "work" is read-only\n');
+
+    const bad = await run(["calendars", "set", "work", "--read-only", "maybe"], tmpDir);
+    assert.equal(bad.stderr, "Error: --read-only must be true or false\n");
+  });
+
+  it("renames calendars and deletes them with their events moved or trashed", async () => {
+    await run(["add", "Standup", "--start", START, "--calendar", "work"], tmpDir);
+
+    const rename = await run(["calendars", "rename", "work", "job"], tmpDir);
+    assert.equal(rename.stdout, "Renamed calendar work to job (1 events moved)\n");
+
+    const refused = await run(["calendars", "delete", "job", "--json"], tmpDir);
+    assert.equal(refused.exitCode, 1);
+    assert.equal(JSON.parse(refused.stderr).error.code, "CALENDAR_NOT_EMPTY");
+
+    const both = await run(["calendars", "delete", "job", "--move-to", "x", "--cascade"], tmpDir);
+    assert.equal(both.stderr, "Error: --move-to and --cascade cannot be combined\n");
+
+    const moved = await run(["calendars", "delete", "job", "--move-to", "team"], tmpDir);
+    assert.equal(moved.stdout, "Deleted calendar job (1 events moved to team)\n");
+
+    const cascade = await run(["calendars", "delete", "team", "--cascade", "--json"], tmpDir);
+    assert.deepEqual(JSON.parse(cascade.stdout), { deleted: "team", moved: 0, trashed: 1 });
+    assert.equal(JSON.parse((await run(["trash", "list", "--json"], tmpDir)).stdout).events.length, 1);
+  });
+
+  it("shows registry changes in history and undoes them", async () => {
+    await run(["calendars", "create", "work"], tmpDir);
+    const history = await run(["history"], tmpDir);
+    assert.match(history.stdout, /^#1 {2}\S+ {2}calendar-create {2}calendar work\n$/);
+
+    await run(["undo"], tmpDir);
+    assert.equal((await run(["calendars", "list"], tmpDir)).stdout, "No calendars.\n");
+  });
+
+  it("validates subcommands and their flags", async () => {
+    const missing = await run(["calendars"], tmpDir);
+    assert.equal(missing.stderr, "Error: calendars needs a subcommand: list, create, rename, delete, set\n");
+
+    const flag = await run(["calendars", "rename", "a", "b", "--cascade"], tmpDir);
+    assert.equal(flag.stderr, "Error: Unknown flag --cascade for command calendars rename\n");
+
+    const id = await run(["calendars", "create"], tmpDir);
+    assert.equal(id.stderr, "Error: calendar id is required\n");
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { makeTmpDir, run } from "./_helpers.js";
+
+const PROCESSES = 16;
+
+describe("CLI: concurrent processes", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("does not lose events added at the same time", async () => {
+    const results = await Promise.all(
+      Array.from({ length: PROCESSES }, (_, i) =>
+        run(["add", `Event ${i}`, "--start", "2026-03-03T10:00:00+01:00"], tmpDir)
+      )
+    );
+    for (const res of results) {
+      assert.equal(res.exitCode, 0, res.stderr);
+    }
+
+    const events = JSON.parse(fs.readFileSync(path.join(tmpDir, "events.json"), "utf-8")).events;
+    assert.equal(events.length, PROCESSES);
+    assert.deepEqual(
+      events.map((e) => e.title).sort(),
+      Array.from({ length: PROCESSES }, (_, i) => `Event ${i}`).sort()
+    );
+    assert.deepEqual(fs.readdirSync(tmpDir).sort(), ["events.json", "journal.jsonl"]);
+
+    const journal = fs.readFileSync(path.join(tmpDir, "journal.jsonl"), "utf-8").trim().split("\n").map((line) => JSON.parse(line));
+    assert.deepEqual(journal.map((entry) => entry.seq), Array.from({ length: PROCESSES }, (_, i) => i + 1));
+  });
+
+  it("does not lose edits made at the same time", async () => {
+    const added = await Promise.all(
+      Array.from({ length: 4 }, (_, i) =>
+        run(["add", `Event ${i}`, "--start", "2026-03-03T10:00:00+01:00", "--json"], tmpDir)
+      )
+    );
+    const ids = added.map((res) => JSON.parse(res.stdout).event.id);
+
+    const edits = await Promise.all(
+      ids.flatMap((id) => [
+        run(["edit", id, "--place", `Room ${id.slice(0, 4)}`], tmpDir),
+        run(["edit", id, "--category", "edited"], tmpDir),
+      ])
+    );
+    for (const res of edits) {
+      assert.equal(res.exitCode, 0, res.stderr);
+    }
+
+    const events = JSON.parse(fs.readFileSync(path.join(tmpDir, "events.json"), "utf-8")).events;
+    assert.equal(events.length, 4);
+    for (const event of events) {
+      assert.equal(event.place, `Room ${event.id.slice(0, 4)}`);
+      assert.deepEqual(event.categories, ["edited"]);
+    }
+  });
+
+  it("does not lose occurrences skipped at the same time", async () => {
+    const added = await run([
+      "add", "Standup", "--start", "2026-03-02T10:00:00+01:00", "--tz", "Europe/Warsaw", "--rrule", "FREQ=DAILY", "--json",
+    ], tmpDir);
+    const id = JSON.parse(added.stdout).event.id;
+    const days = Array.from({ length: 8 }, (_, i) => `2026-03-${String(i + 3).padStart(2, "0")}T10:00:00+01:00`);
+
+    const results = await Promise.all([
+      ...days.map((day) => run(["skip", id, "--date", day], tmpDir)),
+      run(["edit", id, "--place", "Room 2"], tmpDir),
+    ]);
+    for (const res of results) {
+      assert.equal(res.exitCode, 0, res.stderr);
+    }
+
+    const [series] = JSON.parse(fs.readFileSync(path.join(tmpDir, "events.json"), "utf-8")).events;
+    assert.deepEqual([...series.exDates].sort(), days);
+    assert.equal(series.place, "Room 2");
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { makeTmpDir, run } from "./_helpers.js";
+
+const RANGE = ["--from", "2030-03-04T00:00:00+01:00", "--to", "2030-03-11T00:00:00+01:00"];
+
+describe("CLI: conflicts", () => {
+  let tmpDir;
+  let standupId;
+
+  beforeEach(async () => {
+    tmpDir = makeTmpDir();
+    const res = await run(
+      ["add", "Standup", "--start", "2030-03-06T10:00:00+01:00", "--end", "2030-03-06T10:30:00+01:00", "--calendar", "work", "--json"],
+      tmpDir
+    );
+    standupId = JSON.parse(res.stdout).event.id;
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("refuses a double booking with --no-conflicts", async () => {
+    const res = await run(["add", "--no-conflicts", "Dentist", "--start", "2030-03-06T10:15:00+01:00", "--json"], tmpDir);
+    assert.equal(res.exitCode, 1);
+    assert.deepEqual(JSON.parse(res.stderr), {
+      error: { code: "CONFLICT", message: 'Conflicts with "Standup" at 2030-03-06T10:00:00+01:00' },
+    });
+
+    const scoped = await run(
+      ["add", "Dentist", "--start", "2030-03-06T10:15:00+01:00", "--no-conflicts", "--conflict-calendars", "personal"],
+      tmpDir
+    );
+    assert.equal(scoped.exitCode, 0, scoped.stderr);
+  });
+
+  it("adds and edits with warnings for --warn-conflicts", async () => {
+    const add = await run(["add", "Dentist", "--start", "2030-03-06T10:15:00+01:00", "--warn-conflicts"], tmpDir);
+    assert.equal(add.exitCode, 0);
+    assert.match(add.stdout, /Dentist\n$/);
+    assert.equal(
+      add.stderr,
+      `Warning: overlaps Standup (${standupId}) at 2030-03-06T10:15:00+01:00/2030-03-06T10:30:00+01:00\n`
+    );
+
+    const edit = await run(["edit", standupId, "--title", "Daily", "--warn-conflicts", "--json"], tmpDir);
+    const json = JSON.parse(edit.stdout);
+    assert.equal(json.event.title, "Daily");
+    assert.equal(json.conflicts.length, 1);
+    assert.equal(json.conflicts[0].events[1].title, "Dentist");
+  });
+
+  it("reports conflicts in a range", async () => {
+    assert.equal((await run(["conflicts", ...RANGE], tmpDir)).stdout, "No conflicts.\n");
+
+    const add = await run(["add", "Dentist", "--start", "2030-03-06T10:15:00+01:00", "--participants", "ann", "--json"], tmpDir);
+    const dentistId = JSON.parse(add.stdout).event.id;
+
+    const text = await run(["conflicts", ...RANGE], tmpDir);
+    assert.equal(
+      text.stdout,
+      `2030-03-06T10:15:00+01:00/2030-03-06T10:30:00+01:00  Standup (${standupId})  overlaps  Dentist (${dentistId})\n`
+    );
+
+    const json = JSON.parse((await run(["conflicts", ...RANGE, "--json"], tmpDir)).stdout);
+    assert.deepEqual(json.conflicts[0].events.map((e) => e.id), [standupId, dentistId]);
+
+    assert.equal((await run(["conflicts", ...RANGE, "--calendars", "work"], tmpDir)).stdout, "No conflicts.\n");
+    assert.equal((await run(["conflicts", ...RANGE, "--participants", "ann"], tmpDir)).stdout, "No conflicts.\n");
+  });
+
+  it("validates the conflict flags", async () => {
+    const both = await run(["add", "X", "--start", "2030-03-06T12:00:00+01:00", "--no-conflicts", "--warn-conflicts"], tmpDir);
+    assert.equal(both.stderr, "Error: --no-conflicts and --warn-conflicts cannot be combined\n");
+
+    const scope = await run(["add", "X", "--start", "2030-03-06T12:00:00+01:00", "--conflict-calendars", "work"], tmpDir);
+    assert.equal(scope.stderr, "Error: --conflict-calendars and --conflict-participants need --no-conflicts or --warn-conflicts\n");
+
+    const range = await run(["conflicts", "--from", "2030-03-04T00:00:00+01:00"], tmpDir);
+    assert.equal(range.stderr, "Error: --to is required\n");
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { makeTmpDir, run } from "./_helpers.js";
+
+describe("CLI: dates as people type them", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("reads add --start in --tz and echoes what it resolved to", async () => {
+    const res = await run(["add", "Dinner", "--start", "2030-03-10 19:00", "--tz", "Europe/Warsaw"], tmpDir);
+
+    assert.equal(res.exitCode, 0);
+    assert.equal(res.stderr, 'Resolved --start "2030-03-10 19:00" to 2030-03-10T19:00:00+01:00\n');
+    assert.match(res.stdout, /2030-03-10T19:00:00\+01:00 {2}Dinner/);
+  });
+
+  it("falls back to CLAWENDAR_TZ and prints nothing extra with --json", async () => {
+    const res = await run(["add", "Call", "--start", "2030-03-10 09:00", "--duration", "90m", "--json"], tmpDir, { CLAWENDAR_TZ: "Asia/Tokyo" });
+
+    assert.equal(res.stderr, "");
+    const { event } = JSON.parse(res.stdout);
+    assert.equal(event.start, "2030-03-10T09:00:00+09:00");
+    assert.equal(event.end, "2030-03-10T10:30:00+09:00");
+  });
+
+  it("resolves relative times from now", async () => {
+    const before = Date.now();
+    const res = await run(["add", "Soon", "--start", "+2h", "--tz", "UTC", "--json"], tmpDir);
+
+    const { event } = JSON.parse(res.stdout);
+    const offset = new Date(event.start).getTime() - before;
+    assert.ok(offset >= 2 * 3600000 - 1000 && offset < 2 * 3600000 + 60000, event.start);
+  });
+
+  it("changes the length of an event with edit --duration", async () => {
+    const add = await run(["add", "Sync", "--start", "2030-03-10T10:00:00+01:00", "--json"], tmpDir);
+    const { id } = JSON.parse(add.stdout).event;
+
+    const res = await run(["edit", id, "--duration", "45m", "--json"], tmpDir);
+
+    assert.equal(JSON.parse(res.stdout).event.end, "2030-03-10T10:45:00+01:00");
+    const both = await run(["edit", id, "--end", "2030-03-10T11:00:00+01:00", "--duration", "45m"], tmpDir);
+    assert.equal(both.stderr, "Error: --end and --duration cannot be combined\n");
+  });
+
+  it("reads list --from/--to and skip --date the same way", async () => {
+    const add = await run(
+      ["add", "Gym", "--start", "2030-03-04T18:00:00+01:00", "--tz", "Europe/Warsaw", "--rrule", "FREQ=WEEKLY", "--json"],
+      tmpDir
+    );
+    const { id } = JSON.parse(add.stdout).event;
+
+    const skip = await run(["skip", id, "--date", "2030-03-11 18:00", "--json"], tmpDir, { CLAWENDAR_TZ: "Europe/Warsaw" });
+    assert.deepEqual(JSON.parse(skip.stdout), { id, skipped: "2030-03-11T18:00:00+01:00" });
+
+    const list = await run(["list", "--from", "2030-03-04", "--to", "2030-03-19", "--tz", "Europe/Warsaw", "--json"], tmpDir);
+    assert.deepEqual(JSON.parse(list.stdout).events.map((e) => e.start), ["2030-03-04T18:00:00+01:00", "2030-03-18T18:00:00+01:00"]);
+  });
+
+  it("rejects input it cannot read", async () => {
+    const res = await run(["add", "X", "--start", "whenever", "--json"], tmpDir);
+
+    assert.equal(res.exitCode, 1);
+    const { error } = JSON.parse(res.stderr);
+    assert.equal(error.code, "INVALID_ARGUMENT");
+    assert.match(error.message, /^--start: cannot read "whenever"/);
+  });
+});
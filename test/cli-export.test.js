@@ -0,0 +1,74 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { makeTmpDir, run } from "./_helpers.js";
+
+describe("CLI: export", () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = makeTmpDir();
+    await run(
+      ["add", "Team sync", "--start", "2026-03-03T10:00:00+01:00", "--tz", "Europe/Warsaw", "--rrule", "FREQ=WEEKLY;BYDAY=TU", "--calendar", "work"],
+      tmpDir
+    );
+    await run(["add", "Birthday", "--date", "2026-05-15", "--rrule", "FREQ=YEARLY", "--calendar", "family"], tmpDir);
+    await run(["add", "Dentist", "--start", "2026-06-10T09:00:00+02:00"], tmpDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("writes every event as iCalendar to stdout", async () => {
+    const res = await run(["export", "--format", "ics"], tmpDir);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.ok(res.stdout.startsWith("BEGIN:VCALENDAR\r\n"));
+    assert.equal(res.stdout.match(/BEGIN:VEVENT/g).length, 3);
+    assert.ok(res.stdout.includes("BEGIN:VTIMEZONE\r\nTZID:Europe/Warsaw\r\n"));
+    assert.ok(res.stdout.includes("RRULE:FREQ=WEEKLY;BYDAY=TU"));
+  });
+
+  it("filters by calendar and range", async () => {
+    const byCalendar = await run(["export", "--calendar", "family"], tmpDir);
+    assert.equal(byCalendar.stdout.match(/BEGIN:VEVENT/g).length, 1);
+    assert.ok(byCalendar.stdout.includes("X-WR-CALNAME:family"));
+    assert.ok(!byCalendar.stdout.includes("BEGIN:VTIMEZONE"));
+
+    const byRange = await run(
+      ["export", "--from", "2026-06-01T00:00:00+02:00", "--to", "2026-06-30T00:00:00+02:00"],
+      tmpDir
+    );
+    assert.equal(byRange.stdout.match(/BEGIN:VEVENT/g).length, 2);
+    assert.ok(byRange.stdout.includes("SUMMARY:Team sync"));
+    assert.ok(byRange.stdout.includes("SUMMARY:Dentist"));
+  });
+
+  it("writes a feed file that imports back without duplicates", async () => {
+    const feed = path.join(tmpDir, "feed.ics");
+    const res = await run(["export", "--output", feed], tmpDir);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.ok(res.stdout.includes("Exported 3 events"));
+
+    const otherDir = makeTmpDir();
+    try {
+      const first = await run(["import", feed], otherDir);
+      assert.ok(first.stdout.includes("(3 added, 0 updated, 0 unchanged)"), first.stdout);
+      const second = await run(["import", feed], otherDir);
+      assert.ok(second.stdout.includes("(0 added, 0 updated, 3 unchanged)"), second.stdout);
+    } finally {
+      fs.rmSync(otherDir, { recursive: true, force: true });
+    }
+  });
+
+  it("rejects unknown formats and half a range", async () => {
+    const format = await run(["export", "--format", "csv"], tmpDir);
+    assert.equal(format.exitCode, 1);
+    assert.ok(format.stderr.includes("unsupported export format: csv"));
+
+    const range = await run(["export", "--from", "2026-06-01T00:00:00+02:00"], tmpDir);
+    assert.equal(range.exitCode, 1);
+    assert.ok(range.stderr.includes("--from and --to must be given together"));
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { makeTmpDir, run } from "./_helpers.js";
+
+const RANGE = ["--from", "2030-03-04T00:00:00+01:00", "--to", "2030-03-06T00:00:00+01:00"];
+
+describe("CLI: free", () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = makeTmpDir();
+    await run(["add", "Standup", "--start", "2030-03-04T09:00:00+01:00", "--end", "2030-03-04T10:00:00+01:00", "--calendar", "work"], tmpDir);
+    await run(["add", "Focus", "--start", "2030-03-05T09:00:00+01:00", "--end", "2030-03-05T17:00:00+01:00", "--transparency", "transparent"], tmpDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("prints free slots within daily hours", async () => {
+    const res = await run([
+      "free", ...RANGE, "--duration", "90m", "--within", "09:00-17:00", "--tz", "Europe/Warsaw",
+    ], tmpDir);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.equal(
+      res.stdout,
+      "2030-03-04T10:00:00+01:00/2030-03-04T17:00:00+01:00  (420 min)\n"
+      + "2030-03-05T09:00:00+01:00/2030-03-05T17:00:00+01:00  (480 min)\n"
+    );
+  });
+
+  it("prints JSON slots and honors calendar filters", async () => {
+    const res = await run([
+      "free", ...RANGE, "--duration", "8h", "--within", "09:00-17:00", "--tz", "Europe/Warsaw", "--calendars", "personal", "--json",
+    ], tmpDir);
+    const { slots } = JSON.parse(res.stdout);
+    assert.equal(slots.length, 2);
+    assert.deepEqual(slots[0], { start: "2030-03-04T09:00:00+01:00", end: "2030-03-04T17:00:00+01:00", minutes: 480 });
+  });
+
+  it("shows transparent events as free in text output", async () => {
+    const list = await run(["list", ...RANGE], tmpDir);
+    assert.match(list.stdout, /Focus {2}\{free\}\n$/);
+  });
+
+  it("validates its flags", async () => {
+    const missing = await run(["free", ...RANGE], tmpDir);
+    assert.equal(missing.stderr, "Error: --duration is required\n");
+
+    const bad = await run(["free", ...RANGE, "--duration", "2d"], tmpDir);
+    assert.equal(bad.stderr, "Error: --duration must be a number followed by m or h (e.g. 90m)\n");
+
+    const window = await run(["free", ...RANGE, "--duration", "30m", "--within", "9-5", "--json"], tmpDir);
+    assert.equal(JSON.parse(window.stderr).error.code, "INVALID_ARGUMENT");
+
+    const none = await run(["free", ...RANGE, "--duration", "48h", "--tz", "Europe/Warsaw"], tmpDir);
+    assert.equal(none.stdout, "No free slots.\n");
+  });
+});
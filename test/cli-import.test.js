@@ -0,0 +1,81 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { makeTmpDir, run } from "./_helpers.js";
+
+const ICS = [
+  "BEGIN:VCALENDAR",
+  "VERSION:2.0",
+  "BEGIN:VEVENT",
+  "UID:sync@example.com",
+  "SUMMARY:Team sync",
+  "DTSTART;TZID=Europe/Warsaw:20260303T100000",
+  "DTEND;TZID=Europe/Warsaw:20260303T110000",
+  "RRULE:FREQ=WEEKLY;BYDAY=TU;COUNT=4",
+  "ATTACH:https://example.com/agenda.pdf",
+  "END:VEVENT",
+  "BEGIN:VEVENT",
+  "UID:bday@example.com",
+  "SUMMARY:Birthday",
+  "DTSTART;VALUE=DATE:20260515",
+  "RRULE:FREQ=YEARLY",
+  "END:VEVENT",
+  "BEGIN:VEVENT",
+  "UID:bad@example.com",
+  "SUMMARY:Bad",
+  "DTSTART;TZID=Nowhere/Special:20260310T090000",
+  "END:VEVENT",
+  "END:VCALENDAR",
+  "",
+].join("\r\n");
+
+describe("CLI: import", () => {
+  let tmpDir;
+  let icsPath;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    icsPath = path.join(tmpDir, "export.ics");
+    fs.writeFileSync(icsPath, ICS);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("imports events into a calendar and reports what was left out", async () => {
+    const res = await run(["import", icsPath, "--calendar", "work"], tmpDir);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.ok(res.stdout.includes("Imported 2 events"));
+    assert.ok(res.stdout.includes("(2 added, 0 updated, 0 unchanged)"));
+    assert.ok(res.stdout.includes("ATTACH: 1"));
+    assert.ok(res.stdout.includes('unknown time zone "Nowhere/Special"'));
+
+    const list = await run(
+      ["list", "--from", "2026-03-01T00:00:00+01:00", "--to", "2026-05-31T00:00:00+02:00", "--calendar", "work"],
+      tmpDir
+    );
+    assert.equal(list.stdout.trim().split("\n").length, 5);
+    assert.ok(list.stdout.includes("2026-05-15  Birthday"));
+  });
+
+  it("does not duplicate events on re-import", async () => {
+    await run(["import", icsPath], tmpDir);
+    const res = await run(["import", icsPath], tmpDir);
+    assert.ok(res.stdout.includes("(0 added, 0 updated, 2 unchanged)"));
+
+    const events = JSON.parse(fs.readFileSync(path.join(tmpDir, "events.json"), "utf-8")).events;
+    assert.equal(events.length, 2);
+  });
+
+  it("requires a readable file", async () => {
+    const missing = await run(["import"], tmpDir);
+    assert.equal(missing.exitCode, 1);
+    assert.ok(missing.stderr.includes("file is required"));
+
+    const unreadable = await run(["import", path.join(tmpDir, "nope.ics")], tmpDir);
+    assert.equal(unreadable.exitCode, 1);
+    assert.ok(unreadable.stderr.includes("cannot read file"));
+  });
+});
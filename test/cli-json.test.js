@@ -0,0 +1,190 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { makeTmpDir, run } from "./_helpers.js";
+
+const EVENT_KEYS = [
+  "id",
+  "kind",
+  "seriesId",
+  "originalStart",
+  "title",
+  "start",
+  "end",
+  "allDay",
+  "tz",
+  "rrule",
+  "place",
+  "description",
+  "url",
+  "notes",
+  "participants",
+  "attendees",
+  "organizer",
+  "calendarId",
+  "categories",
+  "transparency",
+  "status",
+  "reminders",
+];
+
+describe("CLI: --json / --ndjson output", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function addSeries() {
+    const res = await run(
+      [
+        "add",
+        "Sync  with  spaces",
+        "--start",
+        "2026-03-03T10:00:00+01:00",
+        "--tz",
+        "Europe/Warsaw",
+        "--rrule",
+        "FREQ=WEEKLY;BYDAY=TU",
+        "--calendar",
+        "work",
+        "--json",
+      ],
+      tmpDir
+    );
+    assert.equal(res.exitCode, 0, res.stderr);
+    return JSON.parse(res.stdout).event;
+  }
+
+  it("prints added and edited events with every schema key", async () => {
+    const series = await addSeries();
+    assert.deepEqual(Object.keys(series), EVENT_KEYS);
+    assert.equal(series.kind, "series");
+    assert.equal(series.title, "Sync  with  spaces");
+    assert.equal(series.end, "2026-03-03T11:00:00+01:00");
+    assert.equal(series.tz, "Europe/Warsaw");
+    assert.equal(series.rrule, "FREQ=WEEKLY;BYDAY=TU");
+    assert.equal(series.calendarId, "work");
+    assert.equal(series.place, null);
+    assert.deepEqual(series.participants, []);
+    assert.deepEqual(series.attendees, []);
+    assert.equal(series.organizer, null);
+
+    const edit = await run(
+      ["edit", series.id, "--occurrence", "2026-03-10T10:00:00+01:00", "--place", "Room 2", "--json"],
+      tmpDir
+    );
+    const exception = JSON.parse(edit.stdout).event;
+    assert.equal(exception.kind, "exception");
+    assert.equal(exception.seriesId, series.id);
+    assert.equal(exception.originalStart, "2026-03-10T10:00:00+01:00");
+    assert.equal(exception.place, "Room 2");
+
+    const people = await run(
+      ["edit", series.id, "--attendee", "Alice <alice@example.com>,bob@example.com", "--optional-attendee", "Carol", "--json"],
+      tmpDir
+    );
+    assert.deepEqual(JSON.parse(people.stdout).event.participants, ["Alice", "bob@example.com", "Carol"]);
+  });
+
+  it("lists events as a JSON document or one record per line", async () => {
+    const series = await addSeries();
+    const range = ["--from", "2026-03-01T00:00:00+01:00", "--to", "2026-03-12T00:00:00+01:00"];
+
+    const json = await run(["list", ...range, "--json"], tmpDir);
+    const { events } = JSON.parse(json.stdout);
+    assert.equal(events.length, 2);
+    assert.equal(events[0].kind, "occurrence");
+    assert.equal(events[0].seriesId, series.id);
+    assert.equal(events[0].tz, "Europe/Warsaw");
+
+    const ndjson = await run(["--ndjson", "list", ...range], tmpDir);
+    const lines = ndjson.stdout.trim().split("\n").map((line) => JSON.parse(line));
+    assert.deepEqual(lines, events);
+
+    const empty = await run(["today", "--ndjson", "--calendar", "nothing"], tmpDir);
+    assert.equal(empty.stdout, "");
+    const emptyJson = await run(["week", "--json", "--calendar", "nothing"], tmpDir);
+    assert.deepEqual(JSON.parse(emptyJson.stdout), { events: [] });
+  });
+
+  it("reports occurrences, skips and deletes as JSON", async () => {
+    const series = await addSeries();
+
+    const occ = await run(
+      ["occurrences", series.id, "--from", "2026-03-01T00:00:00+01:00", "--to", "2026-03-12T00:00:00+01:00", "--json"],
+      tmpDir
+    );
+    assert.deepEqual(JSON.parse(occ.stdout), {
+      id: series.id,
+      occurrences: ["2026-03-03T10:00:00+01:00", "2026-03-10T10:00:00+01:00"],
+    });
+
+    const occLines = await run(
+      ["occurrences", series.id, "--from", "2026-03-01T00:00:00+01:00", "--to", "2026-03-12T00:00:00+01:00", "--ndjson"],
+      tmpDir
+    );
+    assert.deepEqual(JSON.parse(occLines.stdout.split("\n")[1]), { id: series.id, start: "2026-03-10T10:00:00+01:00" });
+
+    const skip = await run(["skip", series.id, "--date", "2026-03-10T10:00:00+01:00", "--json"], tmpDir);
+    assert.deepEqual(JSON.parse(skip.stdout), { id: series.id, skipped: "2026-03-10T10:00:00+01:00" });
+
+    const del = await run(["delete", series.id, "--json"], tmpDir);
+    assert.deepEqual(JSON.parse(del.stdout), { id: series.id, deleted: true, fromOccurrence: null });
+  });
+
+  it("writes structured errors with codes to stderr", async () => {
+    const cases = [
+      [["edit", "missing-id", "--title", "X", "--json"], "NOT_FOUND"],
+      [["delete", "missing-id", "--ndjson"], "NOT_FOUND"],
+      [["list", "--from", "2026-03-01T00:00:00+01:00", "--json"], "USAGE_ERROR"],
+      [["add", "X", "--start", "--json"], "USAGE_ERROR"],
+      [["bogus", "--json"], "USAGE_ERROR"],
+      [["add", "X", "--start", "2026-03-01T10:00:00+01:00", "--end", "2026-03-01T09:00:00+01:00", "--json"], "INVALID_EVENT"],
+      [["add", "X", "--start", "sometime soon", "--json"], "INVALID_ARGUMENT"],
+      [["list", "--json", "--ndjson", "--from", "a", "--to", "b"], "USAGE_ERROR"],
+    ];
+
+    for (const [args, code] of cases) {
+      const res = await run(args, tmpDir);
+      assert.equal(res.exitCode, 1, args.join(" "));
+      assert.equal(res.stdout, "");
+      const { error } = JSON.parse(res.stderr);
+      assert.equal(error.code, code, args.join(" "));
+      assert.equal(typeof error.message, "string");
+    }
+  });
+
+  it("reports recurrence problems with their own codes", async () => {
+    const plain = await run(["add", "One-off", "--start", "2026-03-03T10:00:00+01:00", "--json"], tmpDir);
+    const { id } = JSON.parse(plain.stdout).event;
+
+    const notRecurring = await run(["skip", id, "--date", "2026-03-03T10:00:00+01:00", "--json"], tmpDir);
+    assert.equal(JSON.parse(notRecurring.stderr).error.code, "NOT_RECURRING");
+
+    const series = await addSeries();
+    const badOccurrence = await run(
+      ["edit", series.id, "--occurrence", "2026-03-04T10:00:00+01:00", "--title", "X", "--json"],
+      tmpDir
+    );
+    assert.equal(JSON.parse(badOccurrence.stderr).error.code, "NOT_FOUND");
+
+    await run(
+      ["add", "Broken", "--start", "2026-03-03T10:00:00+01:00", "--tz", "Europe/Warsaw", "--rrule", "FREQ=SOMETIMES"],
+      tmpDir
+    );
+    const listing = await run(["list", "--from", "2026-03-01T00:00:00+01:00", "--to", "2026-03-12T00:00:00+01:00", "--json"], tmpDir);
+    assert.equal(JSON.parse(listing.stderr).error.code, "INVALID_RRULE");
+  });
+
+  it("keeps the plain text output without the flags", async () => {
+    const res = await run(["add", "Plain", "--start", "2026-03-03T10:00:00+01:00"], tmpDir);
+    assert.match(res.stdout, /^[0-9a-f-]{36} {2}2026-03-03T10:00:00\+01:00 {2}Plain\n$/);
+    const err = await run(["edit", "missing-id", "--title", "X"], tmpDir);
+    assert.equal(err.stderr, "Error: Event not found: missing-id\n");
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { makeTmpDir, run } from "./_helpers.js";
+
+const LEGACY = [
+  {
+    id: "11111111-1111-4111-8111-111111111111",
+    title: "Standup",
+    start: "2026-03-03T10:00:00+01:00",
+    end: "2026-03-03T10:15:00+01:00",
+    createdAt: "2026-02-01T12:00:00.000Z",
+  },
+];
+
+describe("CLI: migrate", () => {
+  let tmpDir;
+  let filePath;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    filePath = path.join(tmpDir, "events.json");
+    fs.writeFileSync(filePath, JSON.stringify(LEGACY));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("previews the upgrade with --dry-run", async () => {
+    const res = await run(["migrate", "--dry-run"], tmpDir);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.ok(res.stdout.includes(`Would migrate ${filePath} from schema version 1 to 3 (1 events)`));
+    assert.ok(res.stdout.includes("v1 -> v2: wrap the event list in a versioned envelope (0 events changed)"));
+    assert.ok(res.stdout.includes("v2 -> v3: store participants as attendees;"));
+    assert.ok(res.stdout.includes("Dry run: nothing was written."));
+    assert.deepEqual(JSON.parse(fs.readFileSync(filePath, "utf-8")), LEGACY);
+  });
+
+  it("upgrades the file and keeps a backup", async () => {
+    const res = await run(["migrate"], tmpDir);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.ok(res.stdout.includes(`Backup of the original: ${filePath}.v1.bak`));
+    assert.equal(JSON.parse(fs.readFileSync(filePath, "utf-8")).version, 3);
+
+    const again = await run(["migrate"], tmpDir);
+    assert.ok(again.stdout.includes("is already at schema version 3 (1 events); nothing to do."));
+  });
+
+  it("upgrades older files automatically on first use", async () => {
+    const res = await run(["list", "--from", "2026-03-01T00:00:00+01:00", "--to", "2026-03-08T00:00:00+01:00"], tmpDir);
+    assert.ok(res.stdout.includes("Standup"));
+    assert.equal(JSON.parse(fs.readFileSync(filePath, "utf-8")).version, 3);
+    assert.ok(fs.existsSync(`${filePath}.v1.bak`));
+  });
+
+  it("reports the plan as JSON", async () => {
+    const res = await run(["migrate", "--dry-run", "--json"], tmpDir);
+    assert.equal(res.exitCode, 0, res.stderr);
+    const result = JSON.parse(res.stdout);
+    assert.equal(result.dryRun, true);
+    assert.equal(result.fromVersion, 1);
+    assert.equal(result.toVersion, 3);
+    assert.equal(result.steps.length, 2);
+  });
+
+  it("refuses to change a file written by a newer clawendar", async () => {
+    fs.writeFileSync(filePath, JSON.stringify({ version: 99, events: LEGACY }));
+
+    const res = await run(["add", "Other", "--start", "2026-03-04T10:00:00+01:00", "--json"], tmpDir);
+    assert.equal(res.exitCode, 1);
+    assert.equal(JSON.parse(res.stderr).error.code, "SCHEMA_TOO_NEW");
+    assert.equal(JSON.parse(fs.readFileSync(filePath, "utf-8")).events.length, 1);
+  });
+});
@@ -133,3 +133,123 @@ describe("CLI: recurring events (spec)", () => {
     assert.ok(occ.stdout.includes("2026-04-06T09:00:00+02:00"));
   });
 });
+
+describe("CLI: occurrence overrides", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("edits one occurrence and tags it as {exception}", async () => {
+    const addRes = await run(
+      [
+        "add",
+        "Team sync",
+        "--start",
+        "2026-03-03T10:00:00+01:00",
+        "--tz",
+        "Europe/Warsaw",
+        "--rrule",
+        "FREQ=WEEKLY;BYDAY=TU",
+      ],
+      tmpDir
+    );
+    const id = addRes.stdout.match(/[0-9a-f-]{36}/)[0];
+
+    const editRes = await run(
+      [
+        "edit",
+        id,
+        "--occurrence",
+        "2026-03-10T10:00:00+01:00",
+        "--start",
+        "2026-03-11T10:00:00+01:00",
+        "--place",
+        "Room 2",
+      ],
+      tmpDir
+    );
+    assert.equal(editRes.exitCode, 0, editRes.stderr);
+    assert.ok(editRes.stdout.includes("2026-03-11T10:00:00+01:00"));
+    assert.ok(editRes.stdout.includes("{exception}"));
+
+    const listRes = await run(
+      ["list", "--from", "2026-03-01T00:00:00+01:00", "--to", "2026-03-15T00:00:00+01:00"],
+      tmpDir
+    );
+    const lines = listRes.stdout.trim().split("\n");
+    assert.equal(lines.length, 2);
+    assert.ok(lines[0].includes("{occurrence}"));
+    assert.ok(lines[1].includes("[Room 2]"));
+    assert.ok(lines[1].includes("{exception}"));
+  });
+});
+
+describe("CLI: this-and-following edits", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function addWeekly() {
+    const addRes = await run(
+      [
+        "add",
+        "Team sync",
+        "--start",
+        "2026-03-03T10:00:00+01:00",
+        "--tz",
+        "Europe/Warsaw",
+        "--rrule",
+        "FREQ=WEEKLY;BYDAY=TU",
+      ],
+      tmpDir
+    );
+    return addRes.stdout.match(/[0-9a-f-]{36}/)[0];
+  }
+
+  it("edit --from-occurrence splits the series", async () => {
+    const id = await addWeekly();
+
+    const editRes = await run(
+      ["edit", id, "--from-occurrence", "2026-04-07T10:00:00+02:00", "--start", "2026-04-07T09:00:00+02:00"],
+      tmpDir
+    );
+    assert.equal(editRes.exitCode, 0, editRes.stderr);
+    assert.ok(editRes.stdout.includes("{series}"));
+    assert.ok(!editRes.stdout.includes(id));
+
+    const listRes = await run(
+      ["list", "--from", "2026-03-31T00:00:00+02:00", "--to", "2026-04-15T00:00:00+02:00"],
+      tmpDir
+    );
+    assert.ok(listRes.stdout.includes("2026-03-31T10:00:00+02:00"));
+    assert.ok(listRes.stdout.includes("2026-04-07T09:00:00+02:00"));
+    assert.ok(listRes.stdout.includes("2026-04-14T09:00:00+02:00"));
+    assert.ok(!listRes.stdout.includes("2026-04-14T10:00:00+02:00"));
+  });
+
+  it("delete --from-occurrence ends the series", async () => {
+    const id = await addWeekly();
+
+    const delRes = await run(["delete", id, "--from-occurrence", "2026-03-17T10:00:00+01:00"], tmpDir);
+    assert.equal(delRes.exitCode, 0, delRes.stderr);
+    assert.ok(delRes.stdout.includes("Ended series"));
+
+    const occ = await run(
+      ["occurrences", id, "--from", "2026-03-01T00:00:00+01:00", "--to", "2026-04-30T00:00:00+02:00"],
+      tmpDir
+    );
+    assert.equal(occ.stdout.trim().split("\n").length, 2);
+  });
+});
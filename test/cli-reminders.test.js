@@ -0,0 +1,73 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { makeTmpDir, run } from "./_helpers.js";
+
+const WINDOW = ["--since", "2030-03-04T00:00:00+01:00", "--until", "2030-03-05T00:00:00+01:00"];
+const ENV = { CLAWENDAR_TZ: "Europe/Warsaw" };
+
+describe("CLI: reminders", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("adds, shows and clears reminders", async () => {
+    const add = await run([
+      "add", "Standup", "--start", "2030-03-04T09:00:00+01:00", "--remind", "-15m,1d", "--remind", "+5m", "--json",
+    ], tmpDir, ENV);
+    assert.equal(add.exitCode, 0, add.stderr);
+    const { event } = JSON.parse(add.stdout);
+    assert.deepEqual(event.reminders, ["-15m", "-1d", "+5m"]);
+
+    const list = await run(["list", "--from", "2030-03-04", "--to", "2030-03-05"], tmpDir, ENV);
+    assert.match(list.stdout, /Standup {2}\{remind -15m,-1d,\+5m\}\n$/);
+
+    const edit = await run(["edit", event.id, "--remind", "none", "--json"], tmpDir, ENV);
+    assert.equal(edit.exitCode, 0, edit.stderr);
+    assert.deepEqual(JSON.parse(edit.stdout).event.reminders, []);
+  });
+
+  it("lists due reminders and acknowledges them", async () => {
+    await run(["add", "Standup", "--start", "2030-03-04T09:00:00+01:00", "--remind", "-15m"], tmpDir, ENV);
+    await run(["add", "Review", "--start", "2030-03-06T09:00:00+01:00", "--remind", "2030-03-04T12:00:00+01:00"], tmpDir, ENV);
+
+    const due = await run(["reminders", "due", ...WINDOW, "--json"], tmpDir, ENV);
+    assert.equal(due.exitCode, 0, due.stderr);
+    const { since, reminders } = JSON.parse(due.stdout);
+    assert.equal(since, "2030-03-04T00:00:00+01:00");
+    assert.deepEqual(reminders.map((r) => [r.event.title, r.fireAt, r.trigger]), [
+      ["Standup", "2030-03-04T08:45:00+01:00", "-15m"],
+      ["Review", "2030-03-04T12:00:00+01:00", "2030-03-04T12:00:00+01:00"],
+    ]);
+
+    const text = await run(["reminders", "due", ...WINDOW], tmpDir, ENV);
+    assert.equal(
+      text.stdout.split("\n")[0],
+      `${reminders[0].id}  2030-03-04T08:45:00+01:00  (-15m)  ${reminders[0].event.id}  2030-03-04T09:00:00+01:00  Standup  {remind -15m}`
+    );
+
+    const ack = await run(["reminders", "ack", reminders[0].id], tmpDir, ENV);
+    assert.equal(ack.stdout, "Acknowledged 1 reminder\n");
+
+    const after = await run(["reminders", "due", ...WINDOW, "--ack", "--json"], tmpDir, ENV);
+    assert.deepEqual(JSON.parse(after.stdout).reminders.map((r) => r.event.title), ["Review"]);
+
+    const none = await run(["reminders", "due", ...WINDOW], tmpDir, ENV);
+    assert.equal(none.stdout, "No reminders due.\n");
+  });
+
+  it("rejects reminders it cannot read", async () => {
+    const res = await run(["add", "Call", "--start", "2030-03-04T09:00:00+01:00", "--remind", "whenever", "--json"], tmpDir, ENV);
+    assert.equal(res.exitCode, 1);
+    assert.equal(JSON.parse(res.stderr).error.code, "INVALID_ARGUMENT");
+
+    const ack = await run(["reminders", "ack"], tmpDir, ENV);
+    assert.equal(ack.stderr, "Error: reminder id is required\n");
+  });
+});
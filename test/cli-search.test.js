@@ -0,0 +1,63 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { makeTmpDir, run } from "./_helpers.js";
+
+const ENV = { CLAWENDAR_TZ: "Europe/Warsaw" };
+
+describe("CLI: search", () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = makeTmpDir();
+    await run(["add", "Dentist", "--start", "2030-03-05T10:00:00+01:00", "--place", "Smile Clinic", "--category", "health"], tmpDir, ENV);
+    await run(["add", "Dentist", "--start", "2030-06-05T10:00:00+02:00", "--place", "Other Clinic", "--calendar", "kids"], tmpDir, ENV);
+    await run([
+      "add", "Team sync", "--start", "2030-03-04T10:00:00+01:00", "--tz", "Europe/Warsaw", "--rrule", "FREQ=WEEKLY",
+      "--attendee", "Alice <alice@example.com>", "--description", "Weekly agenda",
+    ], tmpDir, ENV);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("finds events by words, phrases and prefixes", async () => {
+    const res = await run(["search", "dentist", 'place:"smile clinic"'], tmpDir, ENV);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.match(res.stdout, /^\S+ {2}2030-03-05T10:00:00\+01:00 {2}Dentist {2}\[Smile Clinic\] {2}#health\n$/);
+
+    const json = await run(["search", "with:alice", "agenda", "--json"], tmpDir, ENV);
+    const { results } = JSON.parse(json.stdout);
+    assert.equal(results.length, 1);
+    assert.equal(results[0].event.kind, "series");
+    assert.equal(results[0].next.kind, "occurrence");
+  });
+
+  it("shows the next occurrence of a series within the range", async () => {
+    const res = await run(["search", "sync", "--from", "2030-03-10", "--to", "2030-03-31"], tmpDir, ENV);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.match(res.stdout, /Team sync .*\{series\} {2}\{next 2030-03-11T10:00:00\+01:00\}\n$/);
+  });
+
+  it("limits results by range and by the list filters", async () => {
+    const inRange = await run(["search", "dentist", "--from", "2030-06-01", "--to", "2030-06-30", "--json"], tmpDir, ENV);
+    assert.deepEqual(JSON.parse(inRange.stdout).results.map((r) => r.event.place), ["Other Clinic"]);
+
+    const filtered = await run(["search", "clinic", "--calendar", "kids", "--ndjson"], tmpDir, ENV);
+    const lines = filtered.stdout.trim().split("\n").map((line) => JSON.parse(line));
+    assert.deepEqual(lines.map((r) => r.event.calendarId), ["kids"]);
+
+    const none = await run(["search", "cat:family"], tmpDir, ENV);
+    assert.equal(none.stdout, "No events.\n");
+  });
+
+  it("reports a missing query or half a range", async () => {
+    const missing = await run(["search", "--calendar", "kids"], tmpDir, ENV);
+    assert.equal(missing.exitCode, 1);
+    assert.equal(missing.stderr, "Error: search query is required\n");
+
+    const half = await run(["search", "dentist", "--from", "2030-06-01"], tmpDir, ENV);
+    assert.equal(half.stderr, "Error: --from and --to must be given together\n");
+  });
+});
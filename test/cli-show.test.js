@@ -0,0 +1,103 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { makeTmpDir, run } from "./_helpers.js";
+
+const ENV = { CLAWENDAR_TZ: "Europe/Warsaw" };
+
+describe("CLI: descriptions, URLs, notes and show", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function addSync(...flags) {
+    const add = await run([
+      "add", "Team sync", "--start", "2030-03-04T10:00:00+01:00", "--tz", "Europe/Warsaw", "--rrule", "FREQ=WEEKLY", ...flags, "--json",
+    ], tmpDir, ENV);
+    assert.equal(add.exitCode, 0, add.stderr);
+    return JSON.parse(add.stdout).event;
+  }
+
+  it("shows everything about an event, with the description in full", async () => {
+    const agenda = path.join(tmpDir, "agenda.txt");
+    fs.writeFileSync(agenda, "Agenda:\r\n1. Intro\r\n2. Q&A\r\n\r\n");
+    const event = await addSync(
+      "--place", "Room 1", "--description-file", agenda, "--url", "https://meet.example.com/abc",
+      "--notes", "Booking ref 42", "--attendee", "Alice <alice@example.com>", "--remind", "-15m",
+    );
+    assert.equal(event.description, "Agenda:\n1. Intro\n2. Q&A");
+
+    const show = await run(["show", event.id], tmpDir, ENV);
+    assert.equal(show.exitCode, 0, show.stderr);
+    assert.equal(show.stdout, [
+      "Team sync",
+      `  id: ${event.id}`,
+      "  when: 2030-03-04T10:00:00+01:00 to 2030-03-04T11:00:00+01:00",
+      "  zone: Europe/Warsaw",
+      "  repeats: FREQ=WEEKLY",
+      "  place: Room 1",
+      "  url: https://meet.example.com/abc",
+      "  attendees:",
+      "    Alice <alice@example.com>",
+      "  reminders: -15m",
+      `  created: ${show.stdout.match(/created: (\S+)/)[1]}`,
+      "  description:",
+      "    Agenda:",
+      "    1. Intro",
+      "    2. Q&A",
+      "  notes:",
+      "    Booking ref 42",
+      "",
+    ].join("\n"));
+
+    const json = await run(["show", event.id, "--json"], tmpDir, ENV);
+    const shown = JSON.parse(json.stdout).event;
+    assert.equal(shown.url, "https://meet.example.com/abc");
+    assert.equal(shown.notes, "Booking ref 42");
+  });
+
+  it("shows one occurrence with its own changes", async () => {
+    const event = await addSync("--notes", "Usual room");
+    const occurrence = "2030-03-11T10:00:00+01:00";
+    const edit = await run(["edit", event.id, "--occurrence", occurrence, "--description", "Moved to Wednesday"], tmpDir, ENV);
+    assert.equal(edit.exitCode, 0, edit.stderr);
+
+    const show = await run(["show", event.id, "--occurrence", occurrence, "--tz", "UTC"], tmpDir, ENV);
+    assert.equal(show.exitCode, 0, show.stderr);
+    assert.match(show.stdout, new RegExp(`^  series: ${event.id}$`, "m"));
+    assert.match(show.stdout, /^ {2}when: 2030-03-11T09:00:00\+00:00 to 2030-03-11T10:00:00\+00:00$/m);
+    assert.match(show.stdout, /^ {2}description:\n {4}Moved to Wednesday\n {2}notes:\n {4}Usual room\n$/m);
+  });
+
+  it("removes a field given an empty value", async () => {
+    const event = await addSync("--url", "https://meet.example.com/abc", "--notes", "Booking ref 42");
+    const edit = await run(["edit", event.id, "--url", "", "--json"], tmpDir, ENV);
+    const updated = JSON.parse(edit.stdout).event;
+    assert.equal(updated.url, null);
+    assert.equal(updated.notes, "Booking ref 42");
+  });
+
+  it("reports bad values", async () => {
+    const url = await run(["add", "Call", "--start", "2030-03-04T10:00:00+01:00", "--url", "meet.example.com"], tmpDir, ENV);
+    assert.equal(url.exitCode, 1);
+    assert.equal(url.stderr, "Error: Invalid event: url must be an absolute URL (e.g. https://example.com/meeting)\n");
+
+    const both = await run([
+      "add", "Call", "--start", "2030-03-04T10:00:00+01:00", "--description", "x", "--description-file", "agenda.txt",
+    ], tmpDir, ENV);
+    assert.equal(both.stderr, "Error: --description cannot be combined with --description-file\n");
+
+    const missing = await run(["add", "Call", "--start", "2030-03-04T10:00:00+01:00", "--description-file", "/nonexistent/agenda.txt"], tmpDir, ENV);
+    assert.equal(missing.stderr, "Error: cannot read file: /nonexistent/agenda.txt\n");
+
+    const unknown = await run(["show", "nope", "--json"], tmpDir, ENV);
+    assert.equal(JSON.parse(unknown.stderr).error.code, "NOT_FOUND");
+  });
+});
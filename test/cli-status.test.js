@@ -0,0 +1,77 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { makeTmpDir, run } from "./_helpers.js";
+
+const ENV = { CLAWENDAR_TZ: "Europe/Warsaw" };
+
+describe("CLI: event status", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function add(...args) {
+    const res = await run(["add", ...args, "--json"], tmpDir, ENV);
+    assert.equal(res.exitCode, 0, res.stderr);
+    return JSON.parse(res.stdout).event;
+  }
+
+  it("marks tentative and cancelled events in listings", async () => {
+    const hold = await add("Hold", "--start", "2030-03-05T10:00:00+01:00", "--status", "tentative");
+    assert.equal(hold.status, "tentative");
+    await add("Lunch", "--start", "2030-03-05T12:00:00+01:00");
+    const edit = await run(["edit", hold.id, "--status", "cancelled"], tmpDir, ENV);
+    assert.equal(edit.exitCode, 0, edit.stderr);
+
+    const list = await run(["list", "--from", "2030-03-05", "--to", "2030-03-06"], tmpDir, ENV);
+    assert.match(list.stdout, /2030-03-05T10:00:00\+01:00 {2}Hold {2}\{cancelled\}\n/);
+    assert.match(list.stdout, /Lunch\n$/);
+
+    const show = await run(["show", hold.id], tmpDir, ENV);
+    assert.match(show.stdout, /^ {2}status: cancelled \(does not block time\)$/m);
+  });
+
+  it("filters listings by status", async () => {
+    await add("Hold", "--start", "2030-03-05T10:00:00+01:00", "--status", "tentative");
+    await add("Lunch", "--start", "2030-03-05T12:00:00+01:00");
+
+    const confirmed = await run(["list", "--from", "2030-03-05", "--to", "2030-03-06", "--status", "confirmed", "--json"], tmpDir, ENV);
+    assert.deepEqual(JSON.parse(confirmed.stdout).events.map((e) => [e.title, e.status]), [["Lunch", "confirmed"]]);
+
+    const search = await run(["search", "hold", "--status", "tentative,cancelled", "--json"], tmpDir, ENV);
+    assert.deepEqual(JSON.parse(search.stdout).results.map((r) => r.event.title), ["Hold"]);
+  });
+
+  it("does not count cancelled or transparent events as busy", async () => {
+    await add("Off", "--start", "2030-03-05T09:00:00+01:00", "--end", "2030-03-05T17:00:00+01:00", "--status", "cancelled");
+    await add("FYI", "--start", "2030-03-05T09:00:00+01:00", "--end", "2030-03-05T17:00:00+01:00", "--transparency", "transparent");
+
+    const free = await run([
+      "free", "--from", "2030-03-05T09:00:00+01:00", "--to", "2030-03-05T17:00:00+01:00", "--duration", "8h", "--json",
+    ], tmpDir, ENV);
+    assert.equal(free.exitCode, 0, free.stderr);
+    assert.equal(JSON.parse(free.stdout).slots.length, 1);
+
+    const conflicts = await run(["conflicts", "--from", "2030-03-05", "--to", "2030-03-06", "--json"], tmpDir, ENV);
+    assert.deepEqual(JSON.parse(conflicts.stdout).conflicts, []);
+
+    const strict = await run(["add", "Review", "--start", "2030-03-05T10:00:00+01:00", "--no-conflicts"], tmpDir, ENV);
+    assert.equal(strict.exitCode, 0, strict.stderr);
+  });
+
+  it("reports unknown statuses", async () => {
+    const bad = await run(["add", "Hold", "--start", "2030-03-05T10:00:00+01:00", "--status", "maybe"], tmpDir, ENV);
+    assert.equal(bad.exitCode, 1);
+    assert.equal(bad.stderr, "Error: Invalid event: status must be one of: confirmed, tentative, cancelled\n");
+
+    const filter = await run(["today", "--status", "confirmed,maybe", "--json"], tmpDir, ENV);
+    assert.equal(filter.exitCode, 1);
+    assert.equal(JSON.parse(filter.stderr).error.code, "INVALID_ARGUMENT");
+  });
+});
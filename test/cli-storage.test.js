@@ -0,0 +1,79 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { makeTmpDir, run } from "./_helpers.js";
+
+const RANGE = ["--from", "2026-03-01T00:00:00+01:00", "--to", "2026-03-31T00:00:00+02:00"];
+
+describe("CLI: storage convert", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("moves events into SQLite and keeps using it", async () => {
+    await run(["add", "Dentist", "--start", "2026-03-03T10:00:00+01:00"], tmpDir);
+    await run(["add", "Sync", "--start", "2026-03-02T09:00:00+01:00", "--tz", "Europe/Warsaw", "--rrule", "FREQ=WEEKLY"], tmpDir);
+
+    const res = await run(["storage", "convert", "--to", "sqlite"], tmpDir);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.equal(res.stderr, "");
+    assert.ok(res.stdout.includes(`Converted 2 events from json to sqlite: ${path.join(tmpDir, "events.db")}`));
+    assert.ok(res.stdout.includes(`Old data file kept at ${path.join(tmpDir, "events.json.converted.bak")}`));
+    assert.ok(!fs.existsSync(path.join(tmpDir, "events.json")));
+
+    await run(["add", "Lunch", "--start", "2026-03-04T12:00:00+01:00"], tmpDir);
+    const list = await run(["list", ...RANGE, "--json"], tmpDir);
+    assert.equal(list.stderr, "");
+    const titles = JSON.parse(list.stdout).events.map((e) => e.title);
+    assert.deepEqual(titles.slice(0, 4), ["Sync", "Dentist", "Lunch", "Sync"]);
+  });
+
+  it("does not lose events added at the same time to SQLite", async () => {
+    await run(["storage", "convert", "--to", "sqlite"], tmpDir);
+    const results = await Promise.all(
+      Array.from({ length: 8 }, (_, i) => run(["add", `Event ${i}`, "--start", "2026-03-03T10:00:00+01:00"], tmpDir))
+    );
+    for (const res of results) {
+      assert.equal(res.exitCode, 0, res.stderr);
+    }
+
+    const list = await run(["list", ...RANGE, "--json"], tmpDir);
+    assert.equal(JSON.parse(list.stdout).events.length, 8);
+  });
+
+  it("converts back to the JSON file", async () => {
+    await run(["add", "Dentist", "--start", "2026-03-03T10:00:00+01:00"], tmpDir);
+    await run(["storage", "convert", "--to", "sqlite"], tmpDir);
+
+    const res = await run(["storage", "convert", "--to", "json", "--json"], tmpDir);
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.deepEqual(JSON.parse(res.stdout), {
+      from: "sqlite",
+      to: "json",
+      eventCount: 1,
+      file: path.join(tmpDir, "events.json"),
+      backupPath: path.join(tmpDir, "events.db.converted.bak"),
+    });
+    const events = JSON.parse(fs.readFileSync(path.join(tmpDir, "events.json"), "utf-8")).events;
+    assert.deepEqual(events.map((e) => e.title), ["Dentist"]);
+  });
+
+  it("validates the subcommand and target backend", async () => {
+    const missing = await run(["storage"], tmpDir);
+    assert.equal(missing.exitCode, 1);
+    assert.ok(missing.stderr.includes("storage needs a subcommand: convert"));
+
+    const unknown = await run(["storage", "convert", "--to", "csv"], tmpDir);
+    assert.ok(unknown.stderr.includes("--to must be one of: json, sqlite"));
+
+    const same = await run(["storage", "convert", "--to", "json", "--json"], tmpDir);
+    assert.equal(JSON.parse(same.stderr).error.code, "INVALID_ARGUMENT");
+  });
+});
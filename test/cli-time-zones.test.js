@@ -0,0 +1,54 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { makeTmpDir, run } from "./_helpers.js";
+
+const RANGE = ["--from", "2030-03-04T00:00:00+01:00", "--to", "2030-03-05T00:00:00+01:00"];
+
+describe("CLI: --tz and CLAWENDAR_TZ", () => {
+  let tmpDir;
+
+  beforeEach(async () => {
+    tmpDir = makeTmpDir();
+    await run(["add", "Standup", "--start", "2030-03-04T10:00:00+01:00", "--end", "2030-03-04T10:30:00+01:00"], tmpDir);
+    await run(["add", "Holiday", "--date", "2030-03-04"], tmpDir);
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("shows times converted into --tz", async () => {
+    const res = await run(["list", ...RANGE, "--tz", "Asia/Tokyo", "--json"], tmpDir);
+    const [holiday, standup] = JSON.parse(res.stdout).events;
+    assert.equal(standup.start, "2030-03-04T18:00:00+09:00");
+    assert.equal(standup.end, "2030-03-04T18:30:00+09:00");
+    assert.equal(holiday.start, "2030-03-04");
+  });
+
+  it("uses CLAWENDAR_TZ as the default zone", async () => {
+    const res = await run(["list", ...RANGE], tmpDir, { CLAWENDAR_TZ: "America/New_York" });
+    assert.match(res.stdout, /2030-03-04T04:00:00-05:00 {2}Standup/);
+
+    const flag = await run(["list", ...RANGE, "--tz", "UTC"], tmpDir, { CLAWENDAR_TZ: "America/New_York" });
+    assert.match(flag.stdout, /2030-03-04T09:00:00\+00:00 {2}Standup/);
+  });
+
+  it("finds today's events in the given zone", async () => {
+    const now = new Date().toISOString().replace(/\.\d{3}Z$/, "+00:00");
+    await run(["add", "Now", "--start", now], tmpDir);
+
+    const res = await run(["today", "--tz", "Pacific/Kiritimati", "--json"], tmpDir);
+    const [event] = JSON.parse(res.stdout).events;
+    assert.equal(event.title, "Now");
+    assert.ok(event.start.endsWith("+14:00"));
+  });
+
+  it("rejects unknown zones", async () => {
+    const flag = await run(["today", "--tz", "Mars/Base", "--json"], tmpDir);
+    assert.equal(JSON.parse(flag.stderr).error.code, "INVALID_ARGUMENT");
+
+    const env = await run(["week"], tmpDir, { CLAWENDAR_TZ: "Mars/Base" });
+    assert.equal(env.stderr, "Error: CLAWENDAR_TZ must be an IANA time zone: Mars/Base\n");
+  });
+});
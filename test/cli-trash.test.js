@@ -0,0 +1,67 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { makeTmpDir, run } from "./_helpers.js";
+
+const RANGE = ["--from", "2026-03-01T00:00:00+01:00", "--to", "2026-03-08T00:00:00+01:00"];
+
+describe("CLI: trash", () => {
+  let tmpDir;
+  let id;
+
+  beforeEach(async () => {
+    tmpDir = makeTmpDir();
+    const res = await run(["add", "Dentist", "--start", "2026-03-03T10:00:00+01:00", "--json"], tmpDir);
+    id = JSON.parse(res.stdout).event.id;
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("lists deleted events and restores them", async () => {
+    const del = await run(["delete", id], tmpDir);
+    assert.ok(del.stdout.includes(`restore with: clawendar trash restore ${id}`));
+    assert.equal((await run(["list", ...RANGE], tmpDir)).stdout, "No events.\n");
+
+    const list = await run(["trash", "list"], tmpDir);
+    assert.match(list.stdout, new RegExp(`^${id}  2026-03-03T10:00:00\\+01:00  Dentist  \\(deleted \\S+Z\\)\\n$`));
+
+    const json = JSON.parse((await run(["trash", "list", "--json"], tmpDir)).stdout);
+    assert.equal(json.events[0].id, id);
+    assert.ok(json.events[0].deletedAt);
+
+    const restore = await run(["trash", "restore", id], tmpDir);
+    assert.equal(restore.exitCode, 0, restore.stderr);
+    assert.ok((await run(["list", ...RANGE], tmpDir)).stdout.includes("Dentist"));
+    assert.equal((await run(["trash", "list"], tmpDir)).stdout, "The trash is empty.\n");
+  });
+
+  it("purges the trash", async () => {
+    await run(["delete", id], tmpDir);
+
+    const kept = await run(["trash", "purge", "--older-than", "30d"], tmpDir);
+    assert.equal(kept.stdout, "Purged 0 events from the trash\n");
+
+    const purged = await run(["trash", "purge", "--json"], tmpDir);
+    assert.deepEqual(JSON.parse(purged.stdout), { purged: [id] });
+    assert.equal((await run(["trash", "list"], tmpDir)).stdout, "The trash is empty.\n");
+  });
+
+  it("validates its arguments", async () => {
+    const missing = await run(["trash"], tmpDir);
+    assert.ok(missing.stderr.includes("trash needs a subcommand: list, restore, purge"));
+
+    const noId = await run(["trash", "restore"], tmpDir);
+    assert.ok(noId.stderr.includes("event id is required"));
+
+    const notTrashed = await run(["trash", "restore", id, "--json"], tmpDir);
+    assert.equal(JSON.parse(notTrashed.stderr).error.code, "NOT_FOUND");
+
+    const badDuration = await run(["trash", "purge", "--older-than", "30"], tmpDir);
+    assert.ok(badDuration.stderr.includes("--older-than must be a number followed by h, d or w"));
+
+    const wrongFlag = await run(["trash", "list", "--older-than", "30d"], tmpDir);
+    assert.equal(wrongFlag.exitCode, 1);
+  });
+});
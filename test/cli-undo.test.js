@@ -0,0 +1,72 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { makeTmpDir, run } from "./_helpers.js";
+
+describe("CLI: undo, redo and history", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  async function addDentist() {
+    const res = await run(["add", "Dentist", "--start", "2026-03-03T10:00:00+01:00", "--json"], tmpDir);
+    return JSON.parse(res.stdout).event.id;
+  }
+
+  it("brings back a deleted event", async () => {
+    const id = await addDentist();
+    await run(["delete", id], tmpDir);
+
+    const undo = await run(["undo"], tmpDir);
+    assert.equal(undo.exitCode, 0, undo.stderr);
+    assert.match(undo.stdout, /^Undid #2 {2}\S+ {2}delete {2}Dentist\n$/);
+
+    const list = await run(["list", "--from", "2026-03-01T00:00:00+01:00", "--to", "2026-03-08T00:00:00+01:00"], tmpDir);
+    assert.ok(list.stdout.includes(`${id}  2026-03-03T10:00:00+01:00  Dentist`));
+
+    const redo = await run(["redo", "--json"], tmpDir);
+    const redone = JSON.parse(redo.stdout).redone;
+    assert.equal(redone.seq, 2);
+    assert.equal(redone.op, "delete");
+    assert.deepEqual(redone.changes.map((c) => c.id), [id]);
+    assert.ok(redone.changes[0].after.deletedAt);
+  });
+
+  it("lists history newest first", async () => {
+    const id = await addDentist();
+    await run(["edit", id, "--place", "Clinic"], tmpDir);
+    await run(["undo"], tmpDir);
+
+    const res = await run(["history"], tmpDir);
+    const lines = res.stdout.trim().split("\n");
+    assert.equal(lines.length, 3);
+    assert.match(lines[0], /^#3 {2}\S+ {2}undo #2 {2}Dentist$/);
+    assert.match(lines[1], /^#2 {2}\S+ {2}edit {2}Dentist {2}\(undone\)$/);
+    assert.match(lines[2], /^#1 {2}\S+ {2}add {2}Dentist$/);
+
+    const limited = await run(["history", "--limit", "1", "--ndjson"], tmpDir);
+    const records = limited.stdout.trim().split("\n").map((line) => JSON.parse(line));
+    assert.deepEqual(records.map((r) => [r.seq, r.op, r.target]), [[3, "undo", 2]]);
+  });
+
+  it("reports when there is nothing to undo or redo", async () => {
+    const empty = await run(["history"], tmpDir);
+    assert.equal(empty.stdout, "No changes recorded.\n");
+
+    const undo = await run(["undo", "--json"], tmpDir);
+    assert.equal(undo.exitCode, 1);
+    assert.equal(JSON.parse(undo.stderr).error.code, "NOTHING_TO_UNDO");
+
+    const redo = await run(["redo", "--json"], tmpDir);
+    assert.equal(JSON.parse(redo.stderr).error.code, "NOTHING_TO_REDO");
+
+    const badLimit = await run(["history", "--limit", "0"], tmpDir);
+    assert.ok(badLimit.stderr.includes("--limit must be a positive integer"));
+  });
+});
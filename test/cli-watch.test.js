@@ -0,0 +1,90 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { spawn } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { makeTmpDir, run } from "./_helpers.js";
+
+const CLI_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "bin", "clawendar.js");
+
+// Starts `clawendar watch`; resolves with its output once it exits.
+function watch(args, tmpDir) {
+  const child = spawn(process.execPath, [CLI_PATH, "watch", ...args], { env: { ...process.env, CLAWENDAR_DATA_DIR: tmpDir } });
+  let stdout = "";
+  let stderr = "";
+  child.stdout.on("data", (chunk) => (stdout += chunk));
+  child.stderr.on("data", (chunk) => (stderr += chunk));
+  const exited = new Promise((resolve) => child.on("exit", (code) => resolve({ exitCode: code, stdout, stderr })));
+  return { child, exited };
+}
+
+function secondsFromNow(seconds) {
+  const at = new Date(Date.now() + seconds * 1000);
+  at.setUTCMilliseconds(0);
+  return at.toISOString().replace(".000Z", "Z");
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe("CLI: watch", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("runs the hook and appends to the output file as reminders fire", async () => {
+    const hookLog = path.join(tmpDir, "hook.log");
+    const outFile = path.join(tmpDir, "out.jsonl");
+    const { child, exited } = watch(["--hook", `cat >> "${hookLog}"; echo "$CLAWENDAR_TRIGGER $CLAWENDAR_EVENT_TITLE"`, "--output", outFile], tmpDir);
+    await sleep(500);
+
+    const add = await run(["add", "Soon", "--start", secondsFromNow(2), "--remind", "0m"], tmpDir);
+    assert.equal(add.exitCode, 0, add.stderr);
+    await sleep(3000);
+    child.kill("SIGTERM");
+    const res = await exited;
+
+    assert.equal(res.exitCode, 0, res.stderr);
+    assert.equal(res.stdout, "0m Soon\nstart Soon\n");
+    const lines = fs.readFileSync(outFile, "utf-8").trim().split("\n").map((line) => JSON.parse(line));
+    assert.deepEqual(lines.map((r) => [r.trigger, r.event.title]), [["0m", "Soon"], ["start", "Soon"]]);
+    assert.equal(fs.readFileSync(hookLog, "utf-8"), fs.readFileSync(outFile, "utf-8"));
+  });
+
+  it("prints reminders when there is no hook or output file", async () => {
+    await run(["add", "Soon", "--start", secondsFromNow(1)], tmpDir);
+    const { child, exited } = watch(["--json"], tmpDir);
+    await sleep(2500);
+    child.kill("SIGTERM");
+    const res = await exited;
+    assert.equal(JSON.parse(res.stdout).trigger, "start");
+  });
+
+  it("reports a failing hook and leaves the reminder for the next check", async () => {
+    await run(["add", "Soon", "--start", secondsFromNow(2), "--remind", "0m"], tmpDir);
+    const { child, exited } = watch(["--hook", "exit 3", "--no-starts"], tmpDir);
+    await sleep(3000);
+    child.kill("SIGTERM");
+    const res = await exited;
+    assert.match(res.stderr, /^Warning: hook failed for reminder ([0-9a-f]{12}): exit code 3; retrying at the next check$/m);
+    assert.equal(res.stderr.match(/hook failed/g).length, 1);
+
+    const due = await run(["reminders", "due", "--json"], tmpDir);
+    const [reminder] = JSON.parse(due.stdout).reminders;
+    assert.equal(reminder.event.title, "Soon");
+    assert.ok(res.stderr.includes(`hook failed for reminder ${reminder.id}:`));
+  });
+
+  it("validates its flags", async () => {
+    const res = await run(["watch", "--tz", "Mars/Olympus"], tmpDir);
+    assert.equal(res.stderr, "Error: --tz must be an IANA time zone: Mars/Olympus\n");
+  });
+});
@@ -23,6 +23,18 @@ describe("CLI: add command", () => {
     assert.ok(stdout.includes("Meeting"));
   });
 
+  it("accepts a UTC start as Date.toISOString() writes it", async () => {
+    const { exitCode, stdout } = await run(
+      ["add", "Meeting", "--start", "2026-02-14T10:00:00.000Z", "--json"],
+      tmpDir
+    );
+
+    assert.equal(exitCode, 0);
+    const { event } = JSON.parse(stdout);
+    assert.equal(event.start, "2026-02-14T10:00:00+00:00");
+    assert.equal(event.end, "2026-02-14T11:00:00+00:00");
+  });
+
   it("adds an event with all optional fields", async () => {
     const { exitCode, stdout } = await run(
       [
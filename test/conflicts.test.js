@@ -0,0 +1,108 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { createCalendar } from "../lib/calendar.js";
+import { makeTmpDir } from "./_helpers.js";
+
+const RANGE = ["2030-03-04T00:00:00+01:00", "2030-03-11T00:00:00+01:00"];
+
+describe("conflict detection", () => {
+  let tmpDir;
+  let calendar;
+  let standup;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    calendar = createCalendar({ dataDir: tmpDir });
+    standup = calendar.add({
+      title: "Standup",
+      start: "2030-03-04T10:00:00+01:00",
+      end: "2030-03-04T10:30:00+01:00",
+      tz: "Europe/Warsaw",
+      rrule: "FREQ=DAILY;COUNT=5",
+      calendarId: "work",
+      participants: ["Ann"],
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("reports overlapping singles and occurrences in a range", () => {
+    const dentist = calendar.add({ title: "Dentist", start: "2030-03-06T10:15:00+01:00", end: "2030-03-06T11:00:00+01:00" });
+    calendar.add({ title: "Lunch", start: "2030-03-06T10:30:00+01:00", end: "2030-03-06T11:30:00+01:00" });
+
+    const conflicts = calendar.conflicts(...RANGE);
+    assert.deepEqual(
+      conflicts.map((c) => [c.start, c.end, c.events.map((e) => e.title)]),
+      [
+        ["2030-03-06T10:15:00+01:00", "2030-03-06T10:30:00+01:00", ["Standup", "Dentist"]],
+        ["2030-03-06T10:30:00+01:00", "2030-03-06T11:00:00+01:00", ["Dentist", "Lunch"]],
+      ]
+    );
+    assert.equal(conflicts[0].events[0].seriesId, standup.id);
+    assert.equal(conflicts[1].events[0].id, dentist.id);
+  });
+
+  it("ignores all-day events and events that only touch", () => {
+    calendar.add({ title: "Holiday", start: "2030-03-06", allDay: true });
+    calendar.add({ title: "After", start: "2030-03-06T10:30:00+01:00", end: "2030-03-06T11:00:00+01:00" });
+    assert.deepEqual(calendar.conflicts(...RANGE), []);
+  });
+
+  it("limits conflicts to calendars or participants", () => {
+    calendar.add({ title: "Gym", start: "2030-03-05T10:00:00+01:00", calendarId: "personal" });
+    calendar.add({ title: "Review", start: "2030-03-06T10:00:00+01:00", calendarId: "work", participants: ["ann"] });
+
+    assert.equal(calendar.conflicts(...RANGE).length, 2);
+    assert.deepEqual(
+      calendar.conflicts(...RANGE, { calendarIds: ["work"] }).map((c) => c.events.map((e) => e.title).sort()),
+      [["Review", "Standup"]]
+    );
+    assert.deepEqual(calendar.conflicts(...RANGE, { calendarIds: ["personal"] }), []);
+    assert.equal(calendar.conflicts(...RANGE, { participants: ["ANN"] }).length, 1);
+  });
+
+  it("rejects a conflicting add or edit when asked to", () => {
+    const reject = { rejectConflicts: true };
+    assert.throws(
+      () => calendar.add({ title: "Dentist", start: "2030-03-06T10:15:00+01:00" }, reject),
+      (err) => err.code === "CONFLICT" && err.conflicts.length === 1 && /"Standup" at 2030-03-06T10:00/.test(err.message)
+    );
+    assert.deepEqual(calendar.list().map((e) => e.title), ["Standup"]);
+
+    const gym = calendar.add({ title: "Gym", start: "2030-03-06T12:00:00+01:00" }, reject);
+    assert.throws(
+      () => calendar.edit(gym.id, { start: "2030-03-06T10:00:00+01:00", end: "2030-03-06T11:00:00+01:00" }, reject),
+      (err) => err.code === "CONFLICT"
+    );
+    assert.equal(calendar.list().find((e) => e.id === gym.id).start, "2030-03-06T12:00:00+01:00");
+    assert.equal(calendar.history({ limit: 1 })[0].op, "add");
+
+    const scoped = { ...reject, conflictScope: { calendarIds: ["personal"] } };
+    assert.equal(calendar.add({ title: "Dentist", start: "2030-03-06T10:15:00+01:00" }, scoped).title, "Dentist");
+  });
+
+  it("checks a new series against every occurrence, but not against itself", () => {
+    calendar.add({ title: "Dentist", start: "2030-03-07T10:00:00+01:00" });
+    assert.throws(
+      () => calendar.add({ title: "Sync", start: "2030-02-28T10:30:00+01:00", end: "2030-02-28T11:00:00+01:00", tz: "Europe/Warsaw", rrule: "FREQ=WEEKLY;BYDAY=TH" }, { rejectConflicts: true }),
+      (err) => err.code === "CONFLICT" && err.conflicts.length === 1
+    );
+
+    const moved = calendar.edit(standup.id, { start: "2030-03-05T10:10:00+01:00", end: "2030-03-05T10:40:00+01:00" }, {
+      occurrence: "2030-03-05T10:00:00+01:00",
+      rejectConflicts: true,
+    });
+    assert.equal(moved.start, "2030-03-05T10:10:00+01:00");
+  });
+
+  it("lists what an added event overlaps", () => {
+    const dentist = calendar.add({ title: "Dentist", start: "2030-03-06T10:15:00+01:00" });
+    const conflicts = calendar.conflictsWith(dentist);
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].events[0].id, dentist.id);
+    assert.equal(conflicts[0].events[1].title, "Standup");
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { includesTime, resolveDate, resolveDateTime } from "../lib/date-input.js";
+
+// A Monday, 12:20:30 in Warsaw.
+const now = new Date("2026-10-19T10:20:30Z");
+const warsaw = { tz: "Europe/Warsaw", now };
+
+describe("resolveDateTime", () => {
+  it("takes datetimes with an offset as written", () => {
+    assert.equal(resolveDateTime("2026-03-10T10:00:00+05:30", warsaw), "2026-03-10T10:00:00+05:30");
+    assert.equal(resolveDateTime("2026-03-10T10:00:00.000Z", warsaw), "2026-03-10T10:00:00+00:00");
+  });
+
+  it("reads dates and times without an offset in the zone", () => {
+    assert.equal(resolveDateTime("2026-03-10 10:00", warsaw), "2026-03-10T10:00:00+01:00");
+    assert.equal(resolveDateTime("2026-03-10T10:00", warsaw), "2026-03-10T10:00:00+01:00");
+    assert.equal(resolveDateTime("2026-03-10", warsaw), "2026-03-10T00:00:00+01:00");
+    assert.equal(resolveDateTime("2026-03-10 10:00", { tz: "Asia/Tokyo", now }), "2026-03-10T10:00:00+09:00");
+  });
+
+  it("understands days relative to today", () => {
+    assert.equal(resolveDateTime("today 9am", warsaw), "2026-10-19T09:00:00+02:00");
+    assert.equal(resolveDateTime("tomorrow 15:00", warsaw), "2026-10-20T15:00:00+02:00");
+    assert.equal(resolveDateTime("Tomorrow at 3:30pm", warsaw), "2026-10-20T15:30:00+02:00");
+    assert.equal(resolveDateTime("yesterday noon", warsaw), "2026-10-18T12:00:00+02:00");
+    assert.equal(resolveDateTime("16:45", warsaw), "2026-10-19T16:45:00+02:00");
+  });
+
+  it("finds weekdays: this week's, or after today with next", () => {
+    assert.equal(resolveDateTime("fri 9am", warsaw), "2026-10-23T09:00:00+02:00");
+    assert.equal(resolveDateTime("next friday 9am", warsaw), "2026-10-23T09:00:00+02:00");
+    assert.equal(resolveDateTime("mon 10:00", warsaw), "2026-10-19T10:00:00+02:00");
+    assert.equal(resolveDateTime("next mon", warsaw), "2026-10-26T00:00:00+01:00");
+  });
+
+  it("counts hours from now and days on the clock", () => {
+    assert.equal(resolveDateTime("now", warsaw), "2026-10-19T12:20:30+02:00");
+    assert.equal(resolveDateTime("+2h", warsaw), "2026-10-19T14:20:30+02:00");
+    assert.equal(resolveDateTime("-30m", warsaw), "2026-10-19T11:50:30+02:00");
+    assert.equal(resolveDateTime("in 45 minutes", warsaw), "2026-10-19T13:05:30+02:00");
+    // Crosses the end of summer time and keeps 12:20 on the clock.
+    assert.equal(resolveDateTime("in 2 weeks", warsaw), "2026-11-02T12:20:30+01:00");
+    assert.equal(resolveDateTime("+3d", warsaw), "2026-10-22T12:20:30+02:00");
+  });
+
+  it("moves a time that falls in a DST gap forward", () => {
+    assert.equal(resolveDateTime("2026-03-29 02:30", warsaw), "2026-03-29T03:30:00+02:00");
+  });
+
+  it("rejects what it cannot read", () => {
+    for (const input of ["", "9", "soon", "25:00", "13pm", "2026-02-30 10:00", "next", "in 3 fortnights"]) {
+      assert.throws(() => resolveDateTime(input, warsaw), (err) => err.code === "INVALID_ARGUMENT", input);
+    }
+  });
+});
+
+describe("resolveDate", () => {
+  it("gives the day an input lands on", () => {
+    assert.equal(resolveDate("2026-03-10", warsaw), "2026-03-10");
+    assert.equal(resolveDate("tomorrow", warsaw), "2026-10-20");
+    assert.equal(resolveDate("next fri", warsaw), "2026-10-23");
+    assert.equal(resolveDate("in 3 days", warsaw), "2026-10-22");
+  });
+});
+
+describe("includesTime", () => {
+  it("tells times of day from days", () => {
+    assert.equal(includesTime("fri 9am"), true);
+    assert.equal(includesTime("+2h"), true);
+    assert.equal(includesTime("2026-03-10T10:00:00Z"), true);
+    assert.equal(includesTime("next fri"), false);
+    assert.equal(includesTime("2026-03-10"), false);
+  });
+});
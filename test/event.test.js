@@ -1,6 +1,6 @@
 import { describe, it } from "node:test";
 import assert from "node:assert/strict";
-import { createEvent, validateEvent } from "../lib/event.js";
+import { createEvent, isStrictISODateTimeWithOffset, normalizeDateTime, validateEvent } from "../lib/event.js";
 
 describe("createEvent", () => {
   it("creates an event with required fields only", () => {
@@ -28,7 +28,10 @@ describe("createEvent", () => {
     assert.equal(event.start, "2026-02-14T10:00:00+01:00");
     assert.equal(event.end, "2026-02-14T10:30:00+01:00");
     assert.equal(event.place, "Room 101");
-    assert.deepEqual(event.participants, ["Alice", "Bob"]);
+    assert.deepEqual(event.attendees, [
+      { name: "Alice", role: "required", status: "needs-action" },
+      { name: "Bob", role: "required", status: "needs-action" },
+    ]);
   });
 
   it("generates a unique id for each event", () => {
@@ -55,13 +58,13 @@ describe("createEvent", () => {
     assert.equal(event.place, undefined);
   });
 
-  it("leaves participants undefined when not provided", () => {
+  it("leaves attendees undefined when not provided", () => {
     const event = createEvent({
       title: "Call",
       start: "2026-02-14T10:00:00+01:00",
     });
 
-    assert.equal(event.participants, undefined);
+    assert.equal(event.attendees, undefined);
   });
 
   it("stores start time with timezone offset preserved", () => {
@@ -82,6 +85,70 @@ describe("createEvent", () => {
     assert.equal(event.end, "2026-02-15T00:30:00-05:00");
   });
 
+  it("stores datetimes in canonical form", () => {
+    const event = createEvent({
+      title: "Sync",
+      start: "2026-02-14T10:00:00.000Z",
+      end: "2026-02-14T11:30+01:00",
+      exDates: ["2026-02-21T10:00Z"],
+    });
+
+    assert.equal(event.start, "2026-02-14T10:00:00+00:00");
+    assert.equal(event.end, "2026-02-14T11:30:00+01:00");
+    assert.deepEqual(event.exDates, ["2026-02-21T10:00:00+00:00"]);
+  });
+
+  it("defaults end to one hour after a UTC start", () => {
+    const event = createEvent({ title: "Call", start: "2026-02-14T23:30:00Z" });
+
+    assert.equal(event.end, "2026-02-15T00:30:00+00:00");
+  });
+});
+
+describe("isStrictISODateTimeWithOffset", () => {
+  it("accepts Z, fractional seconds and minute precision", () => {
+    for (const value of [
+      "2026-02-14T10:00:00+01:00",
+      "2026-02-14T10:00:00Z",
+      "2026-02-14T10:00:00.000+01:00",
+      "2026-02-14T10:00:00.123456Z",
+      "2026-02-14T10:00+01:00",
+      "2026-02-14T10:00Z",
+    ]) {
+      assert.equal(isStrictISODateTimeWithOffset(value), true, value);
+    }
+  });
+
+  it("still rejects local times and malformed values", () => {
+    for (const value of [
+      "2026-02-14T10:00:00",
+      "2026-02-14T10:00",
+      "2026-02-14T10:00:00.000",
+      "2026-02-14T10:00.5Z",
+      "2026-02-14T10:00:00.Z",
+      "2026-02-14T10:00:00z",
+      "2026-02-14T24:00:00Z",
+      "2026-02-30T10:00Z",
+      "2026-02-14T10:00:00+24:00",
+    ]) {
+      assert.equal(isStrictISODateTimeWithOffset(value), false, value);
+    }
+  });
+});
+
+describe("normalizeDateTime", () => {
+  it("keeps the offset, spells Z as +00:00 and drops fractional seconds", () => {
+    assert.equal(normalizeDateTime("2026-02-14T10:00:00+01:00"), "2026-02-14T10:00:00+01:00");
+    assert.equal(normalizeDateTime("2026-02-14T10:00:00Z"), "2026-02-14T10:00:00+00:00");
+    assert.equal(normalizeDateTime("2026-02-14T10:00:59.999-05:00"), "2026-02-14T10:00:59-05:00");
+    assert.equal(normalizeDateTime("2026-02-14T10:00+05:30"), "2026-02-14T10:00:00+05:30");
+  });
+
+  it("returns dates and invalid values unchanged", () => {
+    assert.equal(normalizeDateTime("2026-02-14"), "2026-02-14");
+    assert.equal(normalizeDateTime("2026-02-14T10:00:00"), "2026-02-14T10:00:00");
+    assert.equal(normalizeDateTime(undefined), undefined);
+  });
 });
 
 describe("validateEvent", () => {
@@ -179,4 +246,45 @@ describe("validateEvent", () => {
 
     assert.equal(result.valid, false);
   });
+
+  it("accepts text details and absolute URLs", () => {
+    const event = { title: "Call", start: "2026-02-14T10:00:00+01:00" };
+
+    assert.equal(validateEvent({ ...event, description: "Agenda:\n1. Intro", url: "https://meet.example.com/x", notes: "" }).valid, true);
+    assert.equal(validateEvent({ ...event, url: "tel:+48123456789" }).valid, true);
+    assert.deepEqual(validateEvent({ ...event, description: ["a"], url: "meet.example.com/x" }).errors, [
+      "description must be a string",
+      "url must be an absolute URL (e.g. https://example.com/meeting)",
+    ]);
+  });
+
+  it("accepts opaque and transparent events and rejects other transparency values", () => {
+    const event = { title: "FYI", start: "2026-02-14T10:00:00+01:00" };
+
+    assert.equal(validateEvent({ ...event, transparency: "transparent" }).valid, true);
+    assert.equal(validateEvent({ ...event, transparency: "opaque" }).valid, true);
+    assert.deepEqual(validateEvent({ ...event, transparency: "free" }).errors, [
+      "transparency must be one of: opaque, transparent",
+    ]);
+  });
+
+  it("accepts the three event statuses and rejects others", () => {
+    const event = { title: "Hold", start: "2026-02-14T10:00:00+01:00" };
+
+    for (const status of ["confirmed", "tentative", "cancelled"]) {
+      assert.equal(validateEvent({ ...event, status }).valid, true);
+    }
+    assert.deepEqual(validateEvent({ ...event, status: "canceled" }).errors, [
+      "status must be one of: confirmed, tentative, cancelled",
+    ]);
+  });
+
+  it("rejects COUNT rules that reach further ahead than can be expanded", () => {
+    const event = { title: "Tick", start: "2026-01-01T00:00Z", tz: "UTC" };
+
+    assert.equal(validateEvent({ ...event, rrule: "FREQ=MINUTELY;COUNT=1000" }).valid, true);
+    assert.deepEqual(validateEvent({ ...event, rrule: "FREQ=MINUTELY;COUNT=200000" }).errors, [
+      "rrule COUNT reaches further ahead than can be expanded; use UNTIL instead",
+    ]);
+  });
 });
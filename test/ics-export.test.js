@@ -0,0 +1,238 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { createCalendar } from "../lib/calendar.js";
+import { formatICalendar, parseICalendar } from "../lib/ics.js";
+import { makeTmpDir } from "./_helpers.js";
+
+function unfold(text) {
+  return text.replace(/\r\n /g, "").split("\r\n");
+}
+
+function block(lines, name, tzid) {
+  const start = lines.findIndex((l, idx) => l === `BEGIN:${name}` && (!tzid || lines[idx + 1] === `TZID:${tzid}`));
+  return lines.slice(start, lines.indexOf(`END:${name}`, start) + 1);
+}
+
+const SERIES = {
+  id: "11111111-1111-4111-8111-111111111111",
+  title: "Sync; weekly, team",
+  start: "2026-03-03T10:00:00+01:00",
+  end: "2026-03-03T11:00:00+01:00",
+  createdAt: "2026-02-01T12:00:00.000Z",
+  participants: ["Alice Smith", "bob@example.com"],
+  tz: "Europe/Warsaw",
+  rrule: "FREQ=WEEKLY;BYDAY=TU;UNTIL=20260601",
+  exDates: ["2026-03-17T10:00:00+01:00"],
+  rDates: ["2026-03-06T10:00:00+01:00"],
+  categories: ["work"],
+  overrides: {
+    "2026-03-24T10:00:00+01:00": { start: "2026-03-25T12:00:00+01:00", end: "2026-03-25T13:00:00+01:00" },
+  },
+};
+
+describe("formatICalendar", () => {
+  it("writes a series with its rule, exceptions and changed occurrences", () => {
+    const lines = unfold(formatICalendar([SERIES]));
+
+    assert.equal(lines[0], "BEGIN:VCALENDAR");
+    assert.ok(lines.includes("VERSION:2.0"));
+    assert.equal(lines[lines.length - 1], "");
+    assert.equal(lines[lines.length - 2], "END:VCALENDAR");
+
+    const master = block(lines, "VEVENT");
+    assert.deepEqual(master, [
+      "BEGIN:VEVENT",
+      "UID:11111111-1111-4111-8111-111111111111@clawendar",
+      "DTSTAMP:20260201T120000Z",
+      "SUMMARY:Sync\\; weekly\\, team",
+      "DTSTART;TZID=Europe/Warsaw:20260303T100000",
+      "DTEND;TZID=Europe/Warsaw:20260303T110000",
+      'ATTENDEE;CN="Alice Smith":invalid:nomail',
+      "ATTENDEE:mailto:bob@example.com",
+      "CATEGORIES:work",
+      "RRULE:FREQ=WEEKLY;BYDAY=TU;UNTIL=20260601T215959Z",
+      "RDATE;TZID=Europe/Warsaw:20260306T100000",
+      "EXDATE;TZID=Europe/Warsaw:20260317T100000",
+      "END:VEVENT",
+    ]);
+
+    const changed = lines.slice(lines.indexOf("END:VEVENT") + 1);
+    assert.ok(changed.includes("RECURRENCE-ID;TZID=Europe/Warsaw:20260324T100000"));
+    assert.ok(changed.includes("DTSTART;TZID=Europe/Warsaw:20260325T120000"));
+    assert.ok(changed.includes("UID:11111111-1111-4111-8111-111111111111@clawendar"));
+  });
+
+  it("adds a VTIMEZONE per zone with yearly rules for its offset changes", () => {
+    const lines = unfold(formatICalendar([SERIES]));
+    const vtimezone = block(lines, "VTIMEZONE", "Europe/Warsaw");
+
+    const daylight = block(vtimezone, "DAYLIGHT");
+    assert.deepEqual(daylight, [
+      "BEGIN:DAYLIGHT",
+      "DTSTART:20260329T020000",
+      "TZOFFSETFROM:+0100",
+      "TZOFFSETTO:+0200",
+      "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+      "END:DAYLIGHT",
+    ]);
+    assert.ok(vtimezone.includes("RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU"));
+  });
+
+  it("ends observances whose rule stopped being used", () => {
+    const old = { id: "2", title: "Old", start: "2005-03-01T10:00:00-05:00", end: "2005-03-01T11:00:00-05:00", tz: "America/New_York" };
+    const vtimezone = block(unfold(formatICalendar([old])), "VTIMEZONE", "America/New_York");
+
+    assert.ok(vtimezone.includes("RRULE:FREQ=YEARLY;BYMONTH=4;BYDAY=1SU;UNTIL=20060402T070000Z"));
+    assert.ok(vtimezone.includes("RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU"));
+  });
+
+  it("writes all-day events as dates with an exclusive end and timed events without a zone in UTC", () => {
+    const lines = unfold(formatICalendar([
+      { id: "3", title: "Trip", start: "2026-07-01", end: "2026-07-03", allDay: true, rrule: "FREQ=YEARLY;UNTIL=20300701" },
+      { id: "4", title: "Call", start: "2026-04-02T17:00:00+02:00", end: "2026-04-02T17:30:00+02:00" },
+    ]));
+
+    assert.ok(lines.includes("DTSTART;VALUE=DATE:20260701"));
+    assert.ok(lines.includes("DTEND;VALUE=DATE:20260704"));
+    assert.ok(lines.includes("RRULE:FREQ=YEARLY;UNTIL=20300701"));
+    assert.ok(lines.includes("DTSTART:20260402T150000Z"));
+    assert.ok(!lines.includes("BEGIN:VTIMEZONE"));
+  });
+
+  it("marks transparent events with TRANSP", () => {
+    const lines = unfold(formatICalendar([
+      { id: "6", title: "FYI", start: "2026-04-02T15:00:00+00:00", transparency: "transparent" },
+      { id: "7", title: "Busy", start: "2026-04-02T15:00:00+00:00" },
+    ]));
+    assert.deepEqual(lines.filter((l) => l.startsWith("TRANSP")), ["TRANSP:TRANSPARENT"]);
+  });
+
+  it("writes STATUS for tentative and cancelled events and occurrences", () => {
+    const text = formatICalendar([
+      { id: "6", title: "Maybe", start: "2026-04-02T15:00:00+00:00", status: "tentative" },
+      {
+        id: "7",
+        title: "Sync",
+        start: "2026-04-02T15:00:00+00:00",
+        rrule: "FREQ=WEEKLY",
+        overrides: { "2026-04-09T15:00:00+00:00": { status: "cancelled" } },
+      },
+    ]);
+    assert.deepEqual(unfold(text).filter((l) => l.startsWith("STATUS")), ["STATUS:TENTATIVE", "STATUS:CANCELLED"]);
+
+    const { events } = parseICalendar(text);
+    assert.equal(events[0].status, "tentative");
+    assert.deepEqual(events[1].overrides["2026-04-09T15:00:00+00:00"].status, "cancelled");
+  });
+
+  it("writes reminders as display alarms", () => {
+    const lines = unfold(formatICalendar([{
+      id: "8",
+      title: "Call",
+      start: "2026-04-02T15:00:00+00:00",
+      reminders: [{ offsetMinutes: -15 }, { offsetMinutes: -2880 }, { at: "2026-04-01T08:00:00+00:00" }],
+    }]));
+    assert.deepEqual(lines.filter((l) => l.startsWith("TRIGGER")), [
+      "TRIGGER:-PT15M",
+      "TRIGGER:-P2D",
+      "TRIGGER;VALUE=DATE-TIME:20260401T080000Z",
+    ]);
+    assert.equal(lines.filter((l) => l === "ACTION:DISPLAY").length, 3);
+  });
+
+  it("writes the organizer and attendees with their roles and answers", () => {
+    const lines = unfold(formatICalendar([{
+      id: "9",
+      title: "Review",
+      start: "2026-04-02T15:00:00+00:00",
+      organizer: { name: "Carol", email: "carol@example.com" },
+      attendees: [
+        { name: "Alice, A", email: "alice@example.com", role: "required", status: "needs-action" },
+        { email: "bob@example.com", role: "optional", status: "accepted" },
+        { name: "Dave", role: "required", status: "declined" },
+      ],
+    }]));
+    assert.deepEqual(lines.filter((l) => l.startsWith("ORGANIZER") || l.startsWith("ATTENDEE")), [
+      'ORGANIZER;CN="Carol":mailto:carol@example.com',
+      'ATTENDEE;CN="Alice, A":mailto:alice@example.com',
+      "ATTENDEE;ROLE=OPT-PARTICIPANT;PARTSTAT=ACCEPTED:mailto:bob@example.com",
+      'ATTENDEE;CN="Dave";PARTSTAT=DECLINED:invalid:nomail',
+    ]);
+  });
+
+  it("writes the description, URL and notes", () => {
+    const lines = unfold(formatICalendar([{
+      id: "10",
+      title: "Call",
+      start: "2026-04-02T15:00:00+00:00",
+      description: "Agenda:\n1. Intro, news",
+      url: "https://meet.example.com/abc",
+      notes: "Booking ref 42",
+    }]));
+    assert.ok(lines.includes("DESCRIPTION:Agenda:\\n1. Intro\\, news"));
+    assert.ok(lines.includes("URL:https://meet.example.com/abc"));
+    assert.ok(lines.includes("COMMENT:Booking ref 42"));
+  });
+
+  it("keeps imported UIDs and folds long lines at 75 octets", () => {
+    const text = formatICalendar([{
+      id: "5",
+      uid: "abc@example.com",
+      title: "Zażółć gęślą jaźń ".repeat(6),
+      start: "2026-04-02T15:00:00+00:00",
+    }]);
+
+    for (const line of text.split("\r\n")) {
+      assert.ok(Buffer.byteLength(line) <= 75, line);
+    }
+    assert.ok(unfold(text).includes("UID:abc@example.com"));
+  });
+
+  it("round-trips through parseICalendar", () => {
+    const [parsed] = parseICalendar(formatICalendar([SERIES])).events;
+
+    assert.equal(parsed.title, SERIES.title);
+    assert.equal(parsed.start, SERIES.start);
+    assert.equal(parsed.tz, "Europe/Warsaw");
+    assert.equal(parsed.rrule, "FREQ=WEEKLY;BYDAY=TU;UNTIL=20260601T215959Z");
+    assert.deepEqual(parsed.exDates, SERIES.exDates);
+    assert.deepEqual(parsed.rDates, SERIES.rDates);
+    assert.deepEqual(parsed.attendees, [
+      { name: "Alice Smith", role: "required", status: "needs-action" },
+      { email: "bob@example.com", role: "required", status: "needs-action" },
+    ]);
+    assert.deepEqual(Object.keys(parsed.overrides), ["2026-03-24T10:00:00+01:00"]);
+  });
+});
+
+describe("calendar.listStoredInRange", () => {
+  let tmpDir;
+  let calendar;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    calendar = createCalendar({ dataDir: tmpDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("returns whole series that have an occurrence in the range", () => {
+    const series = calendar.add({
+      title: "Weekly",
+      start: "2026-01-06T10:00:00+01:00",
+      tz: "Europe/Warsaw",
+      rrule: "FREQ=WEEKLY;BYDAY=TU",
+    });
+    calendar.add({ title: "Ended", start: "2026-01-05T10:00:00+01:00", tz: "Europe/Warsaw", rrule: "FREQ=DAILY;COUNT=3" });
+    calendar.add({ title: "Inside", start: "2026-03-04T10:00:00+01:00" });
+    calendar.add({ title: "Outside", start: "2026-05-04T10:00:00+02:00", calendarId: "work" });
+
+    const stored = calendar.listStoredInRange("2026-03-01T00:00:00+01:00", "2026-03-31T00:00:00+02:00");
+    assert.deepEqual(stored.map((e) => e.title), ["Weekly", "Inside"]);
+    assert.equal(stored[0].id, series.id);
+    assert.equal(stored[0].rrule, "FREQ=WEEKLY;BYDAY=TU");
+  });
+});
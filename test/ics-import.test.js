@@ -0,0 +1,359 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { createCalendar } from "../lib/calendar.js";
+import { parseICalendar } from "../lib/ics.js";
+import { makeTmpDir } from "./_helpers.js";
+
+function ics(...lines) {
+  return ["BEGIN:VCALENDAR", "VERSION:2.0", ...lines, "END:VCALENDAR"].join("\r\n") + "\r\n";
+}
+
+function vevent(...lines) {
+  return ["BEGIN:VEVENT", ...lines, "END:VEVENT"];
+}
+
+describe("parseICalendar", () => {
+  it("maps a timed event with TZID, location, attendees and categories", () => {
+    const { events, dropped, warnings } = parseICalendar(ics(
+      ...vevent(
+        "UID:a@example.com",
+        "SUMMARY:Planning",
+        "DTSTART;TZID=Europe/Warsaw:20260310T090000",
+        "DTEND;TZID=Europe/Warsaw:20260310T103000",
+        "LOCATION:Room 1\\, 2nd floor",
+        'ATTENDEE;CN="Alice A":mailto:alice@example.com',
+        "ATTENDEE:mailto:bob@example.com",
+        "CATEGORIES:Work,Planning",
+      )
+    ));
+
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(dropped, {});
+    assert.deepEqual(events, [{
+      uid: "a@example.com",
+      title: "Planning",
+      start: "2026-03-10T09:00:00+01:00",
+      end: "2026-03-10T10:30:00+01:00",
+      place: "Room 1, 2nd floor",
+      attendees: [
+        { name: "Alice A", email: "alice@example.com", role: "required", status: "needs-action" },
+        { email: "bob@example.com", role: "required", status: "needs-action" },
+      ],
+      categories: ["Work", "Planning"],
+      tz: "Europe/Warsaw",
+    }]);
+  });
+
+  it("reads the organizer and attendee roles and answers", () => {
+    const { events, dropped } = parseICalendar(ics(
+      ...vevent(
+        "UID:b@example.com",
+        "SUMMARY:Review",
+        "DTSTART:20260310T090000Z",
+        'ORGANIZER;CN=Carol:mailto:carol@example.com',
+        "ATTENDEE;ROLE=OPT-PARTICIPANT;PARTSTAT=TENTATIVE:mailto:bob@example.com",
+        "ATTENDEE;CN=Dave;PARTSTAT=DECLINED:invalid:nomail",
+        "ATTENDEE;ROLE=CHAIR;PARTSTAT=DELEGATED:mailto:erin@example.com",
+      )
+    ));
+
+    assert.deepEqual(dropped, {});
+    assert.deepEqual(events[0].organizer, { name: "Carol", email: "carol@example.com" });
+    assert.deepEqual(events[0].attendees, [
+      { email: "bob@example.com", role: "optional", status: "tentative" },
+      { name: "Dave", role: "required", status: "declined" },
+      { email: "erin@example.com", role: "required", status: "needs-action" },
+    ]);
+  });
+
+  it("reads the description, URL and comments as notes", () => {
+    const { events, warnings } = parseICalendar(ics(
+      ...vevent(
+        "UID:c@example.com",
+        "SUMMARY:Call",
+        "DTSTART:20260310T090000Z",
+        "DTEND:20260310T100000Z",
+        "DESCRIPTION:Agenda:\\n1. Intro\\, news",
+        "URL:https://meet.example.com/abc?x=1",
+        "COMMENT:Booking ref 42",
+        "COMMENT:Bring slides",
+      ),
+      ...vevent("UID:d@example.com", "SUMMARY:Odd link", "DTSTART:20260310T090000Z", "DTEND:20260310T100000Z", "URL:meet.example.com"),
+    ));
+
+    assert.equal(events[0].description, "Agenda:\n1. Intro, news");
+    assert.equal(events[0].url, "https://meet.example.com/abc?x=1");
+    assert.equal(events[0].notes, "Booking ref 42\nBring slides");
+    assert.equal(events[1].url, undefined);
+    assert.deepEqual(warnings, ['"Odd link" (d@example.com): has a URL that is not absolute (meet.example.com); dropped']);
+  });
+
+  it("unfolds long lines and unescapes text", () => {
+    const { events } = parseICalendar(ics(
+      ...vevent("UID:b", "SUMMARY:A very long", "  title; really", "DTSTART:20260310T090000Z", "DURATION:PT45M")
+    ));
+    assert.equal(events[0].title, "A very long title; really");
+    assert.equal(events[0].start, "2026-03-10T09:00:00+00:00");
+    assert.equal(events[0].end, "2026-03-10T09:45:00+00:00");
+    assert.equal(events[0].tz, undefined);
+  });
+
+  it("turns an exclusive VALUE=DATE end into an inclusive last day", () => {
+    const { events } = parseICalendar(ics(
+      ...vevent("UID:c", "SUMMARY:Trip", "DTSTART;VALUE=DATE:20260701", "DTEND;VALUE=DATE:20260704"),
+      ...vevent("UID:d", "SUMMARY:Holiday", "DTSTART;VALUE=DATE:20261225")
+    ));
+    assert.deepEqual(
+      events.map((e) => [e.start, e.end, e.allDay]),
+      [["2026-07-01", "2026-07-03", true], ["2026-12-25", "2026-12-25", true]]
+    );
+  });
+
+  it("reads floating times in the given zone and TZIDs through VTIMEZONE locations", () => {
+    const { events } = parseICalendar(ics(
+      "BEGIN:VTIMEZONE",
+      "TZID:Pacific Time",
+      "X-LIC-LOCATION:America/Los_Angeles",
+      "END:VTIMEZONE",
+      ...vevent("UID:e", "SUMMARY:Floating", "DTSTART:20260710T090000", "DTEND:20260710T100000"),
+      ...vevent("UID:f", "SUMMARY:Pacific", "DTSTART;TZID=Pacific Time:20260710T090000", "DURATION:PT1H"),
+      ...vevent("UID:g", "SUMMARY:Prefixed", "DTSTART;TZID=/mozilla.org/20050126_1/Europe/Berlin:20260710T090000", "DURATION:PT1H")
+    ), { floatingTz: "Asia/Tokyo" });
+
+    assert.equal(events[0].start, "2026-07-10T09:00:00+09:00");
+    assert.equal(events[1].start, "2026-07-10T09:00:00-07:00");
+    assert.equal(events[1].tz, "America/Los_Angeles");
+    assert.equal(events[2].tz, "Europe/Berlin");
+  });
+
+  it("keys EXDATE, RDATE and RECURRENCE-ID in the series' time zone", () => {
+    const { events } = parseICalendar(ics(
+      ...vevent(
+        "UID:s",
+        "SUMMARY:Sync",
+        "DTSTART;TZID=Europe/Warsaw:20260303T100000",
+        "DTEND;TZID=Europe/Warsaw:20260303T110000",
+        "RRULE:FREQ=WEEKLY;BYDAY=TU",
+        "EXDATE:20260310T090000Z,20260407T080000Z",
+        "RDATE;TZID=Europe/Warsaw:20260306T100000"
+      ),
+      ...vevent("UID:s", "RECURRENCE-ID:20260331T080000Z", "STATUS:CANCELLED"),
+      ...vevent(
+        "UID:s",
+        "RECURRENCE-ID;TZID=Europe/Warsaw:20260324T100000",
+        "SUMMARY:Sync",
+        "DTSTART;TZID=Europe/Warsaw:20260325T120000",
+        "DTEND;TZID=Europe/Warsaw:20260325T130000"
+      )
+    ));
+
+    assert.equal(events.length, 1);
+    assert.deepEqual(events[0].exDates, ["2026-03-10T10:00:00+01:00", "2026-04-07T10:00:00+02:00"]);
+    assert.deepEqual(events[0].rDates, ["2026-03-06T10:00:00+01:00"]);
+    assert.deepEqual(events[0].overrides, {
+      "2026-03-24T10:00:00+01:00": {
+        title: "Sync",
+        start: "2026-03-25T12:00:00+01:00",
+        end: "2026-03-25T13:00:00+01:00",
+      },
+      "2026-03-31T10:00:00+02:00": { status: "cancelled" },
+    });
+  });
+
+  it("gives a one-off event with RDATEs a single-occurrence rule", () => {
+    const { events } = parseICalendar(ics(
+      ...vevent("UID:r", "SUMMARY:Talks", "DTSTART;VALUE=DATE:20260901", "RDATE;VALUE=DATE:20260915,20261001")
+    ));
+    assert.equal(events[0].rrule, "FREQ=DAILY;COUNT=1");
+    assert.deepEqual(events[0].rDates, ["2026-09-15", "2026-10-01"]);
+  });
+
+  it("maps TRANSP:TRANSPARENT to a transparent event", () => {
+    const { events, dropped } = parseICalendar(ics(
+      ...vevent("UID:t", "SUMMARY:FYI", "DTSTART:20260901T100000Z", "TRANSP:TRANSPARENT"),
+      ...vevent("UID:o", "SUMMARY:Busy", "DTSTART:20260901T100000Z", "TRANSP:OPAQUE")
+    ));
+    assert.equal(events[0].transparency, "transparent");
+    assert.equal(events[1].transparency, undefined);
+    assert.deepEqual(dropped, {});
+  });
+
+  it("maps STATUS to the event status", () => {
+    const { events, dropped } = parseICalendar(ics(
+      ...vevent("UID:t", "SUMMARY:Maybe", "DTSTART:20260901T100000Z", "STATUS:TENTATIVE"),
+      ...vevent("UID:c", "SUMMARY:Off", "DTSTART:20260901T100000Z", "STATUS:CANCELLED"),
+      ...vevent("UID:o", "SUMMARY:On", "DTSTART:20260901T100000Z", "STATUS:CONFIRMED"),
+      ...vevent("UID:n", "SUMMARY:Plain", "DTSTART:20260901T100000Z")
+    ));
+    assert.deepEqual(events.map((e) => e.status), ["tentative", "cancelled", "confirmed", undefined]);
+    assert.deepEqual(dropped, {});
+  });
+
+  it("maps VALARM triggers to reminders", () => {
+    const { events, warnings } = parseICalendar(ics(
+      ...vevent(
+        "UID:a",
+        "SUMMARY:Call",
+        "DTSTART:20260310T090000Z",
+        "DTEND:20260310T093000Z",
+        "BEGIN:VALARM", "ACTION:DISPLAY", "TRIGGER:-P1DT2H", "END:VALARM",
+        "BEGIN:VALARM", "ACTION:DISPLAY", "TRIGGER:PT5M", "END:VALARM",
+        "BEGIN:VALARM", "ACTION:DISPLAY", "TRIGGER;VALUE=DATE-TIME:20260309T180000Z", "END:VALARM",
+        "BEGIN:VALARM", "ACTION:DISPLAY", "TRIGGER;RELATED=END:-PT5M", "END:VALARM"
+      )
+    ));
+    assert.deepEqual(events[0].reminders, [
+      { offsetMinutes: -1560 },
+      { offsetMinutes: 5 },
+      { at: "2026-03-09T18:00:00+00:00" },
+    ]);
+    assert.deepEqual(warnings, ['"Call" (a): has a reminder relative to its end; dropped']);
+  });
+
+  it("reports what it could not represent", () => {
+    const { events, dropped, warnings } = parseICalendar(ics(
+      ...vevent(
+        "UID:x",
+        "SUMMARY:Kept",
+        "DTSTART:20260310T090000Z",
+        "DTEND:20260310T100000Z",
+        "ATTACH:https://example.com/agenda.pdf",
+        "X-GOOGLE-CONFERENCE:https://example.com",
+        "BEGIN:VALARM",
+        "TRIGGER:-PT10M",
+        "END:VALARM"
+      ),
+      ...vevent("UID:y", "SUMMARY:Zoneless", "DTSTART;TZID=Nowhere/Special:20260310T090000"),
+      ...vevent("UID:o", "RECURRENCE-ID:20260310T090000Z", "SUMMARY:Orphan", "DTSTART:20260310T100000Z"),
+      ...vevent("UID:p", "SUMMARY:Instant", "DTSTART:20260310T090000Z"),
+      "BEGIN:VTODO",
+      "UID:t",
+      "END:VTODO"
+    ));
+
+    assert.deepEqual(events.map((e) => e.title), ["Kept", "Instant"]);
+    assert.equal(events[1].end, undefined);
+    assert.deepEqual(events[0].reminders, [{ offsetMinutes: -10 }]);
+    assert.deepEqual(dropped, { VTODO: 1, ATTACH: 1 });
+    assert.deepEqual(warnings, [
+      '"Zoneless" (y): unknown time zone "Nowhere/Special"; skipped',
+      '"Instant" (p): has no duration; given one hour',
+      '"Orphan" (o): changed occurrence of a series that is not in the file; skipped',
+    ]);
+  });
+
+  it("rejects text that is not iCalendar", () => {
+    assert.throws(() => parseICalendar("hello"), /Invalid iCalendar line 1/);
+    assert.throws(() => parseICalendar("BEGIN:VEVENT\r\nEND:VEVENT\r\n"), /No VCALENDAR/);
+    assert.throws(() => parseICalendar("BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\n"), /Missing END:VEVENT/);
+  });
+});
+
+describe("calendar.importEvents", () => {
+  let tmpDir;
+  let calendar;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    calendar = createCalendar({ dataDir: tmpDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const series = {
+    uid: "sync@example.com",
+    title: "Sync",
+    start: "2026-03-03T10:00:00+01:00",
+    end: "2026-03-03T11:00:00+01:00",
+    tz: "Europe/Warsaw",
+    rrule: "FREQ=WEEKLY;BYDAY=TU",
+    rDates: ["2026-03-06T10:00:00+01:00"],
+    overrides: {
+      "2026-03-10T10:00:00+01:00": { title: "Sync", place: "Room 2" },
+    },
+  };
+
+  it("adds events into the target calendar and keeps only real override changes", () => {
+    const result = calendar.importEvents([series], { calendarId: "work" });
+
+    assert.equal(result.added.length, 1);
+    const [stored] = calendar.list();
+    assert.equal(stored.uid, "sync@example.com");
+    assert.equal(stored.calendarId, "work");
+    assert.deepEqual(stored.overrides, { "2026-03-10T10:00:00+01:00": { place: "Room 2" } });
+
+    const starts = calendar
+      .listRange("2026-03-01T00:00:00+01:00", "2026-03-11T00:00:00+01:00")
+      .map((e) => `${e.start} ${e.place || ""}`.trim());
+    assert.deepEqual(starts, [
+      "2026-03-03T10:00:00+01:00",
+      "2026-03-06T10:00:00+01:00",
+      "2026-03-10T10:00:00+01:00 Room 2",
+    ]);
+  });
+
+  it("updates events with a known UID in place on re-import", () => {
+    const [first] = calendar.importEvents([series], { calendarId: "work" }).added;
+
+    const again = calendar.importEvents([series]);
+    assert.equal(again.unchanged.length, 1);
+
+    const changed = calendar.importEvents([{ ...series, title: "Weekly sync" }]);
+    assert.equal(changed.updated.length, 1);
+
+    const all = calendar.list();
+    assert.equal(all.length, 1);
+    assert.equal(all[0].id, first.id);
+    assert.equal(all[0].title, "Weekly sync");
+    assert.equal(all[0].calendarId, "work");
+  });
+
+  it("imports a large batch in linear time, journal included", () => {
+    const entries = Array.from({ length: 3000 }, (_, i) => ({
+      uid: `e${i}@example.com`,
+      title: `Event ${i}`,
+      start: "2030-01-01T10:00:00+01:00",
+      end: "2030-01-01T11:00:00+01:00",
+    }));
+
+    const started = Date.now();
+    assert.equal(calendar.importEvents(entries).added.length, 3000);
+    assert.ok(Date.now() - started < 5000, `took ${Date.now() - started} ms`);
+    assert.equal(calendar.history()[0].changes.length, 3000);
+  });
+
+  it("moves re-imported events to the default calendar on request", () => {
+    calendar.importEvents([series], { calendarId: "work" });
+    calendar.importEvents([series], { calendarId: "default" });
+    assert.equal(calendar.list()[0].calendarId, undefined);
+  });
+
+  it("skips invalid entries and unsupported rules with a warning", () => {
+    const result = calendar.importEvents([
+      { uid: "u1", title: "Odd", start: "2026-03-03T10:00:00+01:00", tz: "Europe/Warsaw", rrule: "FREQ=WEEKLY;RSCALE=GREGORIAN" },
+      { uid: "u2", title: "Backwards", start: "2026-03-03T10:00:00+01:00", end: "2026-03-03T09:00:00+01:00" },
+      { uid: "u3", title: "Tick", start: "2026-03-03T10:00:00+01:00", tz: "Europe/Warsaw", rrule: "FREQ=HOURLY;COUNT=200000" },
+      { ...series, overrides: { "2026-03-11T10:00:00+01:00": { place: "Nowhere" } } },
+    ]);
+
+    assert.equal(result.added.length, 1);
+    assert.deepEqual(result.warnings, [
+      '"Odd" (u1): unsupported rrule field: RSCALE; skipped',
+      '"Backwards" (u2): invalid event (end must be after start); skipped',
+      '"Tick" (u3): invalid event (rrule COUNT reaches further ahead than can be expanded; use UNTIL instead); skipped',
+      '"Sync" (sync@example.com): occurrence 2026-03-11T10:00:00+01:00 is not part of the series; skipped',
+    ]);
+  });
+
+  it("carries extra dates over when a series is split", () => {
+    const [stored] = calendar.importEvents([{ ...series, rDates: ["2026-03-06T10:00:00+01:00", "2026-03-20T10:00:00+01:00"] }]).added;
+
+    const created = calendar.edit(stored.id, { start: "2026-03-17T11:00:00+01:00" }, { fromOccurrence: "2026-03-17T10:00:00+01:00" });
+
+    assert.deepEqual(calendar.list().find((e) => e.id === stored.id).rDates, ["2026-03-06T10:00:00+01:00"]);
+    assert.deepEqual(created.rDates, ["2026-03-20T11:00:00+01:00"]);
+  });
+});
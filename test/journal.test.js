@@ -0,0 +1,233 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { createCalendar } from "../lib/calendar.js";
+import { createJournal } from "../lib/journal.js";
+import { createStorage } from "../lib/storage.js";
+import { makeTmpDir } from "./_helpers.js";
+
+const RANGE = ["2026-03-01T00:00:00+01:00", "2026-04-01T00:00:00+02:00"];
+
+describe("calendar journal, undo and redo", () => {
+  let tmpDir;
+  let calendar;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    calendar = createCalendar({ dataDir: tmpDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const titles = () => calendar.list().map((e) => e.title);
+
+  it("journals each change with before and after snapshots", () => {
+    const event = calendar.add({ title: "Dentist", start: "2026-03-03T10:00:00+01:00" });
+    calendar.edit(event.id, { place: "Clinic" });
+    calendar.delete(event.id);
+
+    const entries = createJournal(tmpDir).entries();
+    assert.deepEqual(entries.map((e) => [e.seq, e.op]), [[1, "add"], [2, "edit"], [3, "delete"]]);
+    assert.deepEqual(entries[0].changes, [{ id: event.id, before: null, after: event }]);
+    assert.equal(entries[1].changes[0].before.place, undefined);
+    assert.equal(entries[1].changes[0].after.place, "Clinic");
+    assert.deepEqual(entries[2].changes[0].before, { ...event, place: "Clinic" });
+    assert.ok(entries[2].changes[0].after.deletedAt);
+  });
+
+  it("records nothing for operations that change nothing", () => {
+    const event = calendar.add({ title: "Dentist", start: "2026-03-03T10:00:00+01:00" });
+    calendar.delete("missing");
+    assert.throws(() => calendar.edit(event.id, { start: "tomorrow" }));
+
+    assert.equal(calendar.history().length, 1);
+  });
+
+  it("undoes a delete and redoes it", () => {
+    const event = calendar.add({ title: "Dentist", start: "2026-03-03T10:00:00+01:00" });
+    calendar.delete(event.id);
+
+    const undone = calendar.undo();
+    assert.equal(undone.op, "delete");
+    assert.deepEqual(calendar.list(), [event]);
+
+    calendar.redo();
+    assert.deepEqual(titles(), []);
+
+    const history = calendar.history();
+    assert.deepEqual(history.map((e) => [e.op, e.target]), [["redo", 2], ["undo", 2], ["delete", undefined], ["add", undefined]]);
+  });
+
+  it("undoes a series split as one step", () => {
+    const series = calendar.add({
+      title: "Sync",
+      start: "2026-03-03T10:00:00+01:00",
+      tz: "Europe/Warsaw",
+      rrule: "FREQ=WEEKLY;BYDAY=TU",
+    });
+    calendar.edit(series.id, { title: "Sync (new time)" }, { fromOccurrence: "2026-03-17T10:00:00+01:00" });
+    assert.equal(calendar.history()[0].changes.length, 2);
+
+    calendar.undo();
+    assert.deepEqual(calendar.list(), [series]);
+    assert.equal(calendar.listRange(...RANGE).length, 5);
+  });
+
+  it("undoes skips and occurrence edits", () => {
+    const series = calendar.add({
+      title: "Sync",
+      start: "2026-03-03T10:00:00+01:00",
+      tz: "Europe/Warsaw",
+      rrule: "FREQ=WEEKLY;BYDAY=TU",
+    });
+    calendar.skip(series.id, "2026-03-10T10:00:00+01:00");
+    calendar.edit(series.id, { place: "Room 2" }, { occurrence: "2026-03-17T10:00:00+01:00" });
+
+    calendar.undo();
+    calendar.undo();
+    assert.deepEqual(calendar.list(), [series]);
+  });
+
+  it("walks back through several changes and forward again", () => {
+    const event = calendar.add({ title: "A", start: "2026-03-03T10:00:00+01:00" });
+    calendar.edit(event.id, { title: "B" });
+    calendar.edit(event.id, { title: "C" });
+
+    calendar.undo();
+    calendar.undo();
+    assert.deepEqual(titles(), ["A"]);
+    calendar.redo();
+    assert.deepEqual(titles(), ["B"]);
+    calendar.redo();
+    assert.deepEqual(titles(), ["C"]);
+    assert.throws(() => calendar.redo(), (err) => err.code === "NOTHING_TO_REDO");
+  });
+
+  it("forgets undone changes once something new happens", () => {
+    const event = calendar.add({ title: "A", start: "2026-03-03T10:00:00+01:00" });
+    calendar.edit(event.id, { title: "B" });
+    calendar.undo();
+    calendar.edit(event.id, { place: "Room" });
+
+    assert.throws(() => calendar.redo(), (err) => err.code === "NOTHING_TO_REDO");
+    calendar.undo();
+    calendar.undo();
+    assert.deepEqual(titles(), []);
+    assert.throws(() => calendar.undo(), (err) => err.code === "NOTHING_TO_UNDO");
+  });
+
+  it("refuses to undo over a change made outside the journal", () => {
+    const event = calendar.add({ title: "A", start: "2026-03-03T10:00:00+01:00" });
+    calendar.edit(event.id, { title: "B" });
+    createCalendar({ dataDir: tmpDir, journal: null }).edit(event.id, { title: "C" });
+
+    assert.throws(() => calendar.undo(), (err) => err.code === "UNDO_CONFLICT");
+    assert.deepEqual(titles(), ["C"]);
+  });
+
+  it("journals imports", () => {
+    calendar.importEvents([{ uid: "a@example.com", title: "Imported", start: "2026-03-05T10:00:00+01:00" }]);
+    assert.equal(calendar.history()[0].op, "import");
+
+    calendar.undo();
+    assert.deepEqual(titles(), []);
+  });
+
+  it("limits and marks history entries", () => {
+    const event = calendar.add({ title: "A", start: "2026-03-03T10:00:00+01:00" });
+    calendar.edit(event.id, { title: "B" });
+    calendar.undo();
+
+    const history = calendar.history({ limit: 2 });
+    assert.deepEqual(history.map((e) => [e.seq, e.op, e.undone]), [[3, "undo", false], [2, "edit", true]]);
+  });
+
+  it("skips a journal line cut short by a crash", () => {
+    calendar.add({ title: "A", start: "2026-03-03T10:00:00+01:00" });
+    fs.appendFileSync(path.join(tmpDir, "journal.jsonl"), '{"seq":2,"op":"ed');
+
+    assert.equal(createJournal(tmpDir).entries().length, 1);
+    calendar.undo();
+    assert.deepEqual(titles(), []);
+    assert.deepEqual(createJournal(tmpDir).entries().map((e) => [e.seq, e.op]), [[1, "add"], [2, "undo"]]);
+  });
+
+  it("takes back the entry of a change whose commit fails", () => {
+    const storage = createStorage(tmpDir);
+    let failCommit = false;
+    // Throwing at the very end of the transaction drops its buffered writes,
+    // as a failed final write of events.json would.
+    const failing = {
+      ...storage,
+      transaction: (fn) => storage.transaction(() => {
+        const result = fn();
+        if (failCommit) throw new Error("disk full");
+        return result;
+      }),
+    };
+    calendar = createCalendar({ dataDir: tmpDir, storage: failing });
+    const event = calendar.add({ title: "Dentist", start: "2026-03-03T10:00:00+01:00" });
+
+    failCommit = true;
+    assert.throws(() => calendar.edit(event.id, { place: "Clinic" }), /disk full/);
+    failCommit = false;
+
+    assert.deepEqual(createJournal(tmpDir).entries().map((e) => e.op), ["add"]);
+    calendar.edit(event.id, { place: "Room 2" });
+    assert.deepEqual(calendar.history().map((e) => [e.seq, e.op]), [[2, "edit"], [1, "add"]]);
+    calendar.undo();
+    calendar.undo();
+    assert.deepEqual(titles(), []);
+  });
+});
+
+describe("createJournal", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("numbers entries from the end of the file, whoever appended them", () => {
+    const first = createJournal(tmpDir);
+    const second = createJournal(tmpDir);
+    first.append({ op: "add", changes: [] });
+    second.append({ op: "edit", changes: [], note: "é".repeat(70000) });
+    first.append({ op: "delete", changes: [] });
+
+    assert.deepEqual(first.entries().map((e) => [e.seq, e.op]), [[1, "add"], [2, "edit"], [3, "delete"]]);
+  });
+
+  it("drops the oldest entries once the file outgrows its cap", () => {
+    const journal = createJournal(tmpDir, { maxBytes: 2000 });
+    for (let i = 0; i < 40; i++) {
+      journal.append({ op: "add", changes: [], note: "x".repeat(100) });
+    }
+
+    const seqs = journal.entries().map((e) => e.seq);
+    assert.ok(fs.statSync(journal.file).size <= 2000);
+    assert.equal(seqs.at(-1), 40);
+    assert.ok(seqs[0] > 1);
+    assert.deepEqual(seqs, Array.from({ length: seqs.length }, (_, i) => seqs[0] + i));
+  });
+
+  it("discards only its own last entry", () => {
+    const first = createJournal(tmpDir);
+    const second = createJournal(tmpDir);
+    const kept = first.append({ op: "add", changes: [] });
+    second.append({ op: "edit", changes: [] });
+
+    assert.equal(first.discard(kept), false);
+    const last = first.append({ op: "delete", changes: [] });
+    assert.equal(first.discard(last), true);
+    assert.deepEqual(first.entries().map((e) => [e.seq, e.op]), [[1, "add"], [2, "edit"]]);
+    assert.equal(second.append({ op: "skip", changes: [] }).seq, 3);
+  });
+});
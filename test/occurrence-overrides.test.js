@@ -0,0 +1,113 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { createCalendar } from "../lib/calendar.js";
+import { makeTmpDir } from "./_helpers.js";
+
+describe("per-occurrence overrides", () => {
+  let tmpDir;
+  let calendar;
+  let series;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    calendar = createCalendar({ dataDir: tmpDir });
+    series = calendar.add({
+      title: "Team sync",
+      start: "2026-03-03T10:00:00+01:00",
+      end: "2026-03-03T11:00:00+01:00",
+      place: "Room 1",
+      tz: "Europe/Warsaw",
+      rrule: "FREQ=WEEKLY;BYDAY=TU",
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("changes the place of a single occurrence", () => {
+    const occ = calendar.edit(series.id, { place: "Room 2" }, { occurrence: "2026-03-10T10:00:00+01:00" });
+
+    assert.equal(occ.place, "Room 2");
+    assert.equal(occ.exception, true);
+    assert.equal(occ.originalStart, "2026-03-10T10:00:00+01:00");
+
+    const events = calendar.listRange("2026-03-01T00:00:00+01:00", "2026-03-18T00:00:00+01:00");
+    assert.deepEqual(events.map((e) => e.place), ["Room 1", "Room 2", "Room 1"]);
+  });
+
+  it("moves an occurrence and keeps its duration", () => {
+    const occ = calendar.edit(
+      series.id,
+      { start: "2026-03-11T14:00:00+01:00" },
+      { occurrence: "2026-03-10T10:00:00+01:00" }
+    );
+
+    assert.equal(occ.start, "2026-03-11T14:00:00+01:00");
+    assert.equal(occ.end, "2026-03-11T15:00:00+01:00");
+    assert.equal(occ.id, `${series.id}#2026-03-10T10:00:00+01:00`);
+  });
+
+  it("shows a moved occurrence in a range that only contains its new time", () => {
+    calendar.edit(series.id, { start: "2026-03-11T14:00:00+01:00" }, { occurrence: "2026-03-10T10:00:00+01:00" });
+
+    const tuesday = calendar.listRange("2026-03-10T00:00:00+01:00", "2026-03-10T23:59:59+01:00");
+    assert.equal(tuesday.length, 0);
+
+    const wednesday = calendar.listRange("2026-03-11T00:00:00+01:00", "2026-03-11T23:59:59+01:00");
+    assert.equal(wednesday.length, 1);
+    assert.equal(wednesday[0].exception, true);
+  });
+
+  it("matches the occurrence when it is written with a different offset", () => {
+    const occ = calendar.edit(series.id, { title: "Sync (moved)" }, { occurrence: "2026-03-10T09:00:00+00:00" });
+    assert.equal(occ.originalStart, "2026-03-10T10:00:00+01:00");
+  });
+
+  it("merges repeated edits of the same occurrence", () => {
+    const occurrence = "2026-03-10T10:00:00+01:00";
+    calendar.edit(series.id, { place: "Room 2" }, { occurrence });
+    const occ = calendar.edit(series.id, { title: "Planning" }, { occurrence });
+
+    assert.equal(occ.place, "Room 2");
+    assert.equal(occ.title, "Planning");
+  });
+
+  it("rejects a datetime that is not an occurrence of the series", () => {
+    assert.throws(
+      () => calendar.edit(series.id, { place: "Room 2" }, { occurrence: "2026-03-11T10:00:00+01:00" }),
+      /Occurrence not found/
+    );
+  });
+
+  it("rejects series-level fields on a single occurrence", () => {
+    assert.throws(
+      () => calendar.edit(series.id, { calendarId: "work" }, { occurrence: "2026-03-10T10:00:00+01:00" }),
+      /calendarId/
+    );
+  });
+
+  it("drops the override when the occurrence is skipped", () => {
+    const occurrence = "2026-03-10T10:00:00+01:00";
+    calendar.edit(series.id, { place: "Room 2" }, { occurrence });
+    const updated = calendar.skip(series.id, occurrence);
+
+    assert.deepEqual(updated.overrides, {});
+    const events = calendar.listRange("2026-03-10T00:00:00+01:00", "2026-03-10T23:59:59+01:00");
+    assert.equal(events.length, 0);
+  });
+
+  it("overrides one instance of an all-day series", () => {
+    const birthday = calendar.add({ title: "Birthday", start: "2026-05-15", allDay: true, rrule: "FREQ=YEARLY" });
+    calendar.edit(birthday.id, { start: "2027-05-16", title: "Birthday party" }, { occurrence: "2027-05-15" });
+
+    const events = calendar
+      .listRange("2027-05-01T00:00:00+02:00", "2027-05-31T00:00:00+02:00")
+      .filter((e) => e.seriesId === birthday.id);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].start, "2027-05-16");
+    assert.equal(events[0].end, "2027-05-16");
+    assert.equal(events[0].title, "Birthday party");
+  });
+});
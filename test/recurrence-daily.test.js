@@ -0,0 +1,198 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { countFitsExpansion, expandOccurrences } from "../lib/recurrence.js";
+
+describe("recurrence: DAILY, HOURLY and MINUTELY", () => {
+  it("expands a daily rule and keeps local time stable across DST", () => {
+    const out = expandOccurrences({
+      dtStart: "2026-03-27T09:00:00+01:00",
+      tz: "Europe/Warsaw",
+      rrule: "FREQ=DAILY",
+      from: "2026-03-27T00:00:00+01:00",
+      to: "2026-03-30T23:59:59+02:00",
+      mode: "wall",
+    });
+
+    assert.deepEqual(out, [
+      "2026-03-27T09:00:00+01:00",
+      "2026-03-28T09:00:00+01:00",
+      "2026-03-29T09:00:00+02:00",
+      "2026-03-30T09:00:00+02:00",
+    ]);
+  });
+
+  it("filters daily occurrences by BYDAY for a weekday standup", () => {
+    const out = expandOccurrences({
+      dtStart: "2026-03-02T09:00:00+01:00",
+      tz: "Europe/Warsaw",
+      rrule: "FREQ=DAILY;BYDAY=MO,TU,WE,TH,FR",
+      from: "2026-03-26T00:00:00+01:00",
+      to: "2026-04-01T00:00:00+02:00",
+      mode: "wall",
+    });
+
+    assert.deepEqual(out, [
+      "2026-03-26T09:00:00+01:00",
+      "2026-03-27T09:00:00+01:00",
+      "2026-03-30T09:00:00+02:00",
+      "2026-03-31T09:00:00+02:00",
+    ]);
+  });
+
+  it("honors INTERVAL and COUNT on daily rules", () => {
+    const out = expandOccurrences({
+      dtStart: "2026-01-01T08:00:00+01:00",
+      tz: "Europe/Warsaw",
+      rrule: "FREQ=DAILY;INTERVAL=3;COUNT=4",
+      from: "2026-01-01T00:00:00+01:00",
+      to: "2026-12-31T00:00:00+01:00",
+      mode: "wall",
+    });
+
+    assert.deepEqual(out, [
+      "2026-01-01T08:00:00+01:00",
+      "2026-01-04T08:00:00+01:00",
+      "2026-01-07T08:00:00+01:00",
+      "2026-01-10T08:00:00+01:00",
+    ]);
+  });
+
+  it("stops daily rules at UNTIL", () => {
+    const out = expandOccurrences({
+      dtStart: "2026-01-01T08:00:00+01:00",
+      tz: "Europe/Warsaw",
+      rrule: "FREQ=DAILY;UNTIL=2026-01-03T08:00:00+01:00",
+      from: "2026-01-01T00:00:00+01:00",
+      to: "2026-01-31T00:00:00+01:00",
+      mode: "wall",
+    });
+
+    assert.equal(out.length, 3);
+    assert.equal(out[2], "2026-01-03T08:00:00+01:00");
+  });
+
+  it("expands an hourly rule within a window far from dtStart", () => {
+    const out = expandOccurrences({
+      dtStart: "2024-01-01T00:00:00+01:00",
+      tz: "Europe/Warsaw",
+      rrule: "FREQ=HOURLY;INTERVAL=2",
+      from: "2026-02-10T09:00:00+01:00",
+      to: "2026-02-10T15:00:00+01:00",
+      mode: "wall",
+    });
+
+    assert.deepEqual(out, [
+      "2026-02-10T10:00:00+01:00",
+      "2026-02-10T12:00:00+01:00",
+      "2026-02-10T14:00:00+01:00",
+    ]);
+  });
+
+  it("shifts hourly steps out of a spring-forward gap", () => {
+    const out = expandOccurrences({
+      dtStart: "2026-03-29T00:00:00+01:00",
+      tz: "Europe/Warsaw",
+      rrule: "FREQ=HOURLY;INTERVAL=2",
+      from: "2026-03-29T00:00:00+01:00",
+      to: "2026-03-29T06:00:00+02:00",
+      mode: "wall",
+    });
+
+    assert.deepEqual(out, [
+      "2026-03-29T00:00:00+01:00",
+      "2026-03-29T03:00:00+02:00", // 02:00 does not exist; shift-forward
+      "2026-03-29T04:00:00+02:00",
+      "2026-03-29T06:00:00+02:00",
+    ]);
+  });
+
+  it("never emits the same instant twice when gap times collapse", () => {
+    const out = expandOccurrences({
+      dtStart: "2026-03-29T01:00:00+01:00",
+      tz: "Europe/Warsaw",
+      rrule: "FREQ=MINUTELY;INTERVAL=30",
+      from: "2026-03-29T00:00:00+01:00",
+      to: "2026-03-29T04:00:00+02:00",
+      mode: "wall",
+    });
+
+    assert.deepEqual(out, [
+      "2026-03-29T01:00:00+01:00",
+      "2026-03-29T01:30:00+01:00",
+      "2026-03-29T03:00:00+02:00",
+      "2026-03-29T03:30:00+02:00",
+      "2026-03-29T04:00:00+02:00",
+    ]);
+  });
+
+  it("resolves hourly fold times to the standard-time instant", () => {
+    const out = expandOccurrences({
+      dtStart: "2026-10-25T00:00:00+02:00",
+      tz: "Europe/Warsaw",
+      rrule: "FREQ=HOURLY",
+      from: "2026-10-25T00:00:00+02:00",
+      to: "2026-10-25T03:00:00+01:00",
+      mode: "wall",
+    });
+
+    assert.deepEqual(out, [
+      "2026-10-25T00:00:00+02:00",
+      "2026-10-25T01:00:00+02:00",
+      "2026-10-25T02:00:00+01:00",
+      "2026-10-25T03:00:00+01:00",
+    ]);
+  });
+
+  it("filters minutely rules by BYDAY and honors COUNT", () => {
+    const out = expandOccurrences({
+      dtStart: "2026-03-06T23:50:00+01:00", // Friday
+      tz: "Europe/Warsaw",
+      rrule: "FREQ=MINUTELY;INTERVAL=5;BYDAY=FR,MO;COUNT=3",
+      from: "2026-03-01T00:00:00+01:00",
+      to: "2026-03-31T00:00:00+02:00",
+      mode: "wall",
+    });
+
+    assert.deepEqual(out, [
+      "2026-03-06T23:50:00+01:00",
+      "2026-03-06T23:55:00+01:00",
+      "2026-03-09T00:00:00+01:00",
+    ]);
+  });
+
+  it("reaches the end of a window that closes inside a fall-back fold", () => {
+    const out = expandOccurrences({
+      dtStart: "2026-10-24T00:00:00+02:00",
+      tz: "Europe/Warsaw",
+      rrule: "FREQ=MINUTELY;INTERVAL=30",
+      from: "2026-10-25T02:00:00+02:00",
+      to: "2026-10-25T02:30:00+01:00",
+      mode: "wall",
+    });
+
+    assert.deepEqual(out, [
+      "2026-10-25T02:00:00+01:00",
+      "2026-10-25T02:30:00+01:00",
+    ]);
+  });
+
+  it("tells COUNT rules that run past the periods it can expand, and cuts them short", () => {
+    const expand = (rrule) => expandOccurrences({
+      dtStart: "2026-01-01T00:00:00+01:00",
+      tz: "Europe/Warsaw",
+      rrule,
+      from: "2026-06-01T00:00:00+02:00",
+      to: "2026-06-01T01:00:00+02:00",
+      mode: "wall",
+    });
+
+    assert.deepEqual(expand("FREQ=MINUTELY;COUNT=10"), []);
+    assert.deepEqual(expand("FREQ=MINUTELY;COUNT=500000"), []);
+
+    assert.equal(countFitsExpansion("2026-01-01T00:00:00+01:00", "FREQ=MINUTELY;COUNT=90000"), true);
+    assert.equal(countFitsExpansion("2026-01-01T00:00:00+01:00", "FREQ=MINUTELY;COUNT=500000"), false);
+    assert.equal(countFitsExpansion("2026-01-01T00:00:00+01:00", "FREQ=MINUTELY;BYSECOND=0,30;COUNT=150000"), true);
+    assert.equal(countFitsExpansion("2026-01-01", "FREQ=YEARLY;COUNT=300"), false);
+    assert.equal(countFitsExpansion("2026-01-01T00:00:00+01:00", "FREQ=MINUTELY;UNTIL=20270101"), true);
+  });
+});
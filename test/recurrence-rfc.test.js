@@ -0,0 +1,195 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { expandOccurrences } from "../lib/recurrence.js";
+
+// Most cases below are the examples from RFC 5545, section 3.8.5.3.
+function expand(dtStart, rrule, { tz = "America/New_York", from = "1990-01-01T00:00:00+00:00", to = "2030-01-01T00:00:00+00:00" } = {}) {
+  return expandOccurrences({ dtStart, tz, rrule, from, to, mode: "wall" });
+}
+
+describe("recurrence: RFC 5545 BY* rule parts", () => {
+  it("supports BYMONTHDAY with negative values (first and last day of the month)", () => {
+    const out = expand("1997-09-30T09:00:00-04:00", "FREQ=MONTHLY;BYMONTHDAY=1,-1;COUNT=4");
+    assert.deepEqual(out, [
+      "1997-09-30T09:00:00-04:00",
+      "1997-10-01T09:00:00-04:00",
+      "1997-10-31T09:00:00-05:00",
+      "1997-11-01T09:00:00-05:00",
+    ]);
+  });
+
+  it("skips months where a BYMONTHDAY does not exist", () => {
+    const out = expand("2007-01-15T09:00:00-05:00", "FREQ=MONTHLY;BYMONTHDAY=15,30;COUNT=5");
+    assert.deepEqual(out, [
+      "2007-01-15T09:00:00-05:00",
+      "2007-01-30T09:00:00-05:00",
+      "2007-02-15T09:00:00-05:00",
+      "2007-03-15T09:00:00-04:00",
+      "2007-03-30T09:00:00-04:00",
+    ]);
+  });
+
+  it("defaults FREQ=MONTHLY to DTSTART's day of the month", () => {
+    const out = expand("2026-01-31T09:00:00+01:00", "FREQ=MONTHLY;COUNT=3", { tz: "Europe/Warsaw" });
+    assert.deepEqual(out, [
+      "2026-01-31T09:00:00+01:00",
+      "2026-03-31T09:00:00+02:00",
+      "2026-05-31T09:00:00+02:00",
+    ]);
+  });
+
+  it("expands BYMONTH on yearly rules", () => {
+    const out = expand("1997-06-10T09:00:00-04:00", "FREQ=YEARLY;COUNT=4;BYMONTH=6,7");
+    assert.deepEqual(out, [
+      "1997-06-10T09:00:00-04:00",
+      "1997-07-10T09:00:00-04:00",
+      "1998-06-10T09:00:00-04:00",
+      "1998-07-10T09:00:00-04:00",
+    ]);
+  });
+
+  it("supports BYYEARDAY with INTERVAL", () => {
+    const out = expand("1997-01-01T09:00:00-05:00", "FREQ=YEARLY;INTERVAL=3;COUNT=5;BYYEARDAY=1,100,200");
+    assert.deepEqual(out, [
+      "1997-01-01T09:00:00-05:00",
+      "1997-04-10T09:00:00-04:00",
+      "1997-07-19T09:00:00-04:00",
+      "2000-01-01T09:00:00-05:00",
+      "2000-04-09T09:00:00-04:00",
+    ]);
+  });
+
+  it("supports BYWEEKNO with BYDAY", () => {
+    const out = expand("1997-05-12T09:00:00-04:00", "FREQ=YEARLY;BYWEEKNO=20;BYDAY=MO;COUNT=3");
+    assert.deepEqual(out, [
+      "1997-05-12T09:00:00-04:00",
+      "1998-05-11T09:00:00-04:00",
+      "1999-05-17T09:00:00-04:00",
+    ]);
+  });
+
+  it("places week 1 of the ISO year in late December when the year starts late in the week", () => {
+    const out = expand("2027-01-04T09:00:00+01:00", "FREQ=YEARLY;BYWEEKNO=1;BYDAY=MO", {
+      tz: "Europe/Warsaw",
+      from: "2027-01-01T00:00:00+01:00",
+      to: "2030-01-31T00:00:00+01:00",
+    });
+    assert.deepEqual(out, [
+      "2027-01-04T09:00:00+01:00",
+      "2028-01-03T09:00:00+01:00",
+      "2029-01-01T09:00:00+01:00",
+      "2029-12-31T09:00:00+01:00",
+    ]);
+  });
+
+  it("supports numeric BYDAY prefixes in monthly rules", () => {
+    const out = expand("1997-09-07T09:00:00-04:00", "FREQ=MONTHLY;INTERVAL=2;COUNT=4;BYDAY=1SU,-1SU");
+    assert.deepEqual(out, [
+      "1997-09-07T09:00:00-04:00",
+      "1997-09-28T09:00:00-04:00",
+      "1997-11-02T09:00:00-05:00",
+      "1997-11-30T09:00:00-05:00",
+    ]);
+  });
+
+  it("counts numeric BYDAY within the year for yearly rules without BYMONTH", () => {
+    const out = expand("1997-05-19T09:00:00-04:00", "FREQ=YEARLY;BYDAY=20MO;COUNT=2");
+    assert.deepEqual(out, ["1997-05-19T09:00:00-04:00", "1998-05-18T09:00:00-04:00"]);
+  });
+
+  it("accepts plain BYDAY on yearly rules", () => {
+    const out = expand("1997-03-13T09:00:00-05:00", "FREQ=YEARLY;BYMONTH=3;BYDAY=TH;COUNT=4");
+    assert.deepEqual(out, [
+      "1997-03-13T09:00:00-05:00",
+      "1997-03-20T09:00:00-05:00",
+      "1997-03-27T09:00:00-05:00",
+      "1998-03-05T09:00:00-05:00",
+    ]);
+  });
+
+  it("limits BYDAY with BYMONTHDAY (Friday the 13th)", () => {
+    const out = expand("1998-02-13T09:00:00-05:00", "FREQ=MONTHLY;BYDAY=FR;BYMONTHDAY=13;COUNT=3");
+    assert.deepEqual(out, [
+      "1998-02-13T09:00:00-05:00",
+      "1998-03-13T09:00:00-05:00",
+      "1998-11-13T09:00:00-05:00",
+    ]);
+  });
+
+  it("supports multiple BYSETPOS values", () => {
+    const out = expand("2026-03-02T10:00:00+01:00", "FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=1,-1;COUNT=4", {
+      tz: "Europe/Warsaw",
+    });
+    assert.deepEqual(out, [
+      "2026-03-02T10:00:00+01:00",
+      "2026-03-31T10:00:00+02:00",
+      "2026-04-01T10:00:00+02:00",
+      "2026-04-30T10:00:00+02:00",
+    ]);
+  });
+
+  it("uses WKST when applying a weekly INTERVAL", () => {
+    const mondayStart = expand("1997-08-05T09:00:00-04:00", "FREQ=WEEKLY;INTERVAL=2;COUNT=4;BYDAY=TU,SU;WKST=MO");
+    assert.deepEqual(mondayStart, [
+      "1997-08-05T09:00:00-04:00",
+      "1997-08-10T09:00:00-04:00",
+      "1997-08-19T09:00:00-04:00",
+      "1997-08-24T09:00:00-04:00",
+    ]);
+
+    const sundayStart = expand("1997-08-05T09:00:00-04:00", "FREQ=WEEKLY;INTERVAL=2;COUNT=4;BYDAY=TU,SU;WKST=SU");
+    assert.deepEqual(sundayStart, [
+      "1997-08-05T09:00:00-04:00",
+      "1997-08-17T09:00:00-04:00",
+      "1997-08-19T09:00:00-04:00",
+      "1997-08-31T09:00:00-04:00",
+    ]);
+  });
+
+  it("expands BYHOUR and BYMINUTE within a day", () => {
+    const out = expand("1997-09-02T09:00:00-04:00", "FREQ=DAILY;BYHOUR=9,16;BYMINUTE=0,30;COUNT=5");
+    assert.deepEqual(out, [
+      "1997-09-02T09:00:00-04:00",
+      "1997-09-02T09:30:00-04:00",
+      "1997-09-02T16:00:00-04:00",
+      "1997-09-02T16:30:00-04:00",
+      "1997-09-03T09:00:00-04:00",
+    ]);
+  });
+
+  it("accepts an RFC 5545 basic-format UNTIL", () => {
+    const out = expand("2026-01-15T09:00:00+01:00", "FREQ=MONTHLY;UNTIL=20260315T080000Z", { tz: "Europe/Warsaw" });
+    assert.deepEqual(out, [
+      "2026-01-15T09:00:00+01:00",
+      "2026-02-15T09:00:00+01:00",
+      "2026-03-15T09:00:00+01:00",
+    ]);
+  });
+
+  it("keeps Feb 29 anniversaries on Feb 28 in common years", () => {
+    const out = expand("2024-02-29T09:00:00+01:00", "FREQ=YEARLY;COUNT=3", { tz: "Europe/Warsaw" });
+    assert.deepEqual(out, [
+      "2024-02-29T09:00:00+01:00",
+      "2025-02-28T09:00:00+01:00",
+      "2026-02-28T09:00:00+01:00",
+    ]);
+  });
+
+  it("rejects rule parts the RFC does not allow for the frequency", () => {
+    const start = "2026-03-02T10:00:00+01:00";
+    assert.throws(() => expand(start, "FREQ=MONTHLY;BYWEEKNO=1"), /BYWEEKNO/);
+    assert.throws(() => expand(start, "FREQ=WEEKLY;BYMONTHDAY=1"), /BYMONTHDAY/);
+    assert.throws(() => expand(start, "FREQ=DAILY;BYYEARDAY=1"), /BYYEARDAY/);
+    assert.throws(() => expand(start, "FREQ=WEEKLY;BYDAY=1MO"), /numeric BYDAY/);
+    assert.throws(() => expand(start, "FREQ=YEARLY;BYWEEKNO=1;BYDAY=1MO"), /numeric BYDAY/);
+  });
+
+  it("rejects out-of-range values", () => {
+    const start = "2026-03-02T10:00:00+01:00";
+    assert.throws(() => expand(start, "FREQ=MONTHLY;BYMONTHDAY=0"), /invalid BYMONTHDAY/);
+    assert.throws(() => expand(start, "FREQ=YEARLY;BYMONTH=13"), /invalid BYMONTH/);
+    assert.throws(() => expand(start, "FREQ=MONTHLY;BYDAY=0MO"), /invalid BYDAY/);
+    assert.throws(() => expand(start, "FREQ=MONTHLY;BYDAY=MO;BYSETPOS=1,0"), /invalid BYSETPOS/);
+    assert.throws(() => expand(start, "FREQ=WEEKLY;WKST=XX"), /invalid WKST/);
+  });
+});
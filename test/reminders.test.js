@@ -0,0 +1,116 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { createCalendar } from "../lib/calendar.js";
+import { formatReminder, parseReminder } from "../lib/reminders.js";
+import { makeTmpDir } from "./_helpers.js";
+
+const NOW = new Date("2026-03-10T08:00:00Z");
+
+describe("parseReminder / formatReminder", () => {
+  it("reads offsets before and after the start", () => {
+    assert.deepEqual(parseReminder("-15m"), { offsetMinutes: -15 });
+    assert.deepEqual(parseReminder("1d"), { offsetMinutes: -1440 });
+    assert.deepEqual(parseReminder("+2h"), { offsetMinutes: 120 });
+    assert.deepEqual(parseReminder("0m"), { offsetMinutes: 0 });
+  });
+
+  it("reads fixed times like any other date input", () => {
+    assert.deepEqual(parseReminder("tomorrow 9am", { tz: "Europe/Warsaw", now: NOW }), { at: "2026-03-11T09:00:00+01:00" });
+    assert.deepEqual(parseReminder("2026-03-10T07:00Z"), { at: "2026-03-10T07:00:00+00:00" });
+  });
+
+  it("rejects anything else", () => {
+    assert.throws(() => parseReminder("soonish"), { code: "INVALID_ARGUMENT", message: /offset like -15m/ });
+  });
+
+  it("formats reminders the way --remind takes them", () => {
+    assert.deepEqual(
+      [{ offsetMinutes: -15 }, { offsetMinutes: 60 }, { offsetMinutes: -2880 }, { offsetMinutes: -10080 }, { offsetMinutes: 0 }].map(formatReminder),
+      ["-15m", "+1h", "-2d", "-1w", "0m"]
+    );
+    assert.equal(formatReminder({ at: "2026-03-10T07:00:00+00:00" }), "2026-03-10T07:00:00+00:00");
+  });
+});
+
+describe("calendar reminders", () => {
+  let tmpDir;
+  let calendar;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    calendar = createCalendar({ dataDir: tmpDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("validates reminders on add", () => {
+    assert.throws(
+      () => calendar.add({ title: "Bad", start: "2026-03-10T10:00:00+01:00", reminders: [{ offsetMinutes: 1.5 }] }),
+      { code: "INVALID_EVENT", message: /reminders must be an array/ }
+    );
+  });
+
+  it("returns a relative reminder once per occurrence in the window", () => {
+    const series = calendar.add({
+      title: "Standup",
+      start: "2026-03-09T09:00:00+01:00",
+      tz: "Europe/Warsaw",
+      rrule: "FREQ=DAILY",
+      reminders: [{ offsetMinutes: -15 }],
+    });
+
+    const due = calendar.dueReminders({ since: "2026-03-09T00:00:00+01:00", until: "2026-03-10T23:59:00+01:00", tz: "Europe/Warsaw" });
+    assert.deepEqual(due.reminders.map((r) => [r.fireAt, r.trigger, r.event.seriesId]), [
+      ["2026-03-09T08:45:00+01:00", "-15m", series.id],
+      ["2026-03-10T08:45:00+01:00", "-15m", series.id],
+    ]);
+    assert.notEqual(due.reminders[0].id, due.reminders[1].id);
+    assert.equal(due.since, "2026-03-09T00:00:00+01:00");
+  });
+
+  it("fires fixed-time reminders once and all-day reminders from midnight in tz", () => {
+    calendar.add({ title: "Call", start: "2026-03-12T10:00:00+01:00", reminders: [{ at: "2026-03-10T08:30:00+01:00" }] });
+    calendar.add({ title: "Holiday", start: "2026-03-11", allDay: true, reminders: [{ offsetMinutes: -1440 }] });
+
+    const due = calendar.dueReminders({ since: "2026-03-09T22:00:00+01:00", until: "2026-03-10T12:00:00+01:00", tz: "Europe/Warsaw" });
+    assert.deepEqual(due.reminders.map((r) => [r.event.title, r.fireAt, r.trigger]), [
+      ["Holiday", "2026-03-10T00:00:00+01:00", "-1d"],
+      ["Call", "2026-03-10T08:30:00+01:00", "2026-03-10T08:30:00+01:00"],
+    ]);
+  });
+
+  it("returns each reminder once when acknowledging", () => {
+    calendar.add({ title: "Call", start: "2026-03-10T10:00:00+01:00", reminders: [{ offsetMinutes: -30 }, { offsetMinutes: -60 }] });
+
+    const first = calendar.dueReminders({ until: "2026-03-10T09:10:00+01:00", acknowledge: true });
+    assert.deepEqual(first.reminders.map((r) => r.trigger), ["-1h"]);
+
+    const second = calendar.dueReminders({ until: "2026-03-10T09:40:00+01:00", acknowledge: true });
+    assert.equal(second.since, first.until);
+    assert.deepEqual(second.reminders.map((r) => r.trigger), ["-30m"]);
+
+    const state = JSON.parse(fs.readFileSync(path.join(tmpDir, "reminders.json"), "utf-8"));
+    assert.equal(Object.keys(state.acknowledged).length, 2);
+  });
+
+  it("skips reminders acknowledged by id", () => {
+    calendar.add({ title: "Call", start: "2026-03-10T10:00:00+01:00", reminders: [{ offsetMinutes: -30 }] });
+    const window = { since: "2026-03-10T00:00:00+01:00", until: "2026-03-10T12:00:00+01:00" };
+
+    const [reminder] = calendar.dueReminders(window).reminders;
+    assert.deepEqual(calendar.dueReminders(window).reminders.map((r) => r.id), [reminder.id]);
+
+    calendar.acknowledgeReminders([reminder.id]);
+    assert.deepEqual(calendar.dueReminders(window).reminders, []);
+  });
+
+  it("ignores reminders of deleted events", () => {
+    const event = calendar.add({ title: "Call", start: "2026-03-10T10:00:00+01:00", reminders: [{ offsetMinutes: -30 }] });
+    calendar.delete(event.id);
+    assert.deepEqual(calendar.dueReminders({ since: "2026-03-10T00:00:00+01:00", until: "2026-03-10T12:00:00+01:00" }).reminders, []);
+  });
+});
@@ -0,0 +1,124 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { createCalendar } from "../lib/calendar.js";
+import { eventMatchesQuery, parseSearchQuery } from "../lib/search.js";
+import { makeTmpDir } from "./_helpers.js";
+
+const DENTIST = {
+  title: "Dentist appointment",
+  start: "2026-03-10T10:00:00+01:00",
+  place: "Smile Clinic, Gdańsk",
+  description: "Bring the X-ray",
+  attendees: [{ name: "Dr. Nowak", email: "nowak@smile.example", role: "required", status: "accepted" }],
+  categories: ["health"],
+};
+
+function matches(query, event = DENTIST) {
+  return eventMatchesQuery(event, parseSearchQuery(query));
+}
+
+describe("parseSearchQuery", () => {
+  it("reads words, quoted phrases and field prefixes", () => {
+    assert.deepEqual(parseSearchQuery('Dentist place:"Smile  Clinic" cat:Health "x-ray'), [
+      { field: "any", text: "dentist" },
+      { field: "place", text: "smile  clinic" },
+      { field: "category", text: "health" },
+      { field: "any", text: "x-ray" },
+    ]);
+  });
+
+  it("treats unknown prefixes and times as words", () => {
+    assert.deepEqual(parseSearchQuery("10:30 https://meet.example.com/a"), [
+      { field: "any", text: "10:30" },
+      { field: "any", text: "https://meet.example.com/a" },
+    ]);
+  });
+
+  it("rejects an empty query", () => {
+    assert.throws(() => parseSearchQuery(' "" '), { code: "INVALID_ARGUMENT" });
+  });
+});
+
+describe("eventMatchesQuery", () => {
+  it("needs every term, anywhere, ignoring case and accents", () => {
+    assert.equal(matches("DENTIST gdansk"), true);
+    assert.equal(matches("x-ray nowak health"), true);
+    assert.equal(matches("dentist cardiology"), false);
+  });
+
+  it("matches phrases as written", () => {
+    assert.equal(matches('"smile clinic"'), true);
+    assert.equal(matches('"clinic smile"'), false);
+  });
+
+  it("limits prefixed terms to their field", () => {
+    assert.equal(matches("place:smile"), true);
+    assert.equal(matches("title:smile"), false);
+    assert.equal(matches("with:nowak with:smile.example"), true);
+    assert.equal(matches("desc:x-ray"), true);
+    assert.equal(matches("cat:health"), true);
+    assert.equal(matches("cat:heal"), false);
+  });
+});
+
+describe("calendar search", () => {
+  let tmpDir;
+  let calendar;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    calendar = createCalendar({ dataDir: tmpDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("finds single events and returns a series once with its next occurrence", () => {
+    calendar.add(DENTIST);
+    const series = calendar.add({
+      title: "Dentist check-up reminder call",
+      start: "2020-01-06T09:00:00+01:00",
+      tz: "Europe/Warsaw",
+      rrule: "FREQ=WEEKLY",
+    });
+    calendar.add({ title: "Lunch", start: "2026-03-10T12:00:00+01:00" });
+
+    const results = calendar.search("dentist");
+    assert.deepEqual(results.map((r) => r.event.title), ["Dentist appointment", "Dentist check-up reminder call"]);
+    assert.equal(results[0].next, null);
+    const { next } = results[1];
+    assert.equal(next.seriesId, series.id);
+    assert.ok(new Date(next.end) > new Date(), "next occurrence is not over");
+    assert.ok(new Date(next.start) < new Date(Date.now() + 7 * 86400000), "next occurrence is within a week");
+  });
+
+  it("limits results to a range and finds the first occurrence in it", () => {
+    calendar.add(DENTIST);
+    calendar.add({ ...DENTIST, start: "2026-05-10T10:00:00+02:00" });
+    calendar.add({ title: "Birthday Ann", start: "2024-02-29", allDay: true, rrule: "FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=29" });
+
+    const march = calendar.search("dentist", { from: "2026-03-01T00:00:00+01:00", to: "2026-03-31T23:59:59+02:00" });
+    assert.deepEqual(march.map((r) => r.event.start), ["2026-03-10T10:00:00+01:00"]);
+
+    const [birthday] = calendar.search("birthday", { from: "2026-01-01T00:00:00+01:00", to: "2030-01-01T00:00:00+01:00" });
+    assert.equal(birthday.next.start, "2028-02-29");
+    assert.deepEqual(calendar.search("birthday", { from: "2026-01-01T00:00:00+01:00", to: "2027-12-31T00:00:00+01:00" }), []);
+  });
+
+  it("matches a series through its changed occurrences", () => {
+    const series = calendar.add({ title: "Sync", start: "2026-03-03T10:00:00+01:00", tz: "Europe/Warsaw", rrule: "FREQ=WEEKLY" });
+    calendar.edit(series.id, { place: "Room 2" }, { occurrence: "2026-03-10T10:00:00+01:00" });
+
+    assert.deepEqual(calendar.search("place:room").map((r) => r.event.id), [series.id]);
+  });
+
+  it("applies the list filters", () => {
+    calendar.add({ ...DENTIST, calendarId: "personal" });
+    calendar.add({ ...DENTIST, title: "Dentist for the kids", categories: ["family"] });
+
+    assert.deepEqual(calendar.search("dentist", { filters: { calendarId: "personal" } }).map((r) => r.event.title), ["Dentist appointment"]);
+    assert.deepEqual(calendar.search("dentist", { filters: { categoriesAny: ["family"] } }).map((r) => r.event.title), ["Dentist for the kids"]);
+  });
+});
@@ -0,0 +1,128 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { createCalendar } from "../lib/calendar.js";
+import { makeTmpDir } from "./_helpers.js";
+
+describe("splitting a recurring series (this and following)", () => {
+  let tmpDir;
+  let calendar;
+  let series;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    calendar = createCalendar({ dataDir: tmpDir });
+    series = calendar.add({
+      title: "Weekly",
+      start: "2026-03-03T10:00:00+01:00",
+      end: "2026-03-03T11:00:00+01:00",
+      tz: "Europe/Warsaw",
+      rrule: "FREQ=WEEKLY;BYDAY=TU",
+      calendarId: "work",
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("ends the original series before the chosen occurrence and starts a linked one", () => {
+    const created = calendar.edit(
+      series.id,
+      { start: "2026-04-07T11:00:00+02:00" },
+      { fromOccurrence: "2026-04-07T10:00:00+02:00" }
+    );
+
+    assert.notEqual(created.id, series.id);
+    assert.equal(created.splitFrom, series.id);
+    assert.equal(created.start, "2026-04-07T11:00:00+02:00");
+    assert.equal(created.end, "2026-04-07T12:00:00+02:00");
+    assert.equal(created.calendarId, "work");
+
+    const original = calendar.list().find((e) => e.id === series.id);
+    assert.equal(original.rrule, "FREQ=WEEKLY;BYDAY=TU;UNTIL=20260407T075959Z");
+
+    const starts = calendar
+      .listRange("2026-03-24T00:00:00+01:00", "2026-04-15T00:00:00+02:00")
+      .map((e) => e.start);
+    assert.deepEqual(starts, [
+      "2026-03-24T10:00:00+01:00",
+      "2026-03-31T10:00:00+02:00",
+      "2026-04-07T11:00:00+02:00",
+      "2026-04-14T11:00:00+02:00",
+    ]);
+  });
+
+  it("splits COUNT between the two series", () => {
+    const counted = calendar.add({
+      title: "Course",
+      start: "2026-03-02T18:00:00+01:00",
+      tz: "Europe/Warsaw",
+      rrule: "FREQ=WEEKLY;BYDAY=MO;COUNT=6",
+    });
+
+    const created = calendar.edit(counted.id, { place: "Room B" }, { fromOccurrence: "2026-03-23T18:00:00+01:00" });
+
+    const original = calendar.list().find((e) => e.id === counted.id);
+    assert.equal(original.rrule, "FREQ=WEEKLY;BYDAY=MO;COUNT=3");
+    assert.equal(created.rrule, "FREQ=WEEKLY;BYDAY=MO;COUNT=3");
+  });
+
+  it("moves later skips and overrides to the new series, following a time change", () => {
+    calendar.skip(series.id, "2026-03-10T10:00:00+01:00");
+    calendar.skip(series.id, "2026-04-14T10:00:00+02:00");
+    calendar.edit(series.id, { place: "Room 9" }, { occurrence: "2026-04-21T10:00:00+02:00" });
+
+    const created = calendar.edit(
+      series.id,
+      { start: "2026-04-07T11:00:00+02:00" },
+      { fromOccurrence: "2026-04-07T10:00:00+02:00" }
+    );
+
+    const original = calendar.list().find((e) => e.id === series.id);
+    assert.deepEqual(original.exDates, ["2026-03-10T10:00:00+01:00"]);
+    assert.deepEqual(original.overrides, {});
+    assert.deepEqual(created.exDates, ["2026-04-14T11:00:00+02:00"]);
+    assert.deepEqual(Object.keys(created.overrides), ["2026-04-21T11:00:00+02:00"]);
+  });
+
+  it("edits the whole series when splitting at the first occurrence", () => {
+    const updated = calendar.edit(series.id, { title: "Renamed" }, { fromOccurrence: "2026-03-03T10:00:00+01:00" });
+
+    assert.equal(updated.id, series.id);
+    assert.equal(updated.title, "Renamed");
+    assert.equal(calendar.list().length, 1);
+  });
+
+  it("rejects a split point that is not an occurrence", () => {
+    assert.throws(
+      () => calendar.edit(series.id, { title: "X" }, { fromOccurrence: "2026-04-08T10:00:00+02:00" }),
+      /Occurrence not found/
+    );
+  });
+
+  it("delete with fromOccurrence ends the series", () => {
+    const result = calendar.delete(series.id, { fromOccurrence: "2026-03-17T10:00:00+01:00" });
+    assert.equal(result, true);
+
+    const starts = calendar
+      .listRange("2026-03-01T00:00:00+01:00", "2026-04-30T00:00:00+02:00")
+      .map((e) => e.start);
+    assert.deepEqual(starts, ["2026-03-03T10:00:00+01:00", "2026-03-10T10:00:00+01:00"]);
+  });
+
+  it("delete from the first occurrence removes the series", () => {
+    calendar.delete(series.id, { fromOccurrence: "2026-03-03T10:00:00+01:00" });
+    assert.equal(calendar.list().length, 0);
+  });
+
+  it("splits an all-day series by date", () => {
+    const birthday = calendar.add({ title: "Birthday", start: "2026-05-15", allDay: true, rrule: "FREQ=YEARLY" });
+    const created = calendar.edit(birthday.id, { title: "Birthday (moved)" }, { fromOccurrence: "2028-05-15" });
+
+    const original = calendar.list().find((e) => e.id === birthday.id);
+    assert.equal(original.rrule, "FREQ=YEARLY;UNTIL=20280514");
+    assert.deepEqual(calendar.occurrences(birthday.id, "2026-01-01", "2030-12-31"), ["2026-05-15", "2027-05-15"]);
+    assert.deepEqual(calendar.occurrences(created.id, "2026-01-01", "2030-12-31"), ["2028-05-15", "2029-05-15", "2030-05-15"]);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { createCalendar } from "../lib/calendar.js";
+import { makeTmpDir } from "./_helpers.js";
+
+const TZ = "Europe/Warsaw";
+const DAY = ["2030-03-05T00:00:00+01:00", "2030-03-06T00:00:00+01:00"];
+
+describe("event status", () => {
+  let tmpDir;
+  let calendar;
+  let standup;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    calendar = createCalendar({ dataDir: tmpDir });
+    standup = calendar.add({
+      title: "Standup",
+      start: "2030-03-04T09:00:00+01:00",
+      end: "2030-03-04T10:00:00+01:00",
+      tz: TZ,
+      rrule: "FREQ=DAILY",
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("keeps the status and rejects unknown ones", () => {
+    const hold = calendar.add({ title: "Hold", start: "2030-03-05T12:00:00+01:00", status: "tentative" });
+    assert.equal(hold.status, "tentative");
+    assert.equal(calendar.edit(hold.id, { status: "cancelled" }).status, "cancelled");
+    assert.throws(() => calendar.add({ title: "Hold", start: "2030-03-05T12:00:00+01:00", status: "maybe" }), /status must be one of/);
+  });
+
+  it("does not count cancelled events as busy, but does count tentative ones", () => {
+    calendar.add({ title: "Off", start: "2030-03-05T12:00:00+01:00", end: "2030-03-05T13:00:00+01:00", status: "cancelled" });
+    calendar.add({ title: "Hold", start: "2030-03-05T15:00:00+01:00", end: "2030-03-05T16:00:00+01:00", status: "tentative" });
+
+    const busy = calendar.freeBusy(...DAY, { tz: TZ });
+    assert.deepEqual(busy.map((b) => b.start), ["2030-03-05T09:00:00+01:00", "2030-03-05T15:00:00+01:00"]);
+  });
+
+  it("leaves cancelled and transparent events out of conflicts", () => {
+    const off = calendar.add({ title: "Off", start: "2030-03-05T09:00:00+01:00", status: "cancelled" });
+    calendar.add({ title: "FYI", start: "2030-03-05T09:30:00+01:00", transparency: "transparent" });
+    assert.deepEqual(calendar.conflicts(...DAY), []);
+    assert.deepEqual(calendar.conflictsWith(off), []);
+
+    assert.doesNotThrow(() => calendar.add({ title: "Dentist", start: "2030-03-05T09:00:00+01:00", status: "cancelled" }, { rejectConflicts: true }));
+    assert.throws(
+      () => calendar.add({ title: "Dentist", start: "2030-03-05T09:00:00+01:00" }, { rejectConflicts: true }),
+      (err) => err.code === "CONFLICT"
+    );
+  });
+
+  it("cancels one occurrence of a series without skipping it", () => {
+    calendar.edit(standup.id, { status: "cancelled" }, { occurrence: "2030-03-05T09:00:00+01:00" });
+
+    const [occurrence] = calendar.listRange(...DAY);
+    assert.equal(occurrence.status, "cancelled");
+    assert.deepEqual(calendar.freeBusy(...DAY, { tz: TZ }), []);
+  });
+
+  it("filters listings by status, a missing status being confirmed", () => {
+    calendar.add({ title: "Hold", start: "2030-03-05T12:00:00+01:00", status: "tentative" });
+    calendar.add({ title: "Off", start: "2030-03-05T13:00:00+01:00", status: "cancelled" });
+
+    const titles = (statuses) => calendar.listRange(...DAY, { statuses }).map((e) => e.title);
+    assert.deepEqual(titles(["confirmed"]), ["Standup"]);
+    assert.deepEqual(titles(["tentative", "cancelled"]), ["Hold", "Off"]);
+  });
+
+  it("sends no reminders for cancelled events", () => {
+    calendar.add({ title: "Off", start: "2030-03-05T12:00:00+01:00", status: "cancelled", reminders: [{ offsetMinutes: -15 }] });
+    calendar.add({ title: "Hold", start: "2030-03-05T13:00:00+01:00", status: "tentative", reminders: [{ offsetMinutes: -15 }] });
+
+    const due = calendar.dueReminders({ since: DAY[0], until: DAY[1], tz: TZ });
+    assert.deepEqual(due.reminders.map((r) => r.event.title), ["Hold"]);
+  });
+});
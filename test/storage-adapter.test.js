@@ -0,0 +1,285 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import path from "node:path";
+import { createCalendar } from "../lib/calendar.js";
+import { eventSpan, OPEN_END } from "../lib/recurrence.js";
+import { convertStorage, createBackend, detectBackend, STORAGE_BACKENDS } from "../lib/storage-adapter.js";
+import { SCHEMA_VERSION } from "../lib/storage.js";
+import { makeTmpDir } from "./_helpers.js";
+
+const ms = (iso) => Date.parse(iso);
+
+const ONE_OFF = { id: "one-off", title: "Dentist", start: "2026-03-03T10:00:00+01:00", end: "2026-03-03T11:00:00+01:00" };
+const ENDING = {
+  id: "ending",
+  title: "Course",
+  start: "2026-01-05T18:00:00+01:00",
+  end: "2026-01-05T19:00:00+01:00",
+  tz: "Europe/Warsaw",
+  rrule: "FREQ=WEEKLY;UNTIL=20260202",
+};
+const ENDLESS = { id: "endless", title: "Standup", start: "2025-01-06T09:00:00+01:00", tz: "Europe/Warsaw", rrule: "FREQ=DAILY" };
+const TRIP = { id: "trip", title: "Trip", start: "2026-07-01", end: "2026-07-03", allDay: true };
+
+describe("eventSpan", () => {
+  it("covers a one-off event's own times", () => {
+    assert.deepEqual(eventSpan(ONE_OFF), { start: ms(ONE_OFF.start), end: ms(ONE_OFF.end) });
+  });
+
+  it("ends a series at its last possible occurrence", () => {
+    assert.deepEqual(eventSpan(ENDING), { start: ms(ENDING.start), end: ms("2026-02-02T23:59:59+01:00") + 3600000 });
+  });
+
+  it("leaves series without UNTIL open-ended", () => {
+    assert.equal(eventSpan(ENDLESS).end, OPEN_END);
+    assert.equal(eventSpan({ ...ENDING, rrule: "FREQ=WEEKLY;COUNT=3" }).end, OPEN_END);
+  });
+
+  it("widens a series for extra dates and moved occurrences", () => {
+    const span = eventSpan({
+      ...ENDING,
+      rDates: ["2025-12-29T18:00:00+01:00"],
+      overrides: { "2026-01-12T18:00:00+01:00": { start: "2026-03-01T18:00:00+01:00", end: "2026-03-01T20:00:00+01:00" } },
+    });
+    assert.deepEqual(span, { start: ms("2025-12-29T18:00:00+01:00"), end: ms("2026-03-01T20:00:00+01:00") });
+  });
+
+  it("gives all-day dates a day of slack on each side", () => {
+    assert.deepEqual(eventSpan(TRIP), { start: ms("2026-06-30T00:00:00Z"), end: ms("2026-07-05T00:00:00Z") });
+  });
+});
+
+for (const backend of STORAGE_BACKENDS) {
+  describe(`${backend} storage backend`, () => {
+    let tmpDir;
+    let storage;
+
+    beforeEach(() => {
+      tmpDir = makeTmpDir();
+      storage = createBackend(backend, tmpDir);
+    });
+
+    afterEach(() => {
+      storage.close();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it("saves, finds, updates and removes events", () => {
+      storage.save(ONE_OFF);
+      storage.save(ENDLESS);
+
+      assert.deepEqual(storage.loadAll().map((e) => e.id), ["one-off", "endless"]);
+      assert.deepEqual(storage.findById("one-off"), ONE_OFF);
+      assert.equal(storage.findById("missing"), undefined);
+
+      assert.equal(storage.update("one-off", { place: "Clinic" }).place, "Clinic");
+      assert.equal(storage.findById("one-off").place, "Clinic");
+      assert.equal(storage.update("missing", { place: "x" }), false);
+
+      assert.equal(storage.remove("one-off"), true);
+      assert.equal(storage.remove("one-off"), false);
+      assert.deepEqual(storage.loadAll().map((e) => e.id), ["endless"]);
+    });
+
+    it("replaces events by id in saveMany and keeps their position", () => {
+      storage.save(ONE_OFF);
+      storage.save(ENDLESS);
+      storage.saveMany([{ ...ONE_OFF, title: "Dentist (moved)" }, TRIP]);
+
+      assert.deepEqual(storage.loadAll().map((e) => e.title), ["Dentist (moved)", "Standup", "Trip"]);
+    });
+
+    it("returns copies that do not change the store", () => {
+      storage.save(ONE_OFF);
+      storage.findById("one-off").title = "Changed";
+      storage.loadAll()[0].title = "Changed";
+
+      assert.equal(storage.findById("one-off").title, "Dentist");
+    });
+
+    it("queries events whose span overlaps a range", () => {
+      storage.saveMany([ONE_OFF, ENDING, ENDLESS, TRIP]);
+      const ids = (from, to) => storage.queryRange(ms(from), ms(to)).map((e) => e.id).sort();
+
+      assert.deepEqual(ids("2026-03-01T00:00:00+01:00", "2026-03-08T00:00:00+01:00"), ["endless", "one-off"]);
+      assert.deepEqual(ids("2026-01-10T00:00:00+01:00", "2026-01-11T00:00:00+01:00"), ["ending", "endless"]);
+      assert.deepEqual(ids("2026-07-03T23:00:00+14:00", "2026-07-04T00:00:00+14:00"), ["endless", "trip"]);
+      assert.deepEqual(ids("2024-01-01T00:00:00+01:00", "2024-12-31T00:00:00+01:00"), []);
+    });
+
+    it("keeps a transaction's writes together and drops them when it throws", () => {
+      storage.save(ONE_OFF);
+      storage.transaction(() => {
+        storage.update("one-off", { title: "Inside" });
+        assert.equal(storage.findById("one-off").title, "Inside");
+        storage.save(ENDLESS);
+      });
+      assert.deepEqual(storage.loadAll().map((e) => e.title), ["Inside", "Standup"]);
+
+      assert.throws(() => storage.transaction(() => {
+        storage.remove("one-off");
+        storage.transaction(() => storage.save(TRIP));
+        throw new Error("boom");
+      }), /boom/);
+      assert.deepEqual(storage.loadAll().map((e) => e.title), ["Inside", "Standup"]);
+    });
+
+    it("runs onCommit once the outermost transaction has committed", () => {
+      const calls = [];
+      storage.transaction(() => {
+        storage.transaction(() => storage.save(ONE_OFF), { onCommit: () => calls.push(storage.loadAll().length) });
+        calls.push("inner done");
+      });
+      assert.deepEqual(calls, ["inner done", 1]);
+
+      assert.throws(() => storage.transaction(() => {
+        storage.save(TRIP);
+        throw new Error("boom");
+      }, { onCommit: () => calls.push("rolled back") }), /boom/);
+      assert.deepEqual(calls, ["inner done", 1]);
+    });
+
+    it("reports the schema version without anything to migrate", () => {
+      storage.save(ONE_OFF);
+      const result = storage.migrate({ dryRun: true });
+      assert.equal(result.fromVersion, SCHEMA_VERSION);
+      assert.deepEqual(result.steps, []);
+      assert.equal(result.eventCount, 1);
+    });
+
+    it("backs a calendar with series, exceptions and splits", () => {
+      const calendar = createCalendar({ storage });
+      const series = calendar.add({
+        title: "Sync",
+        start: "2026-03-03T10:00:00+01:00",
+        tz: "Europe/Warsaw",
+        rrule: "FREQ=WEEKLY;BYDAY=TU",
+      });
+      calendar.edit(series.id, { place: "Room 2" }, { occurrence: "2026-03-10T10:00:00+01:00" });
+      calendar.edit(series.id, { start: "2026-03-24T09:00:00+01:00" }, { fromOccurrence: "2026-03-24T10:00:00+01:00" });
+
+      const listed = calendar.listRange("2026-03-01T00:00:00+01:00", "2026-04-01T00:00:00+02:00");
+      assert.deepEqual(listed.map((e) => e.start), [
+        "2026-03-03T10:00:00+01:00",
+        "2026-03-10T10:00:00+01:00",
+        "2026-03-17T10:00:00+01:00",
+        "2026-03-24T09:00:00+01:00",
+        "2026-03-31T09:00:00+02:00",
+      ]);
+      assert.equal(listed[1].place, "Room 2");
+      assert.equal(storage.loadAll().length, 2);
+    });
+  });
+}
+
+describe("sqlite storage backend schema", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("reads but refuses to write a database from a newer schema", async () => {
+    const storage = createBackend("sqlite", tmpDir);
+    storage.save(ONE_OFF);
+    storage.close();
+
+    const { DatabaseSync } = await import("node:sqlite");
+    const db = new DatabaseSync(path.join(tmpDir, "events.db"));
+    db.exec(`PRAGMA user_version = ${SCHEMA_VERSION + 1}`);
+    db.close();
+
+    const newer = createBackend("sqlite", tmpDir);
+    assert.deepEqual(newer.loadAll(), [ONE_OFF]);
+    assert.throws(() => newer.save(TRIP), (err) => err.code === "SCHEMA_TOO_NEW");
+    assert.throws(() => newer.migrate(), (err) => err.code === "SCHEMA_TOO_NEW");
+    newer.close();
+  });
+
+  it("upgrades a database from an older schema", async () => {
+    const storage = createBackend("sqlite", tmpDir);
+    storage.save({ ...ONE_OFF, participants: ["Ann"] });
+    storage.close();
+
+    const { DatabaseSync } = await import("node:sqlite");
+    const db = new DatabaseSync(path.join(tmpDir, "events.db"));
+    db.exec("PRAGMA user_version = 2");
+    db.close();
+
+    const older = createBackend("sqlite", tmpDir);
+    const preview = older.migrate({ dryRun: true });
+    assert.equal(preview.fromVersion, 2);
+    assert.deepEqual(preview.steps.map((step) => [step.from, step.changed]), [[2, 1]]);
+
+    const [event] = older.loadAll();
+    assert.equal(event.participants, undefined);
+    assert.deepEqual(event.attendees, [{ name: "Ann", role: "required", status: "needs-action" }]);
+    assert.equal(older.migrate().fromVersion, SCHEMA_VERSION);
+    older.close();
+  });
+});
+
+describe("convertStorage", () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("moves events to the other backend and back", () => {
+    const json = createBackend("json", tmpDir);
+    json.saveMany([ONE_OFF, ENDLESS, TRIP]);
+    assert.equal(detectBackend(tmpDir), "json");
+
+    const toSqlite = convertStorage(tmpDir, "sqlite");
+    assert.deepEqual(toSqlite, {
+      from: "json",
+      to: "sqlite",
+      eventCount: 3,
+      file: path.join(tmpDir, "events.db"),
+      backupPath: path.join(tmpDir, "events.json.converted.bak"),
+    });
+    assert.equal(detectBackend(tmpDir), "sqlite");
+    const sqlite = createBackend("sqlite", tmpDir);
+    assert.deepEqual(sqlite.loadAll(), [ONE_OFF, ENDLESS, TRIP]);
+    sqlite.close();
+
+    const toJson = convertStorage(tmpDir, "json");
+    assert.equal(toJson.eventCount, 3);
+    assert.equal(detectBackend(tmpDir), "json");
+    assert.deepEqual(createBackend("json", tmpDir).loadAll(), [ONE_OFF, ENDLESS, TRIP]);
+  });
+
+  it("refuses to convert to the backend already in use or an unknown one", () => {
+    assert.throws(() => convertStorage(tmpDir, "json"), (err) => err.code === "INVALID_ARGUMENT");
+    assert.throws(() => convertStorage(tmpDir, "csv"), (err) => err.code === "INVALID_ARGUMENT");
+
+    const sqlite = createBackend("sqlite", tmpDir);
+    sqlite.save(ONE_OFF);
+    sqlite.close();
+    fs.writeFileSync(path.join(tmpDir, "events.json"), "{}");
+    assert.throws(() => convertStorage(tmpDir, "json"), /events\.json already exists/);
+    assert.equal(fs.readFileSync(path.join(tmpDir, "events.json"), "utf-8"), "{}");
+  });
+
+  it("removes a partly written target so the conversion can be retried", () => {
+    const json = createBackend("json", tmpDir);
+    json.saveMany([ONE_OFF, { ...TRIP, start: "not a date" }]);
+
+    assert.throws(() => convertStorage(tmpDir, "sqlite"));
+    assert.deepEqual(fs.readdirSync(tmpDir).filter((name) => name.startsWith("events.db")), []);
+    assert.equal(detectBackend(tmpDir), "json");
+
+    json.saveMany([{ ...TRIP }]);
+    assert.equal(convertStorage(tmpDir, "sqlite").eventCount, 2);
+  });
+});
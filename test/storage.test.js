@@ -1,8 +1,10 @@
 import { describe, it, beforeEach, afterEach } from "node:test";
 import assert from "node:assert/strict";
 import fs from "node:fs";
+import os from "node:os";
 import path from "node:path";
-import { createStorage } from "../lib/storage.js";
+import { spawnSync } from "node:child_process";
+import { createStorage, SCHEMA_VERSION } from "../lib/storage.js";
 import { makeTmpDir } from "./_helpers.js";
 
 describe("createStorage", () => {
@@ -96,6 +98,17 @@ describe("createStorage", () => {
     assert.equal(event, undefined);
   });
 
+  it("saves several events at once, replacing those with the same id", () => {
+    storage.save({ id: "1", title: "Old", start: "2026-02-14T10:00:00+01:00", createdAt: "2026-02-14T09:00:00+01:00" });
+    storage.saveMany([
+      { id: "1", title: "New", start: "2026-02-14T10:00:00+01:00", createdAt: "2026-02-14T09:00:00+01:00" },
+      { id: "2", title: "Added", start: "2026-02-15T10:00:00+01:00", createdAt: "2026-02-14T09:00:00+01:00" },
+    ]);
+
+    const events = storage.loadAll();
+    assert.deepEqual(events.map((e) => [e.id, e.title]), [["1", "New"], ["2", "Added"]]);
+  });
+
   it("persists data across storage instances", () => {
     storage.save({ id: "1", title: "Persisted", start: "2026-02-14T10:00:00+01:00", createdAt: "2026-02-14T09:00:00+01:00" });
 
@@ -104,4 +117,151 @@ describe("createStorage", () => {
     assert.equal(events.length, 1);
     assert.equal(events[0].title, "Persisted");
   });
+
+  it("replaces the data file atomically and leaves no temp or lock files behind", () => {
+    storage.save({ id: "1", title: "A", start: "2026-02-14T10:00:00+01:00", createdAt: "2026-02-14T09:00:00+01:00" });
+    storage.update("1", { title: "B" });
+    storage.remove("1");
+
+    assert.deepEqual(fs.readdirSync(tmpDir), ["events.json"]);
+  });
+
+  it("waits for the lock and times out while another live process holds it", () => {
+    const lockPath = path.join(tmpDir, "events.json.lock");
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, hostname: os.hostname(), token: "other" }));
+    const impatient = createStorage(tmpDir, { lockTimeoutMs: 50 });
+
+    assert.throws(
+      () => impatient.save({ id: "1", title: "A", start: "2026-02-14T10:00:00+01:00" }),
+      (err) => err.code === "LOCK_TIMEOUT"
+    );
+    assert.ok(fs.existsSync(lockPath));
+    assert.deepEqual(impatient.loadAll(), []);
+  });
+
+  it("breaks a lock left behind by a process that no longer exists", () => {
+    const lockPath = path.join(tmpDir, "events.json.lock");
+    const dead = spawnSync(process.execPath, ["-e", ""]).pid;
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: dead, hostname: os.hostname(), token: "dead" }));
+
+    storage.save({ id: "1", title: "A", start: "2026-02-14T10:00:00+01:00" });
+    assert.equal(storage.loadAll().length, 1);
+    assert.ok(!fs.existsSync(lockPath));
+  });
+
+  it("breaks a lock older than the stale limit", () => {
+    const lockPath = path.join(tmpDir, "events.json.lock");
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, hostname: "elsewhere", token: "old" }));
+    const old = new Date(Date.now() - 60000);
+    fs.utimesSync(lockPath, old, old);
+
+    storage.save({ id: "1", title: "A", start: "2026-02-14T10:00:00+01:00" });
+    assert.equal(storage.loadAll().length, 1);
+  });
+});
+
+describe("createStorage schema migrations", () => {
+  let tmpDir;
+  let filePath;
+  const legacy = [{ id: "1", title: "A", start: "2026-02-14T10:00:00+01:00", createdAt: "2026-02-14T09:00:00+01:00" }];
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    filePath = path.join(tmpDir, "events.json");
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("writes a versioned envelope", () => {
+    createStorage(tmpDir).save(legacy[0]);
+
+    const data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+    assert.equal(data.version, SCHEMA_VERSION);
+    assert.deepEqual(data.events, legacy);
+  });
+
+  it("upgrades a version 1 file on load and keeps a backup", () => {
+    fs.writeFileSync(filePath, JSON.stringify(legacy));
+
+    assert.deepEqual(createStorage(tmpDir).loadAll(), legacy);
+    assert.deepEqual(JSON.parse(fs.readFileSync(filePath, "utf-8")), { version: SCHEMA_VERSION, events: legacy });
+    assert.deepEqual(JSON.parse(fs.readFileSync(`${filePath}.v1.bak`, "utf-8")), legacy);
+  });
+
+  it("does not overwrite an earlier backup", () => {
+    fs.writeFileSync(`${filePath}.v1.bak`, "earlier");
+    fs.writeFileSync(filePath, JSON.stringify(legacy));
+
+    createStorage(tmpDir).loadAll();
+    assert.equal(fs.readFileSync(`${filePath}.v1.bak`, "utf-8"), "earlier");
+    assert.equal(fs.readdirSync(tmpDir).filter((name) => name.endsWith(".bak")).length, 2);
+  });
+
+  it("previews a migration without writing anything", () => {
+    fs.writeFileSync(filePath, JSON.stringify(legacy));
+
+    const result = createStorage(tmpDir).migrate({ dryRun: true });
+    assert.deepEqual(result, {
+      file: filePath,
+      fromVersion: 1,
+      toVersion: SCHEMA_VERSION,
+      eventCount: 1,
+      steps: [
+        { from: 1, to: 2, description: "wrap the event list in a versioned envelope", changed: 0 },
+        {
+          from: 2,
+          to: 3,
+          description: "store participants as attendees; events may now carry deletedAt, calendarId, reminders, organizer and status",
+          changed: 0,
+        },
+      ],
+      backupPath: null,
+    });
+    assert.deepEqual(JSON.parse(fs.readFileSync(filePath, "utf-8")), legacy);
+    assert.deepEqual(fs.readdirSync(tmpDir), ["events.json"]);
+  });
+
+  it("turns participant names into attendees when upgrading a version 2 file", () => {
+    fs.writeFileSync(filePath, JSON.stringify({ version: 2, events: [{ ...legacy[0], participants: ["Ann", "bob@example.com"] }] }));
+
+    const [event] = createStorage(tmpDir).loadAll();
+    assert.equal(event.participants, undefined);
+    assert.deepEqual(event.attendees, [
+      { name: "Ann", role: "required", status: "needs-action" },
+      { email: "bob@example.com", role: "required", status: "needs-action" },
+    ]);
+    assert.equal(JSON.parse(fs.readFileSync(filePath, "utf-8")).version, SCHEMA_VERSION);
+    assert.ok(fs.existsSync(`${filePath}.v2.bak`));
+  });
+
+  it("reports no steps for a current file", () => {
+    const storage = createStorage(tmpDir);
+    storage.save(legacy[0]);
+
+    const result = storage.migrate();
+    assert.deepEqual(result.steps, []);
+    assert.equal(result.fromVersion, SCHEMA_VERSION);
+    assert.equal(result.backupPath, null);
+  });
+
+  it("reads but refuses to write a file from a newer schema", () => {
+    const newer = JSON.stringify({ version: SCHEMA_VERSION + 1, events: legacy });
+    fs.writeFileSync(filePath, newer);
+    const storage = createStorage(tmpDir);
+
+    assert.deepEqual(storage.loadAll(), legacy);
+    assert.throws(() => storage.save({ id: "2", title: "B", start: "2026-02-15T10:00:00+01:00" }), (err) => err.code === "SCHEMA_TOO_NEW");
+    assert.throws(() => storage.update("1", { title: "B" }), (err) => err.code === "SCHEMA_TOO_NEW");
+    assert.throws(() => storage.migrate(), (err) => err.code === "SCHEMA_TOO_NEW");
+    assert.equal(fs.readFileSync(filePath, "utf-8"), newer);
+  });
+
+  it("rejects a file that is not a clawendar data file", () => {
+    fs.writeFileSync(filePath, JSON.stringify({ hello: "world" }));
+
+    assert.throws(() => createStorage(tmpDir).loadAll(), (err) => err.code === "INVALID_DATA");
+  });
 });
+
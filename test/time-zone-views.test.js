@@ -0,0 +1,51 @@
+import { describe, it, beforeEach, afterEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { createCalendar } from "../lib/calendar.js";
+import { makeTmpDir } from "./_helpers.js";
+
+describe("today/week in a time zone", () => {
+  let tmpDir;
+  let calendar;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    calendar = createCalendar({ dataDir: tmpDir });
+    calendar.add({ title: "Monday evening", start: "2030-03-04T20:00:00+01:00" });
+    calendar.add({ title: "Tuesday morning", start: "2030-03-05T10:00:00+01:00" });
+    calendar.add({ title: "Tuesday all day", start: "2030-03-05", allDay: true });
+    calendar.add({ title: "Next Monday", start: "2030-03-11T10:00:00+01:00" });
+  });
+
+  afterEach(() => {
+    mock.timers.reset();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function titles(events) {
+    return events.map((e) => e.title);
+  }
+
+  it("takes the day boundaries from the zone", () => {
+    // Tuesday 00:30 in Warsaw, still Monday evening in New York.
+    mock.timers.enable({ apis: ["Date"], now: new Date("2030-03-04T23:30:00Z") });
+
+    assert.deepEqual(titles(calendar.today({}, { tz: "Europe/Warsaw" })), ["Tuesday all day", "Tuesday morning"]);
+    assert.deepEqual(titles(calendar.today({}, { tz: "America/New_York" })), ["Monday evening"]);
+  });
+
+  it("takes the week from the zone's Monday to Sunday", () => {
+    // Monday 00:30 in Warsaw, still Sunday in New York.
+    mock.timers.enable({ apis: ["Date"], now: new Date("2030-03-10T23:30:00Z") });
+
+    assert.deepEqual(titles(calendar.week({}, { tz: "Europe/Warsaw" })), ["Next Monday"]);
+    assert.deepEqual(
+      titles(calendar.week({}, { tz: "America/New_York" })),
+      ["Monday evening", "Tuesday all day", "Tuesday morning"]
+    );
+  });
+
+  it("rejects unknown zones", () => {
+    assert.throws(() => calendar.today({}, { tz: "Mars/Base" }), (err) => err.code === "INVALID_ARGUMENT");
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { createCalendar } from "../lib/calendar.js";
+import { makeTmpDir } from "./_helpers.js";
+
+const RANGE = ["2026-03-01T00:00:00+01:00", "2026-04-01T00:00:00+02:00"];
+
+describe("calendar trash", () => {
+  let tmpDir;
+  let calendar;
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    calendar = createCalendar({ dataDir: tmpDir });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("moves deleted events to the trash with a deletion time", () => {
+    const event = calendar.add({ title: "Dentist", start: "2026-03-03T10:00:00+01:00" });
+    const before = Date.now();
+    assert.equal(calendar.delete(event.id), true);
+
+    const [trashed] = calendar.listTrash();
+    assert.equal(trashed.id, event.id);
+    assert.ok(Date.parse(trashed.deletedAt) >= before - 1000);
+  });
+
+  it("hides trashed events everywhere else", () => {
+    const event = calendar.add({ title: "Dentist", start: "2026-03-03T10:00:00+01:00" });
+    const series = calendar.add({ title: "Sync", start: "2026-03-03T10:00:00+01:00", tz: "Europe/Warsaw", rrule: "FREQ=WEEKLY" });
+    calendar.delete(event.id);
+    calendar.delete(series.id, { fromOccurrence: "2026-03-03T10:00:00+01:00" });
+
+    assert.deepEqual(calendar.list(), []);
+    assert.deepEqual(calendar.listRange(...RANGE), []);
+    assert.deepEqual(calendar.listStoredInRange(...RANGE), []);
+    assert.equal(calendar.delete(event.id), false);
+    assert.throws(() => calendar.edit(event.id, { title: "x" }), (err) => err.code === "NOT_FOUND");
+    assert.throws(() => calendar.skip(series.id, "2026-03-10T10:00:00+01:00"), (err) => err.code === "NOT_FOUND");
+    assert.deepEqual(calendar.listTrash().map((e) => e.id).sort(), [event.id, series.id].sort());
+  });
+
+  it("restores a trashed event as it was", () => {
+    const event = calendar.add({ title: "Dentist", start: "2026-03-03T10:00:00+01:00", place: "Clinic" });
+    calendar.delete(event.id);
+
+    assert.deepEqual(calendar.restore(event.id), event);
+    assert.deepEqual(calendar.list(), [event]);
+    assert.deepEqual(calendar.listTrash(), []);
+    assert.throws(() => calendar.restore(event.id), (err) => err.code === "NOT_FOUND");
+  });
+
+  it("purges everything, or only what was deleted before a time", () => {
+    const old = calendar.add({ title: "Old", start: "2026-03-03T10:00:00+01:00" });
+    const recent = calendar.add({ title: "Recent", start: "2026-03-04T10:00:00+01:00" });
+    calendar.delete(old.id);
+    calendar.delete(recent.id);
+    const cutoff = new Date(Date.now() + 1000);
+
+    assert.deepEqual(calendar.purgeTrash({ deletedBefore: new Date(0) }), []);
+    assert.deepEqual(calendar.purgeTrash({ deletedBefore: cutoff }).map((e) => e.title).sort(), ["Old", "Recent"]);
+    assert.deepEqual(calendar.listTrash(), []);
+    assert.deepEqual(calendar.history()[0].changes.map((c) => c.after), [null, null]);
+  });
+
+  it("undoes a purge back into the trash", () => {
+    const event = calendar.add({ title: "Dentist", start: "2026-03-03T10:00:00+01:00" });
+    calendar.delete(event.id);
+    calendar.purgeTrash();
+
+    calendar.undo();
+    assert.deepEqual(calendar.listTrash().map((e) => e.id), [event.id]);
+  });
+
+  it("brings a trashed event back when it is imported again", () => {
+    calendar.importEvents([{ uid: "a@example.com", title: "Imported", start: "2026-03-05T10:00:00+01:00" }]);
+    const [imported] = calendar.list();
+    calendar.delete(imported.id);
+
+    const result = calendar.importEvents([{ uid: "a@example.com", title: "Imported", start: "2026-03-05T10:00:00+01:00" }]);
+    assert.equal(result.updated.length, 1);
+    assert.deepEqual(calendar.list().map((e) => e.id), [imported.id]);
+    assert.deepEqual(calendar.listTrash(), []);
+  });
+});
@@ -0,0 +1,140 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { createCalendar } from "../lib/calendar.js";
+import { createWatcher } from "../lib/watch.js";
+import { makeTmpDir } from "./_helpers.js";
+
+const TZ = "Europe/Warsaw";
+
+describe("createWatcher", () => {
+  let tmpDir;
+  let calendar;
+  let delivered;
+  let clock;
+
+  function watcher(options = {}) {
+    return createWatcher({
+      calendar,
+      dataDir: tmpDir,
+      tz: TZ,
+      deliver: (reminder) => delivered.push(reminder),
+      now: () => clock,
+      ...options,
+    });
+  }
+
+  beforeEach(() => {
+    tmpDir = makeTmpDir();
+    calendar = createCalendar({ dataDir: tmpDir });
+    delivered = [];
+    clock = new Date("2026-03-10T07:00:00Z");
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("delivers each reminder once and sleeps until the next one", () => {
+    calendar.add({ title: "Call", start: "2026-03-10T08:10:00+01:00", reminders: [{ offsetMinutes: -10 }] });
+    const w = watcher();
+
+    clock = new Date("2026-03-10T06:59:30Z");
+    assert.deepEqual(w.check().nextCheck, new Date("2026-03-10T07:00:00Z"));
+
+    clock = new Date("2026-03-10T07:00:00Z");
+    const first = w.check();
+    assert.deepEqual(first.delivered.map((r) => r.trigger), ["-10m"]);
+    assert.deepEqual(first.nextCheck, new Date("2026-03-10T07:01:00Z"));
+    assert.deepEqual(w.check().delivered, []);
+    assert.equal(delivered.length, 1);
+  });
+
+  it("fires at event starts, following occurrences across a DST change", () => {
+    calendar.add({ title: "Standup", start: "2026-03-27T09:00:00+01:00", tz: TZ, rrule: "FREQ=DAILY;COUNT=3" });
+    const w = watcher({ starts: true });
+
+    clock = new Date("2026-03-27T00:00:00Z");
+    w.check();
+    clock = new Date("2026-03-29T12:00:00Z");
+    w.check();
+    assert.deepEqual(delivered.map((r) => [r.trigger, r.fireAt]), [
+      ["start", "2026-03-27T09:00:00+01:00"],
+      ["start", "2026-03-28T09:00:00+01:00"],
+      ["start", "2026-03-29T09:00:00+02:00"],
+    ]);
+  });
+
+  it("catches up on reminders that fired while it was not running", () => {
+    calendar.add({ title: "A", start: "2026-03-10T09:00:00+01:00", reminders: [{ offsetMinutes: -15 }] });
+    calendar.add({ title: "B", start: "2026-03-10T15:00:00+01:00", reminders: [{ at: "2026-03-10T12:00:00+01:00" }] });
+
+    watcher().check();
+    assert.deepEqual(delivered, []);
+
+    clock = new Date("2026-03-10T18:00:00Z");
+    watcher().check();
+    assert.deepEqual(delivered.map((r) => r.event.title), ["A", "B"]);
+  });
+
+  it("retries a reminder it could not deliver at the next check", () => {
+    calendar.add({ title: "Call", start: "2026-03-10T08:10:00+01:00", reminders: [{ offsetMinutes: -10 }] });
+    calendar.add({ title: "Lunch", start: "2026-03-10T08:05:00+01:00", reminders: [{ offsetMinutes: -5 }] });
+    const errors = [];
+    let failing = true;
+    const w = watcher({
+      deliver: (reminder) => {
+        if (failing && reminder.event.title === "Call") throw new Error("hook failed");
+        delivered.push(reminder);
+      },
+      onError: (err) => errors.push(err.message),
+    });
+
+    const first = w.check();
+    assert.deepEqual(first.delivered.map((r) => r.event.title), ["Lunch"]);
+    assert.deepEqual(first.failed.map((r) => r.event.title), ["Call"]);
+    assert.deepEqual(errors, ["hook failed"]);
+
+    failing = false;
+    clock = new Date("2026-03-10T07:01:00Z");
+    assert.deepEqual(w.check().delivered.map((r) => r.event.title), ["Call"]);
+    assert.deepEqual(w.check().delivered, []);
+    assert.deepEqual(delivered.map((r) => r.event.title), ["Lunch", "Call"]);
+  });
+
+  it("reports errors and keeps going", () => {
+    const errors = [];
+    const failing = { dueReminders: () => { throw new Error("storage is busy"); } };
+    const w = watcher({ calendar: failing, onError: (err) => errors.push(err.message) });
+    w.start();
+    w.stop();
+    assert.deepEqual(errors, ["storage is busy"]);
+  });
+
+  it("wakes up for events added while it runs", async () => {
+    const w = watcher({ starts: true, now: () => new Date() });
+    w.start();
+    try {
+      const fired = new Promise((resolve, reject) => {
+        const deadline = setTimeout(() => {
+          clearInterval(poll);
+          reject(new Error("no reminder delivered"));
+        }, 5000);
+        const poll = setInterval(() => {
+          if (delivered.length > 0) {
+            clearInterval(poll);
+            clearTimeout(deadline);
+            resolve();
+          }
+        }, 50);
+      });
+      const start = new Date(Date.now() + 1500);
+      start.setUTCMilliseconds(0);
+      calendar.add({ title: "Soon", start: start.toISOString().replace(".000Z", "Z") });
+      await fired;
+      assert.deepEqual(delivered.map((r) => [r.event.title, r.trigger]), [["Soon", "start"]]);
+    } finally {
+      w.stop();
+    }
+  });
+});